@@ -1,6 +1,11 @@
 require('dotenv').config();
 const app = require('./src/app');
 const database = require('./src/utils/database');
+const scanWorker = require('./src/workers/scanWorker');
+const lifecycleWorker = require('./src/workers/lifecycleWorker');
+const verificationReminderWorker = require('./src/workers/verificationReminderWorker');
+const passwordExpiryWorker = require('./src/workers/passwordExpiryWorker');
+const emailVerificationMigration = require('./src/migrations/grandfatherEmailVerification');
 
 /**
  * Server Entry Point
@@ -31,6 +36,12 @@ async function startServer() {
   try {
     // Connect to database
     await database.connect();
+
+    // Students from before email verification keep submitting applications
+    const grandfathered = await emailVerificationMigration.up();
+    if (grandfathered > 0) {
+      console.log(`📧 Marked ${grandfathered} existing accounts as email verified`);
+    }
     
     // Start listening for requests
     const server = app.listen(PORT, HOST, () => {
@@ -40,10 +51,35 @@ async function startServer() {
       console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
     });
 
+    // Scan uploaded documents in the background unless disabled
+    if (process.env.SCAN_WORKER_ENABLED !== 'false') {
+      scanWorker.start();
+    }
+
+    // Archive, purge and audit stored documents unless run from cron instead
+    if (process.env.LIFECYCLE_WORKER_ENABLED !== 'false') {
+      lifecycleWorker.start();
+    }
+
+    // Remind students to verify their email unless run from cron instead
+    if (process.env.VERIFICATION_REMINDER_WORKER_ENABLED !== 'false') {
+      verificationReminderWorker.start();
+    }
+
+    // Warn students and admins before their password expires unless run from cron instead
+    if (process.env.PASSWORD_EXPIRY_WORKER_ENABLED !== 'false') {
+      passwordExpiryWorker.start();
+    }
+
     // Handle server shutdown gracefully
     const gracefulShutdown = async (signal) => {
       console.log(`\n${signal} received. Starting graceful shutdown...`);
       
+      scanWorker.stop();
+      lifecycleWorker.stop();
+      verificationReminderWorker.stop();
+      passwordExpiryWorker.stop();
+
       server.close(async () => {
         console.log('📝 HTTP server closed');
         
@@ -114,6 +114,9 @@ app.get('/health', (req, res) => {
 // API routes will be added here
 // Authentication routes with stricter rate limiting
 app.use('/api/auth', authLimiter); // Apply auth rate limiting first
+app.use('/api/admin/auth', authLimiter);
+app.use('/api/referees', authLimiter); // Referee links are the only credential there
+app.use('/api/shared', authLimiter); // So are share links
 
 // Import and use route handlers (these will be created in subsequent tasks)
 try {
@@ -123,15 +126,25 @@ try {
   const applicationRoutes = require('./routes/applications');
   const uploadRoutes = require('./routes/uploads');
   const adminRoutes = require('./routes/admin');
+  const adminAuthRoutes = require('./routes/adminAuth');
   const messageRoutes = require('./routes/messages');
+  const refereeRoutes = require('./routes/referees');
+  const fileRoutes = require('./routes/files');
+  const documentRoutes = require('./routes/documents');
+  const sharedRoutes = require('./routes/shared');
 
   app.use('/api/auth', authRoutes);
   app.use('/api/users', userRoutes);
   app.use('/api/universities', universityRoutes);
   app.use('/api/applications', applicationRoutes);
   app.use('/api/uploads', uploadRoutes);
+  app.use('/api/admin/auth', adminAuthRoutes);
   app.use('/api/admin', adminRoutes);
   app.use('/api/messages', messageRoutes);
+  app.use('/api/referees', refereeRoutes);
+  app.use('/api/files', fileRoutes);
+  app.use('/api/documents', documentRoutes);
+  app.use('/api/shared', sharedRoutes);
 } catch (error) {
   // Routes not yet implemented - this is expected during TDD
   console.log('Routes not yet implemented - continuing with basic app setup');
@@ -172,6 +185,18 @@ app.get('*', (req, res) => {
 
 // Global error handling middleware - Constitutional requirement for user-friendly errors
 app.use((error, req, res, next) => {
+  // Expected service-layer failures carry their own code and status
+  if (error.name === 'ServiceError') {
+    return res.status(error.status).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message,
+        ...(error.details && { details: error.details })
+      }
+    });
+  }
+
   console.error('Error:', error);
 
   // Handle specific error types
@@ -1,5 +1,9 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const authService = require('../services/authService');
+const adminAuthService = require('../services/adminAuthService');
+const apiKeyService = require('../services/apiKeyService');
+const sessionService = require('../services/sessionService');
+const ServiceError = require('../utils/serviceError');
 
 /**
  * Authentication Middleware
@@ -10,6 +14,10 @@ const User = require('../models/User');
 
 /**
  * Middleware to authenticate JWT tokens
+ *
+ * Attaches the user to the request as req.user and req.userId, and the
+ * session the token belongs to as req.authSession.
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
@@ -31,7 +39,7 @@ const authenticateToken = async (req, res, next) => {
     const token = authHeader.substring(7);
     
     // Verify the token
-    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    const decoded = authService.verifyAccessToken(token);
     
     // Find the user and verify session
     const user = await User.findById(decoded.id);
@@ -45,24 +53,28 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Verify session ID matches (prevents token reuse after logout)
-    if (user.sessionId !== decoded.sessionId) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'SESSION_INVALID',
-          message: 'Session has been invalidated'
-        }
-      });
-    }
+    // Verify the session is still active (prevents token reuse after logout)
+    const session = await sessionService.authenticate('User', decoded);
+    await sessionService.touch(session);
 
     // Attach user to request object
     req.user = user;
     req.userId = user._id;
+    req.authSession = session;
     
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
+    if (error.code === 'SESSION_INVALID') {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
+    if (error.message === 'INVALID_ACCESS_TOKEN' || error.message === 'TOKEN_VERIFICATION_FAILED') {
       return res.status(401).json({
         success: false,
         error: {
@@ -72,7 +84,7 @@ const authenticateToken = async (req, res, next) => {
       });
     }
     
-    if (error.name === 'TokenExpiredError') {
+    if (error.message === 'ACCESS_TOKEN_EXPIRED') {
       return res.status(401).json({
         success: false,
         error: {
@@ -87,31 +99,145 @@ const authenticateToken = async (req, res, next) => {
 };
 
 /**
- * Middleware to check if user is admin
+ * Middleware factory accepting a student's API key as well as their login
+ *
+ * Requests with an X-API-Key header are authenticated with the key instead
+ * of a token: the key must have the given scope, and since keys only grant
+ * read access, only GET and HEAD requests are allowed. The key owner is
+ * attached as req.user and req.userId, and the key as req.apiKey; there is
+ * no req.authSession. Requests without the header go to authenticateToken.
+ *
+ * @param {string} scope - Scope API keys need, e.g. 'applications:read'
+ * @returns {Function} Express middleware
+ */
+const authenticateTokenOrApiKey = (scope) => async (req, res, next) => {
+  const key = req.get('X-API-Key');
+
+  if (key === undefined) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    if (!['GET', 'HEAD'].includes(req.method)) {
+      throw new ServiceError(
+        'API_KEY_READ_ONLY',
+        'API keys can only read data, please sign in to make changes',
+        403
+      );
+    }
+
+    const { user, apiKey } = await apiKeyService.authenticate(key, scope, { ipAddress: req.ip });
+
+    req.user = user;
+    req.userId = user._id;
+    req.apiKey = apiKey;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware to authenticate admin JWT tokens
+ *
+ * Only tokens issued by /api/admin/auth are accepted. Attaches the admin to
+ * the request as req.admin and req.adminId, and their session as req.authSession.
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
 const requireAdmin = async (req, res, next) => {
   try {
-    // First authenticate the token
-    await authenticateToken(req, res, () => {});
-    
-    // Check if user has admin privileges
-    // TODO: Implement admin role checking once Admin model is created
-    const isAdmin = req.user.email === process.env.ADMIN_EMAIL || 
-                    req.user.profile?.role === 'admin';
-    
-    if (!isAdmin) {
-      return res.status(403).json({
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
         success: false,
         error: {
-          code: 'INSUFFICIENT_PERMISSIONS',
-          message: 'Admin privileges required'
+          code: 'UNAUTHORIZED',
+          message: 'Admin authentication token required'
         }
       });
     }
-    
+
+    const { admin, session } = await adminAuthService.authenticate(authHeader.substring(7), {
+      ipAddress: req.ip
+    });
+
+    req.admin = admin;
+    req.adminId = admin._id;
+    req.authSession = session;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record an admin's denied request in their activity log and reject it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} required - What the admin lacked (module and action, or roles)
+ */
+const denyAdmin = async (req, res, required) => {
+  await req.admin.logActivity(
+    'permission_denied',
+    'system',
+    null,
+    null,
+    { ...required, method: req.method, path: req.originalUrl },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  res.status(403).json({
+    success: false,
+    error: {
+      code: 'INSUFFICIENT_PERMISSIONS',
+      message: 'You do not have permission to perform this action',
+      details: required
+    }
+  });
+};
+
+/**
+ * Middleware factory requiring an admin permission, e.g.
+ * requirePermission('applications', 'approve'). Use after requireAdmin.
+ * @param {string} module - Permission module
+ * @param {string|Function} action - Permission action, or a function deriving it from the request
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (module, action) => async (req, res, next) => {
+  try {
+    const required = {
+      module,
+      action: typeof action === 'function' ? action(req) : action
+    };
+
+    if (!req.admin.hasPermission(required.module, required.action)) {
+      return await denyAdmin(req, res, required);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware factory requiring one of the given admin roles. Use after requireAdmin.
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    if (!roles.includes(req.admin.role)) {
+      return await denyAdmin(req, res, { roles });
+    }
+
     next();
   } catch (error) {
     next(error);
@@ -131,10 +257,11 @@ const optionalAuth = async (req, res, next) => {
     }
 
     const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    const decoded = authService.verifyAccessToken(token);
     
     const user = await User.findById(decoded.id);
-    if (user && user.sessionId === decoded.sessionId) {
+    if (user) {
+      req.authSession = await sessionService.authenticate('User', decoded);
       req.user = user;
       req.userId = user._id;
     }
@@ -148,6 +275,9 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  authenticateTokenOrApiKey,
   requireAdmin,
+  requirePermission,
+  requireRole,
   optionalAuth
 };
\ No newline at end of file
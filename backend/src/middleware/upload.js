@@ -0,0 +1,56 @@
+const multer = require('multer');
+const ServiceError = require('../utils/serviceError');
+
+/**
+ * File Upload Middleware
+ *
+ * Parses multipart uploads into memory with Multer so files can be validated
+ * and checksummed before anything is written to storage.
+ */
+
+const maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 10485760; // 10MB default
+
+const memoryUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxFileSize,
+    files: 1
+  }
+});
+
+/**
+ * Accept a single file from the given form field
+ * @param {string} fieldName - Multipart field holding the file
+ * @returns {Function} Express middleware
+ */
+const singleFile = (fieldName = 'file') => (req, res, next) => {
+  memoryUpload.single(fieldName)(req, res, (error) => {
+    if (!error) {
+      if (!req.file) {
+        return next(new ServiceError(
+          'FILE_REQUIRED',
+          `A file is required in field "${fieldName}"`
+        ));
+      }
+      return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return next(new ServiceError(
+        'FILE_TOO_LARGE',
+        `File size exceeds maximum limit of ${maxFileSize / 1024 / 1024}MB`,
+        413
+      ));
+    }
+
+    if (error instanceof multer.MulterError) {
+      return next(new ServiceError('INVALID_UPLOAD', error.message));
+    }
+
+    next(error);
+  });
+};
+
+module.exports = {
+  singleFile
+};
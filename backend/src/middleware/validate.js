@@ -0,0 +1,47 @@
+const { validationResult } = require('express-validator');
+
+/**
+ * Request Validation Middleware
+ *
+ * Shared by the routes that validate their input with express-validator
+ * chains, so every invalid request gets the same 400 response.
+ */
+
+/**
+ * Reject the request with a 400 when express-validator found problems
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array().map(err => ({
+          field: err.path,
+          message: err.msg
+        }))
+      }
+    });
+  }
+  next();
+};
+
+/**
+ * Request context recorded in activity, access and security logs
+ * @param {Object} req - Express request
+ * @returns {Object} Request context ({ ipAddress, userAgent })
+ */
+const requestContext = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+module.exports = {
+  validate,
+  requestContext
+};
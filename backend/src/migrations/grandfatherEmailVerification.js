@@ -0,0 +1,44 @@
+const User = require('../models/User');
+
+/**
+ * Grandfather Email Verification Migration
+ *
+ * Students who registered before email verification existed have no
+ * emailVerified field, which reads as false. They would be blocked from
+ * submitting applications and sent verification reminders, so they are
+ * marked verified. Accounts created since always store the field, so the
+ * migration only ever touches pre-existing accounts and is safe to rerun.
+ *
+ * Runs when the server starts, or once with `npm run migrate:email-verification`.
+ */
+
+/**
+ * Mark every account without an emailVerified field as verified
+ * @returns {Promise<number>} Accounts marked verified
+ */
+const up = async () => {
+  // emailVerifiedAt stays unset: these addresses were never actually confirmed
+  const result = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = { up };
+
+// Run once when invoked directly
+if (require.main === module) {
+  require('dotenv').config();
+  const database = require('../utils/database');
+
+  database.connect()
+    .then(() => up())
+    .then(count => console.log(JSON.stringify({ grandfathered: count })))
+    .catch(error => {
+      console.error('❌ Email verification migration failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => database.disconnect());
+}
@@ -14,21 +14,55 @@ const bcrypt = require('bcryptjs');
  * - Performance optimization for admin operations
  */
 
+// Modules and actions permissions are granted on
+const PERMISSION_MODULES = [
+  'users', 'applications', 'universities', 'documents', 'messages', 'analytics', 'system'
+];
+const PERMISSION_ACTIONS = ['create', 'read', 'update', 'delete', 'approve', 'reject', 'export'];
+
+const ADMIN_ROLES = ['super_admin', 'admin', 'moderator', 'viewer'];
+
+// Permissions each role starts with; super_admin is granted everything by hasPermission
+const ROLE_PERMISSIONS = {
+  super_admin: [],
+  admin: [
+    { module: 'users', actions: ['read', 'update'] },
+    { module: 'applications', actions: ['read', 'update', 'approve', 'reject'] },
+    { module: 'universities', actions: ['read', 'update'] },
+    { module: 'documents', actions: ['read'] },
+    { module: 'messages', actions: ['create', 'read', 'update'] },
+    { module: 'analytics', actions: ['read'] }
+  ],
+  moderator: [
+    { module: 'users', actions: ['read'] },
+    { module: 'applications', actions: ['read', 'update'] },
+    { module: 'universities', actions: ['read'] },
+    { module: 'documents', actions: ['read'] },
+    { module: 'messages', actions: ['create', 'read'] }
+  ],
+  viewer: [
+    { module: 'users', actions: ['read'] },
+    { module: 'applications', actions: ['read'] },
+    { module: 'universities', actions: ['read'] },
+    { module: 'analytics', actions: ['read'] }
+  ]
+};
+
 // Permission subdocument schema
 const permissionSchema = new mongoose.Schema({
   module: {
     type: String,
     required: [true, 'Permission module is required'],
     enum: {
-      values: ['users', 'applications', 'universities', 'documents', 'messages', 'analytics', 'system'],
-      message: 'Module must be one of: users, applications, universities, documents, messages, analytics, system'
+      values: PERMISSION_MODULES,
+      message: `Module must be one of: ${PERMISSION_MODULES.join(', ')}`
     }
   },
   actions: [{
     type: String,
     enum: {
-      values: ['create', 'read', 'update', 'delete', 'approve', 'reject', 'export'],
-      message: 'Action must be one of: create, read, update, delete, approve, reject, export'
+      values: PERMISSION_ACTIONS,
+      message: `Action must be one of: ${PERMISSION_ACTIONS.join(', ')}`
     }
   }]
 }, { _id: false });
@@ -44,7 +78,7 @@ const activityLogSchema = new mongoose.Schema({
   module: {
     type: String,
     required: [true, 'Module is required'],
-    enum: ['users', 'applications', 'universities', 'documents', 'messages', 'analytics', 'system']
+    enum: PERMISSION_MODULES
   },
   targetId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -52,7 +86,7 @@ const activityLogSchema = new mongoose.Schema({
   },
   targetType: {
     type: String,
-    enum: ['User', 'Application', 'University', 'Document', 'Message']
+    enum: ['User', 'Admin', 'Application', 'University', 'Document', 'Message']
   },
   details: {
     type: mongoose.Schema.Types.Mixed
@@ -90,11 +124,29 @@ const securitySettingsSchema = new mongoose.Schema({
     type: String,
     select: false // Never include in queries by default
   },
+  mfaEnrolledAt: {
+    type: Date
+  },
+  // Last TOTP time step accepted, so a code cannot be replayed
+  mfaLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // SHA-256 hashes of the unused one-time recovery codes
+  mfaRecoveryCodes: {
+    type: [String],
+    select: false
+  },
   lastPasswordChange: {
     type: Date,
     default: Date.now
   },
-  passwordExpiresAt: {
+  // Hashes of earlier passwords that cannot be reused (see passwordPolicyService)
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  passwordExpiryWarningSentAt: {
     type: Date
   },
   failedLoginAttempts: {
@@ -211,8 +263,8 @@ const adminSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Admin role is required'],
     enum: {
-      values: ['super_admin', 'admin', 'moderator', 'viewer'],
-      message: 'Role must be one of: super_admin, admin, moderator, viewer'
+      values: ADMIN_ROLES,
+      message: `Role must be one of: ${ADMIN_ROLES.join(', ')}`
     },
     index: true
   },
@@ -233,12 +285,6 @@ const adminSchema = new mongoose.Schema({
     default: 'pending',
     index: true
   },
-  sessionId: {
-    type: String,
-    unique: true,
-    sparse: true,
-    index: true
-  },
   lastLoginAt: {
     type: Date
   },
@@ -248,7 +294,10 @@ const adminSchema = new mongoose.Schema({
   },
 
   // Security
-  security: securitySettingsSchema,
+  security: {
+    type: securitySettingsSchema,
+    default: () => ({})
+  },
 
   // Activity tracking
   activityLog: [activityLogSchema],
@@ -270,8 +319,10 @@ const adminSchema = new mongoose.Schema({
     virtuals: true,
     transform: function(doc, ret) {
       delete ret.passwordHash;
-      delete ret.sessionId;
       delete ret.security.mfaSecret;
+      delete ret.security.mfaLastUsedStep;
+      delete ret.security.mfaRecoveryCodes;
+      delete ret.security.passwordHistory;
       delete ret.__v;
       return ret;
     }
@@ -286,6 +337,7 @@ adminSchema.index({ username: 1 }, { unique: true });
 adminSchema.index({ email: 1 }, { unique: true });
 adminSchema.index({ role: 1, status: 1 });
 adminSchema.index({ lastActiveAt: -1 });
+adminSchema.index({ 'security.lastPasswordChange': 1 });
 adminSchema.index({ 'activityLog.timestamp': -1 });
 adminSchema.index({ 'activityLog.module': 1, 'activityLog.action': 1 });
 
@@ -299,19 +351,6 @@ adminSchema.virtual('isLocked').get(function() {
   return this.security?.lockedUntil && this.security.lockedUntil > new Date();
 });
 
-// Virtual for password expiry status
-adminSchema.virtual('isPasswordExpired').get(function() {
-  return this.security?.passwordExpiresAt && this.security.passwordExpiresAt < new Date();
-});
-
-// Virtual for session status
-adminSchema.virtual('isSessionActive').get(function() {
-  if (!this.lastActiveAt || !this.security?.sessionTimeout) return false;
-  
-  const sessionExpiresAt = new Date(this.lastActiveAt.getTime() + (this.security.sessionTimeout * 1000));
-  return sessionExpiresAt > new Date();
-});
-
 // Virtual for recent activity
 adminSchema.virtual('recentActivity').get(function() {
   return this.activityLog
@@ -325,29 +364,14 @@ adminSchema.pre('save', async function(next) {
   if (!this.isModified('passwordHash')) return next();
   
   try {
-    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
-    this.passwordHash = await bcrypt.hash(this.passwordHash, saltRounds);
+    this.passwordHash = await this.constructor.hashPassword(this.passwordHash);
     this.security.lastPasswordChange = new Date();
-    
-    // Set password expiry (90 days for admin accounts)
-    const expiryDate = new Date();
-    expiryDate.setDate(expiryDate.getDate() + 90);
-    this.security.passwordExpiresAt = expiryDate;
-    
     next();
   } catch (error) {
     next(error);
   }
 });
 
-// Pre-save middleware to update lastActiveAt
-adminSchema.pre('save', function(next) {
-  if (this.isModified('sessionId') && this.sessionId) {
-    this.lastActiveAt = new Date();
-  }
-  next();
-});
-
 // Instance method to verify password
 adminSchema.methods.verifyPassword = async function(candidatePassword) {
   if (!candidatePassword || !this.passwordHash) {
@@ -369,7 +393,7 @@ adminSchema.methods.hasPermission = function(module, action) {
   }
 
   // Check custom permissions first
-  const customKey = `${module}.${action}`;
+  const customKey = this.constructor.permissionKey(module, action);
   if (this.customPermissions && this.customPermissions.has(customKey)) {
     return this.customPermissions.get(customKey);
   }
@@ -379,8 +403,33 @@ adminSchema.methods.hasPermission = function(module, action) {
   return permission && permission.actions.includes(action);
 };
 
-// Instance method to log activity
-adminSchema.methods.logActivity = function(action, module, targetId = null, targetType = null, details = null, ipAddress = null, userAgent = null) {
+// Instance method to list effective permissions as module -> action -> allowed
+adminSchema.methods.getPermissionMatrix = function() {
+  return Object.fromEntries(PERMISSION_MODULES.map(module => [
+    module,
+    Object.fromEntries(PERMISSION_ACTIONS.map(action => [
+      action,
+      !!this.hasPermission(module, action)
+    ]))
+  ]));
+};
+
+// Instance method to change role, resetting permissions to the role defaults
+adminSchema.methods.setRole = function(role) {
+  this.role = role;
+  this.permissions = ROLE_PERMISSIONS[role] || [];
+};
+
+// Instance method to record activity without saving
+adminSchema.methods.recordActivity = function(
+  action,
+  module,
+  targetId = null,
+  targetType = null,
+  details = null,
+  ipAddress = null,
+  userAgent = null
+) {
   this.activityLog.push({
     action,
     module,
@@ -396,12 +445,22 @@ adminSchema.methods.logActivity = function(action, module, targetId = null, targ
   if (this.activityLog.length > 1000) {
     this.activityLog = this.activityLog.slice(-1000);
   }
+};
 
+// Instance method to log activity
+adminSchema.methods.logActivity = function(...args) {
+  this.recordActivity(...args);
   return this.save();
 };
 
 // Instance method to handle failed login
 adminSchema.methods.handleFailedLogin = function() {
+  // Count afresh once a previous lock has run out
+  if (this.security.lockedUntil && this.security.lockedUntil <= new Date()) {
+    this.security.failedLoginAttempts = 0;
+    this.security.lockedUntil = undefined;
+  }
+
   this.security.failedLoginAttempts += 1;
 
   // Lock account after 5 failed attempts
@@ -417,27 +476,30 @@ adminSchema.methods.handleSuccessfulLogin = function(ipAddress, userAgent) {
   this.security.failedLoginAttempts = 0;
   this.security.lockedUntil = undefined;
   this.lastLoginAt = new Date();
-  this.generateSessionId();
-
-  this.logActivity('login', 'system', null, null, { ipAddress, userAgent }, ipAddress, userAgent);
+  this.lastActiveAt = this.lastLoginAt;
+
+  this.recordActivity(
+    'login',
+    'system',
+    null,
+    null,
+    { ipAddress, userAgent },
+    ipAddress,
+    userAgent
+  );
 
   return this.save();
 };
 
-// Instance method to generate session ID
-adminSchema.methods.generateSessionId = function() {
-  const crypto = require('crypto');
-  this.sessionId = crypto.randomBytes(32).toString('hex');
-  return this.sessionId;
-};
-
 // Instance method to check IP access
 adminSchema.methods.isIPAllowed = function(ipAddress) {
   if (!this.security?.allowedIPs || this.security.allowedIPs.length === 0) {
     return true; // No restrictions
   }
 
-  return this.security.allowedIPs.includes('*') || this.security.allowedIPs.includes(ipAddress);
+  // IPv4 clients reach dual-stack sockets as IPv4-mapped IPv6 addresses
+  const ip = String(ipAddress || '').replace(/^::ffff:/, '');
+  return this.security.allowedIPs.includes('*') || this.security.allowedIPs.includes(ip);
 };
 
 // Static method to find by username or email
@@ -450,41 +512,29 @@ adminSchema.statics.findByCredentials = function(identifier) {
   }).select('+passwordHash');
 };
 
+// Static method to hash a password the way the pre-save middleware does
+adminSchema.statics.hashPassword = function(password) {
+  const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+  return bcrypt.hash(password, saltRounds);
+};
+
 // Static method to create admin with default permissions
 adminSchema.statics.createAdmin = async function(adminData, createdBy = null) {
-  const defaultPermissions = {
-    admin: [
-      { module: 'users', actions: ['read', 'update'] },
-      { module: 'applications', actions: ['read', 'update', 'approve', 'reject'] },
-      { module: 'universities', actions: ['read', 'update'] },
-      { module: 'documents', actions: ['read'] },
-      { module: 'messages', actions: ['create', 'read', 'update'] },
-      { module: 'analytics', actions: ['read'] }
-    ],
-    moderator: [
-      { module: 'users', actions: ['read'] },
-      { module: 'applications', actions: ['read', 'update'] },
-      { module: 'universities', actions: ['read'] },
-      { module: 'documents', actions: ['read'] },
-      { module: 'messages', actions: ['create', 'read'] }
-    ],
-    viewer: [
-      { module: 'users', actions: ['read'] },
-      { module: 'applications', actions: ['read'] },
-      { module: 'universities', actions: ['read'] },
-      { module: 'analytics', actions: ['read'] }
-    ]
-  };
-
   const admin = new this({
     ...adminData,
-    permissions: defaultPermissions[adminData.role] || [],
+    permissions: ROLE_PERMISSIONS[adminData.role] || [],
     createdBy
   });
 
   return admin.save();
 };
 
+// Static method to build the customPermissions key of a module action
+// (Mongoose map keys cannot contain dots)
+adminSchema.statics.permissionKey = function(module, action) {
+  return `${module}:${action}`;
+};
+
 // Static method to get admin statistics
 adminSchema.statics.getAdminStats = async function() {
   const pipeline = [
@@ -538,4 +588,9 @@ adminSchema.statics.cleanupActivityLogs = async function() {
 // Export the model
 const Admin = mongoose.model('Admin', adminSchema);
 
+Admin.ROLES = ADMIN_ROLES;
+Admin.PERMISSION_MODULES = PERMISSION_MODULES;
+Admin.PERMISSION_ACTIONS = PERMISSION_ACTIONS;
+Admin.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
 module.exports = Admin;
\ No newline at end of file
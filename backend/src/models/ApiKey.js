@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * ApiKey Model - A student's personal API key for an integration
+ *
+ * Keys let integrations such as counselling partners read a student's data
+ * without their password. Each key is limited to the scopes it was created
+ * with, and only a SHA-256 hash of it is stored: the key itself is shown
+ * once, when it is created.
+ *
+ * Constitutional Requirements:
+ * - Keys are stored only as hashes
+ * - Keys grant read access to the scoped resources only
+ * - Revoked and expired keys are never accepted again
+ */
+
+// What a key can be allowed to read
+const API_KEY_SCOPES = ['applications:read', 'documents:read'];
+
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name must be less than 100 characters']
+  },
+  // Start of the key, shown in listings so students can tell keys apart
+  prefix: {
+    type: String,
+    required: [true, 'Key prefix is required']
+  },
+  keyHash: {
+    type: String,
+    required: [true, 'Key hash is required'],
+    select: false // Never include in queries by default
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_SCOPES,
+        message: `Scope must be one of: ${API_KEY_SCOPES.join(', ')}`
+      }
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: {
+    type: String,
+    trim: true
+  },
+  revokedAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      delete ret.keyHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance optimization
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ userId: 1, revokedAt: 1 });
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Instance method to check a key was granted a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Static method to find the keys of a student that can still be used
+apiKeySchema.statics.findActive = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: { $exists: false },
+    $or: [
+      { expiresAt: { $exists: false } },
+      { expiresAt: { $gt: new Date() } }
+    ]
+  }).sort({ createdAt: -1 });
+};
+
+// Export the model
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+ApiKey.SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
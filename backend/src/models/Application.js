@@ -13,6 +13,54 @@ const mongoose = require('mongoose');
  * - Data validation for integrity and security
  */
 
+// Every status an application can be in
+const APPLICATION_STATUSES = [
+  'Draft', 'Submitted', 'Under Review', 'Accepted', 'Rejected', 'Waitlisted', 'Withdrawn'
+];
+
+// Allowed status transitions (from -> to). Terminal statuses have no outgoing edges.
+const STATUS_TRANSITIONS = {
+  Draft: ['Submitted', 'Withdrawn'],
+  Submitted: ['Under Review', 'Withdrawn'],
+  'Under Review': ['Accepted', 'Rejected', 'Waitlisted', 'Withdrawn'],
+  Waitlisted: ['Accepted', 'Rejected', 'Withdrawn'],
+  Accepted: [],
+  Rejected: [],
+  Withdrawn: []
+};
+
+// Keywords used to map free-text program document requirements to Document categories
+const DOCUMENT_CATEGORY_KEYWORDS = {
+  CV: ['cv', 'resume', 'résumé', 'curriculum vitae'],
+  Transcript: ['transcript'],
+  Degree: ['degree', 'diploma', 'certificate'],
+  Recommendation: ['recommendation', 'reference letter'],
+  Portfolio: ['portfolio']
+};
+
+// Minimum personal statement length counted as complete
+const MIN_PERSONAL_STATEMENT_LENGTH = 100;
+
+/**
+ * Count the words in an answer
+ * @param {string} text - Answer text
+ * @returns {number} Word count
+ */
+const countWords = (text) => (text || '').trim().split(/\s+/).filter(Boolean).length;
+
+/**
+ * Map a program document requirement (e.g. "Official transcripts") to a Document category
+ * @param {string} requirement - Free-text requirement from the program
+ * @returns {string} Document category, 'Other' when nothing matches
+ */
+const mapRequirementToCategory = (requirement) => {
+  const text = requirement.toLowerCase();
+  const match = Object.entries(DOCUMENT_CATEGORY_KEYWORDS)
+    .find(([, keywords]) => keywords.some(keyword => text.includes(keyword)));
+
+  return match ? match[0] : 'Other';
+};
+
 // Reference subdocument schema
 const referenceSchema = new mongoose.Schema({
   refereeeName: {
@@ -47,11 +95,61 @@ const referenceSchema = new mongoose.Schema({
       message: 'Reference status must be one of: Pending, Submitted, Declined'
     },
     default: 'Pending'
+  },
+  // Referee portal tracking
+  requestSentAt: {
+    type: Date
+  },
+  // ID (jti) of the latest link sent; earlier links stop working
+  requestTokenId: {
+    type: String
+  },
+  requestExpiresAt: {
+    type: Date
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  },
+  declinedAt: {
+    type: Date
+  },
+  declineReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Decline reason must be less than 500 characters']
   }
 }, { _id: true, timestamps: true });
 
+// Submitted document subdocument schema
+// Pins the exact file version sent with the application, so later uploads of
+// a new version do not change what the university received.
+const submittedDocumentSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: [true, 'Document ID is required']
+  },
+  version: {
+    type: Number,
+    required: [true, 'Document version is required'],
+    min: [1, 'Version must be at least 1']
+  },
+  checksum: {
+    type: String,
+    trim: true
+  },
+  originalName: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
 // Application response subdocument schema
 const responseSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   question: {
     type: String,
     required: [true, 'Question is required'],
@@ -60,7 +158,7 @@ const responseSchema = new mongoose.Schema({
   },
   answer: {
     type: String,
-    required: [true, 'Answer is required'],
+    default: '',
     trim: true,
     maxlength: [10000, 'Answer must be less than 10000 characters']
   },
@@ -80,8 +178,8 @@ const statusHistorySchema = new mongoose.Schema({
     type: String,
     required: [true, 'Status is required'],
     enum: {
-      values: ['Draft', 'Submitted', 'Under Review', 'Accepted', 'Rejected', 'Waitlisted'],
-      message: 'Status must be one of: Draft, Submitted, Under Review, Accepted, Rejected, Waitlisted'
+      values: APPLICATION_STATUSES,
+      message: `Status must be one of: ${APPLICATION_STATUSES.join(', ')}`
     }
   },
   changedAt: {
@@ -90,8 +188,23 @@ const statusHistorySchema = new mongoose.Schema({
   },
   changedBy: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Admin',
-    required: [true, 'Changed by is required']
+    refPath: 'statusHistory.changedByType',
+    required: [
+      function() { return this.changedByType !== 'System'; },
+      'Changed by is required'
+    ]
+  },
+  changedByType: {
+    type: String,
+    enum: {
+      values: ['User', 'Admin', 'System'],
+      message: 'Changed by type must be one of: User, Admin, System'
+    },
+    default: 'Admin'
+  },
+  previousStatus: {
+    type: String,
+    enum: APPLICATION_STATUSES
   },
   notes: {
     type: String,
@@ -164,6 +277,8 @@ const applicationSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Document'
     }],
+    // Versions of the additional documents at submission time
+    submittedDocuments: [submittedDocumentSchema],
     responses: [responseSchema]
   },
 
@@ -172,8 +287,8 @@ const applicationSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Application status is required'],
     enum: {
-      values: ['Draft', 'Submitted', 'Under Review', 'Accepted', 'Rejected', 'Waitlisted'],
-      message: 'Status must be one of: Draft, Submitted, Under Review, Accepted, Rejected, Waitlisted'
+      values: APPLICATION_STATUSES,
+      message: `Status must be one of: ${APPLICATION_STATUSES.join(', ')}`
     },
     default: 'Draft',
     index: true
@@ -186,6 +301,9 @@ const applicationSchema = new mongoose.Schema({
     type: Date,
     index: true
   },
+  withdrawnAt: {
+    type: Date
+  },
   lastModifiedAt: {
     type: Date,
     default: Date.now
@@ -289,80 +407,288 @@ applicationSchema.virtual('isOverdue').get(function() {
   return new Date() > new Date(this.deadlines.application);
 });
 
-// Pre-save middleware to update lastModifiedAt
-applicationSchema.pre('save', function(next) {
+// Pre-save middleware to update lastModifiedAt and completion
+applicationSchema.pre('save', async function() {
   this.lastModifiedAt = new Date();
+  await this.loadRequirementContext();
+
+  if (this.status === 'Draft') {
+    this.syncQuestions();
+  }
+
+  // Answers are always checked for format; required answers only once submitted
+  const errors = this.validateResponses({
+    requireAnswers: this.status === 'Submitted' && this.isModified('status')
+  });
+  if (errors.length > 0) {
+    const error = new Error('One or more answers do not meet the question requirements');
+    error.code = 'INVALID_RESPONSES';
+    error.details = errors;
+    throw error;
+  }
+
   this.calculateCompletionPercentage();
+});
+
+// Remember the persisted status so transitions can be checked on save
+applicationSchema.post('init', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+applicationSchema.post('save', function() {
+  this.$locals.persistedStatus = this.status;
+  delete this.$locals.statusChange;
+});
+
+// Pre-save middleware to reject status changes outside the transition table
+applicationSchema.pre('save', function(next) {
+  if (this.isNew || !this.isModified('status')) return next();
+
+  const fromStatus = this.$locals.persistedStatus;
+  if (fromStatus && !this.constructor.canTransition(fromStatus, this.status)) {
+    const error = new Error(
+      `Cannot change application status from ${fromStatus} to ${this.status}`
+    );
+    error.code = 'INVALID_STATUS_TRANSITION';
+    return next(error);
+  }
   next();
 });
 
 // Pre-save middleware to add status history entry
 applicationSchema.pre('save', function(next) {
   if (this.isModified('status') && !this.isNew) {
+    // Actor and reason should be set by the calling code via $locals.statusChange
+    const change = this.$locals.statusChange || {};
+    const actorType = change.actorId ? change.actorType || 'Admin' : 'System';
+
     this.statusHistory.push({
       status: this.status,
+      previousStatus: this.$locals.persistedStatus,
       changedAt: new Date(),
-      changedBy: this.modifiedBy || null, // Should be set by the calling code
-      isSystemGenerated: !this.modifiedBy
+      changedBy: change.actorId,
+      changedByType: actorType,
+      notes: change.reason,
+      isSystemGenerated: actorType === 'System'
     });
   }
   next();
 });
 
-// Instance method to calculate completion percentage
-applicationSchema.methods.calculateCompletionPercentage = function() {
-  let completed = 0;
-  let total = 0;
+// Instance method to load the program and documents that completion is measured against
+applicationSchema.methods.loadRequirementContext = async function() {
+  const University = require('./University');
+  const Document = require('./Document');
+
+  const universityId = this.universityId?._id || this.universityId;
+  const documentIds = (this.applicationData?.additionalDocuments || [])
+    .map(doc => doc?._id || doc);
+
+  const [university, documents] = await Promise.all([
+    University.findById(universityId).select('programs'),
+    Document.find({ _id: { $in: documentIds }, status: 'Active' }).select('metadata.category')
+  ]);
+
+  this.$locals.requirementContext = {
+    program: university?.programs.id(this.programId) || null,
+    documentCategories: documents.map(doc => doc.metadata?.category)
+  };
+
+  return this.$locals.requirementContext;
+};
 
-  // Personal statement (20% weight)
-  total += 20;
-  if (this.applicationData?.personalStatement && this.applicationData.personalStatement.length > 100) {
-    completed += 20;
+// Instance method to pin the current version of every additional document
+applicationSchema.methods.snapshotDocuments = async function() {
+  const Document = require('./Document');
+
+  const documentIds = (this.applicationData?.additionalDocuments || [])
+    .map(doc => doc?._id || doc);
+  const documents = await Document.find({ _id: { $in: documentIds } })
+    .select('fileInfo.checksum fileInfo.originalName metadata.version');
+
+  this.applicationData.submittedDocuments = documents.map(doc => ({
+    documentId: doc._id,
+    version: doc.metadata.version,
+    checksum: doc.fileInfo.checksum,
+    originalName: doc.fileInfo.originalName
+  }));
+
+  return this.applicationData.submittedDocuments;
+};
+
+// Instance method to list every requirement of the program and whether it is met
+applicationSchema.methods.buildRequirementChecklist = function() {
+  const { program, documentCategories = [] } = this.$locals.requirementContext || {};
+  const requirements = program?.requirements || {};
+  const data = this.applicationData || {};
+  const checklist = [];
+
+  if (requirements.personalStatement !== false) {
+    checklist.push({
+      key: 'personalStatement',
+      type: 'personalStatement',
+      label: 'Personal statement',
+      completed: (data.personalStatement?.length || 0) > MIN_PERSONAL_STATEMENT_LENGTH
+    });
   }
 
-  // References (30% weight - divided by number of required references)
-  const requiredReferences = 3; // Configurable based on program requirements
-  total += 30;
-  const submittedReferences = this.applicationData?.references?.filter(ref => ref.status === 'Submitted').length || 0;
-  completed += Math.min(30, (submittedReferences / requiredReferences) * 30);
+  // One item per required document category, labelled with the program's wording
+  const requiredCategories = new Map();
+  for (const requirement of requirements.documents || []) {
+    const category = mapRequirementToCategory(requirement);
+    if (!requiredCategories.has(category)) {
+      requiredCategories.set(category, requirement);
+    }
+  }
+  for (const [category, label] of requiredCategories) {
+    checklist.push({
+      key: `document:${category}`,
+      type: 'document',
+      label,
+      category,
+      completed: documentCategories.includes(category)
+    });
+  }
 
-  // Documents (30% weight)
-  total += 30;
-  if (this.applicationData?.additionalDocuments && this.applicationData.additionalDocuments.length > 0) {
-    completed += 30;
+  const submittedReferences = (data.references || [])
+    .filter(ref => ref.status === 'Submitted').length;
+  for (let index = 0; index < (requirements.references || 0); index++) {
+    checklist.push({
+      key: `reference:${index + 1}`,
+      type: 'reference',
+      label: `Reference ${index + 1}`,
+      completed: index < submittedReferences
+    });
   }
 
-  // Responses (20% weight)
-  total += 20;
-  const requiredResponses = this.applicationData?.responses?.length || 0;
-  const completedResponses = this.applicationData?.responses?.filter(resp => resp.answer && resp.answer.length > 0).length || 0;
-  if (requiredResponses > 0) {
-    completed += (completedResponses / requiredResponses) * 20;
-  } else {
-    completed += 20; // No responses required
+  for (const question of program?.questions || []) {
+    if (!question.required) continue;
+
+    const response = (data.responses || [])
+      .find(resp => resp.questionId && resp.questionId.equals(question._id));
+    checklist.push({
+      key: `question:${question._id}`,
+      type: 'question',
+      label: question.prompt,
+      completed: !!response?.answer && countWords(response.answer) >= (question.minWords || 0)
+    });
   }
 
-  this.metrics.completionPercentage = Math.round(completed);
+  return checklist;
+};
+
+// Instance method to align draft responses with the program's current questions
+applicationSchema.methods.syncQuestions = function() {
+  const { program } = this.$locals.requirementContext || {};
+  if (!program) return;
+
+  const questions = [...(program.questions || [])].sort((a, b) => a.order - b.order);
+  const existing = this.applicationData.responses || [];
+
+  this.applicationData.responses = questions.map(question => {
+    const response = existing.find(resp => resp.questionId && resp.questionId.equals(question._id));
+
+    return {
+      ...(response && { _id: response._id }),
+      questionId: question._id,
+      question: question.prompt,
+      type: question.type,
+      answer: response?.answer || ''
+    };
+  });
+};
+
+// Instance method to validate answers against the program's question definitions
+applicationSchema.methods.validateResponses = function({ requireAnswers = false } = {}) {
+  const { program } = this.$locals.requirementContext || {};
+  const questions = program?.questions || [];
+  const errors = [];
+
+  for (const response of this.applicationData?.responses || []) {
+    const question = questions.find(q => response.questionId && q._id.equals(response.questionId));
+    if (!question) continue;
+
+    const answer = response.answer || '';
+    const field = `responses.${question._id}`;
+    const words = countWords(answer);
+
+    if (!answer) {
+      if (requireAnswers && question.required) {
+        errors.push({ field, message: `An answer is required for "${question.prompt}"` });
+      }
+      continue;
+    }
+
+    if (question.type === 'multiple_choice' && !question.choices.includes(answer)) {
+      errors.push({ field, message: `Answer must be one of: ${question.choices.join(', ')}` });
+    }
+
+    if (question.maxWords && words > question.maxWords) {
+      errors.push({ field, message: `Answer must be at most ${question.maxWords} words` });
+    }
+
+    if (requireAnswers && question.minWords && words < question.minWords) {
+      errors.push({ field, message: `Answer must be at least ${question.minWords} words` });
+    }
+  }
+
+  return errors;
+};
+
+// Instance method to calculate completion percentage from the requirement checklist
+applicationSchema.methods.calculateCompletionPercentage = function() {
+  const checklist = this.buildRequirementChecklist();
+  const completed = checklist.filter(item => item.completed).length;
+
+  this.metrics.completionPercentage = checklist.length > 0
+    ? Math.round((completed / checklist.length) * 100)
+    : 100;
   return this.metrics.completionPercentage;
 };
 
+// Instance method to reload requirements and recalculate completion
+applicationSchema.methods.refreshCompletion = async function() {
+  await this.loadRequirementContext();
+  return this.calculateCompletionPercentage();
+};
+
+// Instance method to summarise completion for API responses
+applicationSchema.methods.getRequirementSummary = function() {
+  const checklist = this.buildRequirementChecklist();
+
+  return {
+    completionPercentage: this.metrics.completionPercentage,
+    checklist,
+    missing: checklist.filter(item => !item.completed)
+  };
+};
+
 // Instance method to submit application
-applicationSchema.methods.submitApplication = function(submittedBy) {
+applicationSchema.methods.submitApplication = function(submittedBy, reason = undefined) {
+  const submissionError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  };
+
   if (this.status !== 'Draft') {
-    throw new Error('Only draft applications can be submitted');
+    throw submissionError('APPLICATION_NOT_DRAFT', 'Only draft applications can be submitted');
   }
 
   if (this.metrics.completionPercentage < 100) {
-    throw new Error('Application must be 100% complete before submission');
+    throw submissionError(
+      'APPLICATION_INCOMPLETE',
+      'Application must be 100% complete before submission'
+    );
   }
 
   if (this.isOverdue) {
-    throw new Error('Cannot submit application after deadline');
+    throw submissionError('DEADLINE_PASSED', 'Cannot submit application after deadline');
   }
 
   this.status = 'Submitted';
   this.submittedAt = new Date();
-  this.modifiedBy = submittedBy;
+  this.$locals.statusChange = { actorId: submittedBy, actorType: 'User', reason };
 
   return this.save();
 };
@@ -379,6 +705,16 @@ applicationSchema.methods.addAdminNote = function(noteContent, adminId, isIntern
   return this.save();
 };
 
+// Static method to check whether a status transition is allowed
+applicationSchema.statics.canTransition = function(fromStatus, toStatus) {
+  return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+// Static method to list the statuses reachable from a status
+applicationSchema.statics.getAllowedTransitions = function(fromStatus) {
+  return [...(STATUS_TRANSITIONS[fromStatus] || [])];
+};
+
 // Static method to find applications by user
 applicationSchema.statics.findByUser = function(userId, options = {}) {
   const {
@@ -474,4 +810,7 @@ applicationSchema.statics.findUpcomingDeadlines = function(daysAhead = 30) {
 // Export the model
 const Application = mongoose.model('Application', applicationSchema);
 
+Application.STATUSES = APPLICATION_STATUSES;
+Application.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 module.exports = Application;
\ No newline at end of file
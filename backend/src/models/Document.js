@@ -13,6 +13,13 @@ const mongoose = require('mongoose');
  * - Privacy protection with access controls
  */
 
+// Document categories students can upload
+const DOCUMENT_CATEGORIES = ['CV', 'Transcript', 'Degree', 'Recommendation', 'Portfolio', 'Other'];
+
+// Saves only validate changed paths: the future-date validator on
+// metadata.expiresAt would otherwise reject every save once a document expired
+const SAVE_OPTIONS = { validateModifiedOnly: true };
+
 // File information subdocument schema
 const fileInfoSchema = new mongoose.Schema({
   originalName: {
@@ -66,7 +73,6 @@ const storageSchema = new mongoose.Schema({
   publicId: {
     type: String,
     required: [true, 'Storage public ID is required'],
-    unique: true,
     trim: true
   },
   url: {
@@ -99,8 +105,8 @@ const metadataSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Document category is required'],
     enum: {
-      values: ['CV', 'Transcript', 'Degree', 'Recommendation', 'Portfolio', 'Other'],
-      message: 'Category must be one of: CV, Transcript, Degree, Recommendation, Portfolio, Other'
+      values: DOCUMENT_CATEGORIES,
+      message: `Category must be one of: ${DOCUMENT_CATEGORIES.join(', ')}`
     },
     index: true
   },
@@ -136,6 +142,10 @@ const metadataSchema = new mongoose.Schema({
     type: Number,
     default: 1,
     min: [1, 'Version must be at least 1']
+  },
+  // Set when the current file was restored from an earlier version
+  restoredFrom: {
+    type: Number
   }
 }, { _id: false });
 
@@ -162,11 +172,21 @@ const securitySchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  scanAttempts: {
+    type: Number,
+    default: 0,
+    min: [0, 'Scan attempts cannot be negative']
+  },
   accessCount: {
     type: Number,
     default: 0,
     min: [0, 'Access count cannot be negative']
   },
+  downloadCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Download count cannot be negative']
+  },
   downloadRestrictions: {
     maxDownloads: {
       type: Number,
@@ -192,12 +212,64 @@ const securitySchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Previous file version subdocument schema
+// Replaced files keep their storage object so they can be restored or served
+// to applications that were submitted with them.
+const versionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: [true, 'Version number is required'],
+    min: [1, 'Version must be at least 1']
+  },
+  fileInfo: fileInfoSchema,
+  storage: storageSchema,
+  scanStatus: {
+    type: String,
+    enum: ['Pending', 'Clean', 'Infected', 'Error', 'Quarantined'],
+    default: 'Pending'
+  },
+  scanDate: {
+    type: Date
+  },
+  scanProvider: {
+    type: String,
+    trim: true
+  },
+  scanDetails: {
+    type: String,
+    trim: true
+  },
+  uploadedAt: {
+    type: Date,
+    required: [true, 'Upload date is required']
+  },
+  replacedAt: {
+    type: Date,
+    default: Date.now
+  },
+  restoredFrom: {
+    type: Number
+  }
+}, { _id: false });
+
 // Access log subdocument schema
 const accessLogSchema = new mongoose.Schema({
   accessedBy: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: [true, 'Accessed by user ID is required']
+    refPath: 'accessLogs.accessedByType',
+    required: [
+      function() { return this.accessedByType !== 'Anonymous'; },
+      'Accessed by user ID is required'
+    ]
+  },
+  accessedByType: {
+    type: String,
+    enum: ['User', 'Admin', 'Anonymous'],
+    default: 'User'
+  },
+  // Share link used by anonymous visitors
+  shareLinkId: {
+    type: mongoose.Schema.Types.ObjectId
   },
   accessedAt: {
     type: Date,
@@ -230,6 +302,44 @@ const accessLogSchema = new mongoose.Schema({
   }
 }, { _id: true });
 
+// Anonymous share link subdocument schema
+// Only a hash of the link token is stored; the token itself is shown once.
+const shareLinkSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: [true, 'Share link token hash is required']
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label must be less than 100 characters']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Share link expiry is required']
+  },
+  maxDownloads: {
+    type: Number,
+    min: [1, 'Max downloads must be at least 1']
+  },
+  downloadCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Download count cannot be negative']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date
+  }
+}, { _id: true });
+
 // Main Document schema
 const documentSchema = new mongoose.Schema({
   // Owner information
@@ -246,12 +356,20 @@ const documentSchema = new mongoose.Schema({
   metadata: metadataSchema,
   security: securitySchema,
 
+  // Previous versions of the file, oldest first
+  versions: [versionSchema],
+
   // Upload information
   uploadedAt: {
     type: Date,
     default: Date.now,
     index: true
   },
+  // When the current version of the file was uploaded or restored
+  fileUploadedAt: {
+    type: Date,
+    default: Date.now
+  },
   lastAccessedAt: {
     type: Date,
     default: Date.now
@@ -269,10 +387,19 @@ const documentSchema = new mongoose.Schema({
 
   // Access control
   sharedWith: [{
+    recipientType: {
+      type: String,
+      enum: ['User', 'Admin'],
+      default: 'User'
+    },
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
     permission: {
       type: String,
       enum: ['View', 'Download'],
@@ -287,6 +414,9 @@ const documentSchema = new mongoose.Schema({
     }
   }],
 
+  // Anonymous share links for people outside the platform
+  shareLinks: [shareLinkSchema],
+
   // Access logging
   accessLogs: [accessLogSchema],
 
@@ -299,6 +429,10 @@ const documentSchema = new mongoose.Schema({
     },
     default: 'Active',
     index: true
+  },
+  // When the document was deleted; its files are purged after the retention window
+  deletedAt: {
+    type: Date
   }
 }, {
   timestamps: true,
@@ -311,6 +445,8 @@ const documentSchema = new mongoose.Schema({
         delete ret.security.downloadRestrictions;
         delete ret.security.scanDetails;
       }
+      (ret.versions || []).forEach(entry => delete entry.scanDetails);
+      (ret.shareLinks || []).forEach(link => delete link.tokenHash);
       return ret;
     }
   },
@@ -327,6 +463,8 @@ documentSchema.index({ 'security.scanStatus': 1 });
 documentSchema.index({ status: 1, uploadedAt: -1 });
 documentSchema.index({ 'metadata.tags': 1 });
 documentSchema.index({ 'metadata.expiresAt': 1 });
+documentSchema.index({ 'shareLinks.tokenHash': 1 });
+documentSchema.index({ status: 1, deletedAt: 1 });
 
 // Virtual for file size in human readable format
 documentSchema.virtual('fileSizeFormatted').get(function() {
@@ -357,6 +495,12 @@ documentSchema.virtual('isExpired').get(function() {
   return new Date() > new Date(this.metadata.expiresAt);
 });
 
+// Virtual for the highest version number used so far
+documentSchema.virtual('latestVersionNumber').get(function() {
+  const previous = (this.versions || []).map(entry => entry.version);
+  return Math.max(this.metadata?.version || 1, ...previous);
+});
+
 // Virtual for security status
 documentSchema.virtual('isSecure').get(function() {
   return this.security?.scanStatus === 'Clean' && 
@@ -372,6 +516,14 @@ documentSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to record when a document is deleted
+documentSchema.pre('save', function(next) {
+  if (this.isModified('status') && this.status === 'Deleted' && !this.deletedAt) {
+    this.deletedAt = new Date();
+  }
+  next();
+});
+
 // Pre-save middleware to validate file security
 documentSchema.pre('save', function(next) {
   if (this.security?.scanStatus === 'Infected' && this.status === 'Active') {
@@ -397,38 +549,157 @@ documentSchema.methods.logAccess = function(userId, accessType, ipAddress, userA
     this.lastAccessedAt = new Date();
   }
 
-  return this.save();
+  return this.save(SAVE_OPTIONS);
 };
 
 // Instance method to generate secure download URL
-documentSchema.methods.generateSecureUrl = function(expiresInMinutes = 60) {
-  // This would integrate with the cloud storage service
-  // For now, return the secure URL with expiration logic
-  const cloudinaryService = require('../utils/cloudinary');
-  
-  if (this.storage.provider === 'cloudinary') {
-    return cloudinaryService.generateSecureUrl(this.storage.publicId, {
-      expires_at: Math.floor(Date.now() / 1000) + (expiresInMinutes * 60)
-    });
+documentSchema.methods.generateSecureUrl = async function(expiresInMinutes = 60, version = null) {
+  const file = version ? this.getVersion(version) : this.getVersion(this.metadata.version);
+
+  if (!file) {
+    const error = new Error(`Version ${version} of this document does not exist`);
+    error.code = 'VERSION_NOT_FOUND';
+    throw error;
   }
 
-  return this.storage.secureUrl;
+  // Only files the malware scanner has cleared may leave storage
+  if (file.scanStatus !== 'Clean') {
+    const error = new Error(`Document cannot be downloaded (scan status: ${file.scanStatus})`);
+    error.code = 'DOCUMENT_NOT_CLEAN';
+    throw error;
+  }
+
+  // Each file is served by the provider it was stored with
+  const { getStorageProvider } = require('../utils/storage');
+
+  return getStorageProvider(file.storage.provider).generateSecureUrl(file.storage.publicId, {
+    expiresInMinutes,
+    bucket: file.storage.bucket
+  });
+};
+
+// Instance method to get one version of the file, current or previous
+documentSchema.methods.getVersion = function(version) {
+  const number = Number(version);
+
+  if (number === this.metadata.version) {
+    return {
+      version: number,
+      fileInfo: this.fileInfo,
+      storage: this.storage,
+      scanStatus: this.security.scanStatus,
+      scanDate: this.security.scanDate,
+      scanProvider: this.security.scanProvider,
+      scanDetails: this.security.scanDetails,
+      uploadedAt: this.fileUploadedAt,
+      restoredFrom: this.metadata.restoredFrom,
+      isCurrent: true
+    };
+  }
+
+  const previous = this.versions.find(entry => entry.version === number);
+  return previous ? { ...previous.toObject(), isCurrent: false } : null;
+};
+
+// Instance method to list every version of the file, newest first
+documentSchema.methods.listVersions = function() {
+  const numbers = [this.metadata.version, ...this.versions.map(entry => entry.version)];
+
+  return numbers
+    .sort((a, b) => b - a)
+    .map(number => this.getVersion(number));
+};
+
+// Instance method to list the distinct storage objects behind every version
+documentSchema.methods.getStorageObjects = function() {
+  const objects = new Map();
+
+  for (const entry of [{ storage: this.storage }, ...this.versions]) {
+    const { provider, publicId, bucket } = entry.storage;
+    objects.set(`${provider}:${bucket || ''}:${publicId}`, { provider, publicId, bucket });
+  }
+
+  return [...objects.values()];
+};
+
+// Instance method to move the current file into the version history
+documentSchema.methods.archiveCurrentVersion = function() {
+  this.versions.push({
+    version: this.metadata.version,
+    fileInfo: this.fileInfo.toObject(),
+    storage: this.storage.toObject(),
+    scanStatus: this.security.scanStatus,
+    scanDate: this.security.scanDate,
+    scanProvider: this.security.scanProvider,
+    scanDetails: this.security.scanDetails,
+    uploadedAt: this.fileUploadedAt,
+    restoredFrom: this.metadata.restoredFrom
+  });
+};
+
+// Instance method to replace the file with a newly uploaded version
+documentSchema.methods.addVersion = function(fileInfo, storage) {
+  this.archiveCurrentVersion();
+
+  this.fileInfo = fileInfo;
+  this.storage = storage;
+  this.metadata.version = this.latestVersionNumber + 1;
+  this.metadata.restoredFrom = undefined;
+  this.fileUploadedAt = new Date();
+
+  // The new file has not been scanned yet
+  this.security.scanStatus = 'Pending';
+  this.security.scanDate = undefined;
+  this.security.scanProvider = undefined;
+  this.security.scanDetails = undefined;
+  this.security.scanAttempts = 0;
+
+  return this.save(SAVE_OPTIONS);
+};
+
+// Instance method to make a previous version current again
+documentSchema.methods.restoreVersion = function(version) {
+  const previous = this.versions.find(entry => entry.version === Number(version));
+  if (!previous) {
+    const error = new Error(`Version ${version} of this document does not exist`);
+    error.code = 'VERSION_NOT_FOUND';
+    throw error;
+  }
+
+  this.archiveCurrentVersion();
+
+  // Restoring adds a new version that shares the old version's storage object
+  this.fileInfo = previous.fileInfo.toObject();
+  this.storage = previous.storage.toObject();
+  this.metadata.version = this.latestVersionNumber + 1;
+  this.metadata.restoredFrom = previous.version;
+  this.fileUploadedAt = new Date();
+
+  this.security.scanStatus = previous.scanStatus;
+  this.security.scanDate = previous.scanDate;
+  this.security.scanProvider = previous.scanProvider;
+  this.security.scanDetails = previous.scanDetails;
+  this.security.scanAttempts = 0;
+
+  // A document quarantined because of its latest file is usable again
+  if (this.status === 'Quarantined' && previous.scanStatus === 'Clean') {
+    this.status = 'Active';
+  }
+
+  return this.save(SAVE_OPTIONS);
 };
 
 // Instance method to check access permissions
-documentSchema.methods.canAccess = function(userId, accessType = 'View') {
+documentSchema.methods.canAccess = function(userId, accessType = 'View', recipientType = 'User') {
   // Owner always has access
-  if (this.userId.toString() === userId.toString()) {
+  if (recipientType === 'User' && this.userId.toString() === userId.toString()) {
     return true;
   }
 
-  // Check if document is shared with user
-  const sharedEntry = this.sharedWith.find(shared => 
-    shared.userId.toString() === userId.toString() &&
-    (!shared.expiresAt || shared.expiresAt > new Date())
-  );
+  // Check if document is shared with the user or admin
+  const sharedEntry = this.findShare(userId, recipientType);
 
-  if (sharedEntry) {
+  if (sharedEntry && (!sharedEntry.expiresAt || sharedEntry.expiresAt > new Date())) {
     return accessType === 'View' || sharedEntry.permission === 'Download';
   }
 
@@ -436,15 +707,32 @@ documentSchema.methods.canAccess = function(userId, accessType = 'View') {
   return this.metadata?.isPublic && accessType === 'View';
 };
 
-// Instance method to share document
-documentSchema.methods.shareWith = function(userId, permission = 'View', expiresInDays = null) {
-  // Remove existing share for this user
-  this.sharedWith = this.sharedWith.filter(shared => 
-    shared.userId.toString() !== userId.toString()
+// Instance method to find the share grant of a user or admin
+documentSchema.methods.findShare = function(recipientId, recipientType = 'User') {
+  const field = recipientType === 'Admin' ? 'adminId' : 'userId';
+
+  return this.sharedWith.find(shared =>
+    (shared.recipientType || 'User') === recipientType &&
+    shared[field]?.toString() === recipientId.toString()
   );
+};
+
+// Instance method to share document
+documentSchema.methods.shareWith = function(
+  recipientId,
+  permission = 'View',
+  expiresInDays = null,
+  recipientType = 'User'
+) {
+  // Replace any existing share for this recipient
+  const existing = this.findShare(recipientId, recipientType);
+  if (existing) {
+    this.sharedWith.pull(existing._id);
+  }
 
   const shareEntry = {
-    userId,
+    recipientType,
+    [recipientType === 'Admin' ? 'adminId' : 'userId']: recipientId,
     permission,
     sharedAt: new Date()
   };
@@ -456,7 +744,31 @@ documentSchema.methods.shareWith = function(userId, permission = 'View', expires
   }
 
   this.sharedWith.push(shareEntry);
-  return this.save();
+  return this.save(SAVE_OPTIONS);
+};
+
+// Instance method to record sharing activity (grants, links and share link use)
+documentSchema.methods.logShareAccess = function({
+  accessedBy,
+  accessedByType = 'User',
+  shareLinkId,
+  ipAddress,
+  userAgent,
+  success = true,
+  errorMessage
+}) {
+  this.accessLogs.push({
+    accessedBy,
+    accessedByType,
+    accessType: 'Share',
+    shareLinkId,
+    ipAddress,
+    userAgent,
+    success,
+    errorMessage
+  });
+
+  return this.save(SAVE_OPTIONS);
 };
 
 // Static method to find documents by user
@@ -521,18 +833,33 @@ documentSchema.statics.getDocumentStats = async function(userId) {
 // Static method to clean up expired documents
 documentSchema.statics.cleanupExpired = async function() {
   const now = new Date();
-  
-  const expiredDocs = await this.find({
-    'metadata.expiresAt': { $lt: now },
-    status: 'Active'
-  });
 
-  for (const doc of expiredDocs) {
-    doc.status = 'Archived';
-    await doc.save();
-  }
+  // Updated in place: saving would re-run the future-date validator on expiresAt
+  const result = await this.updateMany(
+    {
+      'metadata.expiresAt': { $lt: now },
+      status: 'Active'
+    },
+    {
+      $set: { status: 'Archived', lastModifiedAt: now }
+    }
+  );
 
-  return expiredDocs.length;
+  return result.modifiedCount;
+};
+
+// Static method to find deleted documents whose retention window has passed
+documentSchema.statics.findPurgeable = function(retentionDays) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+  return this.find({
+    status: 'Deleted',
+    $or: [
+      { deletedAt: { $lt: cutoff } },
+      // Documents deleted before deletedAt was recorded
+      { deletedAt: { $exists: false }, lastModifiedAt: { $lt: cutoff } }
+    ]
+  });
 };
 
 // Static method to find documents requiring virus scan
@@ -546,4 +873,7 @@ documentSchema.statics.findPendingScans = function() {
 // Export the model
 const Document = mongoose.model('Document', documentSchema);
 
+Document.CATEGORIES = DOCUMENT_CATEGORIES;
+Document.SAVE_OPTIONS = SAVE_OPTIONS;
+
 module.exports = Document;
\ No newline at end of file
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Model - One signed-in device of a student or admin
+ *
+ * Access and refresh tokens carry the session ID, so each device can be
+ * listed and revoked on its own. Refresh tokens also carry the session's
+ * refresh generation: refreshing moves the session to the next generation,
+ * and presenting an older generation means the token was reused.
+ *
+ * Constitutional Requirements:
+ * - Revoked and expired sessions are never accepted again
+ * - A reused refresh token revokes its session
+ * - Sessions are removed once past their expiry
+ */
+
+const sessionSchema = new mongoose.Schema({
+  subjectType: {
+    type: String,
+    enum: {
+      values: ['User', 'Admin'],
+      message: 'Subject type must be either User or Admin'
+    },
+    required: [true, 'Subject type is required']
+  },
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Subject ID is required'],
+    refPath: 'subjectType'
+  },
+  // Human readable device, e.g. 'Chrome on Windows'
+  device: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device must be less than 100 characters']
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent must be less than 500 characters']
+  },
+  rememberMe: {
+    type: Boolean,
+    default: false
+  },
+  refreshGeneration: {
+    type: Number,
+    default: 0
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'password_reset', 'password_changed', 'refresh_token_reuse',
+      'idle_timeout', 'mfa_reset']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance optimization
+sessionSchema.index({ subjectType: 1, subjectId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function(reason = 'revoked') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to find the active sessions of a student or admin
+sessionSchema.statics.findActive = function(subjectType, subjectId) {
+  return this.find({
+    subjectType,
+    subjectId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to revoke every active session of a student or admin
+sessionSchema.statics.revokeAll = async function(subjectType, subjectId, reason, exceptId = null) {
+  const filter = { subjectType, subjectId, revokedAt: { $exists: false } };
+  if (exceptId) {
+    filter._id = { $ne: exceptId };
+  }
+
+  const result = await this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  return result.modifiedCount;
+};
+
+// Static method to describe the device behind a user agent
+sessionSchema.statics.describeDevice = function(userAgent) {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browsers = [
+    [/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari']
+  ];
+  const systems = [
+    [/Windows/, 'Windows'], [/iPhone|iPad|iPod/, 'iOS'], [/Mac OS X|Macintosh/, 'macOS'],
+    [/Android/, 'Android'], [/Linux/, 'Linux']
+  ];
+  const match = (patterns) => patterns.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  const browser = match(browsers);
+  const system = match(systems);
+
+  if (browser && system) {
+    return `${browser} on ${system}`;
+  }
+  return browser || system || 'Unknown device';
+};
+
+// Export the model
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -13,6 +13,64 @@ const mongoose = require('mongoose');
  * - Performance-focused design for search operations
  */
 
+// Application question subdocument schema (form builder definition)
+const questionSchema = new mongoose.Schema({
+  prompt: {
+    type: String,
+    required: [true, 'Question prompt is required'],
+    trim: true,
+    maxlength: [1000, 'Question prompt must be less than 1000 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['text', 'essay', 'multiple_choice'],
+      message: 'Question type must be one of: text, essay, multiple_choice'
+    },
+    default: 'text'
+  },
+  helpText: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Help text must be less than 500 characters']
+  },
+  required: {
+    type: Boolean,
+    default: true
+  },
+  minWords: {
+    type: Number,
+    min: [0, 'Minimum words cannot be negative']
+  },
+  maxWords: {
+    type: Number,
+    min: [1, 'Maximum words must be at least 1'],
+    validate: {
+      validator(value) {
+        return !value || !this.minWords || value >= this.minWords;
+      },
+      message: 'Maximum words must be greater than or equal to minimum words'
+    }
+  },
+  choices: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [200, 'Choice must be less than 200 characters']
+    }],
+    validate: {
+      validator(choices) {
+        return this.type !== 'multiple_choice' || choices.length >= 2;
+      },
+      message: 'Multiple choice questions need at least two choices'
+    }
+  },
+  order: {
+    type: Number,
+    default: 0
+  }
+}, { _id: true });
+
 // Program subdocument schema
 const programSchema = new mongoose.Schema({
   name: {
@@ -71,7 +129,17 @@ const programSchema = new mongoose.Schema({
       type: String,
       trim: true,
       maxlength: [100, 'Document requirement must be less than 100 characters']
-    }]
+    }],
+    references: {
+      type: Number,
+      min: [0, 'Required references cannot be negative'],
+      max: [10, 'Required references cannot exceed 10'],
+      default: 0
+    },
+    personalStatement: {
+      type: Boolean,
+      default: true
+    }
   },
   deadlines: {
     applicationDeadline: {
@@ -104,6 +172,7 @@ const programSchema = new mongoose.Schema({
       }
     }
   },
+  questions: [questionSchema],
   fees: {
     tuition: {
       type: Number,
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// OpenID Connect providers students can sign in with
+const OIDC_PROVIDERS = ['google', 'microsoft'];
+
 /**
  * User Model - Represents student accounts with comprehensive academic profiles
  * 
@@ -186,6 +189,111 @@ const profileCompletionSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Trusted device subdocument - skips the two-factor challenge until it expires
+const trustedDeviceSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent must be less than 500 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, { _id: true });
+
+// Linked identity subdocument - an account at an OpenID Connect provider the
+// student signs in with (see oidcService)
+const oidcIdentitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    enum: {
+      values: OIDC_PROVIDERS,
+      message: `Provider must be one of: ${OIDC_PROVIDERS.join(', ')}`
+    }
+  },
+  // The provider's stable ID for the account, its "sub" claim
+  subject: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+// Security settings subdocument
+const securitySettingsSchema = new mongoose.Schema({
+  mfaEnabled: {
+    type: Boolean,
+    default: false
+  },
+  mfaSecret: {
+    type: String,
+    select: false // Never include in queries by default
+  },
+  mfaEnrolledAt: {
+    type: Date
+  },
+  // Last TOTP time step accepted, so a code cannot be replayed
+  mfaLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // SHA-256 hashes of the unused one-time recovery codes
+  mfaRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  trustedDevices: {
+    type: [trustedDeviceSchema],
+    select: false
+  },
+  // Failed logins since the last successful one (see accountLockoutService)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  lastPasswordChange: {
+    type: Date
+  },
+  // Hashes of earlier passwords that cannot be reused (see passwordPolicyService)
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  passwordExpiryWarningSentAt: {
+    type: Date
+  }
+}, { _id: false });
+
 // Main User schema
 const userSchema = new mongoose.Schema({
   // Authentication fields
@@ -201,20 +309,32 @@ const userSchema = new mongoose.Schema({
     ],
     maxlength: [254, 'Email must be less than 254 characters']
   },
+  // Students who signed up through a linked provider may have no password
   passwordHash: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [function() { return !this.oidcIdentities?.length; }, 'Password is required'],
     minlength: [60, 'Password hash is invalid'] // bcrypt hash length
   },
-  sessionId: {
-    type: String,
-    unique: true,
-    sparse: true // Allows multiple null values
-  },
   lastLoginAt: {
     type: Date,
     default: Date.now
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  // Last verification email (welcome, resend or reminder), for throttling
+  verificationEmailSentAt: Date,
+  verificationRemindersSent: {
+    type: Number,
+    default: 0
+  },
+  security: {
+    type: securitySettingsSchema,
+    default: () => ({})
+  },
+  oidcIdentities: [oidcIdentitySchema],
 
   // Profile information
   profile: {
@@ -309,7 +429,13 @@ const userSchema = new mongoose.Schema({
     transform: function(doc, ret) {
       // Remove sensitive fields from JSON output
       delete ret.passwordHash;
-      delete ret.sessionId;
+      if (ret.security) {
+        delete ret.security.mfaSecret;
+        delete ret.security.mfaLastUsedStep;
+        delete ret.security.mfaRecoveryCodes;
+        delete ret.security.trustedDevices;
+        delete ret.security.passwordHistory;
+      }
       delete ret.__v;
       return ret;
     }
@@ -321,10 +447,26 @@ const userSchema = new mongoose.Schema({
 
 // Indexes for performance optimization
 userSchema.index({ email: 1 }, { unique: true });
-userSchema.index({ sessionId: 1 }, { sparse: true });
 userSchema.index({ 'profile.personalInfo.lastName': 1, 'profile.personalInfo.firstName': 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ emailVerified: 1, createdAt: 1 });
 userSchema.index({ 'profileCompletionStatus.overallCompletion': -1 });
+userSchema.index({ 'security.lockedUntil': 1 }, { sparse: true });
+userSchema.index({ 'security.lastPasswordChange': 1 });
+userSchema.index(
+  { 'oidcIdentities.provider': 1, 'oidcIdentities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'oidcIdentities.subject': { $exists: true } } }
+);
+
+// Virtual for account lock status
+userSchema.virtual('isLocked').get(function() {
+  return !!this.security?.lockedUntil && this.security.lockedUntil > new Date();
+});
+
+// Virtual for whether the student can sign in with a password
+userSchema.virtual('hasPassword').get(function() {
+  return !!this.passwordHash;
+});
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -356,8 +498,8 @@ userSchema.pre('save', async function(next) {
   if (!this.isModified('passwordHash')) return next();
   
   try {
-    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
-    this.passwordHash = await bcrypt.hash(this.passwordHash, saltRounds);
+    this.passwordHash = await this.constructor.hashPassword(this.passwordHash);
+    this.security.lastPasswordChange = new Date();
     next();
   } catch (error) {
     next(error);
@@ -439,28 +581,27 @@ userSchema.methods.updateLastLogin = function() {
   return this.save();
 };
 
-// Instance method to generate session ID
-userSchema.methods.generateSessionId = function() {
-  const crypto = require('crypto');
-  this.sessionId = crypto.randomBytes(32).toString('hex');
-  return this.sessionId;
-};
-
 // Static method to find by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase().trim() });
 };
 
-// Static method to find by session ID
-userSchema.statics.findBySessionId = function(sessionId) {
-  return this.findOne({ sessionId });
+// Static method to hash a password the way the pre-save middleware does
+userSchema.statics.hashPassword = function(password) {
+  const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+  return bcrypt.hash(password, saltRounds);
 };
 
 // Static method to create new user with validation
+//
+// Students signing up through a provider pass its oidcIdentity instead of a
+// password, and emailVerified when the provider vouched for the address.
 userSchema.statics.createUser = async function(userData) {
   const user = new this({
     email: userData.email,
     passwordHash: userData.password, // Will be hashed by pre-save middleware
+    ...(userData.oidcIdentity && { oidcIdentities: [userData.oidcIdentity] }),
+    ...(userData.emailVerified && { emailVerified: true, emailVerifiedAt: new Date() }),
     profile: {
       personalInfo: {
         firstName: userData.firstName,
@@ -480,4 +621,6 @@ userSchema.statics.createUser = async function(userData) {
 // Export the model
 const User = mongoose.model('User', userSchema);
 
+User.OIDC_PROVIDERS = OIDC_PROVIDERS;
+
 module.exports = User;
\ No newline at end of file
@@ -1,9 +1,328 @@
 const express = require('express');
+const { body, param, query } = require('express-validator');
+const { requireAdmin, requirePermission, requireRole } = require('../middleware/auth');
+const { validate, requestContext } = require('../middleware/validate');
+const Admin = require('../models/Admin');
+const Application = require('../models/Application');
+const University = require('../models/University');
+const adminService = require('../services/adminService');
+const accountLockoutService = require('../services/accountLockoutService');
+const applicationService = require('../services/applicationService');
+const documentService = require('../services/documentService');
+const { sendDocumentFile } = require('../utils/documentResponse');
+const lifecycleWorker = require('../workers/lifecycleWorker');
+
+/**
+ * Admin Routes
+ *
+ * Handles platform administration: statistics, application review,
+ * program application forms, document maintenance, documents shared with
+ * admins, locked student accounts and admin permissions.
+ * Every route requires an admin token and a permission (or role) checked
+ * with Admin#hasPermission; denials are recorded in the admin's activity log.
+ */
+
 const router = express.Router();
 
+// All admin routes require admin authentication
+router.use(requireAdmin);
+
+// Accepting and rejecting need their own permissions; other moves are updates
+const statusAction = (req) => ({
+  Accepted: 'approve',
+  Rejected: 'reject'
+})[req.body.status] || 'update';
+
+// One override per module action at most
+const MAX_PERMISSION_OVERRIDES = Admin.PERMISSION_MODULES.length * Admin.PERMISSION_ACTIONS.length;
+
 // Placeholder routes for admin
-router.get('/stats', (req, res) => {
+router.get('/stats', requirePermission('analytics', 'read'), (req, res) => {
   res.status(200).json({ success: true, stats: {} });
 });
 
-module.exports = router;
\ No newline at end of file
+// PUT /api/admin/applications/:id/status
+router.put('/applications/:id/status', [
+  requirePermission('applications', statusAction),
+  body('status')
+    .isIn(Application.STATUSES)
+    .withMessage(`Status must be one of: ${Application.STATUSES.join(', ')}`),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be less than 1000 characters')
+], validate, async (req, res, next) => {
+  try {
+    const application = await applicationService.updateStatusAsAdmin(
+      req.params.id,
+      req.body.status,
+      req.adminId,
+      req.body.reason
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Application moved to ${application.status}`,
+      application
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/admin/universities/:id/programs/:programId/questions
+router.put('/universities/:id/programs/:programId/questions', [
+  requirePermission('universities', 'update'),
+  body('questions')
+    .isArray({ max: 50 })
+    .withMessage('Questions must be an array of at most 50 entries'),
+  body('questions.*.prompt')
+    .trim()
+    .notEmpty()
+    .withMessage('Each question needs a prompt'),
+  body('questions.*.type')
+    .optional()
+    .isIn(['text', 'essay', 'multiple_choice'])
+    .withMessage('Question type must be one of: text, essay, multiple_choice')
+], validate, async (req, res, next) => {
+  try {
+    const university = await University.findById(req.params.id);
+    const program = university?.programs.id(req.params.programId);
+
+    if (!program) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PROGRAM_NOT_FOUND',
+          message: 'University program not found'
+        }
+      });
+    }
+
+    // Questions sent back with their _id keep it, so draft answers stay attached
+    program.questions = req.body.questions.map((question, index) => ({
+      order: index,
+      ...question
+    }));
+    await university.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Program questions updated successfully',
+      questions: program.questions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/maintenance/lifecycle
+const canRunMaintenance = requirePermission('system', 'update');
+router.post('/maintenance/lifecycle', canRunMaintenance, async (req, res, next) => {
+  try {
+    const report = await lifecycleWorker.runOnce();
+
+    if (!report) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'JOB_ALREADY_RUNNING',
+          message: 'The document lifecycle job is already running'
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Document lifecycle job completed',
+      report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Build a handler that opens a document shared with the admin and sends its contents
+ * @param {string} accessType - 'View' or 'Download'
+ * @returns {Function} Express route handler
+ */
+const sendSharedDocument = (accessType) => async (req, res, next) => {
+  try {
+    const opened = await documentService.openDocument(
+      req.adminId,
+      req.params.id,
+      accessType,
+      { ...requestContext(req), version: req.query.version, recipientType: 'Admin' }
+    );
+
+    await sendDocumentFile(
+      res,
+      next,
+      opened,
+      accessType === 'Download' ? 'attachment' : 'inline'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+const sharedDocumentValidation = [
+  param('id').isMongoId().withMessage('Invalid document ID'),
+  query('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+    .toInt()
+];
+
+// GET /api/admin/documents/:id/view
+router.get(
+  '/documents/:id/view',
+  requirePermission('documents', 'read'),
+  sharedDocumentValidation,
+  validate,
+  sendSharedDocument('View')
+);
+
+// GET /api/admin/documents/:id/download
+router.get(
+  '/documents/:id/download',
+  requirePermission('documents', 'read'),
+  sharedDocumentValidation,
+  validate,
+  sendSharedDocument('Download')
+);
+
+// GET /api/admin/users/locked
+router.get('/users/locked', requirePermission('users', 'read'), async (req, res, next) => {
+  try {
+    const accounts = await accountLockoutService.listLockedAccounts();
+
+    res.status(200).json({
+      success: true,
+      accounts
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admin/users/:id/lock
+router.delete('/users/:id/lock', requirePermission('users', 'update'), [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], validate, async (req, res, next) => {
+  try {
+    await accountLockoutService.unlockByAdmin(req.admin, req.params.id, requestContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/permissions
+router.get('/permissions', (req, res) => {
+  res.status(200).json({
+    success: true,
+    ...adminService.formatPermissions(req.admin)
+  });
+});
+
+// GET /api/admin/admins/:id/permissions
+router.get('/admins/:id/permissions', requireRole('super_admin'), [
+  param('id').isMongoId().withMessage('Invalid admin ID')
+], validate, async (req, res, next) => {
+  try {
+    const permissions = await adminService.getPermissions(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      ...permissions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/admin/admins/:id/role
+router.put('/admins/:id/role', requireRole('super_admin'), [
+  param('id').isMongoId().withMessage('Invalid admin ID'),
+  body('role')
+    .isIn(Admin.ROLES)
+    .withMessage(`Role must be one of: ${Admin.ROLES.join(', ')}`)
+], validate, async (req, res, next) => {
+  try {
+    const permissions = await adminService.updateRole(
+      req.admin,
+      req.params.id,
+      req.body.role,
+      requestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Role changed to ${req.body.role}`,
+      ...permissions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/admin/admins/:id/permissions
+router.put('/admins/:id/permissions', requireRole('super_admin'), [
+  param('id').isMongoId().withMessage('Invalid admin ID'),
+  body('permissions')
+    .isArray({ min: 1, max: MAX_PERMISSION_OVERRIDES })
+    .withMessage('Permissions must be a non-empty array'),
+  body('permissions.*.module')
+    .isIn(Admin.PERMISSION_MODULES)
+    .withMessage(`Module must be one of: ${Admin.PERMISSION_MODULES.join(', ')}`),
+  body('permissions.*.action')
+    .isIn(Admin.PERMISSION_ACTIONS)
+    .withMessage(`Action must be one of: ${Admin.PERMISSION_ACTIONS.join(', ')}`),
+  body('permissions.*.allowed')
+    .optional({ values: 'null' })
+    .isBoolean({ strict: true })
+    .withMessage('Allowed must be true, false or null')
+], validate, async (req, res, next) => {
+  try {
+    const permissions = await adminService.updateCustomPermissions(
+      req.admin,
+      req.params.id,
+      req.body.permissions.map(({ module, action, allowed }) => ({ module, action, allowed })),
+      requestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Custom permissions updated',
+      ...permissions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/admin/admins/:id/mfa
+router.delete('/admins/:id/mfa', requireRole('super_admin'), [
+  param('id').isMongoId().withMessage('Invalid admin ID')
+], validate, async (req, res, next) => {
+  try {
+    await adminService.resetMfa(req.admin, req.params.id, requestContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'MFA has been reset; the admin must log in and enroll again'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
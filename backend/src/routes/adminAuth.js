@@ -0,0 +1,250 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { requireAdmin } = require('../middleware/auth');
+const { validate, requestContext } = require('../middleware/validate');
+const adminAuthService = require('../services/adminAuthService');
+
+/**
+ * Admin Authentication Routes
+ *
+ * Handles admin login, token refresh, logout and TOTP MFA enrollment. Admins
+ * authenticate against the Admin model and receive admin-scoped tokens, which
+ * are the only tokens accepted by /api/admin routes. Admins with MFA enabled
+ * log in in two steps: /login returns an MFA challenge token that /mfa/verify
+ * exchanges, with a code, for the session tokens. A login with an expired
+ * password returns a password change token instead, which /password/expired
+ * exchanges, with a new password, for the session tokens.
+ */
+
+const router = express.Router();
+
+// New password rules, matching the student routes
+const newPasswordValidation = body('newPassword')
+  .isString()
+  .isLength({ min: 8 })
+  .withMessage('Password must be at least 8 characters long')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain at least one lowercase letter, uppercase letter, and number');
+
+// Login response for a password that expired and must be changed first
+const passwordChangeResponse = (passwordChangeToken) => ({
+  success: true,
+  message: 'Your password has expired, please choose a new one',
+  passwordChangeRequired: true,
+  passwordChangeToken
+});
+
+// POST /api/admin/auth/login
+router.post('/login', [
+  body('identifier')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Username or email is required'),
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required')
+], validate, async (req, res, next) => {
+  try {
+    const {
+      admin,
+      tokens,
+      mfaRequired,
+      mfaToken,
+      passwordChangeRequired,
+      passwordChangeToken
+    } = await adminAuthService.login(req.body, requestContext(req));
+
+    if (mfaRequired) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        mfaRequired,
+        mfaToken
+      });
+    }
+
+    if (passwordChangeRequired) {
+      return res.status(200).json(passwordChangeResponse(passwordChangeToken));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      admin: adminAuthService.formatAdmin(admin),
+      tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/auth/refresh
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], validate, async (req, res, next) => {
+  try {
+    const tokens = await adminAuthService.refresh(req.body.refreshToken, requestContext(req));
+
+    res.status(200).json({
+      success: true,
+      tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/auth/logout
+router.post('/logout', requireAdmin, async (req, res, next) => {
+  try {
+    await adminAuthService.logout(req.admin, req.authSession, requestContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/auth/mfa/verify
+router.post('/mfa/verify', [
+  body('mfaToken')
+    .isString()
+    .notEmpty()
+    .withMessage('MFA token is required'),
+  body('code')
+    .optional()
+    .isString()
+    .withMessage('Code must be a string'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+  body()
+    .custom(value => !!value.code !== !!value.recoveryCode)
+    .withMessage('Provide either a code or a recovery code')
+], validate, async (req, res, next) => {
+  try {
+    const {
+      admin,
+      tokens,
+      recoveryCodesRemaining,
+      passwordChangeRequired,
+      passwordChangeToken
+    } = await adminAuthService.verifyMfa(req.body.mfaToken, req.body, requestContext(req));
+
+    if (passwordChangeRequired) {
+      return res.status(200).json(passwordChangeResponse(passwordChangeToken));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      admin: adminAuthService.formatAdmin(admin),
+      tokens,
+      recoveryCodesRemaining
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/auth/password/expired - finish a login whose password expired
+router.post('/password/expired', [
+  body('passwordChangeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Password change token is required'),
+  newPasswordValidation
+], validate, async (req, res, next) => {
+  try {
+    const { admin, tokens } = await adminAuthService.changeExpiredPassword(
+      req.body.passwordChangeToken,
+      req.body.newPassword,
+      requestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      admin: adminAuthService.formatAdmin(admin),
+      tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/auth/change-password
+router.post('/change-password', requireAdmin, [
+  body('currentPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('Current password is required'),
+  newPasswordValidation
+], validate, async (req, res, next) => {
+  try {
+    await adminAuthService.changePassword(
+      req.admin,
+      req.authSession,
+      req.body,
+      requestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully, your other sessions have been signed out'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/auth/mfa/setup
+router.post('/mfa/setup', requireAdmin, async (req, res, next) => {
+  try {
+    const { secret, otpauthUri } = await adminAuthService.setupMfa(req.admin);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm a code to enable MFA',
+      secret,
+      otpauthUri
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/auth/mfa/enable
+router.post('/mfa/enable', requireAdmin, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], validate, async (req, res, next) => {
+  try {
+    const recoveryCodes = await adminAuthService.enableMfa(
+      req.admin,
+      req.body.code,
+      requestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'MFA enabled. Store these recovery codes somewhere safe; they are only shown once',
+      recoveryCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
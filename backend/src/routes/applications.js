@@ -1,9 +1,267 @@
 const express = require('express');
+const { body, query } = require('express-validator');
+const { authenticateTokenOrApiKey } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const Application = require('../models/Application');
+const applicationService = require('../services/applicationService');
+
+/**
+ * Application Routes
+ *
+ * Handles creating, editing, deleting and submitting a student's own
+ * university applications.
+ */
+
 const router = express.Router();
 
-// Placeholder routes for applications
-router.get('/', (req, res) => {
-  res.status(200).json({ success: true, applications: [] });
+// All application routes require authentication; API keys with the applications:read
+// scope may also read them
+router.use(authenticateTokenOrApiKey('applications:read'));
+
+// Application data validation shared by create and update
+const applicationDataValidation = [
+  body('personalStatement')
+    .optional()
+    .isString()
+    .isLength({ max: 5000 })
+    .withMessage('Personal statement must be less than 5000 characters'),
+  body('responses')
+    .optional()
+    .isArray()
+    .withMessage('Responses must be an array of { questionId, answer }'),
+  body('responses.*.questionId')
+    .isMongoId()
+    .withMessage('Each response needs a valid question ID'),
+  body('responses.*.answer')
+    .isString()
+    .isLength({ max: 10000 })
+    .withMessage('Answers must be text of less than 10000 characters'),
+  body('additionalDocuments')
+    .optional()
+    .isArray()
+    .withMessage('Additional documents must be an array of document IDs'),
+  body('additionalDocuments.*')
+    .isMongoId()
+    .withMessage('Additional documents must be valid document IDs')
+];
+
+const createApplicationValidation = [
+  body('universityId')
+    .isMongoId()
+    .withMessage('Valid university ID is required'),
+  body('programId')
+    .isMongoId()
+    .withMessage('Valid program ID is required'),
+  ...applicationDataValidation
+];
+
+const referenceValidation = [
+  body('refereeeName')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Referee name is required and must be less than 100 characters'),
+  body('refereeEmail')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Referee email must be a valid email address'),
+  body('relationship')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Relationship is required and must be less than 100 characters')
+];
+
+const listApplicationsValidation = [
+  query('status')
+    .optional()
+    .isIn(Application.STATUSES)
+    .withMessage('Invalid application status filter'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+// GET /api/applications
+router.get('/', listApplicationsValidation, validate, async (req, res, next) => {
+  try {
+    const result = await applicationService.listApplications(req.userId, req.query);
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/applications
+router.post('/', createApplicationValidation, validate, async (req, res, next) => {
+  try {
+    const application = await applicationService.createApplication(req.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Application created successfully',
+      application
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/applications/:id
+router.get('/:id', async (req, res, next) => {
+  try {
+    const application = await applicationService.getApplication(req.userId, req.params.id);
+    const requirements = await applicationService.getRequirementSummary(application);
+
+    res.status(200).json({
+      success: true,
+      application,
+      requirements
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/applications/:id
+router.put('/:id', applicationDataValidation, validate, async (req, res, next) => {
+  try {
+    const application = await applicationService.updateApplication(
+      req.userId,
+      req.params.id,
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Application updated successfully',
+      application,
+      requirements: application.getRequirementSummary()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/applications/:id
+router.delete('/:id', async (req, res, next) => {
+  try {
+    await applicationService.deleteApplication(req.userId, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Application deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/applications/:id/submit
+router.post('/:id/submit', async (req, res, next) => {
+  try {
+    const application = await applicationService.submitApplication(req.userId, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Application submitted successfully',
+      application
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/applications/:id/withdraw
+router.post('/:id/withdraw', [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be less than 1000 characters')
+], validate, async (req, res, next) => {
+  try {
+    const application = await applicationService.withdrawApplication(
+      req.userId,
+      req.params.id,
+      req.body.reason
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Application withdrawn successfully',
+      application
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/applications/:id/references
+router.post('/:id/references', referenceValidation, validate, async (req, res, next) => {
+  try {
+    const { reference, requestSent } = await applicationService.addReference(
+      req.userId,
+      req.params.id,
+      req.body
+    );
+
+    res.status(201).json({
+      success: true,
+      message: requestSent
+        ? 'Referee added and request email sent'
+        : 'Referee added, but the request email could not be sent. Please try resending it.',
+      reference,
+      requestSent
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/applications/:id/references/:referenceId/resend
+router.post('/:id/references/:referenceId/resend', async (req, res, next) => {
+  try {
+    const { reference, requestSent } = await applicationService.resendReferenceRequest(
+      req.userId,
+      req.params.id,
+      req.params.referenceId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: requestSent
+        ? 'Reference request sent again'
+        : 'The request email could not be sent. Please try again later.',
+      reference,
+      requestSent
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/applications/:id/references/:referenceId
+router.delete('/:id/references/:referenceId', async (req, res, next) => {
+  try {
+    const application = await applicationService.removeReference(
+      req.userId,
+      req.params.id,
+      req.params.referenceId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Referee removed successfully',
+      application
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,18 +1,109 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const { authenticateToken } = require('../middleware/auth');
+const { validate, requestContext } = require('../middleware/validate');
 const userService = require('../services/userService');
-const authService = require('../services/authService');
 const emailService = require('../services/emailService');
+const mfaService = require('../services/mfaService');
+const sessionService = require('../services/sessionService');
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
+const accountLockoutService = require('../services/accountLockoutService');
+const oidcService = require('../services/oidcService');
+const User = require('../models/User');
 
 /**
  * Authentication Routes
  * 
- * Handles user registration, login, token refresh, and password reset
- * following constitutional security and validation requirements.
+ * Handles user registration, login, token refresh, sessions, password reset
+ * and email verification following constitutional security and validation
+ * requirements. Every login starts its own session, so students can stay
+ * signed in on several devices and revoke them one by one.
+ * Users with two-factor enabled log in in two steps: /login returns an MFA
+ * challenge token that /mfa/verify exchanges, with a code, for tokens.
+ * Repeated failed logins lock the account (see accountLockoutService) until
+ * it times out or is unlocked from the emailed link via /unlock-account.
+ * A login with an expired password (see passwordPolicyService) returns a
+ * password change token instead, which /password/expired exchanges, with a
+ * new password, for tokens.
+ * Students can also sign in with a linked Google or Microsoft account (see
+ * oidcService): /oidc/:provider/authorize returns the provider URL to visit,
+ * and the frontend posts the code it is sent back with to /oidc/:provider/callback.
  */
 
 const router = express.Router();
 
+// Cookie remembering a device that passed the two-factor challenge
+const TRUSTED_DEVICE_COOKIE = 'trusted_device';
+
+// Cookie holding an OpenID Connect sign-in while the student is at the provider
+const OIDC_STATE_COOKIE = 'oidc_state';
+const OIDC_STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api/auth/oidc'
+};
+
+// Read a cookie from the request (no cookie parser is installed)
+const getCookie = (req, name) => {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : undefined;
+};
+
+// Limit reset emails per address, on top of the per-IP auth limit, so an
+// inbox cannot be flooded from many IPs
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // limit each email address to 3 reset requests per windowMs
+  keyGenerator: (req) => String(req.body.email || '').toLowerCase(),
+  message: {
+    success: false,
+    error: {
+      code: 'RESET_RATE_LIMIT_EXCEEDED',
+      message: 'Too many password reset requests for this email, please try again later'
+    }
+  }
+});
+
+// User details returned after a successful login
+const formatLoginUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  firstName: user.profile.personalInfo.firstName,
+  lastName: user.profile.personalInfo.lastName,
+  profileCompletion: user.profileCompletionStatus.overallCompletion,
+  emailVerified: user.emailVerified,
+  lastLoginAt: user.lastLoginAt,
+  createdAt: user.createdAt
+});
+
+// Login response for a password that expired and must be changed first
+const passwordChangeResponse = (result) => ({
+  success: true,
+  message: 'Your password has expired, please choose a new one',
+  passwordChangeRequired: true,
+  passwordChangeToken: result.passwordChangeToken
+});
+
+// Keep a started OpenID Connect sign-in and send the provider URL to visit
+const oidcAuthorizationResponse = (res, { authorizationUrl, stateToken }) => {
+  res.cookie(OIDC_STATE_COOKIE, stateToken, {
+    ...OIDC_STATE_COOKIE_OPTIONS,
+    maxAge: 10 * 60 * 1000 // Lifetime of the state token
+  });
+
+  res.status(200).json({
+    success: true,
+    authorizationUrl
+  });
+};
+
 // Helper to format service errors for API response
 const formatServiceError = (error) => {
   if (error.code === 'VALIDATION_ERROR') {
@@ -60,6 +151,18 @@ const registerValidation = [
     .withMessage('You must accept the terms and conditions')
 ];
 
+// New password validation, shared by every way of changing a password
+const newPasswordValidation = body('newPassword')
+  .isLength({ min: 8 })
+  .withMessage('Password must be at least 8 characters long')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain at least one lowercase letter, uppercase letter, and number');
+
+// Sign-in provider in the URL, one of the supported OIDC providers
+const oidcProviderValidation = param('provider')
+  .isIn(User.OIDC_PROVIDERS)
+  .withMessage('Unknown sign-in provider');
+
 // User login validation
 const loginValidation = [
   body('email')
@@ -72,31 +175,14 @@ const loginValidation = [
 ];
 
 // POST /api/auth/register
-router.post('/register', registerValidation, async (req, res, next) => {
+router.post('/register', registerValidation, validate, async (req, res, next) => {
   try {
-    // Check validation results
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'VALIDATION_ERROR',
-          message: 'Invalid input data',
-          details: errors.array().map(err => ({
-            field: err.path,
-            message: err.msg
-          }))
-        }
-      });
-    }
-
     // Use user service to create account
-    const result = await userService.createUser(req.body);
+    const result = await userService.createUser(req.body, requestContext(req));
 
     // Send welcome email (don't wait for completion)
     if (emailService.isReady()) {
-      const verificationToken = authService.generateVerificationToken(result.user);
-      emailService.sendWelcomeEmail(result.user, verificationToken)
+      emailVerificationService.sendWelcomeEmail(result.user)
         .catch(error => console.error('Welcome email failed:', error.message));
     }
 
@@ -110,6 +196,7 @@ router.post('/register', registerValidation, async (req, res, next) => {
         firstName: result.user.profile.personalInfo.firstName,
         lastName: result.user.profile.personalInfo.lastName,
         profileCompletion: result.user.profileCompletionStatus.overallCompletion,
+        emailVerified: result.user.emailVerified,
         createdAt: result.user.createdAt,
         lastLoginAt: result.user.lastLoginAt
       },
@@ -117,6 +204,9 @@ router.post('/register', registerValidation, async (req, res, next) => {
     });
 
   } catch (error) {
+    if (error.name === 'ServiceError') {
+      return next(error);
+    }
     if (error.code) {
       return res.status(error.code === 'VALIDATION_ERROR' ? 400 : 409).json(formatServiceError(error));
     }
@@ -125,44 +215,39 @@ router.post('/register', registerValidation, async (req, res, next) => {
 });
 
 // POST /api/auth/login
-router.post('/login', loginValidation, async (req, res, next) => {
+router.post('/login', loginValidation, validate, async (req, res, next) => {
   try {
-    // Check validation results
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'VALIDATION_ERROR',
-          message: 'Invalid input data',
-          details: errors.array().map(err => ({
-            field: err.path,
-            message: err.msg
-          }))
-        }
+    // Use user service to authenticate
+    const result = await userService.authenticateUser(req.body, {
+      deviceToken: getCookie(req, TRUSTED_DEVICE_COOKIE),
+      ...requestContext(req)
+    });
+
+    if (result.mfaRequired) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        mfaRequired: true,
+        mfaToken: result.mfaToken
       });
     }
 
-    // Use user service to authenticate
-    const result = await userService.authenticateUser(req.body);
+    if (result.passwordChangeRequired) {
+      return res.status(200).json(passwordChangeResponse(result));
+    }
 
     // Return success response
     res.status(200).json({
       success: true,
       message: 'Login successful',
-      user: {
-        id: result.user._id,
-        email: result.user.email,
-        firstName: result.user.profile.personalInfo.firstName,
-        lastName: result.user.profile.personalInfo.lastName,
-        profileCompletion: result.user.profileCompletionStatus.overallCompletion,
-        lastLoginAt: result.user.lastLoginAt,
-        createdAt: result.user.createdAt
-      },
+      user: formatLoginUser(result.user),
       tokens: result.tokens
     });
 
   } catch (error) {
+    if (error.name === 'ServiceError') {
+      return next(error);
+    }
     if (error.code) {
       return res.status(401).json(formatServiceError(error));
     }
@@ -185,8 +270,8 @@ router.post('/refresh', async (req, res, next) => {
       });
     }
 
-    // Use auth service to refresh tokens
-    const tokens = await authService.refreshTokens(refreshToken);
+    // Rotate the session's refresh token, revoking the session if it was reused
+    const tokens = await sessionService.refreshUserTokens(refreshToken);
 
     res.status(200).json({
       success: true,
@@ -194,43 +279,14 @@ router.post('/refresh', async (req, res, next) => {
     });
 
   } catch (error) {
-    if (error.message.includes('TOKEN') || error.message.includes('USER') || error.message.includes('SESSION')) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'INVALID_TOKEN',
-          message: 'Invalid or expired refresh token'
-        }
-      });
-    }
     next(error);
   }
 });
 
 // POST /api/auth/logout
-router.post('/logout', async (req, res, next) => {
+router.post('/logout', authenticateToken, async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'UNAUTHORIZED',
-          message: 'Authentication token required'
-        }
-      });
-    }
-
-    const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
-    
-    // Find user and clear session
-    const user = await User.findById(decoded.id);
-    if (user) {
-      user.sessionId = undefined;
-      await user.save();
-    }
+    await req.authSession.revoke('logout');
 
     res.status(200).json({
       success: true,
@@ -238,15 +294,97 @@ router.post('/logout', async (req, res, next) => {
     });
 
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'INVALID_TOKEN',
-          message: 'Invalid or expired token'
-        }
+    next(error);
+  }
+});
+
+// GET /api/auth/sessions
+router.get('/sessions', authenticateToken, async (req, res, next) => {
+  try {
+    const sessions = await sessionService.listSessions('User', req.userId, req.authSession._id);
+
+    res.status(200).json({
+      success: true,
+      sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/auth/sessions - sign out every other device
+router.delete('/sessions', authenticateToken, async (req, res, next) => {
+  try {
+    const revoked = await sessionService.revokeOtherSessions(
+      'User',
+      req.userId,
+      req.authSession._id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Signed out of all other devices',
+      revoked
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/auth/sessions/:id
+router.delete('/sessions/:id', authenticateToken, async (req, res, next) => {
+  try {
+    await sessionService.revokeSession('User', req.userId, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/mfa/verify
+router.post('/mfa/verify', [
+  body('mfaToken').isString().notEmpty().withMessage('MFA token is required'),
+  body('code').optional().isString().withMessage('Code must be a string'),
+  body('recoveryCode').optional().isString().withMessage('Recovery code must be a string'),
+  body('trustDevice').optional().isBoolean().withMessage('Trust device must be a boolean'),
+  body()
+    .custom(value => !!value.code !== !!value.recoveryCode)
+    .withMessage('Provide either a code or a recovery code')
+], validate, async (req, res, next) => {
+  try {
+    const result = await mfaService.verifyUserLogin(req.body.mfaToken, {
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode,
+      trustDevice: req.body.trustDevice === true,
+      ...requestContext(req)
+    });
+
+    if (result.passwordChangeRequired) {
+      return res.status(200).json(passwordChangeResponse(result));
+    }
+
+    if (result.deviceToken) {
+      res.cookie(TRUSTED_DEVICE_COOKIE, result.deviceToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        path: '/api/auth',
+        maxAge: mfaService.trustedDeviceDays * 24 * 60 * 60 * 1000
       });
     }
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      user: formatLoginUser(result.user),
+      tokens: result.tokens,
+      recoveryCodesRemaining: result.recoveryCodesRemaining
+    });
+  } catch (error) {
     next(error);
   }
 });
@@ -254,37 +392,16 @@ router.post('/logout', async (req, res, next) => {
 // POST /api/auth/forgot-password
 router.post('/forgot-password', [
   body('email').isEmail().normalizeEmail().withMessage('Valid email address is required')
-], async (req, res, next) => {
+], passwordResetLimiter, validate, async (req, res, next) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'VALIDATION_ERROR',
-          message: 'Invalid input data',
-          details: errors.array().map(err => ({
-            field: err.path,
-            message: err.msg
-          }))
-        }
-      });
-    }
-
-    const { email } = req.body;
-    const user = await User.findByEmail(email);
-
-    // Always return success to prevent email enumeration
+    // Always return success, before looking the account up, to prevent email enumeration
     res.status(200).json({
       success: true,
       message: 'If an account with that email exists, a password reset email has been sent'
     });
 
-    // TODO: Implement actual email sending logic
-    if (user) {
-      console.log(`Password reset requested for user: ${user.email}`);
-      // Generate reset token and send email
-    }
+    passwordResetService.requestReset(req.body.email)
+      .catch(error => console.error('Password reset email failed:', error.message));
 
   } catch (error) {
     next(error);
@@ -294,37 +411,255 @@ router.post('/forgot-password', [
 // POST /api/auth/reset-password
 router.post('/reset-password', [
   body('token').notEmpty().withMessage('Reset token is required'),
-  body('newPassword')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one lowercase letter, uppercase letter, and number')
-], async (req, res, next) => {
+  newPasswordValidation
+], validate, async (req, res, next) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'VALIDATION_ERROR',
-          message: 'Invalid input data',
-          details: errors.array().map(err => ({
-            field: err.path,
-            message: err.msg
-          }))
-        }
+    await passwordResetService.resetPassword(req.body.token, req.body.newPassword);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully, please log in with your new password'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/password/expired - finish a login whose password expired
+router.post('/password/expired', [
+  body('passwordChangeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Password change token is required'),
+  newPasswordValidation
+], validate, async (req, res, next) => {
+  try {
+    const result = await userService.changeExpiredPassword(
+      req.body.passwordChangeToken,
+      req.body.newPassword,
+      requestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      user: formatLoginUser(result.user),
+      tokens: result.tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/change-password
+router.post('/change-password', authenticateToken, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  newPasswordValidation
+], validate, async (req, res, next) => {
+  try {
+    await userService.changePassword(req.userId, req.body, req.authSession._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully, your other devices have been signed out'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/unlock-account
+router.post('/unlock-account', [
+  body('token').isString().notEmpty().withMessage('Unlock token is required')
+], validate, async (req, res, next) => {
+  try {
+    await accountLockoutService.unlockWithToken(req.body.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account is unlocked, you can log in again'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Verify an email address from the token in a verification link
+const verifyEmail = async (req, res, next) => {
+  try {
+    const user = await emailVerificationService.verifyEmail(req.query.token || req.body.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address verified successfully',
+      user: {
+        id: user._id,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        emailVerifiedAt: user.emailVerifiedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET /api/auth/verify-email?token=
+router.get('/verify-email', [
+  query('token').isString().notEmpty().withMessage('Verification token is required')
+], validate, verifyEmail);
+
+// POST /api/auth/verify-email
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], validate, verifyEmail);
+
+// POST /api/auth/resend-verification
+router.post('/resend-verification', authenticateToken, async (req, res, next) => {
+  try {
+    await emailVerificationService.resendVerificationEmail(req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent, please check your inbox'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/auth/oidc/providers - providers offered on the login page
+router.get('/oidc/providers', (req, res) => {
+  res.status(200).json({
+    success: true,
+    providers: oidcService.listProviders()
+  });
+});
+
+// POST /api/auth/oidc/:provider/authorize - sign in, or sign up with acceptTerms
+router.post('/oidc/:provider/authorize', [
+  oidcProviderValidation,
+  body('acceptTerms').optional().isBoolean().withMessage('Accept terms must be a boolean'),
+  body('rememberMe').optional().isBoolean().withMessage('Remember me must be a boolean')
+], validate, async (req, res, next) => {
+  try {
+    const result = await oidcService.startAuthorization(req.params.provider, {
+      acceptTerms: req.body.acceptTerms === true,
+      rememberMe: req.body.rememberMe === true
+    });
+
+    oidcAuthorizationResponse(res, result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/oidc/:provider/link - link a provider account to the signed-in student
+router.post('/oidc/:provider/link', authenticateToken, [
+  oidcProviderValidation
+], validate, async (req, res, next) => {
+  try {
+    const result = await oidcService.startAuthorization(req.params.provider, {
+      intent: 'link',
+      userId: req.userId
+    });
+
+    oidcAuthorizationResponse(res, result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/oidc/:provider/callback - complete the flow with the code sent back
+router.post('/oidc/:provider/callback', [
+  oidcProviderValidation,
+  body('code').isString().notEmpty().withMessage('Authorization code is required'),
+  body('state').isString().notEmpty().withMessage('State is required')
+], validate, async (req, res, next) => {
+  try {
+    const stateToken = getCookie(req, OIDC_STATE_COOKIE);
+    // The flow can only be completed once
+    res.clearCookie(OIDC_STATE_COOKIE, OIDC_STATE_COOKIE_OPTIONS);
+
+    const result = await oidcService.completeAuthorization(req.params.provider, {
+      code: req.body.code,
+      state: req.body.state,
+      stateToken
+    }, {
+      deviceToken: getCookie(req, TRUSTED_DEVICE_COOKIE),
+      ...requestContext(req)
+    });
+
+    if (result.linked) {
+      return res.status(200).json({
+        success: true,
+        message: 'Account linked',
+        linked: true,
+        identities: result.identities,
+        hasPassword: result.hasPassword
+      });
+    }
+
+    if (result.mfaRequired) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        mfaRequired: true,
+        mfaToken: result.mfaToken
       });
     }
 
-    // TODO: Implement password reset token verification and password update
+    if (result.passwordChangeRequired) {
+      return res.status(200).json(passwordChangeResponse(result));
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Password reset successfully'
+      message: 'Login successful',
+      user: formatLoginUser(result.user),
+      tokens: result.tokens
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
+// GET /api/auth/oidc/identities - provider accounts linked to the signed-in student
+router.get('/oidc/identities', authenticateToken, async (req, res, next) => {
+  try {
+    const { identities, hasPassword } = await oidcService.listIdentities(req.userId);
+
+    res.status(200).json({
+      success: true,
+      identities,
+      hasPassword
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/auth/oidc/:provider/link
+router.delete('/oidc/:provider/link', authenticateToken, [
+  oidcProviderValidation
+], validate, async (req, res, next) => {
+  try {
+    const { identities, hasPassword } = await oidcService.unlinkIdentity(
+      req.userId,
+      req.params.provider
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlinked',
+      identities,
+      hasPassword
+    });
   } catch (error) {
     next(error);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,277 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken, authenticateTokenOrApiKey } = require('../middleware/auth');
+const { validate, requestContext } = require('../middleware/validate');
+const { singleFile } = require('../middleware/upload');
+const documentService = require('../services/documentService');
+const shareService = require('../services/shareService');
+const { sendDocumentFile } = require('../utils/documentResponse');
+
+/**
+ * Document Routes
+ *
+ * Handles viewing and downloading stored documents, managing their versions
+ * and sharing them. Access is checked against ownership, share grants, public
+ * visibility and download restrictions, and every attempt is logged on the
+ * document.
+ */
+
+const router = express.Router();
+
+// Viewing, downloading and listing versions also accept API keys with the
+// documents:read scope; every other route needs a login
+const authenticateRead = authenticateTokenOrApiKey('documents:read');
+
+/**
+ * Summarise one version of a document for API responses
+ * @param {Object} file - File version (see Document#getVersion)
+ * @returns {Object} Version summary
+ */
+const formatVersion = (file) => ({
+  version: file.version,
+  originalName: file.fileInfo.originalName,
+  fileType: file.fileInfo.fileType,
+  fileSize: file.fileInfo.fileSize,
+  checksum: file.fileInfo.checksum,
+  scanStatus: file.scanStatus,
+  uploadedAt: file.uploadedAt,
+  restoredFrom: file.restoredFrom,
+  isCurrent: file.isCurrent
+});
+
+/**
+ * Build a handler that opens a document and sends its contents
+ * @param {string} accessType - 'View' or 'Download'
+ * @returns {Function} Express route handler
+ */
+const sendDocument = (accessType) => async (req, res, next) => {
+  try {
+    const opened = await documentService.openDocument(
+      req.userId,
+      req.params.id,
+      accessType,
+      { ...requestContext(req), version: req.query.version }
+    );
+
+    await sendDocumentFile(
+      res,
+      next,
+      opened,
+      accessType === 'Download' ? 'attachment' : 'inline'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Optional ?version= selecting a previous version of the file
+const versionQueryValidation = [
+  query('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+    .toInt()
+];
+
+// GET /api/documents/:id/view
+router.get(
+  '/:id/view',
+  authenticateRead,
+  versionQueryValidation,
+  validate,
+  sendDocument('View')
+);
+
+// GET /api/documents/:id/download
+router.get(
+  '/:id/download',
+  authenticateRead,
+  versionQueryValidation,
+  validate,
+  sendDocument('Download')
+);
+
+// GET /api/documents/:id/versions
+router.get('/:id/versions', authenticateRead, async (req, res, next) => {
+  try {
+    const { document, versions } = await documentService.listVersions(req.userId, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      currentVersion: document.metadata.version,
+      versions: versions.map(formatVersion)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The remaining routes manage the document, including who it is shared with
+router.use(authenticateToken);
+
+// POST /api/documents/:id/versions
+router.post('/:id/versions', singleFile('file'), async (req, res, next) => {
+  try {
+    const document = await documentService.addVersion(req.userId, req.params.id, req.file);
+
+    res.status(201).json({
+      success: true,
+      message: 'New document version uploaded successfully',
+      version: formatVersion(document.getVersion(document.metadata.version))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/documents/:id/versions/:version/restore
+router.post('/:id/versions/:version/restore', [
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+    .toInt()
+], validate, async (req, res, next) => {
+  try {
+    const document = await documentService.restoreVersion(
+      req.userId,
+      req.params.id,
+      req.params.version
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Version ${req.params.version} restored successfully`,
+      version: formatVersion(document.getVersion(document.metadata.version))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Lifetime of a grant or share link, in days
+const expiresInDaysValidation = body('expiresInDays')
+  .optional()
+  .isInt({ min: 1, max: 365 })
+  .withMessage('Expiry must be between 1 and 365 days')
+  .toInt();
+
+// GET /api/documents/:id/shares
+router.get('/:id/shares', async (req, res, next) => {
+  try {
+    const { grants, links } = await shareService.listShares(req.userId, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      grants,
+      links
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/documents/:id/shares
+router.post('/:id/shares', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Recipient email must be a valid email address'),
+  body('recipientType')
+    .optional()
+    .isIn(['User', 'Admin'])
+    .withMessage('Recipient type must be User or Admin'),
+  body('permission')
+    .optional()
+    .isIn(['View', 'Download'])
+    .withMessage('Permission must be View or Download'),
+  expiresInDaysValidation
+], validate, async (req, res, next) => {
+  try {
+    const grant = await shareService.shareDocument(
+      req.userId,
+      req.params.id,
+      req.body,
+      requestContext(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Document shared successfully',
+      grant
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/documents/:id/shares/:grantId
+router.delete('/:id/shares/:grantId', async (req, res, next) => {
+  try {
+    await shareService.revokeShare(
+      req.userId,
+      req.params.id,
+      req.params.grantId,
+      requestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Share revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/documents/:id/share-links
+router.post('/:id/share-links', [
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Label must be less than 100 characters'),
+  body('maxDownloads')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Max downloads must be between 1 and 100')
+    .toInt(),
+  expiresInDaysValidation
+], validate, async (req, res, next) => {
+  try {
+    const link = await shareService.createShareLink(
+      req.userId,
+      req.params.id,
+      req.body,
+      requestContext(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created successfully. The link is only shown once.',
+      link
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/documents/:id/share-links/:linkId
+router.delete('/:id/share-links/:linkId', async (req, res, next) => {
+  try {
+    await shareService.revokeShareLink(
+      req.userId,
+      req.params.id,
+      req.params.linkId,
+      requestContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Share link revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const Document = require('../models/Document');
+const { getStorageProvider } = require('../utils/storage');
+
+/**
+ * File Routes
+ *
+ * Serves files held by the local disk storage provider. Access is granted by
+ * the HMAC-signed, expiring URL produced by Document.generateSecureUrl, so
+ * no user authentication applies here.
+ */
+
+const router = express.Router();
+
+// GET /api/files/:publicId (public IDs contain a category folder, e.g. cv/<uuid>.pdf)
+router.get('/*', async (req, res, next) => {
+  try {
+    const publicId = req.params[0];
+    const storage = getStorageProvider('local');
+
+    if (!storage.verifySignature(publicId, req.query.expires, req.query.signature)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INVALID_FILE_SIGNATURE',
+          message: 'This download link is invalid or has expired'
+        }
+      });
+    }
+
+    // The file may be the current version of a document or a previous one
+    const document = await Document.findOne({
+      $or: [
+        { 'storage.provider': 'local', 'storage.publicId': publicId },
+        { versions: { $elemMatch: { 'storage.provider': 'local', 'storage.publicId': publicId } } }
+      ],
+      status: 'Active'
+    });
+    const file = document && document.listVersions()
+      .find(entry => entry.storage.publicId === publicId);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'FILE_NOT_FOUND',
+          message: 'File not found'
+        }
+      });
+    }
+
+    if (file.scanStatus !== 'Clean') {
+      return res.status(423).json({
+        success: false,
+        error: {
+          code: 'DOCUMENT_NOT_CLEAN',
+          message: file.scanStatus === 'Pending'
+            ? 'This file is still being scanned for malware, please try again shortly'
+            : 'This file failed the malware scan and cannot be downloaded'
+        }
+      });
+    }
+
+    res.setHeader('Content-Type', file.fileInfo.fileType);
+    res.setHeader('Content-Length', file.fileInfo.fileSize);
+    res.setHeader(
+      'Content-Disposition',
+      `inline; filename="${file.fileInfo.fileName}"`
+    );
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    const stream = storage.createReadStream(publicId);
+    stream.on('error', next);
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { singleFile } = require('../middleware/upload');
+const { validate } = require('../middleware/validate');
+const refereeService = require('../services/refereeService');
+
+/**
+ * Referee Routes
+ *
+ * Public endpoints behind the signed link emailed to referees. The token in
+ * the URL is the referee's only credential, so no user authentication applies.
+ */
+
+const router = express.Router();
+
+// GET /api/referees/:token
+router.get('/:token', async (req, res, next) => {
+  try {
+    const request = await refereeService.getRequestDetails(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      request
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/referees/:token/letter
+router.post('/:token/letter', singleFile('letter'), async (req, res, next) => {
+  try {
+    const reference = await refereeService.submitLetter(req.params.token, req.file);
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you, your recommendation letter has been received',
+      reference: {
+        status: reference.status,
+        submittedAt: reference.submittedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/referees/:token/decline
+router.post('/:token/decline', [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters')
+], validate, async (req, res, next) => {
+  try {
+    const reference = await refereeService.declineRequest(req.params.token, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      message: 'The reference request has been declined',
+      reference: {
+        status: reference.status,
+        declinedAt: reference.declinedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const shareService = require('../services/shareService');
+const { sendDocumentFile } = require('../utils/documentResponse');
+
+/**
+ * Shared Document Routes
+ *
+ * Serves documents through anonymous share links. The link token is the only
+ * credential, so no user authentication applies here; every download is
+ * logged on the document with accessType Share.
+ */
+
+const router = express.Router();
+
+// GET /api/shared/:token
+router.get('/:token', async (req, res, next) => {
+  try {
+    const document = await shareService.getSharedDocument(req.params.token, {
+      ipAddress: req.ip
+    });
+
+    res.status(200).json({
+      success: true,
+      document
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/shared/:token/download
+router.get('/:token/download', async (req, res, next) => {
+  try {
+    const opened = await shareService.openShareLink(req.params.token, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    await sendDocumentFile(res, next, opened, 'attachment');
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,59 @@
 const express = require('express');
+const { body } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { singleFile } = require('../middleware/upload');
+const { validate } = require('../middleware/validate');
+const Document = require('../models/Document');
+const documentService = require('../services/documentService');
+
+/**
+ * Upload Routes
+ *
+ * Handles students uploading documents (CVs, transcripts, degrees, ...) to
+ * their own account.
+ */
+
 const router = express.Router();
 
-// Placeholder routes for uploads
-router.post('/', (req, res) => {
-  res.status(200).json({ success: true, message: 'Upload endpoint placeholder' });
+// All upload routes require authentication
+router.use(authenticateToken);
+
+// POST /api/uploads
+router.post('/', singleFile('file'), [
+  body('category')
+    .isIn(Document.CATEGORIES)
+    .withMessage(`Category must be one of: ${Document.CATEGORIES.join(', ')}`),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters')
+], validate, async (req, res, next) => {
+  try {
+    const document = await documentService.uploadUserDocument(req.userId, req.file, {
+      category: req.body.category,
+      description: req.body.description
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully',
+      document: {
+        id: document._id,
+        originalName: document.fileInfo.originalName,
+        fileType: document.fileInfo.fileType,
+        fileSize: document.fileInfo.fileSize,
+        checksum: document.fileInfo.checksum,
+        category: document.metadata.category,
+        description: document.metadata.description,
+        scanStatus: document.security.scanStatus,
+        uploadedAt: document.uploadedAt
+      },
+      previewUrl: document.storage.thumbnailUrl || null
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
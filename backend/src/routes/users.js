@@ -1,13 +1,19 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const ApiKey = require('../models/ApiKey');
+const apiKeyService = require('../services/apiKeyService');
+const mfaService = require('../services/mfaService');
 const userService = require('../services/userService');
 
 /**
  * User Routes
  * 
- * Handles user profile management, dashboard data, and profile updates
- * following constitutional requirements for validation and security.
+ * Handles user profile management, dashboard data, profile updates,
+ * opt-in two-factor authentication and personal API keys following
+ * constitutional requirements for validation and security. API keys are
+ * managed from a signed-in session only; a key cannot manage keys.
  */
 
 const router = express.Router();
@@ -332,4 +338,148 @@ router.post('/work-experience', [
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// GET /api/users/mfa
+router.get('/mfa', async (req, res, next) => {
+  try {
+    const mfa = await mfaService.getStatusForUser(req.userId);
+
+    res.status(200).json({
+      success: true,
+      mfa
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/users/mfa/setup
+router.post('/mfa/setup', async (req, res, next) => {
+  try {
+    const { secret, otpauthUri } = await mfaService.setupForUser(req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then enter a code to turn on ' +
+        'two-factor',
+      secret,
+      otpauthUri
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/users/mfa/enable
+router.post('/mfa/enable', [
+  body('code').isString().notEmpty().withMessage('Code is required')
+], validate, async (req, res, next) => {
+  try {
+    const recoveryCodes = await mfaService.enableForUser(req.userId, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication is on. Store these recovery codes somewhere safe; ' +
+        'they are only shown once',
+      recoveryCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/users/mfa/disable
+router.post('/mfa/disable', [
+  body('password').isString().notEmpty().withMessage('Password is required'),
+  body('code').optional().isString().withMessage('Code must be a string'),
+  body('recoveryCode').optional().isString().withMessage('Recovery code must be a string'),
+  body()
+    .custom(value => !!value.code !== !!value.recoveryCode)
+    .withMessage('Provide either a code or a recovery code')
+], validate, async (req, res, next) => {
+  try {
+    await mfaService.disableForUser(req.userId, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication is off'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/users/mfa/trusted-devices
+router.delete('/mfa/trusted-devices', async (req, res, next) => {
+  try {
+    await mfaService.forgetTrustedDevices(req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Trusted devices forgotten; each will be asked for a code at next login'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/users/api-keys
+router.get('/api-keys', async (req, res, next) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys(req.userId);
+
+    res.status(200).json({
+      success: true,
+      apiKeys
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/users/api-keys
+router.post('/api-keys', [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(ApiKey.SCOPES)
+    .withMessage(`Scope must be one of: ${ApiKey.SCOPES.join(', ')}`),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+    .toInt()
+], validate, async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.createKey(req.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now; it will not be shown again',
+      apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/users/api-keys/:id
+router.delete('/api-keys/:id', async (req, res, next) => {
+  try {
+    await apiKeyService.revokeKey(req.userId, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,264 @@
+const User = require('../models/User');
+const authService = require('./authService');
+const emailService = require('./emailService');
+const ServiceError = require('../utils/serviceError');
+
+/**
+ * Account Lockout Service
+ *
+ * Protects student accounts against password guessing, complementing the
+ * per-IP authLimiter in app.js which cannot stop guesses spread over many
+ * addresses. Failed logins against one account are answered more and more
+ * slowly, and too many of them lock the account for a while.
+ *
+ * Constitutional Requirements:
+ * - Failed logins are counted per account, whatever address they come from
+ * - Students are emailed when their account locks, with a link to unlock it
+ * - Admins can see and unlock locked accounts; unlocks are activity logged
+ * - Error handling with user-friendly messages
+ */
+
+// Failed logins answered without delay before the delays start
+const FREE_ATTEMPTS = 3;
+
+// Longest delay before answering a failed login
+const MAX_DELAY_MS = 8 * 1000;
+
+class AccountLockoutService {
+  constructor() {
+    this.maxFailedAttempts = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 10;
+    this.lockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+  }
+
+  /**
+   * Refuse a login attempt while the account is locked
+   * @param {Object} user - User document
+   * @throws {ServiceError} When the account is locked
+   */
+  assertNotLocked(user) {
+    if (user.isLocked) {
+      throw this.accountLocked(user.security.lockedUntil);
+    }
+  }
+
+  /**
+   * Count a failed login (wrong password or second factor) against an account
+   *
+   * The response is delayed once the free attempts are used up, doubling with
+   * every further failure. The failure that reaches the limit locks the
+   * account and emails the student an unlock link.
+   *
+   * @param {Object} user - User document
+   * @throws {ServiceError} When this failure locked the account
+   */
+  async recordFailedLogin(user) {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - this.lockoutMinutes * 60 * 1000);
+
+    // An expired lock, or failures older than the lockout window, start the count afresh
+    await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'security.lockedUntil': { $lte: now } },
+          { 'security.lastFailedLoginAt': { $lte: windowStart } }
+        ]
+      },
+      {
+        $set: { 'security.failedLoginAttempts': 0 },
+        $unset: { 'security.lockedUntil': 1 }
+      }
+    );
+
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      {
+        $inc: { 'security.failedLoginAttempts': 1 },
+        $set: { 'security.lastFailedLoginAt': now }
+      },
+      { new: true }
+    );
+    const attempts = updated.security.failedLoginAttempts;
+
+    if (attempts >= this.maxFailedAttempts) {
+      throw this.accountLocked(await this.lock(updated));
+    }
+
+    await this.delay(attempts);
+  }
+
+  /**
+   * Clear the failed login count after a successful login
+   * @param {Object} user - User document
+   */
+  async recordSuccessfulLogin(user) {
+    if (!user.security?.failedLoginAttempts && !user.security?.lockedUntil) {
+      return;
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'security.failedLoginAttempts': 0 },
+        $unset: { 'security.lockedUntil': 1, 'security.lastFailedLoginAt': 1 }
+      }
+    );
+
+    // Keep the document in step, so a later save cannot restore the old count
+    user.security.failedLoginAttempts = 0;
+    user.security.lockedUntil = undefined;
+    user.security.lastFailedLoginAt = undefined;
+  }
+
+  /**
+   * Unlock an account from the link in the lockout email
+   * @param {string} token - Unlock token
+   * @returns {Promise<Object>} Unlocked user
+   * @throws {ServiceError} When the link is invalid or its lock already ended
+   */
+  async unlockWithToken(token) {
+    let decoded;
+    try {
+      decoded = authService.verifyUnlockToken(token);
+    } catch (error) {
+      throw this.invalidUnlockToken();
+    }
+
+    const user = await User.findById(decoded.id);
+
+    // Compare-and-swap on the lock the link was sent for, so each link works once
+    const result = user && await User.updateOne(
+      { _id: user._id, 'security.lockedUntil': new Date(decoded.lock) },
+      {
+        $set: { 'security.failedLoginAttempts': 0 },
+        $unset: { 'security.lockedUntil': 1, 'security.lastFailedLoginAt': 1 }
+      }
+    );
+
+    if (!result || result.modifiedCount !== 1) {
+      throw this.invalidUnlockToken();
+    }
+
+    return user;
+  }
+
+  /**
+   * List the student accounts that are currently locked, soonest to unlock first
+   * @returns {Promise<Array>} Locked accounts
+   */
+  async listLockedAccounts() {
+    const users = await User.find({ 'security.lockedUntil': { $gt: new Date() } })
+      .select('email profile.personalInfo.firstName profile.personalInfo.lastName security')
+      .sort({ 'security.lockedUntil': 1 });
+
+    return users.map(user => this.formatLockedAccount(user));
+  }
+
+  /**
+   * Unlock a student account on an admin's behalf
+   * @param {Object} actingAdmin - Admin unlocking the account
+   * @param {string} userId - User ID
+   * @param {Object} context - Request context (ipAddress, userAgent)
+   * @throws {ServiceError} When the user does not exist or is not locked
+   */
+  async unlockByAdmin(actingAdmin, userId, context) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new ServiceError('USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    if (!user.isLocked) {
+      throw new ServiceError('ACCOUNT_NOT_LOCKED', 'This account is not locked', 409);
+    }
+
+    const { lockedUntil } = user.security;
+    await this.recordSuccessfulLogin(user);
+
+    await actingAdmin.logActivity(
+      'account_unlocked',
+      'users',
+      user._id,
+      'User',
+      { lockedUntil },
+      context.ipAddress,
+      context.userAgent
+    );
+  }
+
+  /**
+   * Lock an account and email the student, unless a concurrent failure already did
+   * @param {Object} user - User document with the current failed login count
+   * @returns {Promise<Date>} End of the lock
+   */
+  async lock(user) {
+    const lockedUntil = new Date(Date.now() + this.lockoutMinutes * 60 * 1000);
+    const result = await User.updateOne(
+      { _id: user._id, 'security.lockedUntil': { $exists: false } },
+      { $set: { 'security.lockedUntil': lockedUntil } }
+    );
+
+    if (result.modifiedCount !== 1) {
+      return user.security.lockedUntil || lockedUntil;
+    }
+
+    user.security.lockedUntil = lockedUntil;
+    emailService.sendAccountLockedEmail(user, authService.generateUnlockToken(user))
+      .catch(error => console.error('Account locked email failed:', error.message));
+
+    return lockedUntil;
+  }
+
+  /**
+   * Wait before answering a failed login
+   * @param {number} attempts - Failed logins so far
+   * @returns {Promise<void>}
+   */
+  delay(attempts) {
+    if (attempts <= FREE_ATTEMPTS) {
+      return Promise.resolve();
+    }
+
+    const ms = Math.min(1000 * 2 ** (attempts - FREE_ATTEMPTS - 1), MAX_DELAY_MS);
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Summarise a locked account for API responses
+   * @param {Object} user - User document
+   * @returns {Object} Locked account summary
+   */
+  formatLockedAccount(user) {
+    return {
+      id: user._id,
+      email: user.email,
+      firstName: user.profile?.personalInfo?.firstName,
+      lastName: user.profile?.personalInfo?.lastName,
+      failedLoginAttempts: user.security.failedLoginAttempts,
+      lastFailedLoginAt: user.security.lastFailedLoginAt,
+      lockedUntil: user.security.lockedUntil
+    };
+  }
+
+  accountLocked(lockedUntil) {
+    return new ServiceError(
+      'ACCOUNT_LOCKED',
+      'Too many failed login attempts, please try again later or use the link we emailed you',
+      423,
+      { lockedUntil }
+    );
+  }
+
+  invalidUnlockToken() {
+    return new ServiceError(
+      'INVALID_UNLOCK_TOKEN',
+      'This unlock link is invalid or has already been used',
+      400
+    );
+  }
+}
+
+// Export singleton instance
+const accountLockoutService = new AccountLockoutService();
+
+module.exports = accountLockoutService;
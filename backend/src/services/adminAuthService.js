@@ -0,0 +1,408 @@
+const Admin = require('../models/Admin');
+const authService = require('./authService');
+const mfaService = require('./mfaService');
+const passwordPolicyService = require('./passwordPolicyService');
+const sessionService = require('./sessionService');
+const ServiceError = require('../utils/serviceError');
+
+/**
+ * Admin Authentication Service
+ *
+ * Handles admin login, session refresh and logout against the Admin model,
+ * separately from student authentication.
+ *
+ * Constitutional Requirements:
+ * - Admin tokens use their own audience and are never accepted for students
+ * - Accounts lock after repeated failed logins (see Admin.handleFailedLogin)
+ * - Logins and sessions are restricted to the admin's allowed IPs
+ * - Sessions end after security.sessionTimeout seconds without activity
+ * - Admins with MFA enabled must also pass a TOTP or one-time recovery code
+ * - Expired passwords must be changed before a login completes (see passwordPolicyService)
+ */
+
+// Name authenticator apps show for enrolled accounts
+const MFA_ISSUER = 'UniApply Hub Admin';
+
+// Hidden security fields the MFA step needs
+const MFA_FIELDS = '+security.mfaSecret +security.mfaLastUsedStep +security.mfaRecoveryCodes';
+
+class AdminAuthService {
+  /**
+   * Log an admin in with their username or email
+   *
+   * Admins with MFA enabled get an MFA challenge token instead of a session,
+   * to be exchanged with verifyMfa. Admins whose password expired get a
+   * password change token, to be exchanged with changeExpiredPassword.
+   *
+   * @param {Object} credentials - Login credentials (identifier, password)
+   * @param {Object} context - Request context (ipAddress, userAgent)
+   * @returns {Promise<Object>} Admin and either tokens, an MFA challenge or a
+   *   password change challenge ({ admin, tokens }, { admin, mfaRequired, mfaToken }
+   *   or { admin, passwordChangeRequired, passwordChangeToken })
+   */
+  async login({ identifier, password }, { ipAddress, userAgent }) {
+    const admin = await Admin.findByCredentials(identifier);
+
+    if (!admin) {
+      throw this.invalidCredentials();
+    }
+
+    if (admin.isLocked) {
+      throw this.accountLocked(admin);
+    }
+
+    if (!(await admin.verifyPassword(password))) {
+      await admin.handleFailedLogin();
+      throw admin.isLocked ? this.accountLocked(admin) : this.invalidCredentials();
+    }
+
+    if (admin.status !== 'active') {
+      throw new ServiceError('ACCOUNT_INACTIVE', 'This admin account is not active', 403);
+    }
+
+    if (!admin.isIPAllowed(ipAddress)) {
+      await admin.logActivity(
+        'login_denied',
+        'system',
+        null,
+        null,
+        { reason: 'IP address not allowed' },
+        ipAddress,
+        userAgent
+      );
+      throw this.ipNotAllowed();
+    }
+
+    if (admin.security.mfaEnabled) {
+      return {
+        admin,
+        mfaRequired: true,
+        mfaToken: authService.generateAdminMfaToken(admin)
+      };
+    }
+
+    if (passwordPolicyService.isExpired(admin)) {
+      return { admin, ...passwordPolicyService.passwordChangeChallenge(admin) };
+    }
+
+    await admin.handleSuccessfulLogin(ipAddress, userAgent);
+    const { tokens } = await sessionService.startSession(admin, { ipAddress, userAgent });
+
+    return { admin, tokens };
+  }
+
+  /**
+   * Complete an MFA login with a TOTP code or an unused recovery code
+   *
+   * Wrong codes count as failed logins towards the account lockout.
+   *
+   * @param {string} mfaToken - MFA challenge token from login
+   * @param {Object} credentials - Second factor ({ code } or { recoveryCode })
+   * @param {Object} context - Request context (ipAddress, userAgent)
+   * @returns {Promise<Object>} Admin, token pair and recovery codes left
+   *   ({ admin, tokens, recoveryCodesRemaining }), or a password change
+   *   challenge when the password expired ({ admin, passwordChangeRequired, passwordChangeToken })
+   */
+  async verifyMfa(mfaToken, { code, recoveryCode }, { ipAddress, userAgent }) {
+    let decoded;
+    try {
+      decoded = authService.verifyAdminMfaToken(mfaToken);
+    } catch (error) {
+      throw new ServiceError(
+        'INVALID_TOKEN',
+        'Invalid or expired login attempt, please log in again',
+        401
+      );
+    }
+
+    const admin = await Admin.findById(decoded.id).select(MFA_FIELDS);
+
+    if (!admin || admin.status !== 'active' || !admin.security.mfaEnabled) {
+      throw new ServiceError(
+        'INVALID_TOKEN',
+        'Invalid or expired login attempt, please log in again',
+        401
+      );
+    }
+
+    if (admin.isLocked) {
+      throw this.accountLocked(admin);
+    }
+
+    if (!admin.isIPAllowed(ipAddress)) {
+      throw this.ipNotAllowed();
+    }
+
+    // Consumed with a conditional update, so a code only ever completes one login
+    if (!(await mfaService.verifySecondFactor(admin, { code, recoveryCode }))) {
+      await admin.handleFailedLogin();
+      throw admin.isLocked
+        ? this.accountLocked(admin)
+        : new ServiceError('INVALID_MFA_CODE', 'Invalid authentication code', 401);
+    }
+
+    if (passwordPolicyService.isExpired(admin)) {
+      return { admin, ...passwordPolicyService.passwordChangeChallenge(admin) };
+    }
+
+    await admin.handleSuccessfulLogin(ipAddress, userAgent);
+    const { tokens } = await sessionService.startSession(admin, { ipAddress, userAgent });
+
+    return {
+      admin,
+      tokens,
+      recoveryCodesRemaining: admin.security.mfaRecoveryCodes.length
+    };
+  }
+
+  /**
+   * Replace an expired password and complete the login it interrupted
+   * @param {string} passwordChangeToken - Password change token from login or verifyMfa
+   * @param {string} newPassword - New password
+   * @param {Object} context - Request context (ipAddress, userAgent)
+   * @returns {Promise<Object>} Admin and token pair ({ admin, tokens })
+   */
+  async changeExpiredPassword(passwordChangeToken, newPassword, { ipAddress, userAgent }) {
+    const { subject: admin } = await passwordPolicyService.verifyPasswordChangeToken(
+      'Admin',
+      passwordChangeToken
+    );
+
+    if (!admin.isIPAllowed(ipAddress)) {
+      throw this.ipNotAllowed();
+    }
+
+    if (!(await passwordPolicyService.setNewPassword(admin, newPassword))) {
+      throw passwordPolicyService.invalidToken();
+    }
+
+    await sessionService.revokeAll(admin, 'password_changed');
+    await admin.handleSuccessfulLogin(ipAddress, userAgent);
+    const { tokens } = await sessionService.startSession(admin, { ipAddress, userAgent });
+
+    return { admin, tokens };
+  }
+
+  /**
+   * Change an admin's password, signing out their other sessions
+   * @param {Object} sessionAdmin - Admin document of the current session
+   * @param {Object} session - Session document of the request
+   * @param {Object} passwords - Password change data (currentPassword, newPassword)
+   * @param {Object} context - Request context (ipAddress, userAgent)
+   */
+  async changePassword(sessionAdmin, session, passwords, { ipAddress, userAgent }) {
+    const { currentPassword, newPassword } = passwords;
+    const admin = await passwordPolicyService.findWithPasswordHistory('Admin', sessionAdmin._id);
+
+    if (!(await admin.verifyPassword(currentPassword))) {
+      throw new ServiceError('INVALID_PASSWORD', 'Current password is incorrect', 400);
+    }
+
+    if (!(await passwordPolicyService.setNewPassword(admin, newPassword))) {
+      throw new ServiceError(
+        'PASSWORD_CHANGED',
+        'Your password was changed by another request, please try again',
+        409
+      );
+    }
+
+    await sessionService.revokeOtherSessions('Admin', admin._id, session._id, 'password_changed');
+    await admin.logActivity('password_changed', 'system', null, null, null, ipAddress, userAgent);
+  }
+
+  /**
+   * Start MFA enrollment by generating a new TOTP secret
+   *
+   * MFA is only enabled once a code from the secret is confirmed with enableMfa.
+   *
+   * @param {Object} admin - Admin document
+   * @returns {Promise<Object>} Secret and otpauth URI, also the QR code payload
+   *   ({ secret, otpauthUri })
+   */
+  async setupMfa(admin) {
+    if (admin.security.mfaEnabled) {
+      throw this.mfaAlreadyEnabled();
+    }
+
+    const enrollment = mfaService.createEnrollment(admin.email, MFA_ISSUER);
+    admin.security.mfaSecret = enrollment.secret;
+    await admin.save();
+
+    return enrollment;
+  }
+
+  /**
+   * Finish MFA enrollment by confirming a code from the new secret
+   * @param {Object} sessionAdmin - Admin document of the current session
+   * @param {string} code - TOTP code
+   * @param {Object} context - Request context (ipAddress, userAgent)
+   * @returns {Promise<string[]>} Recovery codes, only ever returned here
+   */
+  async enableMfa(sessionAdmin, code, { ipAddress, userAgent }) {
+    const admin = await Admin.findById(sessionAdmin._id).select(MFA_FIELDS);
+
+    if (admin.security.mfaEnabled) {
+      throw this.mfaAlreadyEnabled();
+    }
+
+    if (!admin.security.mfaSecret) {
+      throw new ServiceError('MFA_NOT_SET_UP', 'Set up MFA before enabling it', 400);
+    }
+
+    if (!(await mfaService.useTotpCode(admin, code))) {
+      throw new ServiceError('INVALID_MFA_CODE', 'Invalid authentication code', 400);
+    }
+
+    const recoveryCodes = mfaService.enable(admin.security);
+    admin.recordActivity('mfa_enabled', 'system', null, null, null, ipAddress, userAgent);
+    await admin.save();
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Exchange an admin refresh token for a new token pair
+   *
+   * Refreshing rotates the refresh token but is not admin activity, so it
+   * never extends an idle session.
+   *
+   * @param {string} refreshToken - Admin refresh token
+   * @param {Object} context - Request context (ipAddress)
+   * @returns {Promise<Object>} New token pair
+   */
+  async refresh(refreshToken, { ipAddress }) {
+    let decoded;
+    try {
+      decoded = authService.verifyAdminRefreshToken(refreshToken);
+    } catch (error) {
+      throw new ServiceError('INVALID_TOKEN', 'Invalid or expired refresh token', 401);
+    }
+
+    const { admin } = await this.getSessionAdmin(decoded, ipAddress);
+    const session = await sessionService.rotate('Admin', decoded);
+
+    return sessionService.issueTokens(admin, session);
+  }
+
+  /**
+   * Authenticate an admin access token and record the request as activity
+   * @param {string} accessToken - Admin access token
+   * @param {Object} context - Request context (ipAddress)
+   * @returns {Promise<Object>} Admin and their session ({ admin, session })
+   */
+  async authenticate(accessToken, { ipAddress }) {
+    let decoded;
+    try {
+      decoded = authService.verifyAdminAccessToken(accessToken);
+    } catch (error) {
+      throw error.message === 'ACCESS_TOKEN_EXPIRED'
+        ? new ServiceError('TOKEN_EXPIRED', 'Authentication token has expired', 401)
+        : new ServiceError('INVALID_TOKEN', 'Invalid authentication token', 401);
+    }
+
+    const { admin, session } = await this.getSessionAdmin(decoded, ipAddress);
+
+    if (await sessionService.touch(session)) {
+      admin.lastActiveAt = session.lastSeenAt;
+      await Admin.updateOne({ _id: admin._id }, { $set: { lastActiveAt: admin.lastActiveAt } });
+    }
+
+    return { admin, session };
+  }
+
+  /**
+   * End an admin's session
+   * @param {Object} admin - Admin document
+   * @param {Object} session - Session document of the request
+   * @param {Object} context - Request context (ipAddress, userAgent)
+   */
+  async logout(admin, session, { ipAddress, userAgent }) {
+    await session.revoke('logout');
+    await admin.logActivity('logout', 'system', null, null, null, ipAddress, userAgent);
+  }
+
+  /**
+   * Load the admin a token belongs to and check its session is still usable
+   * @param {Object} decoded - Decoded admin token
+   * @param {string} ipAddress - Request IP address
+   * @returns {Promise<Object>} Admin and their session ({ admin, session })
+   * @throws {ServiceError} When the session is no longer valid
+   */
+  async getSessionAdmin(decoded, ipAddress) {
+    const admin = await Admin.findById(decoded.id);
+
+    if (!admin || admin.status !== 'active') {
+      throw sessionService.sessionInvalid();
+    }
+
+    const session = await sessionService.authenticate('Admin', decoded);
+
+    if (!admin.isIPAllowed(ipAddress)) {
+      throw this.ipNotAllowed();
+    }
+
+    const idleMs = Date.now() - session.lastSeenAt.getTime();
+    if (idleMs > admin.security.sessionTimeout * 1000) {
+      // End the idle session so its refresh token cannot revive it
+      await session.revoke('idle_timeout');
+      throw new ServiceError(
+        'SESSION_EXPIRED',
+        'Your session has expired due to inactivity, please log in again',
+        401
+      );
+    }
+
+    return { admin, session };
+  }
+
+  /**
+   * Summarise an admin for API responses
+   * @param {Object} admin - Admin document
+   * @returns {Object} Admin summary
+   */
+  formatAdmin(admin) {
+    return {
+      id: admin._id,
+      username: admin.username,
+      email: admin.email,
+      firstName: admin.profile.firstName,
+      lastName: admin.profile.lastName,
+      role: admin.role,
+      lastLoginAt: admin.lastLoginAt,
+      sessionTimeout: admin.security.sessionTimeout,
+      mfaEnabled: !!admin.security.mfaEnabled,
+      passwordExpired: passwordPolicyService.isExpired(admin),
+      passwordExpiresAt: passwordPolicyService.getExpiry(admin)
+    };
+  }
+
+  invalidCredentials() {
+    return new ServiceError('INVALID_CREDENTIALS', 'Invalid username or password', 401);
+  }
+
+  accountLocked(admin) {
+    return new ServiceError(
+      'ACCOUNT_LOCKED',
+      'Too many failed login attempts, please try again later',
+      423,
+      { lockedUntil: admin.security.lockedUntil }
+    );
+  }
+
+  mfaAlreadyEnabled() {
+    return new ServiceError('MFA_ALREADY_ENABLED', 'MFA is already enabled', 409);
+  }
+
+  ipNotAllowed() {
+    return new ServiceError(
+      'IP_NOT_ALLOWED',
+      'Admin access is not allowed from this IP address',
+      403
+    );
+  }
+}
+
+// Export singleton instance
+const adminAuthService = new AdminAuthService();
+
+module.exports = adminAuthService;
@@ -0,0 +1,159 @@
+const Admin = require('../models/Admin');
+const mfaService = require('./mfaService');
+const sessionService = require('./sessionService');
+const ServiceError = require('../utils/serviceError');
+
+/**
+ * Admin Service
+ *
+ * Handles managing admin accounts: their roles, the custom permissions that
+ * override their role defaults, and resetting MFA for admins who lost their
+ * authenticator.
+ *
+ * Constitutional Requirements:
+ * - Role-based access control with granular permissions
+ * - Every change is recorded in the acting admin's activity log
+ * - Error handling with user-friendly messages
+ */
+
+class AdminService {
+  /**
+   * Get an admin's effective permissions
+   * @param {string} adminId - Admin ID
+   * @returns {Promise<Object>} Permission summary
+   */
+  async getPermissions(adminId) {
+    return this.formatPermissions(await this.getAdmin(adminId));
+  }
+
+  /**
+   * Change an admin's role, resetting their role permissions to its defaults
+   * @param {Object} actingAdmin - Admin making the change
+   * @param {string} adminId - Admin ID
+   * @param {string} role - New role
+   * @param {Object} context - Request context (ipAddress, userAgent)
+   * @returns {Promise<Object>} Permission summary
+   */
+  async updateRole(actingAdmin, adminId, role, context) {
+    const admin = await this.getAdmin(adminId);
+
+    // Otherwise the last super_admin could lock everyone out of admin management
+    if (admin._id.equals(actingAdmin._id)) {
+      throw new ServiceError('CANNOT_CHANGE_OWN_ROLE', 'You cannot change your own role', 400);
+    }
+
+    const previousRole = admin.role;
+    admin.setRole(role);
+    await admin.save();
+
+    await actingAdmin.logActivity(
+      'role_changed',
+      'system',
+      admin._id,
+      'Admin',
+      { from: previousRole, to: role },
+      context.ipAddress,
+      context.userAgent
+    );
+
+    return this.formatPermissions(admin);
+  }
+
+  /**
+   * Set or clear custom permissions overriding an admin's role defaults
+   * @param {Object} actingAdmin - Admin making the change
+   * @param {string} adminId - Admin ID
+   * @param {Array} permissions - Overrides ({ module, action, allowed }); allowed null clears one
+   * @param {Object} context - Request context (ipAddress, userAgent)
+   * @returns {Promise<Object>} Permission summary
+   */
+  async updateCustomPermissions(actingAdmin, adminId, permissions, context) {
+    const admin = await this.getAdmin(adminId);
+
+    for (const { module, action, allowed } of permissions) {
+      const key = Admin.permissionKey(module, action);
+      if (allowed === null || allowed === undefined) {
+        admin.customPermissions.delete(key);
+      } else {
+        admin.customPermissions.set(key, allowed);
+      }
+    }
+    await admin.save();
+
+    await actingAdmin.logActivity(
+      'permissions_changed',
+      'system',
+      admin._id,
+      'Admin',
+      { permissions },
+      context.ipAddress,
+      context.userAgent
+    );
+
+    return this.formatPermissions(admin);
+  }
+
+  /**
+   * Turn off an admin's MFA so they can log in with their password and enroll
+   * again. Their sessions end, in case one is on the lost device.
+   * @param {Object} actingAdmin - Admin making the change
+   * @param {string} adminId - Admin ID
+   * @param {Object} context - Request context (ipAddress, userAgent)
+   */
+  async resetMfa(actingAdmin, adminId, context) {
+    const admin = await this.getAdmin(adminId);
+
+    mfaService.disable(admin.security);
+    await admin.save();
+    await sessionService.revokeAll(admin, 'mfa_reset');
+
+    await actingAdmin.logActivity(
+      'mfa_reset',
+      'system',
+      admin._id,
+      'Admin',
+      null,
+      context.ipAddress,
+      context.userAgent
+    );
+  }
+
+  /**
+   * Get an admin by ID
+   * @param {string} adminId - Admin ID
+   * @returns {Promise<Object>} Admin
+   * @throws {ServiceError} When the admin does not exist
+   */
+  async getAdmin(adminId) {
+    const admin = await Admin.findById(adminId);
+
+    if (!admin) {
+      throw new ServiceError('ADMIN_NOT_FOUND', 'Admin not found', 404);
+    }
+
+    return admin;
+  }
+
+  /**
+   * Summarise an admin's permissions for API responses
+   * @param {Object} admin - Admin document
+   * @returns {Object} Permission summary
+   */
+  formatPermissions(admin) {
+    return {
+      admin: {
+        id: admin._id,
+        username: admin.username,
+        email: admin.email,
+        role: admin.role
+      },
+      permissions: admin.getPermissionMatrix(),
+      customPermissions: Object.fromEntries(admin.customPermissions || [])
+    };
+  }
+}
+
+// Export singleton instance
+const adminService = new AdminService();
+
+module.exports = adminService;
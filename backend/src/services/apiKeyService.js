@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const ServiceError = require('../utils/serviceError');
+
+/**
+ * API Key Service
+ *
+ * Handles students' personal API keys: creating, listing and revoking them,
+ * and authenticating integrations that send one in the X-API-Key header.
+ *
+ * Constitutional Requirements:
+ * - Keys are never stored, only their SHA-256 hash; a key is shown once
+ * - A key only reads the resources its scopes allow
+ * - Revoked keys stop working immediately
+ * - Error handling with user-friendly messages
+ */
+
+// Marks UniApply Hub API keys, so leaked keys are easy to recognise
+const KEY_PREFIX = 'uak_';
+
+// Characters of a key kept in the clear, so students can tell keys apart
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+// Active keys a student may have at once
+const MAX_ACTIVE_KEYS = 10;
+
+// lastUsedAt is only written when it is at least this old, to save a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+class ApiKeyService {
+  /**
+   * Create an API key for a student
+   * @param {string} userId - User ID
+   * @param {Object} data - Key details (name, scopes, expiresInDays)
+   * @returns {Promise<Object>} Created key, including the key itself (only returned once)
+   */
+  async createKey(userId, { name, scopes, expiresInDays }) {
+    const activeKeys = await ApiKey.findActive(userId);
+    if (activeKeys.length >= MAX_ACTIVE_KEYS) {
+      throw new ServiceError(
+        'API_KEY_LIMIT_REACHED',
+        `You can have at most ${MAX_ACTIVE_KEYS} API keys, please revoke one first`,
+        409
+      );
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      userId,
+      name,
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      keyHash: this.hashKey(key),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : undefined
+    });
+
+    return { ...this.formatKey(apiKey), key };
+  }
+
+  /**
+   * List a student's API keys that can still be used
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Key summaries
+   */
+  async listKeys(userId) {
+    const apiKeys = await ApiKey.findActive(userId);
+    return apiKeys.map(apiKey => this.formatKey(apiKey));
+  }
+
+  /**
+   * Revoke one of a student's API keys
+   * @param {string} userId - User ID
+   * @param {string} keyId - API key ID
+   * @throws {ServiceError} When the key does not exist or is no longer active
+   */
+  async revokeKey(userId, keyId) {
+    const result = mongoose.isValidObjectId(keyId) && await ApiKey.updateOne(
+      { _id: keyId, userId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    if (!result || result.modifiedCount !== 1) {
+      throw new ServiceError('API_KEY_NOT_FOUND', 'API key not found', 404);
+    }
+  }
+
+  /**
+   * Authenticate a request made with an API key
+   * @param {string} key - Key from the X-API-Key header
+   * @param {string} scope - Scope the request needs, e.g. 'applications:read'
+   * @param {Object} context - Request context (ipAddress)
+   * @returns {Promise<Object>} Key owner and key ({ user, apiKey })
+   * @throws {ServiceError} When the key is invalid or lacks the scope
+   */
+  async authenticate(key, scope, { ipAddress }) {
+    const apiKey = typeof key === 'string' && key.startsWith(KEY_PREFIX)
+      ? await ApiKey.findOne({ keyHash: this.hashKey(key) })
+      : null;
+    const user = apiKey?.isActive ? await User.findById(apiKey.userId) : null;
+
+    if (!user) {
+      throw new ServiceError('INVALID_API_KEY', 'Invalid, expired or revoked API key', 401);
+    }
+
+    if (!apiKey.hasScope(scope)) {
+      throw new ServiceError(
+        'INSUFFICIENT_SCOPE',
+        'This API key does not have access to this resource',
+        403,
+        { required: scope }
+      );
+    }
+
+    await this.touch(apiKey, ipAddress);
+
+    return { user, apiKey };
+  }
+
+  /**
+   * Record that a key is in use
+   * @param {Object} apiKey - API key document
+   * @param {string} ipAddress - Request IP address
+   */
+  async touch(apiKey, ipAddress) {
+    const now = new Date();
+    if (apiKey.lastUsedAt && now - apiKey.lastUsedAt < LAST_USED_RESOLUTION_MS) {
+      return;
+    }
+
+    apiKey.lastUsedAt = now;
+    apiKey.lastUsedIp = ipAddress;
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: now, lastUsedIp: ipAddress } }
+    );
+  }
+
+  /**
+   * Hash an API key for storage and lookup
+   * @param {string} key - API key
+   * @returns {string} Hex encoded SHA-256 hash
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  /**
+   * Summarise an API key for API responses
+   * @param {Object} apiKey - API key document
+   * @returns {Object} Key summary
+   */
+  formatKey(apiKey) {
+    return {
+      id: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      createdAt: apiKey.createdAt,
+      expiresAt: apiKey.expiresAt,
+      lastUsedAt: apiKey.lastUsedAt,
+      lastUsedIp: apiKey.lastUsedIp
+    };
+  }
+}
+
+// Export singleton instance
+const apiKeyService = new ApiKeyService();
+
+module.exports = apiKeyService;
@@ -0,0 +1,541 @@
+const Application = require('../models/Application');
+const University = require('../models/University');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const emailVerificationService = require('./emailVerificationService');
+const refereeService = require('./refereeService');
+const ServiceError = require('../utils/serviceError');
+
+/**
+ * Application Service
+ *
+ * Handles the application lifecycle: creating and editing drafts, and every
+ * status transition from submission through to the final decision.
+ *
+ * Constitutional Requirements:
+ * - Students may only ever see and modify their own applications
+ * - Only draft applications can be edited or deleted
+ * - All status changes go through transitionStatus and the model's transition table
+ * - Error handling with user-friendly messages
+ */
+
+// Fields a student may change on a draft application (responses are merged by question,
+// references go through the reference endpoints so referees are emailed)
+const EDITABLE_FIELDS = ['personalStatement', 'additionalDocuments'];
+
+// Maximum number of referees on one application
+const MAX_REFERENCES = 10;
+
+// Model submission and transition errors mapped to HTTP status codes
+const MODEL_ERROR_STATUS = {
+  APPLICATION_NOT_DRAFT: 409,
+  APPLICATION_INCOMPLETE: 422,
+  DEADLINE_PASSED: 422,
+  INVALID_STATUS_TRANSITION: 409,
+  INVALID_RESPONSES: 422
+};
+
+// Statuses each kind of actor may move an application into
+const ACTOR_TARGET_STATUSES = {
+  User: ['Submitted', 'Withdrawn'],
+  Admin: ['Under Review', 'Accepted', 'Rejected', 'Waitlisted'],
+  System: Application.STATUSES
+};
+
+// Target statuses the applicant is emailed about
+const NOTIFY_APPLICANT_STATUSES = [
+  'Submitted', 'Under Review', 'Accepted', 'Rejected', 'Waitlisted'
+];
+
+class ApplicationService {
+  /**
+   * Create a draft application for a university program
+   * @param {string} userId - Applicant user ID
+   * @param {Object} data - Application data (universityId, programId, personalStatement)
+   * @returns {Promise<Object>} Created application
+   */
+  async createApplication(userId, data) {
+    const { universityId, programId, personalStatement } = data;
+
+    const university = await University.findById(universityId);
+    const program = university?.programs.id(programId);
+
+    if (!program || !program.isActive) {
+      throw new ServiceError('PROGRAM_NOT_FOUND', 'University program not found', 404);
+    }
+
+    const deadline = program.deadlines?.applicationDeadline;
+    if (!deadline) {
+      throw new ServiceError(
+        'PROGRAM_NOT_OPEN',
+        'This program is not currently accepting applications',
+        422
+      );
+    }
+
+    if (deadline < new Date()) {
+      throw new ServiceError('DEADLINE_PASSED', 'The application deadline has passed', 422);
+    }
+
+    const existing = await Application.exists({ userId, universityId, programId });
+    if (existing) {
+      throw new ServiceError(
+        'APPLICATION_EXISTS',
+        'You already have an application for this program',
+        409
+      );
+    }
+
+    const application = await Application.create({
+      userId,
+      universityId,
+      programId,
+      applicationData: { personalStatement },
+      deadlines: {
+        application: deadline,
+        documents: program.deadlines?.documentDeadline
+      }
+    });
+
+    await User.updateOne({ _id: userId }, { $addToSet: { applications: application._id } });
+
+    return application;
+  }
+
+  /**
+   * List the applications owned by a user
+   * @param {string} userId - Applicant user ID
+   * @param {Object} query - Filters (status, page, limit)
+   * @returns {Promise<Object>} Applications with pagination data
+   */
+  async listApplications(userId, query = {}) {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 10, 1), 50);
+    const filter = { userId };
+    if (query.status) {
+      filter.status = query.status;
+    }
+
+    const [applications, totalItems] = await Promise.all([
+      Application.findByUser(userId, {
+        status: query.status,
+        limit,
+        skip: (page - 1) * limit
+      }),
+      Application.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.max(Math.ceil(totalItems / limit), 1);
+
+    return {
+      applications,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Get a single application owned by the user
+   * @param {string} userId - Applicant user ID
+   * @param {string} applicationId - Application ID
+   * @returns {Promise<Object>} Application document
+   * @throws {ServiceError} When the application does not exist or is not owned by the user
+   */
+  async getApplication(userId, applicationId) {
+    const application = await Application.findOne({ _id: applicationId, userId })
+      .populate('universityId', 'name country region');
+
+    if (!application) {
+      throw new ServiceError('APPLICATION_NOT_FOUND', 'Application not found', 404);
+    }
+
+    return application;
+  }
+
+  /**
+   * Build the per-requirement checklist for an application
+   * @param {Object} application - Application document
+   * @returns {Promise<Object>} Completion percentage, checklist and missing items
+   */
+  async getRequirementSummary(application) {
+    await application.refreshCompletion();
+    return application.getRequirementSummary();
+  }
+
+  /**
+   * Update a draft application
+   * @param {string} userId - Applicant user ID
+   * @param {string} applicationId - Application ID
+   * @param {Object} updates - Application data updates
+   * @returns {Promise<Object>} Updated application
+   */
+  async updateApplication(userId, applicationId, updates) {
+    const application = await this.getApplication(userId, applicationId);
+    this.assertDraft(application, 'Only draft applications can be edited');
+
+    if (updates.additionalDocuments) {
+      await this.assertDocumentsOwned(userId, updates.additionalDocuments);
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (updates[field] !== undefined) {
+        application.applicationData[field] = updates[field];
+      }
+    }
+
+    if (updates.responses) {
+      await application.loadRequirementContext();
+      application.syncQuestions();
+      this.applyAnswers(application, updates.responses);
+    }
+
+    try {
+      await application.save();
+    } catch (error) {
+      throw this.translateModelError(error);
+    }
+    return application;
+  }
+
+  /**
+   * Write answers onto the application's seeded question responses
+   * @param {Object} application - Application document
+   * @param {Array<Object>} answers - Answers as { questionId, answer }
+   * @throws {ServiceError} When an answer targets a question the program does not ask
+   */
+  applyAnswers(application, answers) {
+    for (const { questionId, answer } of answers) {
+      const response = application.applicationData.responses
+        .find(resp => resp.questionId && resp.questionId.toString() === String(questionId));
+
+      if (!response) {
+        throw new ServiceError(
+          'UNKNOWN_QUESTION',
+          'One or more answers refer to a question this program does not ask',
+          400,
+          [{ field: 'responses', message: `Unknown question ${questionId}` }]
+        );
+      }
+
+      response.answer = answer;
+    }
+  }
+
+  /**
+   * Add a referee to a draft application and email them a request
+   * @param {string} userId - Applicant user ID
+   * @param {string} applicationId - Application ID
+   * @param {Object} data - Referee details (refereeeName, refereeEmail, relationship)
+   * @returns {Promise<Object>} Application, new reference and whether the request was sent
+   */
+  async addReference(userId, applicationId, data) {
+    const application = await this.getApplication(userId, applicationId);
+    this.assertDraft(application, 'References can only be added to draft applications');
+
+    const { references } = application.applicationData;
+    const refereeEmail = data.refereeEmail.toLowerCase();
+
+    if (references.some(ref => ref.refereeEmail === refereeEmail)) {
+      throw new ServiceError(
+        'REFERENCE_EXISTS',
+        'This referee is already listed on the application',
+        409
+      );
+    }
+
+    if (references.length >= MAX_REFERENCES) {
+      throw new ServiceError(
+        'TOO_MANY_REFERENCES',
+        `An application can list at most ${MAX_REFERENCES} referees`,
+        422
+      );
+    }
+
+    references.push({
+      refereeeName: data.refereeeName,
+      refereeEmail,
+      relationship: data.relationship
+    });
+    const reference = references[references.length - 1];
+    await application.save();
+
+    const requestSent = await refereeService.sendRequest(application, reference);
+
+    return { application, reference, requestSent };
+  }
+
+  /**
+   * Email a referee a fresh link, replacing the previous one
+   * @param {string} userId - Applicant user ID
+   * @param {string} applicationId - Application ID
+   * @param {string} referenceId - Reference ID
+   * @returns {Promise<Object>} Reference and whether the request was sent
+   */
+  async resendReferenceRequest(userId, applicationId, referenceId) {
+    const application = await this.getApplication(userId, applicationId);
+    const reference = this.getReference(application, referenceId);
+
+    if (reference.status !== 'Pending') {
+      throw new ServiceError(
+        'REFERENCE_ALREADY_COMPLETED',
+        `This referee has already ${reference.status.toLowerCase()} the request`,
+        409
+      );
+    }
+
+    if (Application.getAllowedTransitions(application.status).length === 0) {
+      throw new ServiceError(
+        'REFERENCE_REQUEST_CLOSED',
+        'This application is no longer accepting references',
+        409
+      );
+    }
+
+    const requestSent = await refereeService.sendRequest(application, reference);
+
+    return { reference, requestSent };
+  }
+
+  /**
+   * Remove a referee from a draft application
+   * @param {string} userId - Applicant user ID
+   * @param {string} applicationId - Application ID
+   * @param {string} referenceId - Reference ID
+   * @returns {Promise<Object>} Updated application
+   */
+  async removeReference(userId, applicationId, referenceId) {
+    const application = await this.getApplication(userId, applicationId);
+    this.assertDraft(application, 'References can only be removed from draft applications');
+
+    // Removing the subdocument also invalidates any link the referee was sent
+    this.getReference(application, referenceId).deleteOne();
+    await application.save();
+
+    return application;
+  }
+
+  /**
+   * Find a reference on an application
+   * @param {Object} application - Application document
+   * @param {string} referenceId - Reference ID
+   * @returns {Object} Reference subdocument
+   * @throws {ServiceError} When the reference does not exist
+   */
+  getReference(application, referenceId) {
+    const reference = application.applicationData.references.id(referenceId);
+
+    if (!reference) {
+      throw new ServiceError('REFERENCE_NOT_FOUND', 'Reference not found', 404);
+    }
+
+    return reference;
+  }
+
+  /**
+   * Delete a draft application
+   * @param {string} userId - Applicant user ID
+   * @param {string} applicationId - Application ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteApplication(userId, applicationId) {
+    const application = await this.getApplication(userId, applicationId);
+    this.assertDraft(application, 'Only draft applications can be deleted');
+
+    await application.deleteOne();
+    await User.updateOne({ _id: userId }, { $pull: { applications: application._id } });
+
+    return true;
+  }
+
+  /**
+   * Submit a draft application for review, once the applicant's email is verified
+   * @param {string} userId - Applicant user ID
+   * @param {string} applicationId - Application ID
+   * @returns {Promise<Object>} Submitted application
+   */
+  async submitApplication(userId, applicationId) {
+    const application = await this.getApplication(userId, applicationId);
+    await emailVerificationService.assertVerified(
+      userId,
+      'Verify your email address before submitting applications'
+    );
+
+    return this.transitionStatus(application, 'Submitted', { id: userId, type: 'User' });
+  }
+
+  /**
+   * Withdraw an application on behalf of the applicant
+   * @param {string} userId - Applicant user ID
+   * @param {string} applicationId - Application ID
+   * @param {string} reason - Optional withdrawal reason
+   * @returns {Promise<Object>} Withdrawn application
+   */
+  async withdrawApplication(userId, applicationId, reason) {
+    const application = await this.getApplication(userId, applicationId);
+
+    return this.transitionStatus(application, 'Withdrawn', { id: userId, type: 'User' }, reason);
+  }
+
+  /**
+   * Change the status of any application as an administrator
+   * @param {string} applicationId - Application ID
+   * @param {string} toStatus - Target status
+   * @param {string} adminId - Acting admin ID
+   * @param {string} reason - Optional reason recorded in the status history
+   * @returns {Promise<Object>} Updated application
+   */
+  async updateStatusAsAdmin(applicationId, toStatus, adminId, reason) {
+    const application = await Application.findById(applicationId)
+      .populate('universityId', 'name country region');
+
+    if (!application) {
+      throw new ServiceError('APPLICATION_NOT_FOUND', 'Application not found', 404);
+    }
+
+    return this.transitionStatus(application, toStatus, { id: adminId, type: 'Admin' }, reason);
+  }
+
+  /**
+   * Move an application to a new status
+   *
+   * This is the single entry point for status changes. It checks the transition
+   * table and the actor's rights, records actor and reason in the status history
+   * and runs the side effects of the new status.
+   *
+   * @param {Object} application - Application document
+   * @param {string} toStatus - Target status
+   * @param {Object} actor - Acting party ({ id, type: 'User' | 'Admin' | 'System' })
+   * @param {string} reason - Optional reason recorded in the status history
+   * @returns {Promise<Object>} Updated application
+   * @throws {ServiceError} INVALID_STATUS_TRANSITION or TRANSITION_NOT_PERMITTED
+   */
+  async transitionStatus(application, toStatus, actor, reason = undefined) {
+    const fromStatus = application.status;
+
+    if (!Application.canTransition(fromStatus, toStatus)) {
+      throw new ServiceError(
+        'INVALID_STATUS_TRANSITION',
+        `Cannot change application status from ${fromStatus} to ${toStatus}`,
+        409,
+        { from: fromStatus, to: toStatus, allowed: Application.getAllowedTransitions(fromStatus) }
+      );
+    }
+
+    if (!(ACTOR_TARGET_STATUSES[actor.type] || []).includes(toStatus)) {
+      throw new ServiceError(
+        'TRANSITION_NOT_PERMITTED',
+        `You are not allowed to move an application to ${toStatus}`,
+        403
+      );
+    }
+
+    try {
+      if (toStatus === 'Submitted') {
+        await application.refreshCompletion();
+        await application.snapshotDocuments();
+        await application.submitApplication(actor.id, reason);
+      } else {
+        application.status = toStatus;
+        if (toStatus === 'Withdrawn') {
+          application.withdrawnAt = new Date();
+        }
+        application.$locals.statusChange = { actorId: actor.id, actorType: actor.type, reason };
+        await application.save();
+      }
+    } catch (error) {
+      throw this.translateModelError(error);
+    }
+
+    this.runTransitionSideEffects(application, fromStatus, toStatus);
+
+    return application;
+  }
+
+  /**
+   * Run the side effects of a completed transition without blocking the caller
+   * @param {Object} application - Application document
+   * @param {string} fromStatus - Previous status
+   * @param {string} toStatus - New status
+   */
+  runTransitionSideEffects(application, fromStatus, toStatus) {
+    if (!NOTIFY_APPLICANT_STATUSES.includes(toStatus)) {
+      return;
+    }
+
+    User.findById(application.userId)
+      .then(user => {
+        if (!user || user.profile?.contactPreferences?.emailNotifications === false) {
+          return null;
+        }
+        return emailService.sendApplicationStatusUpdate(user, application, toStatus);
+      })
+      .catch(error => console.error(
+        `Status email for ${fromStatus} -> ${toStatus} failed:`,
+        error.message
+      ));
+  }
+
+  /**
+   * Convert coded errors raised by the Application model into service errors
+   * @param {Error} error - Error thrown while saving or submitting
+   * @returns {Error} ServiceError for known codes, the original error otherwise
+   */
+  translateModelError(error) {
+    if (MODEL_ERROR_STATUS[error.code]) {
+      return new ServiceError(
+        error.code,
+        error.message,
+        MODEL_ERROR_STATUS[error.code],
+        error.details
+      );
+    }
+    return error;
+  }
+
+  /**
+   * Ensure an application is still a draft
+   * @param {Object} application - Application document
+   * @param {string} message - Error message when it is not
+   * @throws {ServiceError} When the application is not a draft
+   */
+  assertDraft(application, message) {
+    if (application.status !== 'Draft') {
+      throw new ServiceError('APPLICATION_NOT_DRAFT', message, 409);
+    }
+  }
+
+  /**
+   * Ensure every referenced document belongs to the applicant
+   * @param {string} userId - Applicant user ID
+   * @param {Array<string>} documentIds - Document IDs
+   * @throws {ServiceError} When a document is missing or owned by someone else
+   */
+  async assertDocumentsOwned(userId, documentIds) {
+    const uniqueIds = [...new Set(documentIds.map(String))];
+    const ownedCount = await Document.countDocuments({
+      _id: { $in: uniqueIds },
+      userId,
+      status: 'Active'
+    });
+
+    if (ownedCount !== uniqueIds.length) {
+      throw new ServiceError(
+        'INVALID_DOCUMENT',
+        'One or more documents could not be found in your account',
+        400
+      );
+    }
+  }
+}
+
+// Export singleton instance
+const applicationService = new ApplicationService();
+
+module.exports = applicationService;
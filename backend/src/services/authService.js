@@ -1,7 +1,5 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const User = require('../models/User');
-const Admin = require('../models/Admin');
 
 /**
  * Authentication Service
@@ -22,6 +20,8 @@ class AuthService {
     this.refreshTokenSecret = process.env.JWT_REFRESH_SECRET;
     this.accessTokenExpiry = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
     this.refreshTokenExpiry = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+    this.adminAccessTokenExpiry = process.env.ADMIN_JWT_ACCESS_EXPIRES_IN || '15m';
+    this.adminRefreshTokenExpiry = process.env.ADMIN_JWT_REFRESH_EXPIRES_IN || '12h';
 
     // Validate required environment variables
     if (!this.accessTokenSecret || !this.refreshTokenSecret) {
@@ -30,16 +30,16 @@ class AuthService {
   }
 
   /**
-   * Generate access and refresh tokens for a user
+   * Generate access and refresh tokens for a user's session
    * @param {Object} user - User document
-   * @param {boolean} rememberMe - Extended session flag
+   * @param {Object} session - Session document (see sessionService.startSession)
    * @returns {Object} Token pair with metadata
    */
-  generateTokens(user, rememberMe = false) {
+  generateTokens(user, session) {
     const payload = {
       id: user._id,
       email: user.email,
-      sessionId: user.sessionId,
+      sessionId: session._id.toString(),
       type: user.constructor.modelName.toLowerCase() // 'user' or 'admin'
     };
 
@@ -55,12 +55,11 @@ class AuthService {
     );
 
     // Generate refresh token with extended expiry if remember me is enabled
-    const refreshExpiry = rememberMe ? '30d' : this.refreshTokenExpiry;
     const refreshToken = jwt.sign(
-      { ...payload, tokenType: 'refresh' },
+      { ...payload, tokenType: 'refresh', generation: session.refreshGeneration },
       this.refreshTokenSecret,
       { 
-        expiresIn: refreshExpiry,
+        expiresIn: this.getRefreshExpiry('User', session.rememberMe),
         issuer: 'uniapply-hub',
         audience: 'uniapply-hub-users'
       }
@@ -130,63 +129,214 @@ class AuthService {
   }
 
   /**
-   * Refresh access token using refresh token
-   * @param {string} refreshToken - Valid refresh token
-   * @returns {Object} New token pair
-   * @throws {Error} Refresh validation errors
+   * Generate access and refresh tokens for an admin
+   *
+   * Admin tokens carry their own audience so they are never accepted where a
+   * student token is expected, and vice versa.
+   *
+   * @param {Object} admin - Admin document
+   * @param {Object} session - Session document (see sessionService.startSession)
+   * @returns {Object} Token pair with metadata
+   */
+  generateAdminTokens(admin, session) {
+    const payload = {
+      id: admin._id,
+      email: admin.email,
+      role: admin.role,
+      sessionId: session._id.toString(),
+      type: 'admin'
+    };
+
+    const accessToken = jwt.sign(
+      payload,
+      this.accessTokenSecret,
+      {
+        expiresIn: this.adminAccessTokenExpiry,
+        issuer: 'uniapply-hub',
+        audience: 'uniapply-hub-admin'
+      }
+    );
+
+    const refreshToken = jwt.sign(
+      { ...payload, tokenType: 'refresh', generation: session.refreshGeneration },
+      this.refreshTokenSecret,
+      {
+        expiresIn: this.getRefreshExpiry('Admin'),
+        issuer: 'uniapply-hub',
+        audience: 'uniapply-hub-admin'
+      }
+    );
+
+    return {
+      accessToken,
+      refreshToken,
+      expiresIn: this.parseExpiryToSeconds(this.adminAccessTokenExpiry),
+      tokenType: 'Bearer'
+    };
+  }
+
+  /**
+   * Verify and decode admin access token
+   * @param {string} token - JWT access token
+   * @returns {Object} Decoded token payload
+   * @throws {Error} Token validation errors
    */
-  async refreshTokens(refreshToken) {
-    // Verify refresh token
-    const decoded = this.verifyRefreshToken(refreshToken);
+  verifyAdminAccessToken(token) {
+    try {
+      return jwt.verify(token, this.accessTokenSecret, {
+        issuer: 'uniapply-hub',
+        audience: 'uniapply-hub-admin'
+      });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('ACCESS_TOKEN_EXPIRED');
+      } else {
+        throw new Error('INVALID_ACCESS_TOKEN');
+      }
+    }
+  }
 
-    // Find user and validate session
-    const UserModel = decoded.type === 'admin' ? Admin : User;
-    const user = await UserModel.findById(decoded.id);
+  /**
+   * Verify and decode admin refresh token
+   * @param {string} token - JWT refresh token
+   * @returns {Object} Decoded token payload
+   * @throws {Error} Token validation errors
+   */
+  verifyAdminRefreshToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.refreshTokenSecret, {
+        issuer: 'uniapply-hub',
+        audience: 'uniapply-hub-admin'
+      });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('REFRESH_TOKEN_EXPIRED');
+      } else {
+        throw new Error('INVALID_REFRESH_TOKEN');
+      }
+    }
 
-    if (!user) {
-      throw new Error('USER_NOT_FOUND');
+    if (decoded.tokenType !== 'refresh') {
+      throw new Error('INVALID_REFRESH_TOKEN');
     }
 
-    if (user.sessionId !== decoded.sessionId) {
-      throw new Error('SESSION_INVALID');
+    return decoded;
+  }
+
+  /**
+   * Generate the short-lived token carrying a user from the password step of
+   * login to the two-factor step
+   * @param {Object} user - User document
+   * @param {boolean} rememberMe - Extended session flag for the tokens issued afterwards
+   * @returns {string} MFA challenge token
+   */
+  generateMfaToken(user, rememberMe = false) {
+    const payload = {
+      id: user._id,
+      rememberMe,
+      purpose: 'login_mfa'
+    };
+
+    return jwt.sign(
+      payload,
+      this.accessTokenSecret,
+      {
+        expiresIn: '5m',
+        issuer: 'uniapply-hub',
+        audience: 'uniapply-hub-mfa'
+      }
+    );
+  }
+
+  /**
+   * Verify user MFA challenge token
+   * @param {string} token - MFA challenge token
+   * @returns {Object} Decoded token payload
+   * @throws {Error} Token validation errors
+   */
+  verifyMfaToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.accessTokenSecret, {
+        issuer: 'uniapply-hub',
+        audience: 'uniapply-hub-mfa'
+      });
+
+      if (decoded.purpose !== 'login_mfa') {
+        throw new Error('INVALID_MFA_TOKEN');
+      }
+
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('MFA_TOKEN_EXPIRED');
+      } else {
+        throw new Error('INVALID_MFA_TOKEN');
+      }
     }
+  }
 
-    // Generate new session ID for security
-    user.generateSessionId();
-    await user.save();
+  /**
+   * Generate the short-lived token carrying an admin from the password step
+   * of login to the MFA step
+   * @param {Object} admin - Admin document
+   * @returns {string} MFA challenge token
+   */
+  generateAdminMfaToken(admin) {
+    const payload = {
+      id: admin._id,
+      purpose: 'admin_mfa'
+    };
 
-    // Generate new token pair
-    return this.generateTokens(user);
+    return jwt.sign(
+      payload,
+      this.accessTokenSecret,
+      {
+        expiresIn: '5m',
+        issuer: 'uniapply-hub',
+        audience: 'uniapply-hub-admin-mfa'
+      }
+    );
   }
 
   /**
-   * Revoke user session (logout)
-   * @param {string} userId - User ID
-   * @param {string} userType - 'user' or 'admin'
-   * @returns {boolean} Success status
+   * Verify admin MFA challenge token
+   * @param {string} token - MFA challenge token
+   * @returns {Object} Decoded token payload
+   * @throws {Error} Token validation errors
    */
-  async revokeSession(userId, userType = 'user') {
+  verifyAdminMfaToken(token) {
     try {
-      const UserModel = userType === 'admin' ? Admin : User;
-      const user = await UserModel.findById(userId);
+      const decoded = jwt.verify(token, this.accessTokenSecret, {
+        issuer: 'uniapply-hub',
+        audience: 'uniapply-hub-admin-mfa'
+      });
 
-      if (user) {
-        user.sessionId = undefined;
-        await user.save();
+      if (decoded.purpose !== 'admin_mfa') {
+        throw new Error('INVALID_MFA_TOKEN');
       }
 
-      return true;
+      return decoded;
     } catch (error) {
-      return false;
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('MFA_TOKEN_EXPIRED');
+      } else {
+        throw new Error('INVALID_MFA_TOKEN');
+      }
     }
   }
 
   /**
-   * Generate secure random session ID
-   * @returns {string} Random session ID
+   * Get how long refresh tokens, and so sessions, last without a refresh
+   * @param {string} subjectType - 'User' or 'Admin'
+   * @param {boolean} rememberMe - Extended session flag (students only)
+   * @returns {string} Expiry (e.g. '7d')
    */
-  generateSessionId() {
-    return crypto.randomBytes(32).toString('hex');
+  getRefreshExpiry(subjectType, rememberMe = false) {
+    if (subjectType === 'Admin') {
+      return this.adminRefreshTokenExpiry;
+    }
+    return rememberMe ? '30d' : this.refreshTokenExpiry;
   }
 
   /**
@@ -199,6 +349,8 @@ class AuthService {
       id: user._id,
       email: user.email,
       purpose: 'password_reset',
+      // Ties the token to the current password, so it stops working once used
+      pwd: this.passwordFingerprint(user.passwordHash),
       timestamp: Date.now()
     };
 
@@ -240,6 +392,18 @@ class AuthService {
     }
   }
 
+  /**
+   * Fingerprint a password hash without revealing it in readable token payloads
+   * @param {string} passwordHash - Stored password hash
+   * @returns {string} Hex encoded HMAC of the hash
+   */
+  passwordFingerprint(passwordHash) {
+    return crypto
+      .createHmac('sha256', this.accessTokenSecret)
+      .update(String(passwordHash))
+      .digest('hex');
+  }
+
   /**
    * Generate email verification token
    * @param {Object} user - User document
@@ -292,30 +456,205 @@ class AuthService {
   }
 
   /**
-   * Generate secure API key for external integrations
-   * @param {Object} user - User document
-   * @param {string} purpose - API key purpose
-   * @returns {string} API key
+   * Generate restricted token for changing an expired password at login
+   * @param {Object} subject - User or Admin document whose password expired
+   * @param {boolean} rememberMe - Whether the session started afterwards is remembered
+   * @returns {string} Password change token
+   */
+  generatePasswordChangeToken(subject, rememberMe = false) {
+    const payload = {
+      id: subject._id,
+      type: subject.constructor.modelName,
+      purpose: 'password_change',
+      // Ties the token to the expired password, so it stops working once changed
+      pwd: this.passwordFingerprint(subject.passwordHash),
+      rememberMe
+    };
+
+    return jwt.sign(
+      payload,
+      this.accessTokenSecret,
+      {
+        expiresIn: '15m', // Time allowed to choose the new password
+        issuer: 'uniapply-hub',
+        audience: 'uniapply-hub-password-change'
+      }
+    );
+  }
+
+  /**
+   * Verify password change token
+   * @param {string} token - Password change token
+   * @returns {Object} Decoded token payload
+   * @throws {Error} Token validation errors
+   */
+  verifyPasswordChangeToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.accessTokenSecret, {
+        issuer: 'uniapply-hub',
+        audience: 'uniapply-hub-password-change'
+      });
+
+      if (decoded.purpose !== 'password_change') {
+        throw new Error('INVALID_PASSWORD_CHANGE_TOKEN');
+      }
+
+      return decoded;
+    } catch (error) {
+      throw new Error('INVALID_PASSWORD_CHANGE_TOKEN');
+    }
+  }
+
+  /**
+   * Generate token holding an OpenID Connect sign-in in progress, kept in a
+   * cookie while the student is at the provider
+   * @param {Object} flow - Sign-in details (provider, state, nonce, codeVerifier, intent, ...)
+   * @returns {string} OIDC state token
+   */
+  generateOidcStateToken(flow) {
+    const payload = {
+      ...flow,
+      purpose: 'oidc_state'
+    };
+
+    return jwt.sign(
+      payload,
+      this.accessTokenSecret,
+      {
+        expiresIn: '10m', // Time allowed at the provider
+        issuer: 'uniapply-hub',
+        audience: 'uniapply-hub-oidc'
+      }
+    );
+  }
+
+  /**
+   * Verify OIDC state token
+   * @param {string} token - OIDC state token
+   * @returns {Object} Decoded token payload
+   * @throws {Error} Token validation errors
+   */
+  verifyOidcStateToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.accessTokenSecret, {
+        issuer: 'uniapply-hub',
+        audience: 'uniapply-hub-oidc'
+      });
+
+      if (decoded.purpose !== 'oidc_state') {
+        throw new Error('INVALID_OIDC_STATE');
+      }
+
+      return decoded;
+    } catch (error) {
+      throw new Error('INVALID_OIDC_STATE');
+    }
+  }
+
+  /**
+   * Generate account unlock token for the current lock of a user's account
+   * @param {Object} user - Locked user document
+   * @returns {string} Unlock token
    */
-  generateApiKey(user, purpose = 'general') {
+  generateUnlockToken(user) {
     const payload = {
       id: user._id,
-      purpose,
-      timestamp: Date.now(),
-      random: crypto.randomBytes(16).toString('hex')
+      purpose: 'account_unlock',
+      // Ties the token to this lock, so it stops working once the lock ends
+      lock: user.security.lockedUntil.getTime()
     };
 
     return jwt.sign(
       payload,
       this.accessTokenSecret,
-      { 
-        expiresIn: '1y', // API keys expire in 1 year
+      {
+        expiresIn: '24h', // Unlock tokens expire in 24 hours
+        issuer: 'uniapply-hub',
+        audience: 'uniapply-hub-unlock'
+      }
+    );
+  }
+
+  /**
+   * Verify account unlock token
+   * @param {string} token - Unlock token
+   * @returns {Object} Decoded token payload
+   * @throws {Error} Token validation errors
+   */
+  verifyUnlockToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.accessTokenSecret, {
+        issuer: 'uniapply-hub',
+        audience: 'uniapply-hub-unlock'
+      });
+
+      if (decoded.purpose !== 'account_unlock') {
+        throw new Error('INVALID_UNLOCK_TOKEN');
+      }
+
+      return decoded;
+    } catch (error) {
+      throw new Error('INVALID_UNLOCK_TOKEN');
+    }
+  }
+
+  /**
+   * Generate referee upload token for a single application reference
+   *
+   * Every token gets a random ID (jti), which the reference stores to tell
+   * the latest link apart from earlier ones.
+   *
+   * @param {Object} application - Application document
+   * @param {Object} reference - Reference subdocument
+   * @returns {string} Referee token
+   */
+  generateRefereeToken(application, reference) {
+    const payload = {
+      applicationId: application._id,
+      referenceId: reference._id,
+      email: reference.refereeEmail,
+      purpose: 'reference_request'
+    };
+
+    return jwt.sign(
+      payload,
+      this.accessTokenSecret,
+      {
+        expiresIn: process.env.REFEREE_LINK_EXPIRES_IN || '14d',
+        jwtid: crypto.randomUUID(),
         issuer: 'uniapply-hub',
-        audience: 'uniapply-hub-api'
+        audience: 'uniapply-hub-referee'
       }
     );
   }
 
+  /**
+   * Verify referee upload token
+   * @param {string} token - Referee token
+   * @returns {Object} Decoded token payload
+   * @throws {Error} Token validation errors
+   */
+  verifyRefereeToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.accessTokenSecret, {
+        issuer: 'uniapply-hub',
+        audience: 'uniapply-hub-referee'
+      });
+
+      if (decoded.purpose !== 'reference_request') {
+        throw new Error('INVALID_REFEREE_TOKEN');
+      }
+
+      return decoded;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('REFEREE_TOKEN_EXPIRED');
+      } else {
+        throw new Error('INVALID_REFEREE_TOKEN');
+      }
+    }
+  }
+
   /**
    * Parse JWT expiry string to seconds
    * @param {string} expiry - Expiry string (e.g., '15m', '1h', '7d')
@@ -0,0 +1,461 @@
+const crypto = require('crypto');
+const path = require('path');
+const Application = require('../models/Application');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const cloudinaryService = require('../utils/cloudinary');
+const { getStorageProvider } = require('../utils/storage');
+const ServiceError = require('../utils/serviceError');
+
+/**
+ * Document Service
+ *
+ * Handles validating uploaded files, storing them and creating the matching
+ * Document records.
+ *
+ * Constitutional Requirements:
+ * - Every file is validated for size, declared type and actual content before storage
+ * - Integrity checksums are recorded for every stored file
+ * - Error handling with user-friendly messages
+ */
+
+// Leading bytes identifying each accepted MIME type
+const FILE_SIGNATURES = {
+  'application/pdf': [Buffer.from('%PDF')],
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  // Legacy Office files are OLE compound documents
+  'application/msword': [Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])],
+  // Office Open XML files are ZIP archives
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': [
+    Buffer.from([0x50, 0x4b, 0x03, 0x04])
+  ]
+};
+
+class DocumentService {
+  /**
+   * Validate, store and record an uploaded file
+   * @param {Object} options - Upload options
+   * @param {string} options.ownerId - User who owns the document
+   * @param {Object} options.file - Multer file (memory storage)
+   * @param {string} options.category - Document category
+   * @param {string} options.description - Optional description
+   * @param {Array<string>} options.applicationIds - Applications the document belongs to
+   * @returns {Promise<Object>} Created Document
+   */
+  async createDocument({ ownerId, file, category, description, applicationIds = [] }) {
+    const { fileInfo, storage } = await this.storeFile(file, category);
+
+    return Document.create({
+      userId: ownerId,
+      fileInfo,
+      storage,
+      metadata: {
+        category,
+        description
+      },
+      security: {
+        scanStatus: 'Pending'
+      },
+      applications: applicationIds
+    });
+  }
+
+  /**
+   * Validate a file and write it to the configured storage provider
+   * @param {Object} file - Multer file (memory storage)
+   * @param {string} category - Document category, used as the storage folder
+   * @returns {Promise<Object>} File information and storage location ({ fileInfo, storage })
+   */
+  async storeFile(file, category) {
+    this.validateFile(file);
+
+    const storage = getStorageProvider();
+    if (!storage.isConfigured()) {
+      throw new ServiceError('STORAGE_UNAVAILABLE', 'File storage is not available', 503);
+    }
+
+    const checksum = this.calculateChecksum(file.buffer);
+    const stored = await storage.upload(file.buffer, {
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      category: category.toLowerCase()
+    });
+
+    return {
+      fileInfo: {
+        originalName: file.originalname,
+        fileName: this.sanitizeFileName(file.originalname),
+        fileType: file.mimetype,
+        fileExtension: path.extname(file.originalname).slice(1),
+        fileSize: file.size,
+        checksum
+      },
+      storage: {
+        provider: storage.name,
+        ...stored
+      }
+    };
+  }
+
+  /**
+   * Store a file a user uploaded to their own account
+   * @param {string} userId - Uploading user ID
+   * @param {Object} file - Multer file (memory storage)
+   * @param {Object} data - Document details (category, description)
+   * @returns {Promise<Object>} Created Document
+   */
+  async uploadUserDocument(userId, file, data) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new ServiceError('USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    const document = await this.createDocument({
+      ownerId: userId,
+      file,
+      category: data.category,
+      description: data.description
+    });
+
+    user.uploadedDocs.addToSet(document._id);
+    user.set('profileCompletionStatus.documents', true);
+    await user.save();
+
+    return document;
+  }
+
+  /**
+   * Get a document owned by a user
+   * @param {string} userId - Owner user ID
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object>} Document
+   * @throws {ServiceError} When the document is missing, deleted or owned by someone else
+   */
+  async getOwnedDocument(userId, documentId) {
+    const document = await Document.findOne({
+      _id: documentId,
+      userId,
+      status: { $ne: 'Deleted' }
+    });
+
+    if (!document) {
+      throw new ServiceError('DOCUMENT_NOT_FOUND', 'Document not found', 404);
+    }
+
+    return document;
+  }
+
+  /**
+   * List every version of a user's document, newest first
+   * @param {string} userId - Owner user ID
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object>} Document and its versions ({ document, versions })
+   */
+  async listVersions(userId, documentId) {
+    const document = await this.getOwnedDocument(userId, documentId);
+
+    return { document, versions: document.listVersions() };
+  }
+
+  /**
+   * Upload a new version of a user's document
+   *
+   * The replaced file stays in storage and in the document's version history.
+   *
+   * @param {string} userId - Owner user ID
+   * @param {string} documentId - Document ID
+   * @param {Object} file - Multer file (memory storage)
+   * @returns {Promise<Object>} Updated document
+   */
+  async addVersion(userId, documentId, file) {
+    const document = await this.getOwnedDocument(userId, documentId);
+
+    await this.assertReplaceable(document);
+
+    const { fileInfo, storage } = await this.storeFile(file, document.metadata.category);
+
+    // A replacement file gets its own malware scan before the document is usable again
+    if (document.status === 'Quarantined') {
+      document.status = 'Active';
+    }
+
+    return document.addVersion(fileInfo, storage);
+  }
+
+  /**
+   * Make a previous version of a user's document current again
+   * @param {string} userId - Owner user ID
+   * @param {string} documentId - Document ID
+   * @param {number} version - Version number to restore
+   * @returns {Promise<Object>} Updated document
+   */
+  async restoreVersion(userId, documentId, version) {
+    const document = await this.getOwnedDocument(userId, documentId);
+
+    await this.assertReplaceable(document);
+
+    if (version === document.metadata.version) {
+      throw new ServiceError('VERSION_IS_CURRENT', `Version ${version} is already current`, 409);
+    }
+
+    const previous = document.getVersion(version);
+    if (!previous) {
+      throw new ServiceError('VERSION_NOT_FOUND', `Version ${version} does not exist`, 404);
+    }
+
+    if (['Infected', 'Quarantined'].includes(previous.scanStatus)) {
+      throw new ServiceError(
+        'VERSION_NOT_CLEAN',
+        `Version ${version} failed the malware scan and cannot be restored`,
+        409
+      );
+    }
+
+    return document.restoreVersion(version);
+  }
+
+  /**
+   * Ensure the file of a document may be replaced by its owner
+   * @param {Object} document - Document
+   * @throws {ServiceError} When the document is archived or is a referee's letter
+   */
+  async assertReplaceable(document) {
+    if (document.status !== 'Active' && document.status !== 'Quarantined') {
+      throw new ServiceError('DOCUMENT_UNAVAILABLE', 'This document can no longer be updated', 409);
+    }
+
+    // Letters uploaded through the referee portal are the referee's, not the student's
+    const isRefereeLetter = await Application.exists({
+      'applicationData.references.documentId': document._id
+    });
+    if (isRefereeLetter) {
+      throw new ServiceError(
+        'DOCUMENT_READ_ONLY',
+        'Recommendation letters submitted by referees cannot be replaced',
+        403
+      );
+    }
+  }
+
+  /**
+   * Open a document for viewing or downloading
+   *
+   * Every attempt is written to the document's access log, including denied ones.
+   * Admins only reach documents through share grants, so their attempts are
+   * logged with accessType Share.
+   *
+   * @param {string} userId - Requesting user or admin ID
+   * @param {string} documentId - Document ID
+   * @param {string} accessType - 'View' or 'Download'
+   * @param {Object} context - Request context (ipAddress, userAgent)
+   * @param {number} context.version - Version to open, the current one by default
+   * @param {string} context.recipientType - 'User' (default) or 'Admin'
+   * @returns {Promise<Object>} Document and the requested file version ({ document, file })
+   * @throws {ServiceError} When the document is missing or access is refused
+   */
+  async openDocument(
+    userId,
+    documentId,
+    accessType,
+    { ipAddress, userAgent, version, recipientType = 'User' }
+  ) {
+    const document = await Document.findById(documentId);
+
+    if (!document || document.status === 'Deleted') {
+      throw new ServiceError('DOCUMENT_NOT_FOUND', 'Document not found', 404);
+    }
+
+    const file = document.getVersion(version || document.metadata.version);
+    if (!file) {
+      throw new ServiceError('VERSION_NOT_FOUND', `Version ${version} does not exist`, 404);
+    }
+
+    const requester = { id: userId, type: recipientType };
+    let denial = this.checkAccess(document, file, requester, accessType, ipAddress);
+    if (!denial && accessType === 'Download' && !(await this.claimDownload(document))) {
+      denial = new ServiceError(
+        'DOWNLOAD_LIMIT_REACHED',
+        'This document has reached its download limit',
+        403
+      );
+    }
+
+    const logAccess = (success, errorMessage) => (recipientType === 'Admin'
+      ? document.logShareAccess({
+        accessedBy: userId,
+        accessedByType: 'Admin',
+        ipAddress,
+        userAgent,
+        success,
+        errorMessage
+      })
+      : document.logAccess(userId, accessType, ipAddress, userAgent, success, errorMessage));
+
+    if (denial) {
+      await logAccess(false, denial.message);
+      throw denial;
+    }
+
+    await logAccess(true);
+    return { document, file };
+  }
+
+  /**
+   * Check whether a user may access a document right now
+   * @param {Object} document - Document
+   * @param {Object} file - Requested file version (see Document#getVersion)
+   * @param {Object} requester - Requesting user or admin
+   * @param {string} requester.id - User or admin ID
+   * @param {string} requester.type - 'User' or 'Admin'
+   * @param {string} accessType - 'View' or 'Download'
+   * @param {string} ipAddress - Requesting IP address
+   * @returns {ServiceError|null} The reason access is refused, or null when allowed
+   */
+  checkAccess(document, file, requester, accessType, ipAddress) {
+    if (!document.canAccess(requester.id, accessType, requester.type)) {
+      return new ServiceError(
+        'DOCUMENT_ACCESS_DENIED',
+        `You do not have ${accessType.toLowerCase()} access to this document`,
+        403
+      );
+    }
+
+    return this.checkAvailability(document, file, ipAddress);
+  }
+
+  /**
+   * Check whether a document can be served to anyone right now
+   * @param {Object} document - Document
+   * @param {Object} file - Requested file version (see Document#getVersion)
+   * @param {string} ipAddress - Requesting IP address
+   * @returns {ServiceError|null} The reason access is refused, or null when allowed
+   */
+  checkAvailability(document, file, ipAddress) {
+    if (document.status !== 'Active') {
+      return new ServiceError('DOCUMENT_UNAVAILABLE', 'This document is not available', 410);
+    }
+
+    if (file.scanStatus !== 'Clean') {
+      return new ServiceError(
+        'DOCUMENT_NOT_CLEAN',
+        file.scanStatus === 'Pending'
+          ? 'This document is still being scanned for malware, please try again shortly'
+          : 'This document failed the malware scan and cannot be opened',
+        423
+      );
+    }
+
+    return this.checkRestrictions(document, ipAddress);
+  }
+
+  /**
+   * Check a document's expiry and download restrictions
+   * @param {Object} document - Document
+   * @param {string} ipAddress - Requesting IP address
+   * @returns {ServiceError|null} The reason access is refused, or null when allowed
+   */
+  checkRestrictions(document, ipAddress) {
+    const restrictions = document.security.downloadRestrictions || {};
+
+    if (document.isExpired || (restrictions.expiresAt && restrictions.expiresAt < new Date())) {
+      return new ServiceError('DOCUMENT_EXPIRED', 'Access to this document has expired', 410);
+    }
+
+    if (restrictions.allowedIPs?.length > 0 &&
+        !this.isAllowedIP(restrictions.allowedIPs, ipAddress)) {
+      return new ServiceError(
+        'IP_NOT_ALLOWED',
+        'This document cannot be accessed from your network',
+        403
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * Count a download against the document's download limit
+   * @param {Object} document - Document
+   * @returns {Promise<boolean>} Whether the download is within the limit
+   */
+  async claimDownload(document) {
+    const maxDownloads = document.security.downloadRestrictions?.maxDownloads;
+    const filter = { _id: document._id };
+
+    // Conditional increment so concurrent downloads cannot overshoot the limit
+    if (maxDownloads !== undefined && maxDownloads !== null) {
+      filter['security.downloadCount'] = { $lt: maxDownloads };
+    }
+
+    const result = await Document.updateOne(filter, { $inc: { 'security.downloadCount': 1 } });
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Check an IP address against an allowlist
+   * @param {Array<string>} allowedIPs - Allowed IPv4 addresses or 'localhost'
+   * @param {string} ipAddress - Requesting IP address
+   * @returns {boolean} Whether the address is allowed
+   */
+  isAllowedIP(allowedIPs, ipAddress = '') {
+    // IPv4 clients reach dual-stack servers as IPv4-mapped IPv6 addresses
+    const ip = ipAddress.replace(/^::ffff:/, '');
+    const isLoopback = ip === '127.0.0.1' || ip === '::1';
+
+    return allowedIPs.includes(ip) || (isLoopback && allowedIPs.includes('localhost'));
+  }
+
+  /**
+   * Validate an uploaded file's size, type and content
+   * @param {Object} file - Multer file (memory storage)
+   * @throws {ServiceError} When the file is rejected
+   */
+  validateFile(file) {
+    const { errors } = cloudinaryService.validateFile(file);
+
+    const signatures = FILE_SIGNATURES[file.mimetype];
+    const matchesContent = signatures && signatures.some(signature =>
+      file.buffer.subarray(0, signature.length).equals(signature)
+    );
+    if (errors.length === 0 && !matchesContent) {
+      errors.push(`File content does not match the declared type ${file.mimetype}`);
+    }
+
+    if (errors.length > 0) {
+      throw new ServiceError(
+        'INVALID_FILE',
+        'The uploaded file was rejected',
+        400,
+        errors.map(message => ({ field: 'file', message }))
+      );
+    }
+  }
+
+  /**
+   * Calculate the SHA-256 checksum of a file
+   * @param {Buffer} buffer - File contents
+   * @returns {string} Hex encoded checksum
+   */
+  calculateChecksum(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Make a filename safe for storage
+   * @param {string} originalName - Filename supplied by the client
+   * @returns {string} Sanitized filename
+   */
+  sanitizeFileName(originalName) {
+    const sanitized = path.basename(originalName)
+      .replace(/[^a-zA-Z0-9._-]/g, '_')
+      .replace(/_+/g, '_');
+
+    return sanitized.slice(-255) || 'file';
+  }
+}
+
+// Export singleton instance
+const documentService = new DocumentService();
+
+module.exports = documentService;
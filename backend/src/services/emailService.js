@@ -144,6 +144,45 @@ class EmailService {
     return this.sendEmail(emailData);
   }
 
+  /**
+   * Send account locked notification with a self-service unlock link
+   * @param {Object} user - User object
+   * @param {string} unlockToken - Account unlock token
+   * @returns {Promise<Object>} Send result
+   */
+  async sendAccountLockedEmail(user, unlockToken) {
+    const unlockUrl = `${process.env.FRONTEND_URL}/unlock-account?token=${unlockToken}`;
+    const resetUrl = `${process.env.FRONTEND_URL}/reset-password`;
+
+    const emailData = {
+      to: user.email,
+      subject: 'Your UniApply Hub Account Has Been Locked 🔒',
+      text: this.generateAccountLockedTextEmail(user, unlockUrl, resetUrl),
+      html: this.generateAccountLockedHtmlEmail(user, unlockUrl, resetUrl)
+    };
+
+    return this.sendEmail(emailData);
+  }
+
+  /**
+   * Send password expiry warning to a student or admin
+   * @param {Object} account - User or Admin object
+   * @param {Date} expiresAt - When the password expires
+   * @returns {Promise<Object>} Send result
+   */
+  async sendPasswordExpiryWarning(account, expiresAt) {
+    const loginUrl = `${process.env.FRONTEND_URL}/login`;
+
+    const emailData = {
+      to: account.email,
+      subject: 'Your UniApply Hub Password Expires Soon 🔑',
+      text: this.generatePasswordExpiryTextEmail(account, expiresAt, loginUrl),
+      html: this.generatePasswordExpiryHtmlEmail(account, expiresAt, loginUrl)
+    };
+
+    return this.sendEmail(emailData);
+  }
+
   /**
    * Send application status update notification
    * @param {Object} user - User object
@@ -179,6 +218,27 @@ class EmailService {
     return this.sendEmail(emailData);
   }
 
+  /**
+   * Send reference request email to a referee
+   * @param {Object} reference - Application reference (refereeeName, refereeEmail)
+   * @param {Object} applicant - Applicant user object
+   * @param {Object} details - Request details (universityName, programName, expiresAt)
+   * @param {string} refereeToken - Referee upload token
+   * @returns {Promise<Object>} Send result
+   */
+  async sendReferenceRequestEmail(reference, applicant, details, refereeToken) {
+    const uploadUrl = `${process.env.FRONTEND_URL}/referee/${refereeToken}`;
+
+    const emailData = {
+      to: reference.refereeEmail,
+      subject: 'Reference Request via UniApply Hub ✉️',
+      text: this.generateReferenceRequestTextEmail(reference, applicant, details, uploadUrl),
+      html: this.generateReferenceRequestHtmlEmail(reference, applicant, details, uploadUrl)
+    };
+
+    return this.sendEmail(emailData);
+  }
+
   /**
    * Send admin notification email
    * @param {string} adminEmail - Admin email address
@@ -447,6 +507,163 @@ The UniApply Hub Team
     `.trim();
   }
 
+  /**
+   * Generate account locked text email
+   */
+  generateAccountLockedTextEmail(user, unlockUrl, resetUrl) {
+    const name = user.profile?.personalInfo?.firstName || 'there';
+    const lockedUntil = user.security.lockedUntil.toUTCString();
+
+    return `
+Hello ${name},
+
+Your UniApply Hub account was locked after too many failed login attempts.
+It will unlock automatically at ${lockedUntil}.
+
+If these attempts were you, unlock your account now with this link:
+${unlockUrl}
+
+If they were not you, someone may be trying to guess your password.
+Your account is safe, but we recommend choosing a new password:
+${resetUrl}
+
+Best regards,
+The UniApply Hub Team
+
+---
+This email was sent to ${user.email}
+    `.trim();
+  }
+
+  /**
+   * Generate account locked HTML email
+   */
+  generateAccountLockedHtmlEmail(user, unlockUrl, resetUrl) {
+    const name = user.profile?.personalInfo?.firstName || 'there';
+    const lockedUntil = user.security.lockedUntil.toUTCString();
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Account Locked</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #dc2626; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .button { display: inline-block; padding: 12px 24px; background: #dc2626; color: white;
+          text-decoration: none; border-radius: 5px; margin: 10px 0; }
+        .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+        .warning { background: #fef2f2; border: 1px solid #fecaca; padding: 15px;
+          border-radius: 5px; margin: 15px 0; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🔒 Account Locked</h1>
+        </div>
+        <div class="content">
+            <h2>Hello ${name},</h2>
+            <p>Your UniApply Hub account was locked after too many failed login attempts.
+            It will unlock automatically at ${lockedUntil}.</p>
+
+            <p>If these attempts were you, you can unlock your account now:</p>
+            <a href="${unlockUrl}" class="button">Unlock Your Account</a>
+
+            <div class="warning">
+                <p><strong>⚠️ Wasn't you?</strong></p>
+                <p>Someone may be trying to guess your password. Your account is safe,
+                but we recommend <a href="${resetUrl}">choosing a new password</a>.</p>
+            </div>
+
+            <p>Best regards,<br>The UniApply Hub Team</p>
+        </div>
+        <div class="footer">
+            <p>This email was sent to ${user.email}</p>
+        </div>
+    </div>
+</body>
+</html>
+    `.trim();
+  }
+
+  /**
+   * Generate password expiry warning text email
+   */
+  generatePasswordExpiryTextEmail(account, expiresAt, loginUrl) {
+    const name = account.profile?.personalInfo?.firstName || account.profile?.firstName || 'there';
+
+    return `
+Hello ${name},
+
+Your UniApply Hub password expires on ${expiresAt.toUTCString()}.
+
+Please choose a new password before then. Once it has expired, you will be
+asked to choose a new one the next time you log in:
+${loginUrl}
+
+Your new password cannot be one of your recent passwords.
+
+Best regards,
+The UniApply Hub Team
+
+---
+This email was sent to ${account.email}
+    `.trim();
+  }
+
+  /**
+   * Generate password expiry warning HTML email
+   */
+  generatePasswordExpiryHtmlEmail(account, expiresAt, loginUrl) {
+    const name = account.profile?.personalInfo?.firstName || account.profile?.firstName || 'there';
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Password Expires Soon</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #4f46e5; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .button { display: inline-block; padding: 12px 24px; background: #4f46e5; color: white;
+          text-decoration: none; border-radius: 5px; margin: 10px 0; }
+        .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🔑 Password Expires Soon</h1>
+        </div>
+        <div class="content">
+            <h2>Hello ${name},</h2>
+            <p>Your UniApply Hub password expires on
+            <strong>${expiresAt.toUTCString()}</strong>.</p>
+
+            <p>Please choose a new password before then. Once it has expired, you will be
+            asked to choose a new one the next time you log in.</p>
+            <a href="${loginUrl}" class="button">Log In to UniApply Hub</a>
+
+            <p>Your new password cannot be one of your recent passwords.</p>
+
+            <p>Best regards,<br>The UniApply Hub Team</p>
+        </div>
+        <div class="footer">
+            <p>This email was sent to ${account.email}</p>
+        </div>
+    </div>
+</body>
+</html>
+    `.trim();
+  }
+
   /**
    * Generate application status update text email
    */
@@ -633,6 +850,96 @@ The UniApply Hub Team
     `.trim();
   }
 
+  /**
+   * Generate reference request text email
+   */
+  generateReferenceRequestTextEmail(reference, applicant, details, uploadUrl) {
+    const applicantName = applicant.fullName || applicant.email;
+    const expiryDate = new Date(details.expiresAt).toLocaleDateString();
+
+    return `
+Dear ${reference.refereeeName},
+
+${applicantName} has listed you as a referee for their application to:
+- University: ${details.universityName}
+- Program: ${details.programName}
+
+You can upload your recommendation letter (PDF or Word document) or decline the request here:
+${uploadUrl}
+
+This link is personal to you and expires on ${expiryDate}.
+No account is needed.
+
+If you don't know ${applicantName}, you can safely ignore this email.
+
+Best regards,
+The UniApply Hub Team
+
+---
+This email was sent to ${reference.refereeEmail}
+    `.trim();
+  }
+
+  /**
+   * Generate reference request HTML email
+   */
+  generateReferenceRequestHtmlEmail(reference, applicant, details, uploadUrl) {
+    const applicantName = applicant.fullName || applicant.email;
+    const expiryDate = new Date(details.expiresAt).toLocaleDateString();
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Reference Request</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #2563eb; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .button { display: inline-block; padding: 12px 24px; background: #2563eb; color: white;
+                  text-decoration: none; border-radius: 5px; margin: 10px 0; }
+        .details { background: white; border-left: 4px solid #2563eb;
+                   padding: 15px; margin: 15px 0; }
+        .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>✉️ Reference Request</h1>
+        </div>
+        <div class="content">
+            <h2>Dear ${reference.refereeeName},</h2>
+            <p><strong>${applicantName}</strong> has listed you as a referee for their
+            application.</p>
+
+            <div class="details">
+                <p><strong>University:</strong> ${details.universityName}</p>
+                <p><strong>Program:</strong> ${details.programName}</p>
+            </div>
+
+            <p>You can upload your recommendation letter (PDF or Word document) or decline
+            the request.</p>
+            <p>No account is needed.</p>
+
+            <a href="${uploadUrl}" class="button">Respond to Request</a>
+
+            <p>This link is personal to you and expires on ${expiryDate}.</p>
+            <p>If you don't know ${applicantName}, you can safely ignore this email.</p>
+
+            <p>Best regards,<br>The UniApply Hub Team</p>
+        </div>
+        <div class="footer">
+            <p>This email was sent to ${reference.refereeEmail}</p>
+        </div>
+    </div>
+</body>
+</html>
+    `.trim();
+  }
+
   /**
    * Check if email service is ready
    * @returns {boolean} Service status
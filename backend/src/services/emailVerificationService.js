@@ -0,0 +1,184 @@
+const User = require('../models/User');
+const authService = require('./authService');
+const emailService = require('./emailService');
+const ServiceError = require('../utils/serviceError');
+
+/**
+ * Email Verification Service
+ *
+ * Handles confirming that students own their email address: the link sent
+ * with the welcome email, resending it on request and the scheduled reminders
+ * (see verificationReminderWorker). Unverified students cannot submit
+ * applications.
+ *
+ * Constitutional Requirements:
+ * - A verification link only verifies the address it was sent to
+ * - Verification emails are throttled per account
+ * - Error handling with user-friendly messages
+ */
+
+class EmailVerificationService {
+  constructor() {
+    // Minimum time between two verification emails to the same account
+    this.resendIntervalMinutes = parseInt(process.env.VERIFICATION_RESEND_INTERVAL_MINUTES) || 5;
+  }
+
+  /**
+   * Send the welcome email with the first verification link
+   * @param {Object} user - User document
+   */
+  async sendWelcomeEmail(user) {
+    await emailService.sendWelcomeEmail(user, authService.generateVerificationToken(user));
+    await User.updateOne({ _id: user._id }, { $set: { verificationEmailSentAt: new Date() } });
+  }
+
+  /**
+   * Send a new verification link on the student's request
+   * @param {string} userId - User ID
+   * @throws {ServiceError} When already verified or a link was sent too recently
+   */
+  async resendVerificationEmail(userId) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new ServiceError('USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    if (user.emailVerified) {
+      throw new ServiceError(
+        'EMAIL_ALREADY_VERIFIED',
+        'Your email address is already verified',
+        409
+      );
+    }
+
+    if (!(await this.claimSend(user))) {
+      // A concurrent request may have sent one since the user was loaded
+      const sentAt = user.verificationEmailSentAt || new Date();
+      const retryAfter = new Date(sentAt.getTime() + this.resendIntervalMinutes * 60 * 1000);
+      throw new ServiceError(
+        'VERIFICATION_EMAIL_THROTTLED',
+        'A verification email was sent recently, please check your inbox or try again later',
+        429,
+        { retryAfter }
+      );
+    }
+
+    await emailService.sendEmailVerificationReminder(
+      user,
+      authService.generateVerificationToken(user)
+    );
+  }
+
+  /**
+   * Send a scheduled reminder to an unverified student
+   * @param {Object} user - User document
+   * @returns {Promise<boolean>} Whether a reminder was sent
+   */
+  async sendReminder(user) {
+    if (!(await this.claimSend(user, { reminder: true }))) {
+      return false;
+    }
+
+    await emailService.sendEmailVerificationReminder(
+      user,
+      authService.generateVerificationToken(user)
+    );
+    return true;
+  }
+
+  /**
+   * Verify a student's email address from a verification link
+   *
+   * Verifying an already verified address succeeds, so reopening the link is harmless.
+   *
+   * @param {string} token - Verification token
+   * @returns {Promise<Object>} Verified user
+   */
+  async verifyEmail(token) {
+    let decoded;
+    try {
+      decoded = authService.verifyVerificationToken(token);
+    } catch (error) {
+      throw new ServiceError(
+        error.message,
+        error.message === 'VERIFICATION_TOKEN_EXPIRED'
+          ? 'This verification link has expired, please request a new one'
+          : 'This verification link is invalid',
+        400
+      );
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user || user.email !== decoded.email) {
+      throw new ServiceError(
+        'INVALID_VERIFICATION_TOKEN',
+        'This verification link is invalid',
+        400
+      );
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { emailVerified: true, emailVerifiedAt: user.emailVerifiedAt } }
+      );
+    }
+
+    return user;
+  }
+
+  /**
+   * Refuse an action until the student's email address is verified
+   * @param {string} userId - User ID
+   * @param {string} message - Message explaining what is blocked
+   * @throws {ServiceError} When the email address is not verified
+   */
+  async assertVerified(userId, message) {
+    const user = await User.findById(userId).select('emailVerified');
+
+    if (!user?.emailVerified) {
+      throw new ServiceError('EMAIL_NOT_VERIFIED', message, 403);
+    }
+  }
+
+  /**
+   * Record a verification email as sent unless the last one was too recent
+   *
+   * The check and the update are one write so concurrent requests cannot
+   * both send.
+   *
+   * @param {Object} user - User document
+   * @param {Object} options - Whether the email is a scheduled reminder ({ reminder })
+   * @returns {Promise<boolean>} Whether the email may be sent
+   */
+  async claimSend(user, { reminder = false } = {}) {
+    const cutoff = new Date(Date.now() - this.resendIntervalMinutes * 60 * 1000);
+    const update = { $set: { verificationEmailSentAt: new Date() } };
+    if (reminder) {
+      update.$inc = { verificationRemindersSent: 1 };
+    }
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        emailVerified: false,
+        $or: [
+          { verificationEmailSentAt: { $exists: false } },
+          { verificationEmailSentAt: { $lte: cutoff } }
+        ]
+      },
+      update
+    );
+
+    return result.modifiedCount === 1;
+  }
+}
+
+// Export singleton instance
+const emailVerificationService = new EmailVerificationService();
+
+module.exports = emailVerificationService;
@@ -0,0 +1,432 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const authService = require('./authService');
+const sessionService = require('./sessionService');
+const accountLockoutService = require('./accountLockoutService');
+const passwordPolicyService = require('./passwordPolicyService');
+const ServiceError = require('../utils/serviceError');
+const totp = require('../utils/totp');
+
+/**
+ * MFA Service
+ *
+ * Handles TOTP two-factor authentication: the code and recovery code checks
+ * shared by admin and student accounts (both keep their MFA state in
+ * `security.mfa*`), and the opt-in two-factor flow for students, including
+ * trusted devices that skip the login challenge.
+ *
+ * Constitutional Requirements:
+ * - Secrets and recovery codes never leave the server after enrollment
+ * - Recovery codes and trusted device tokens are stored only as SHA-256 hashes
+ * - A TOTP code is accepted at most once
+ * - Error handling with user-friendly messages
+ */
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Trusted devices skip the login challenge for this long
+const TRUSTED_DEVICE_DAYS = 30;
+
+// Oldest trusted devices are forgotten beyond this many per user
+const MAX_TRUSTED_DEVICES = 10;
+
+// Hidden security fields a student's MFA checks need
+const MFA_FIELDS = '+security.mfaSecret +security.mfaLastUsedStep +security.mfaRecoveryCodes ' +
+  '+security.trustedDevices';
+
+class MfaService {
+  constructor() {
+    this.trustedDeviceDays = TRUSTED_DEVICE_DAYS;
+  }
+
+  /**
+   * Describe a student's two-factor settings
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Two-factor status
+   */
+  async getStatusForUser(userId) {
+    const user = await this.getUser(userId);
+    const now = new Date();
+
+    return {
+      enabled: !!user.security.mfaEnabled,
+      enrolledAt: user.security.mfaEnrolledAt,
+      recoveryCodesRemaining: user.security.mfaEnabled ? user.security.mfaRecoveryCodes.length : 0,
+      trustedDevices: user.security.trustedDevices
+        .filter(device => device.expiresAt > now)
+        .map(device => ({
+          id: device._id,
+          userAgent: device.userAgent,
+          createdAt: device.createdAt,
+          expiresAt: device.expiresAt,
+          lastUsedAt: device.lastUsedAt
+        }))
+    };
+  }
+
+  /**
+   * Forget every trusted device of a student, so each must pass the challenge again
+   * @param {string} userId - User ID
+   */
+  async forgetTrustedDevices(userId) {
+    await User.updateOne({ _id: userId }, { $set: { 'security.trustedDevices': [] } });
+  }
+
+  /**
+   * Start enrollment for a student by generating a new TOTP secret
+   *
+   * Two-factor is only turned on once a code is confirmed with enableForUser.
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Secret and otpauth URI, also the QR code payload
+   *   ({ secret, otpauthUri })
+   */
+  async setupForUser(userId) {
+    const user = await this.getUser(userId);
+
+    if (user.security.mfaEnabled) {
+      throw this.alreadyEnabled();
+    }
+
+    const enrollment = this.createEnrollment(user.email, 'UniApply Hub');
+    user.security.mfaSecret = enrollment.secret;
+    await user.save();
+
+    return enrollment;
+  }
+
+  /**
+   * Finish enrollment for a student by confirming a code from the new secret
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code
+   * @returns {Promise<string[]>} Recovery codes, only ever returned here
+   */
+  async enableForUser(userId, code) {
+    const user = await this.getUser(userId);
+
+    if (user.security.mfaEnabled) {
+      throw this.alreadyEnabled();
+    }
+
+    if (!user.security.mfaSecret) {
+      throw new ServiceError(
+        'MFA_NOT_SET_UP',
+        'Set up two-factor authentication before enabling it',
+        400
+      );
+    }
+
+    if (!(await this.useTotpCode(user, code))) {
+      throw this.invalidCode(400);
+    }
+
+    const recoveryCodes = this.enable(user.security);
+    await user.save();
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn off two-factor for a student, who must confirm with their password
+   * and a current code or recovery code
+   * @param {string} userId - User ID
+   * @param {Object} credentials - Confirmation ({ password, code } or { password, recoveryCode })
+   */
+  async disableForUser(userId, { password, code, recoveryCode }) {
+    const user = await this.getUser(userId);
+
+    if (!user.security.mfaEnabled) {
+      throw new ServiceError('MFA_NOT_ENABLED', 'Two-factor authentication is not enabled', 409);
+    }
+
+    if (!(await user.verifyPassword(password))) {
+      throw new ServiceError('INVALID_PASSWORD', 'Password is incorrect', 400);
+    }
+
+    if (!(await this.verifySecondFactor(user, { code, recoveryCode }))) {
+      throw this.invalidCode(400);
+    }
+
+    this.disable(user.security);
+    user.security.trustedDevices = [];
+    await user.save();
+  }
+
+  /**
+   * Complete a student login challenged for a second factor
+   * @param {string} mfaToken - MFA challenge token from login
+   * @param {Object} credentials - Second factor and whether to trust this device
+   *   ({ code } or { recoveryCode }, plus trustDevice, ipAddress and userAgent)
+   * @returns {Promise<Object>} User, token pair, a trusted device token when
+   *   requested and recovery codes left
+   *   ({ user, tokens, deviceToken, recoveryCodesRemaining }), or a password
+   *   change challenge when the password expired ({ user, passwordChangeRequired, passwordChangeToken })
+   */
+  async verifyUserLogin(mfaToken, { code, recoveryCode, trustDevice, ipAddress, userAgent }) {
+    let decoded;
+    try {
+      decoded = authService.verifyMfaToken(mfaToken);
+    } catch (error) {
+      throw new ServiceError(
+        'INVALID_TOKEN',
+        'Invalid or expired login attempt, please log in again',
+        401
+      );
+    }
+
+    const user = await User.findById(decoded.id).select(MFA_FIELDS);
+    if (!user || !user.security.mfaEnabled) {
+      throw new ServiceError(
+        'INVALID_TOKEN',
+        'Invalid or expired login attempt, please log in again',
+        401
+      );
+    }
+
+    accountLockoutService.assertNotLocked(user);
+
+    if (!(await this.verifySecondFactor(user, { code, recoveryCode }))) {
+      await accountLockoutService.recordFailedLogin(user);
+      throw this.invalidCode(401);
+    }
+
+    if (passwordPolicyService.isExpired(user)) {
+      await accountLockoutService.recordSuccessfulLogin(user);
+      return {
+        user,
+        ...passwordPolicyService.passwordChangeChallenge(user, { rememberMe: decoded.rememberMe })
+      };
+    }
+
+    const deviceToken = trustDevice ? this.trustDevice(user, userAgent) : null;
+
+    await accountLockoutService.recordSuccessfulLogin(user);
+    await user.updateLastLogin();
+    const { tokens } = await sessionService.startSession(
+      user,
+      { ipAddress, userAgent },
+      { rememberMe: decoded.rememberMe }
+    );
+
+    return {
+      user,
+      tokens,
+      deviceToken,
+      recoveryCodesRemaining: user.security.mfaRecoveryCodes.length
+    };
+  }
+
+  /**
+   * Check whether a trusted device token lets a user skip the login challenge
+   * @param {Object} user - User document
+   * @param {string} deviceToken - Token from the trusted device cookie
+   * @returns {Promise<boolean>} Whether the device is trusted
+   */
+  async isTrustedDevice(user, deviceToken) {
+    if (!deviceToken) {
+      return false;
+    }
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        'security.trustedDevices': {
+          $elemMatch: { tokenHash: this.hashToken(deviceToken), expiresAt: { $gt: new Date() } }
+        }
+      },
+      { $set: { 'security.trustedDevices.$.lastUsedAt': new Date() } }
+    );
+
+    return result.matchedCount === 1;
+  }
+
+  /**
+   * Remember a device for TRUSTED_DEVICE_DAYS (the caller saves the user)
+   * @param {Object} user - User document
+   * @param {string} userAgent - Device user agent, to help the student recognise it
+   * @returns {string} Device token for the trusted device cookie
+   */
+  trustDevice(user, userAgent) {
+    const deviceToken = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+
+    const devices = (user.security.trustedDevices || [])
+      .filter(device => device.expiresAt > now)
+      .slice(-(MAX_TRUSTED_DEVICES - 1));
+    devices.push({
+      tokenHash: this.hashToken(deviceToken),
+      userAgent: userAgent ? userAgent.slice(0, 500) : undefined,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + this.trustedDeviceDays * 24 * 60 * 60 * 1000)
+    });
+    user.security.trustedDevices = devices;
+
+    return deviceToken;
+  }
+
+  /**
+   * Generate a TOTP secret and the otpauth URI authenticator apps enroll from
+   * @param {string} accountName - Account shown in the app (e.g. email)
+   * @param {string} issuer - Service shown in the app
+   * @returns {Object} Secret and otpauth URI ({ secret, otpauthUri })
+   */
+  createEnrollment(accountName, issuer) {
+    const secret = totp.generateSecret();
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpauthUri({ secret, accountName, issuer })
+    };
+  }
+
+  /**
+   * Turn on MFA for a confirmed secret (the caller saves the account)
+   * @param {Object} security - Account security settings with MFA fields selected
+   * @returns {string[]} New recovery codes
+   */
+  enable(security) {
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    security.mfaEnabled = true;
+    security.mfaEnrolledAt = new Date();
+    security.mfaRecoveryCodes = recoveryCodes.map(entry => this.hashRecoveryCode(entry));
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn off MFA and forget its secret (the caller saves the account)
+   * @param {Object} security - Account security settings
+   */
+  disable(security) {
+    security.mfaEnabled = false;
+    security.mfaSecret = undefined;
+    security.mfaEnrolledAt = undefined;
+    security.mfaLastUsedStep = undefined;
+    security.mfaRecoveryCodes = [];
+  }
+
+  /**
+   * Check a TOTP code or, failing that, a recovery code
+   * @param {Object} account - User or Admin document with MFA fields selected
+   * @param {Object} credentials - Second factor ({ code } or { recoveryCode })
+   * @returns {Promise<boolean>} Whether the second factor was valid
+   */
+  verifySecondFactor(account, { code, recoveryCode }) {
+    return code
+      ? this.useTotpCode(account, code)
+      : this.useRecoveryCode(account, recoveryCode);
+  }
+
+  /**
+   * Accept a TOTP code once, recording its time step against replay
+   *
+   * The step is recorded with a conditional update, so concurrent requests
+   * cannot both use the same code.
+   *
+   * @param {Object} account - User or Admin document with MFA fields selected
+   * @param {string} code - TOTP code
+   * @returns {Promise<boolean>} Whether the code was valid
+   */
+  async useTotpCode(account, code) {
+    const step = totp.verifyCode(account.security.mfaSecret, code, {
+      afterStep: account.security.mfaLastUsedStep ?? -1
+    });
+
+    if (step === null) {
+      return false;
+    }
+
+    const result = await account.constructor.updateOne(
+      { _id: account._id, 'security.mfaLastUsedStep': { $not: { $gte: step } } },
+      { $set: { 'security.mfaLastUsedStep': step } }
+    );
+
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Accept a recovery code once, removing it from the unused codes
+   * @param {Object} account - User or Admin document with MFA fields selected
+   * @param {string} recoveryCode - Recovery code
+   * @returns {Promise<boolean>} Whether the code was valid
+   */
+  async useRecoveryCode(account, recoveryCode) {
+    const hash = this.hashRecoveryCode(recoveryCode);
+
+    // Only the request that removes the code may use it
+    const result = await account.constructor.updateOne(
+      { _id: account._id, 'security.mfaRecoveryCodes': hash },
+      { $pull: { 'security.mfaRecoveryCodes': hash } }
+    );
+
+    if (result.modifiedCount !== 1) {
+      return false;
+    }
+
+    // Keep the document in step; pull saves as $pullAll, so a later save cannot restore it
+    account.security.mfaRecoveryCodes.pull(hash);
+    return true;
+  }
+
+  /**
+   * Generate a set of recovery codes (e.g. 'K7QF-M2XA')
+   * @returns {string[]} Recovery codes
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = totp.base32Encode(crypto.randomBytes(5));
+      return `${code.slice(0, 4)}-${code.slice(4)}`;
+    });
+  }
+
+  /**
+   * Hash a recovery code for storage and lookup, ignoring case and separators
+   * @param {string} recoveryCode - Recovery code
+   * @returns {string} Hex encoded SHA-256 hash
+   */
+  hashRecoveryCode(recoveryCode) {
+    return this.hashToken(String(recoveryCode || '').toUpperCase().replace(/[\s-]/g, ''));
+  }
+
+  /**
+   * Hash a token for storage and lookup
+   * @param {string} token - Token
+   * @returns {string} Hex encoded SHA-256 hash
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Get a user with their MFA fields
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} User
+   */
+  async getUser(userId) {
+    const user = await User.findById(userId).select(MFA_FIELDS);
+
+    if (!user) {
+      throw new ServiceError('USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    return user;
+  }
+
+  alreadyEnabled() {
+    return new ServiceError(
+      'MFA_ALREADY_ENABLED',
+      'Two-factor authentication is already enabled',
+      409
+    );
+  }
+
+  invalidCode(status) {
+    return new ServiceError('INVALID_MFA_CODE', 'Invalid authentication code', status);
+  }
+}
+
+// Export singleton instance
+const mfaService = new MfaService();
+
+module.exports = mfaService;
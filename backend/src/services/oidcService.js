@@ -0,0 +1,621 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const authService = require('./authService');
+const userService = require('./userService');
+const accountLockoutService = require('./accountLockoutService');
+const ServiceError = require('../utils/serviceError');
+
+/**
+ * OIDC Service
+ *
+ * Signs students in with their Google or Microsoft account using the OpenID
+ * Connect authorization code flow with PKCE, and manages the provider
+ * accounts linked to theirs. A first sign-in links the provider account to
+ * the student with the same verified email, or creates a new account when
+ * signing up.
+ *
+ * The flow in progress (state, nonce and PKCE code verifier) travels in a
+ * signed token that the routes keep in an httpOnly cookie, so the callback
+ * only completes in the browser that started it.
+ *
+ * Configuration, per provider (GOOGLE, MICROSOFT):
+ * - OIDC_<PROVIDER>_CLIENT_ID / OIDC_<PROVIDER>_CLIENT_SECRET: the app registration;
+ *   a provider is only offered once its client ID is set
+ * - OIDC_<PROVIDER>_ISSUER: issuer to discover the provider from, e.g. a local mock provider
+ * The redirect URI to register is FRONTEND_URL/auth/callback/<provider>.
+ *
+ * Constitutional Requirements:
+ * - ID tokens are verified against the provider's published keys, audience and nonce
+ * - Accounts are only linked automatically by an email both sides verified
+ * - Students always keep a way to sign in
+ * - Error handling with user-friendly messages
+ */
+
+const PROVIDERS = {
+  google: {
+    name: 'Google',
+    issuer: 'https://accounts.google.com',
+    emailVerifiedClaims: ['email_verified']
+  },
+  microsoft: {
+    name: 'Microsoft',
+    // Accepts work, school and personal accounts from any tenant
+    issuer: 'https://login.microsoftonline.com/common/v2.0',
+    // Microsoft vouches for an address when the tenant verified its domain
+    emailVerifiedClaims: ['email_verified', 'xms_edov']
+  }
+};
+
+// How long discovery documents and signing keys are reused
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+
+// Time allowed for each request to a provider
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Random URL-safe value for the state, nonce and code verifier
+ * @returns {string} Base64url encoded random bytes
+ */
+const randomValue = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} Whether they are equal
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+class OidcService {
+  constructor() {
+    this.metadataCache = new Map();
+  }
+
+  /**
+   * List the providers students can sign in with
+   * @returns {Array} Configured providers ({ id, name })
+   */
+  listProviders() {
+    return Object.keys(PROVIDERS)
+      .filter(id => this.isConfigured(id))
+      .map(id => ({ id, name: PROVIDERS[id].name }));
+  }
+
+  /**
+   * Start signing in, signing up or linking an account with a provider
+   * @param {string} providerId - Provider ID, e.g. 'google'
+   * @param {Object} flow - What the sign-in is for
+   * @param {string} flow.intent - 'login', or 'link' to link the provider to userId
+   * @param {string} flow.userId - Signed-in user linking the provider
+   * @param {boolean} flow.acceptTerms - Whether a new account may be created
+   * @param {boolean} flow.rememberMe - Whether the session started is remembered
+   * @returns {Promise<Object>} Provider URL to send the student to and the state
+   *   token to keep until the callback ({ authorizationUrl, stateToken })
+   */
+  async startAuthorization(providerId, { intent = 'login', userId, acceptTerms, rememberMe }) {
+    const provider = this.getProvider(providerId);
+    const metadata = await this.getMetadata(provider);
+
+    const state = randomValue();
+    const nonce = randomValue();
+    const codeVerifier = randomValue();
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    const authorizationUrl = new URL(metadata.authorization_endpoint);
+    authorizationUrl.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: provider.redirectUri,
+      scope: 'openid email profile',
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+      // Students often have both a personal and a school account
+      prompt: 'select_account'
+    }).toString();
+
+    const stateToken = authService.generateOidcStateToken({
+      provider: provider.id,
+      state,
+      nonce,
+      codeVerifier,
+      intent,
+      userId,
+      acceptTerms: !!acceptTerms,
+      rememberMe: !!rememberMe
+    });
+
+    return { authorizationUrl: authorizationUrl.toString(), stateToken };
+  }
+
+  /**
+   * Complete the flow the provider redirected back from
+   *
+   * Logins resolve like userService.authenticateUser, with tokens or a
+   * challenge. Links resolve with the user's linked accounts.
+   *
+   * @param {string} providerId - Provider ID
+   * @param {Object} callback - Callback details (code, state, stateToken)
+   * @param {Object} context - Request context (deviceToken, ipAddress, userAgent)
+   * @returns {Promise<Object>} Login result, or { linked: true, identities, hasPassword }
+   * @throws {ServiceError} When the flow, code or ID token is invalid
+   */
+  async completeAuthorization(providerId, { code, state, stateToken }, context = {}) {
+    const provider = this.getProvider(providerId);
+
+    let flow;
+    try {
+      flow = authService.verifyOidcStateToken(stateToken);
+    } catch (error) {
+      throw this.invalidState();
+    }
+
+    if (flow.provider !== provider.id || !safeEqual(flow.state, state)) {
+      throw this.invalidState();
+    }
+
+    const metadata = await this.getMetadata(provider);
+    const idToken = await this.exchangeCode(provider, metadata, code, flow.codeVerifier);
+    const claims = await this.verifyIdToken(provider, metadata, idToken, flow.nonce);
+
+    if (flow.intent === 'link') {
+      return { linked: true, ...await this.linkIdentity(flow.userId, provider, claims) };
+    }
+
+    const user = await this.findOrCreateUser(provider, claims, flow);
+    accountLockoutService.assertNotLocked(user);
+
+    return userService.completeLogin(user, { rememberMe: flow.rememberMe, ...context });
+  }
+
+  /**
+   * Find the student a provider account signs in as, linking or creating one
+   * @param {Object} provider - Provider configuration
+   * @param {Object} claims - Verified ID token claims
+   * @param {Object} flow - Flow details (acceptTerms)
+   * @returns {Promise<Object>} User document
+   * @throws {ServiceError} When no account can be used
+   */
+  async findOrCreateUser(provider, claims, { acceptTerms }) {
+    const linkedUser = await User.findOne({
+      oidcIdentities: { $elemMatch: { provider: provider.id, subject: claims.sub } }
+    });
+
+    if (linkedUser) {
+      await User.updateOne(
+        { _id: linkedUser._id, 'oidcIdentities.provider': provider.id },
+        { $set: { 'oidcIdentities.$.lastUsedAt': new Date() } }
+      );
+      return linkedUser;
+    }
+
+    if (!this.isEmailVerified(provider, claims)) {
+      throw new ServiceError(
+        'OIDC_EMAIL_NOT_VERIFIED',
+        `Your ${provider.name} account has no verified email address. ` +
+          `Sign in with your password and link ${provider.name} from your profile instead`,
+        403
+      );
+    }
+
+    const identity = this.buildIdentity(provider, claims);
+    const existingUser = await User.findByEmail(claims.email);
+
+    if (existingUser) {
+      // Only link accounts that proved they own the address, so nobody can
+      // register a student's email first and take over their account
+      if (!existingUser.emailVerified) {
+        throw new ServiceError(
+          'OIDC_LINK_REQUIRES_SIGN_IN',
+          'An account already uses this email address. ' +
+            `Sign in with your password and link ${provider.name} from your profile`,
+          409
+        );
+      }
+
+      await this.addIdentity(existingUser._id, provider, identity);
+      return existingUser;
+    }
+
+    if (!acceptTerms) {
+      throw new ServiceError(
+        'OIDC_ACCOUNT_NOT_FOUND',
+        `No account uses this ${provider.name} account yet, please sign up first`,
+        404
+      );
+    }
+
+    return User.createUser({
+      email: claims.email,
+      firstName: claims.given_name,
+      lastName: claims.family_name,
+      oidcIdentity: identity,
+      emailVerified: true
+    });
+  }
+
+  /**
+   * Link a provider account to a signed-in student
+   * @param {string} userId - User ID
+   * @param {Object} provider - Provider configuration
+   * @param {Object} claims - Verified ID token claims
+   * @returns {Promise<Object>} Linked accounts ({ identities, hasPassword })
+   * @throws {ServiceError} When the provider account belongs to someone else
+   */
+  async linkIdentity(userId, provider, claims) {
+    const owner = await User.findOne({
+      oidcIdentities: { $elemMatch: { provider: provider.id, subject: claims.sub } }
+    });
+
+    if (owner && !owner._id.equals(userId)) {
+      throw this.identityInUse(provider);
+    }
+
+    if (!owner) {
+      await this.addIdentity(userId, provider, this.buildIdentity(provider, claims));
+    }
+
+    return this.listIdentities(userId);
+  }
+
+  /**
+   * List the provider accounts linked to a student
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Linked accounts and whether the student has a
+   *   password to fall back on ({ identities, hasPassword })
+   */
+  async listIdentities(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new ServiceError('USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    return {
+      identities: user.oidcIdentities.map(identity => this.formatIdentity(identity)),
+      hasPassword: user.hasPassword
+    };
+  }
+
+  /**
+   * Unlink a provider account from a student
+   * @param {string} userId - User ID
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<Object>} Remaining linked accounts ({ identities, hasPassword })
+   * @throws {ServiceError} When nothing is linked or it is the only way to sign in
+   */
+  async unlinkIdentity(userId, providerId) {
+    const { name } = PROVIDERS[providerId];
+    const user = await User.findById(userId);
+    const isLinked = !!user?.oidcIdentities.some(identity => identity.provider === providerId);
+
+    if (!isLinked) {
+      throw new ServiceError('OIDC_IDENTITY_NOT_FOUND', `No ${name} account is linked`, 404);
+    }
+
+    const filter = { _id: user._id, 'oidcIdentities.provider': providerId };
+    if (!user.hasPassword) {
+      // Without a password another linked account must remain to sign in with
+      filter['oidcIdentities.1'] = { $exists: true };
+    }
+
+    const result = await User.updateOne(filter, {
+      $pull: { oidcIdentities: { provider: providerId } }
+    });
+
+    if (result.modifiedCount !== 1) {
+      throw new ServiceError(
+        'OIDC_LAST_SIGN_IN_METHOD',
+        `${name} is the only way you can sign in. ` +
+          'Set a password with "Forgot your password?" before unlinking it',
+        409
+      );
+    }
+
+    return this.listIdentities(userId);
+  }
+
+  /**
+   * Add a provider account to a student, one per provider
+   * @param {string} userId - User ID
+   * @param {Object} provider - Provider configuration
+   * @param {Object} identity - Identity to add
+   * @throws {ServiceError} When the student or the provider account is already linked
+   */
+  async addIdentity(userId, provider, identity) {
+    let result;
+    try {
+      result = await User.updateOne(
+        { _id: userId, 'oidcIdentities.provider': { $ne: provider.id } },
+        { $push: { oidcIdentities: identity } }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        throw this.identityInUse(provider);
+      }
+      throw error;
+    }
+
+    if (result.modifiedCount !== 1) {
+      throw new ServiceError(
+        'OIDC_PROVIDER_ALREADY_LINKED',
+        `Your account is already linked to a different ${provider.name} account, ` +
+          'unlink it first',
+        409
+      );
+    }
+  }
+
+  /**
+   * Exchange an authorization code for the ID token
+   * @param {Object} provider - Provider configuration
+   * @param {Object} metadata - Provider discovery document
+   * @param {string} code - Authorization code
+   * @param {string} codeVerifier - PKCE code verifier of the flow
+   * @returns {Promise<string>} ID token
+   */
+  async exchangeCode(provider, metadata, code, codeVerifier) {
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      code_verifier: codeVerifier
+    });
+    if (provider.clientSecret) {
+      params.set('client_secret', provider.clientSecret);
+    }
+
+    const { ok, body } = await this.requestJson(provider, metadata.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: params.toString()
+    });
+
+    if (!ok || typeof body.id_token !== 'string') {
+      throw new ServiceError(
+        'OIDC_CODE_REJECTED',
+        `${provider.name} did not accept the sign-in, please try again`,
+        400
+      );
+    }
+
+    return body.id_token;
+  }
+
+  /**
+   * Verify an ID token's signature, issuer, audience, expiry and nonce
+   * @param {Object} provider - Provider configuration
+   * @param {Object} metadata - Provider discovery document
+   * @param {string} idToken - ID token
+   * @param {string} nonce - Nonce of the flow
+   * @returns {Promise<Object>} Verified claims
+   */
+  async verifyIdToken(provider, metadata, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded?.payload) {
+      throw this.invalidIdToken(provider);
+    }
+
+    const key = await this.getSigningKey(provider, metadata, decoded.header.kid);
+    // Microsoft's multi-tenant issuer has a placeholder for the account's tenant
+    const issuer = metadata.issuer.replace('{tenantid}', String(decoded.payload.tid));
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256'],
+        audience: provider.clientId,
+        issuer
+      });
+    } catch (error) {
+      throw this.invalidIdToken(provider);
+    }
+
+    if (!claims.sub || !safeEqual(claims.nonce, nonce)) {
+      throw this.invalidIdToken(provider);
+    }
+
+    return claims;
+  }
+
+  /**
+   * Find the provider key an ID token was signed with
+   * @param {Object} provider - Provider configuration
+   * @param {Object} metadata - Provider discovery document
+   * @param {string} kid - Key ID from the token header
+   * @returns {Promise<Object>} Public key
+   */
+  async getSigningKey(provider, metadata, kid) {
+    const findKey = jwks => (jwks.keys || []).find(key => key.kid === kid);
+
+    let jwk = findKey(await this.fetchCached(provider, metadata.jwks_uri));
+    if (!jwk) {
+      // Providers rotate their keys, so look again before giving up
+      jwk = findKey(await this.fetchCached(provider, metadata.jwks_uri, { refresh: true }));
+    }
+
+    try {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    } catch (error) {
+      throw this.invalidIdToken(provider);
+    }
+  }
+
+  /**
+   * Get a provider's OpenID Connect discovery document
+   * @param {Object} provider - Provider configuration
+   * @returns {Promise<Object>} Discovery document
+   */
+  getMetadata(provider) {
+    return this.fetchCached(
+      provider,
+      `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`
+    );
+  }
+
+  /**
+   * Fetch a provider document, reusing it for METADATA_CACHE_MS
+   * @param {Object} provider - Provider configuration
+   * @param {string} url - Document URL
+   * @param {Object} options - Fetch options (refresh to skip the cache)
+   * @returns {Promise<Object>} Document
+   */
+  async fetchCached(provider, url, { refresh = false } = {}) {
+    const cached = this.metadataCache.get(url);
+    if (!refresh && cached && Date.now() - cached.fetchedAt < METADATA_CACHE_MS) {
+      return cached.body;
+    }
+
+    const { ok, body } = await this.requestJson(provider, url);
+    if (!ok) {
+      throw this.providerUnavailable(provider);
+    }
+
+    this.metadataCache.set(url, { body, fetchedAt: Date.now() });
+    return body;
+  }
+
+  /**
+   * Make a request to a provider and read its JSON response
+   * @param {Object} provider - Provider configuration
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Object>} Whether it succeeded and the response body ({ ok, body })
+   */
+  async requestJson(provider, url, options = {}) {
+    let response;
+    try {
+      response = await fetch(url, {
+        ...options,
+        headers: { Accept: 'application/json', ...options.headers },
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw this.providerUnavailable(provider);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    return { ok: response.ok, body };
+  }
+
+  /**
+   * Get a provider's configuration
+   * @param {string} providerId - Provider ID
+   * @returns {Object} Provider configuration
+   * @throws {ServiceError} When the provider is unknown or not configured
+   */
+  getProvider(providerId) {
+    if (!this.isConfigured(providerId)) {
+      throw new ServiceError(
+        'OIDC_PROVIDER_NOT_AVAILABLE',
+        'Signing in with this provider is not available',
+        404
+      );
+    }
+
+    const settingPrefix = `OIDC_${providerId.toUpperCase()}`;
+    return {
+      id: providerId,
+      ...PROVIDERS[providerId],
+      issuer: process.env[`${settingPrefix}_ISSUER`] || PROVIDERS[providerId].issuer,
+      clientId: process.env[`${settingPrefix}_CLIENT_ID`],
+      clientSecret: process.env[`${settingPrefix}_CLIENT_SECRET`],
+      redirectUri: `${process.env.FRONTEND_URL}/auth/callback/${providerId}`
+    };
+  }
+
+  /**
+   * Check whether a provider is known and has a client ID
+   * @param {string} providerId - Provider ID
+   * @returns {boolean} Whether students can use it
+   */
+  isConfigured(providerId) {
+    return Object.prototype.hasOwnProperty.call(PROVIDERS, providerId) &&
+      !!process.env[`OIDC_${providerId.toUpperCase()}_CLIENT_ID`];
+  }
+
+  /**
+   * Check whether the provider vouches for the email address in the claims
+   * @param {Object} provider - Provider configuration
+   * @param {Object} claims - Verified ID token claims
+   * @returns {boolean} Whether the email is verified
+   */
+  isEmailVerified(provider, claims) {
+    return !!claims.email && provider.emailVerifiedClaims.some(claim => claims[claim] === true);
+  }
+
+  /**
+   * Build the identity stored for a provider account
+   * @param {Object} provider - Provider configuration
+   * @param {Object} claims - Verified ID token claims
+   * @returns {Object} Identity
+   */
+  buildIdentity(provider, claims) {
+    const now = new Date();
+    return {
+      provider: provider.id,
+      subject: claims.sub,
+      email: claims.email,
+      linkedAt: now,
+      lastUsedAt: now
+    };
+  }
+
+  /**
+   * Summarise a linked account for API responses
+   * @param {Object} identity - Identity subdocument
+   * @returns {Object} Linked account summary
+   */
+  formatIdentity(identity) {
+    return {
+      provider: identity.provider,
+      name: PROVIDERS[identity.provider].name,
+      email: identity.email,
+      linkedAt: identity.linkedAt,
+      lastUsedAt: identity.lastUsedAt
+    };
+  }
+
+  invalidState() {
+    return new ServiceError(
+      'INVALID_OIDC_STATE',
+      'This sign-in expired or was started in another browser, please try again',
+      400
+    );
+  }
+
+  invalidIdToken(provider) {
+    return new ServiceError(
+      'OIDC_INVALID_ID_TOKEN',
+      `Could not verify your ${provider.name} sign-in, please try again`,
+      401
+    );
+  }
+
+  identityInUse(provider) {
+    return new ServiceError(
+      'OIDC_IDENTITY_IN_USE',
+      `This ${provider.name} account is already linked to another account`,
+      409
+    );
+  }
+
+  providerUnavailable(provider) {
+    return new ServiceError(
+      'OIDC_PROVIDER_UNAVAILABLE',
+      `${provider.name} sign-in is unavailable right now, please try again later`,
+      502
+    );
+  }
+}
+
+// Export singleton instance
+const oidcService = new OidcService();
+
+module.exports = oidcService;
@@ -0,0 +1,290 @@
+const User = require('../models/User');
+const Admin = require('../models/Admin');
+const authService = require('./authService');
+const emailService = require('./emailService');
+const passwordService = require('./passwordService');
+const ServiceError = require('../utils/serviceError');
+
+/**
+ * Password Policy Service
+ *
+ * Applies the password history and expiry policy to students and admins
+ * alike. Every new password is checked against the current and recent
+ * passwords, and an expired password must be changed before a login
+ * completes: the login returns a restricted password change token instead
+ * of a session.
+ *
+ * Configuration (0 disables the rule):
+ * - PASSWORD_HISTORY_SIZE: passwords, including the current one, that cannot be reused
+ * - USER_PASSWORD_MAX_AGE_DAYS / ADMIN_PASSWORD_MAX_AGE_DAYS: days before a password expires.
+ *   Student passwords never expire unless USER_PASSWORD_MAX_AGE_DAYS is set
+ * - PASSWORD_EXPIRY_WARNING_DAYS: days before expiry the warning email is sent
+ *
+ * Constitutional Requirements:
+ * - Earlier passwords are only ever stored as bcrypt hashes
+ * - Password change tokens grant nothing but changing the expired password
+ * - New passwords meet the password strength requirements and have not been breached
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields the history check needs, hidden by default
+const PASSWORD_FIELDS = '+passwordHash +security.passwordHistory';
+
+const models = { User, Admin };
+
+/**
+ * Read a non-negative whole number setting, allowing 0
+ * @param {string} value - Environment value
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Setting
+ */
+const readSetting = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+class PasswordPolicyService {
+  constructor() {
+    this.historySize = readSetting(process.env.PASSWORD_HISTORY_SIZE, 5);
+    this.maxAgeDays = {
+      User: readSetting(process.env.USER_PASSWORD_MAX_AGE_DAYS, 0),
+      Admin: readSetting(process.env.ADMIN_PASSWORD_MAX_AGE_DAYS, 90)
+    };
+    this.warningDays = readSetting(process.env.PASSWORD_EXPIRY_WARNING_DAYS, 14);
+  }
+
+  /**
+   * Get when an account's password expires
+   *
+   * Accounts created before passwords were dated count from their creation.
+   * Students who only sign in through a linked provider have no password to
+   * expire.
+   *
+   * @param {Object} subject - User or Admin document
+   * @returns {Date|null} Expiry, or null when the password never expires
+   */
+  getExpiry(subject) {
+    const age = this.getPasswordAge(subject);
+    return age && new Date(age.changedAt.getTime() + age.maxAgeDays * DAY_MS);
+  }
+
+  /**
+   * Check whether an account's password has expired
+   * @param {Object} subject - User or Admin document
+   * @returns {boolean} True if the password must be changed before logging in
+   */
+  isExpired(subject) {
+    const age = this.getPasswordAge(subject);
+    return !!age && passwordService.shouldUpdatePassword(age.changedAt, age.maxAgeDays);
+  }
+
+  /**
+   * Get when an account's password was set and how long it may be used
+   * @param {Object} subject - User or Admin document
+   * @returns {Object|null} Password age ({ changedAt, maxAgeDays }), or null when
+   *   the password never expires
+   */
+  getPasswordAge(subject) {
+    const maxAgeDays = this.maxAgeDays[subject.constructor.modelName];
+    const changedAt = subject.security?.lastPasswordChange || subject.createdAt;
+
+    if (!maxAgeDays || !changedAt || subject.hasPassword === false) {
+      return null;
+    }
+
+    return { changedAt, maxAgeDays };
+  }
+
+  /**
+   * Build the login response for an account whose password expired
+   * @param {Object} subject - User or Admin document
+   * @param {Object} options - Login options (rememberMe)
+   * @returns {Object} Password change challenge ({ passwordChangeRequired, passwordChangeToken })
+   */
+  passwordChangeChallenge(subject, { rememberMe = false } = {}) {
+    return {
+      passwordChangeRequired: true,
+      passwordChangeToken: authService.generatePasswordChangeToken(subject, rememberMe)
+    };
+  }
+
+  /**
+   * Load the account a password change token was issued for
+   * @param {string} subjectType - Expected account kind ('User' or 'Admin')
+   * @param {string} token - Password change token
+   * @returns {Promise<Object>} Account with its password fields and the login options
+   *   ({ subject, rememberMe })
+   * @throws {ServiceError} When the token is invalid or its password already changed
+   */
+  async verifyPasswordChangeToken(subjectType, token) {
+    let decoded;
+    try {
+      decoded = authService.verifyPasswordChangeToken(token);
+    } catch (error) {
+      throw this.invalidToken();
+    }
+
+    if (decoded.type !== subjectType) {
+      throw this.invalidToken();
+    }
+
+    const subject = await models[subjectType].findById(decoded.id).select(PASSWORD_FIELDS);
+
+    if (
+      !subject ||
+      (subjectType === 'Admin' && subject.status !== 'active') ||
+      decoded.pwd !== authService.passwordFingerprint(subject.passwordHash)
+    ) {
+      throw this.invalidToken();
+    }
+
+    return { subject, rememberMe: !!decoded.rememberMe };
+  }
+
+  /**
+   * Load an account with the fields setNewPassword needs
+   * @param {string} subjectType - Account kind ('User' or 'Admin')
+   * @param {string} id - Account ID
+   * @returns {Promise<Object|null>} Account
+   */
+  findWithPasswordHistory(subjectType, id) {
+    return models[subjectType].findById(id).select(PASSWORD_FIELDS);
+  }
+
+  /**
+   * Replace an account's password after checking it against the policy
+   *
+   * The previous password moves into the history. The update is a
+   * compare-and-swap on the previous hash, so it fails when the password
+   * changed concurrently.
+   *
+   * @param {Object} subject - Account loaded with its password fields
+   * @param {string} newPassword - New password
+   * @param {string} field - Request field holding the new password
+   * @returns {Promise<boolean>} False if the password changed in the meantime
+   * @throws {ServiceError} When the password is weak, breached or recently used
+   */
+  async setNewPassword(subject, newPassword, field = 'newPassword') {
+    const validation = passwordService.validatePasswordStrength(newPassword, {
+      email: subject.email,
+      firstName: subject.profile?.personalInfo?.firstName || subject.profile?.firstName,
+      lastName: subject.profile?.personalInfo?.lastName || subject.profile?.lastName
+    });
+
+    if (!validation.isValid) {
+      throw new ServiceError(
+        'VALIDATION_ERROR',
+        'New password does not meet strength requirements',
+        400,
+        validation.errors.map(message => ({ field, message }))
+      );
+    }
+
+    await passwordService.assertNotCompromised(newPassword, field);
+    await this.assertNotReused(subject, newPassword, field);
+
+    const Model = subject.constructor;
+    const passwordHash = await Model.hashPassword(newPassword);
+    const changedAt = new Date();
+    const update = {
+      $set: { passwordHash, 'security.lastPasswordChange': changedAt },
+      $unset: { 'security.passwordExpiryWarningSentAt': 1 }
+    };
+
+    // The current password counts towards the history size itself
+    if (this.historySize > 1) {
+      update.$push = {
+        'security.passwordHistory': {
+          $each: subject.passwordHash ? [subject.passwordHash] : [],
+          $slice: -(this.historySize - 1)
+        }
+      };
+    } else {
+      update.$set['security.passwordHistory'] = [];
+    }
+
+    const result = await Model.updateOne(
+      { _id: subject._id, passwordHash: subject.passwordHash || { $exists: false } },
+      update
+    );
+
+    if (result.modifiedCount !== 1) {
+      return false;
+    }
+
+    // Keep the expiry in step, so the document no longer counts as expired.
+    // The hash itself is left alone, saving it would hash it a second time.
+    subject.security.lastPasswordChange = changedAt;
+    subject.security.passwordExpiryWarningSentAt = undefined;
+
+    return true;
+  }
+
+  /**
+   * Reject the current password or one of the remembered earlier ones
+   * @param {Object} subject - Account loaded with its password fields
+   * @param {string} password - Proposed password
+   * @param {string} field - Request field holding the password
+   * @throws {ServiceError} When the password was used recently
+   */
+  async assertNotReused(subject, password, field) {
+    if (!this.historySize) {
+      return;
+    }
+
+    // Newest first, the history is kept oldest first
+    const history = (subject.security?.passwordHistory || []).slice().reverse();
+    const recent = [subject.passwordHash, ...history].filter(Boolean).slice(0, this.historySize);
+
+    for (const hash of recent) {
+      if (await passwordService.verifyPassword(password, hash)) {
+        throw new ServiceError(
+          'PASSWORD_REUSED',
+          `Please choose a password you have not used for your last ${this.historySize} passwords`,
+          400,
+          { field }
+        );
+      }
+    }
+  }
+
+  /**
+   * Email an account that its password expires soon, once per password
+   * @param {Object} subject - User or Admin document
+   * @returns {Promise<boolean>} Whether a warning was sent
+   */
+  async sendExpiryWarning(subject) {
+    const expiresAt = this.getExpiry(subject);
+
+    if (!expiresAt) {
+      return false;
+    }
+
+    // Claim the warning first, so overlapping runs cannot both send it
+    const result = await subject.constructor.updateOne(
+      { _id: subject._id, 'security.passwordExpiryWarningSentAt': { $exists: false } },
+      { $set: { 'security.passwordExpiryWarningSentAt': new Date() } }
+    );
+
+    if (result.modifiedCount !== 1) {
+      return false;
+    }
+
+    await emailService.sendPasswordExpiryWarning(subject, expiresAt);
+    return true;
+  }
+
+  invalidToken() {
+    return new ServiceError(
+      'INVALID_TOKEN',
+      'Invalid or expired password change request, please log in again',
+      401
+    );
+  }
+}
+
+// Export singleton instance
+const passwordPolicyService = new PasswordPolicyService();
+
+module.exports = passwordPolicyService;
@@ -0,0 +1,81 @@
+const User = require('../models/User');
+const authService = require('./authService');
+const emailService = require('./emailService');
+const passwordPolicyService = require('./passwordPolicyService');
+const sessionService = require('./sessionService');
+const ServiceError = require('../utils/serviceError');
+
+/**
+ * Password Reset Service
+ *
+ * Handles the forgotten password flow: emailing a reset link and setting a
+ * new password from its token.
+ *
+ * Constitutional Requirements:
+ * - Never reveal whether an account exists for an email address
+ * - Reset tokens are single-use and stop working once the password changes
+ * - A reset signs the user out everywhere
+ * - New passwords meet the password policy (strength, breaches and history)
+ */
+
+class PasswordResetService {
+  /**
+   * Email a password reset link if an account exists for the address
+   * @param {string} email - Email address
+   * @returns {Promise<boolean>} Whether a reset email was sent
+   */
+  async requestReset(email) {
+    const user = await User.findByEmail(email);
+
+    if (!user) {
+      return false;
+    }
+
+    await emailService.sendPasswordResetEmail(user, authService.generateResetToken(user));
+    return true;
+  }
+
+  /**
+   * Set a new password from a reset token, revoking every session
+   * @param {string} token - Password reset token
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} User
+   */
+  async resetPassword(token, newPassword) {
+    let decoded;
+    try {
+      decoded = authService.verifyResetToken(token);
+    } catch (error) {
+      throw this.invalidToken();
+    }
+
+    const user = await passwordPolicyService.findWithPasswordHistory('User', decoded.id);
+
+    // The password changed since the token was issued, which includes using the token
+    if (!user || decoded.pwd !== authService.passwordFingerprint(user.passwordHash)) {
+      throw this.invalidToken();
+    }
+
+    // Compare-and-swap on the old hash so concurrent requests cannot both use the token
+    if (!(await passwordPolicyService.setNewPassword(user, newPassword))) {
+      throw this.invalidToken();
+    }
+
+    await sessionService.revokeAll(user, 'password_reset');
+
+    return user;
+  }
+
+  invalidToken() {
+    return new ServiceError(
+      'INVALID_RESET_TOKEN',
+      'This password reset link is invalid or has expired, please request a new one',
+      400
+    );
+  }
+}
+
+// Export singleton instance
+const passwordResetService = new PasswordResetService();
+
+module.exports = passwordResetService;
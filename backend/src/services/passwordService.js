@@ -1,5 +1,7 @@
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const breachedPasswords = require('../utils/breachedPasswords');
+const ServiceError = require('../utils/serviceError');
 
 /**
  * Password Service
@@ -11,6 +13,7 @@ const crypto = require('crypto');
  * - Strong password hashing with bcrypt
  * - Password strength validation
  * - Secure random password generation
+ * - Passwords seen in data breaches are rejected, checked offline
  * - Rate limiting considerations
  */
 
@@ -306,21 +309,35 @@ class PasswordService {
   }
 
   /**
-   * Check if password has been compromised (placeholder for future implementation)
+   * Check if password appears in the offline breached password dataset
    * @param {string} password - Password to check
    * @returns {Promise<boolean>} True if compromised
    */
   async isPasswordCompromised(password) {
-    // This would integrate with Have I Been Pwned API or similar service
-    // For now, return false (not compromised)
-    
-    // Example implementation would hash the password and check against known breaches
-    // const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
-    // const prefix = hash.substring(0, 5);
-    // const suffix = hash.substring(5);
-    // Check against API...
-    
-    return false;
+    try {
+      return (await breachedPasswords.getBreachCount(password)) > 0;
+    } catch (error) {
+      // A missing or unreadable dataset must not stop people setting passwords
+      console.error('Breached password check failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Reject a password found in the breached password dataset
+   * @param {string} password - Password to check
+   * @param {string} field - Request field holding the password
+   * @throws {ServiceError} When the password is compromised, with generated suggestions
+   */
+  async assertNotCompromised(password, field = 'password') {
+    if (await this.isPasswordCompromised(password)) {
+      throw new ServiceError(
+        'PASSWORD_COMPROMISED',
+        'This password has appeared in a data breach, please choose a different one',
+        400,
+        { field, suggestions: this.generatePasswordSuggestions() }
+      );
+    }
   }
 
   /**
@@ -0,0 +1,208 @@
+const jwt = require('jsonwebtoken');
+const Application = require('../models/Application');
+const User = require('../models/User');
+const University = require('../models/University');
+const authService = require('./authService');
+const emailService = require('./emailService');
+const documentService = require('./documentService');
+const ServiceError = require('../utils/serviceError');
+
+/**
+ * Referee Service
+ *
+ * Handles reference requests: emailing referees a signed, expiring link and
+ * acting on that link when the referee uploads a letter or declines.
+ *
+ * Constitutional Requirements:
+ * - Referees never need an account; the link is their only credential
+ * - A link only works for the latest request sent for a Pending reference
+ * - Letters are stored as Recommendation documents owned by the applicant
+ * - Error handling with user-friendly messages
+ */
+
+// Letters must be documents rather than images or archives
+const LETTER_MIME_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+
+class RefereeService {
+  /**
+   * Email a referee a link to respond to a reference request
+   *
+   * Sending a new request replaces any earlier link for the same reference.
+   * The new link is saved before it is emailed, so the referee never holds a
+   * link the application does not know about.
+   *
+   * @param {Object} application - Application document
+   * @param {Object} reference - Pending reference subdocument
+   * @returns {Promise<boolean>} Whether the email was sent; when it was not,
+   *   the request has to be resent for the referee to get a working link
+   */
+  async sendRequest(application, reference) {
+    const token = authService.generateRefereeToken(application, reference);
+    const { jti, exp } = jwt.decode(token);
+
+    const [applicant, university] = await Promise.all([
+      User.findById(application.userId),
+      University.findById(application.universityId?._id || application.universityId)
+    ]);
+    const program = university?.programs.id(application.programId);
+
+    // The token ID identifies the latest link, so older links stop working
+    reference.requestTokenId = jti;
+    reference.requestSentAt = new Date();
+    reference.requestExpiresAt = new Date(exp * 1000);
+    await application.save();
+
+    try {
+      await emailService.sendReferenceRequestEmail(reference, applicant, {
+        universityName: university?.name || 'University',
+        programName: program?.name || 'Program',
+        expiresAt: reference.requestExpiresAt
+      }, token);
+    } catch (error) {
+      console.error('Reference request email failed:', error.message);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Describe the request behind a referee link
+   * @param {string} token - Referee token
+   * @returns {Promise<Object>} Referee, applicant and program details
+   */
+  async getRequestDetails(token) {
+    const { application, reference } = await this.resolveRequest(token);
+
+    const [applicant, university] = await Promise.all([
+      User.findById(application.userId),
+      University.findById(application.universityId)
+    ]);
+    const program = university?.programs.id(application.programId);
+
+    return {
+      referee: {
+        name: reference.refereeeName,
+        relationship: reference.relationship
+      },
+      applicant: {
+        name: applicant?.fullName || 'The applicant'
+      },
+      university: {
+        name: university?.name
+      },
+      program: {
+        name: program?.name,
+        level: program?.level
+      },
+      expiresAt: reference.requestExpiresAt
+    };
+  }
+
+  /**
+   * Store a referee's letter and mark the reference as submitted
+   * @param {string} token - Referee token
+   * @param {Object} file - Uploaded letter (multer memory file)
+   * @returns {Promise<Object>} Updated reference
+   */
+  async submitLetter(token, file) {
+    const { application, reference } = await this.resolveRequest(token);
+
+    if (!LETTER_MIME_TYPES.includes(file.mimetype)) {
+      throw new ServiceError(
+        'INVALID_FILE',
+        'Recommendation letters must be PDF or Word documents',
+        400,
+        [{ field: 'letter', message: `File type ${file.mimetype} is not accepted` }]
+      );
+    }
+
+    const document = await documentService.createDocument({
+      ownerId: application.userId,
+      file,
+      category: 'Recommendation',
+      description: `Recommendation letter from ${reference.refereeeName}`,
+      applicationIds: [application._id]
+    });
+
+    reference.status = 'Submitted';
+    reference.submittedAt = new Date();
+    reference.documentId = document._id;
+    await application.save();
+
+    return reference;
+  }
+
+  /**
+   * Record that a referee declined to provide a reference
+   * @param {string} token - Referee token
+   * @param {string} reason - Optional reason shared with the applicant
+   * @returns {Promise<Object>} Updated reference
+   */
+  async declineRequest(token, reason) {
+    const { application, reference } = await this.resolveRequest(token);
+
+    reference.status = 'Declined';
+    reference.declinedAt = new Date();
+    reference.declineReason = reason;
+    await application.save();
+
+    return reference;
+  }
+
+  /**
+   * Find the application and reference a referee link points to
+   * @param {string} token - Referee token
+   * @returns {Promise<Object>} Application and reference subdocument
+   * @throws {ServiceError} When the link is invalid, expired, superseded or already used
+   */
+  async resolveRequest(token) {
+    let decoded;
+    try {
+      decoded = authService.verifyRefereeToken(token);
+    } catch (error) {
+      if (error.message === 'REFEREE_TOKEN_EXPIRED') {
+        throw new ServiceError('REFEREE_LINK_EXPIRED', 'This reference link has expired', 410);
+      }
+      throw new ServiceError('INVALID_REFEREE_LINK', 'This reference link is not valid', 404);
+    }
+
+    const application = await Application.findById(decoded.applicationId);
+    const reference = application?.applicationData.references.id(decoded.referenceId);
+
+    const isCurrentLink = reference &&
+      reference.refereeEmail === decoded.email &&
+      reference.requestTokenId === decoded.jti;
+
+    if (!isCurrentLink) {
+      throw new ServiceError('INVALID_REFEREE_LINK', 'This reference link is not valid', 404);
+    }
+
+    if (reference.status !== 'Pending') {
+      throw new ServiceError(
+        'REFERENCE_ALREADY_COMPLETED',
+        `This reference has already been ${reference.status.toLowerCase()}`,
+        409
+      );
+    }
+
+    if (Application.getAllowedTransitions(application.status).length === 0) {
+      throw new ServiceError(
+        'REFERENCE_REQUEST_CLOSED',
+        'This application is no longer accepting references',
+        410
+      );
+    }
+
+    return { application, reference };
+  }
+}
+
+// Export singleton instance
+const refereeService = new RefereeService();
+
+module.exports = refereeService;
@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const authService = require('./authService');
+const ServiceError = require('../utils/serviceError');
+
+/**
+ * Session Service
+ *
+ * Handles the signed-in devices of students and admins: starting a session
+ * at login, checking it on every request, rotating its refresh token, and
+ * listing and revoking sessions.
+ *
+ * Constitutional Requirements:
+ * - Every device gets its own session, so signing in never signs out another
+ * - Refresh tokens are single-use; reusing one revokes its session
+ * - Revoked sessions stop working immediately, access tokens included
+ * - Error handling with user-friendly messages
+ */
+
+// lastSeenAt is only written when it is at least this old, to save a write per request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+class SessionService {
+  /**
+   * Start a session for a student or admin who just logged in
+   * @param {Object} subject - User or Admin document
+   * @param {Object} context - Request context (ipAddress, userAgent)
+   * @param {Object} options - Session options ({ rememberMe })
+   * @returns {Promise<Object>} Session and its token pair ({ session, tokens })
+   */
+  async startSession(subject, { ipAddress, userAgent } = {}, { rememberMe = false } = {}) {
+    const subjectType = subject.constructor.modelName;
+    const lifetime = authService.parseExpiryToSeconds(
+      authService.getRefreshExpiry(subjectType, rememberMe)
+    );
+
+    const session = await Session.create({
+      subjectType,
+      subjectId: subject._id,
+      device: Session.describeDevice(userAgent),
+      ipAddress,
+      userAgent: userAgent ? userAgent.slice(0, 500) : undefined,
+      rememberMe: subjectType === 'User' && rememberMe,
+      expiresAt: new Date(Date.now() + lifetime * 1000)
+    });
+
+    return { session, tokens: this.issueTokens(subject, session) };
+  }
+
+  /**
+   * Issue a token pair for a session
+   * @param {Object} subject - User or Admin document
+   * @param {Object} session - Session document
+   * @returns {Object} Token pair with metadata
+   */
+  issueTokens(subject, session) {
+    return session.subjectType === 'Admin'
+      ? authService.generateAdminTokens(subject, session)
+      : authService.generateTokens(subject, session);
+  }
+
+  /**
+   * Find the active session a decoded token belongs to
+   * @param {string} subjectType - 'User' or 'Admin'
+   * @param {Object} decoded - Decoded access or refresh token
+   * @returns {Promise<Object>} Session
+   * @throws {ServiceError} When the session was revoked or has expired
+   */
+  async authenticate(subjectType, decoded) {
+    if (!mongoose.isValidObjectId(decoded.sessionId)) {
+      throw this.sessionInvalid();
+    }
+
+    const session = await Session.findOne({
+      _id: decoded.sessionId,
+      subjectType,
+      subjectId: decoded.id
+    });
+
+    if (!session || !session.isActive) {
+      throw this.sessionInvalid();
+    }
+
+    return session;
+  }
+
+  /**
+   * Record that a session is in use
+   * @param {Object} session - Session document
+   * @returns {Promise<boolean>} Whether lastSeenAt was written
+   */
+  async touch(session) {
+    const now = new Date();
+    if (now - session.lastSeenAt < LAST_SEEN_RESOLUTION_MS) {
+      return false;
+    }
+
+    session.lastSeenAt = now;
+    await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: now } });
+    return true;
+  }
+
+  /**
+   * Move a session to its next refresh generation, extending its expiry
+   *
+   * A refresh token from an earlier generation has already been used, so it
+   * may have been stolen: the whole session is revoked.
+   *
+   * @param {string} subjectType - 'User' or 'Admin'
+   * @param {Object} decoded - Decoded refresh token
+   * @returns {Promise<Object>} Rotated session
+   * @throws {ServiceError} When the session is invalid or the token was reused
+   */
+  async rotate(subjectType, decoded) {
+    const session = await this.authenticate(subjectType, decoded);
+
+    if (session.refreshGeneration !== decoded.generation) {
+      await session.revoke('refresh_token_reuse');
+      throw this.refreshTokenReused();
+    }
+
+    const lifetime = authService.parseExpiryToSeconds(
+      authService.getRefreshExpiry(subjectType, session.rememberMe)
+    );
+    const expiresAt = new Date(Date.now() + lifetime * 1000);
+
+    // Compare-and-swap so only one of two concurrent refreshes can win
+    const result = await Session.updateOne(
+      {
+        _id: session._id,
+        refreshGeneration: decoded.generation,
+        revokedAt: { $exists: false }
+      },
+      { $inc: { refreshGeneration: 1 }, $set: { expiresAt } }
+    );
+
+    if (result.modifiedCount !== 1) {
+      await session.revoke('refresh_token_reuse');
+      throw this.refreshTokenReused();
+    }
+
+    session.refreshGeneration += 1;
+    session.expiresAt = expiresAt;
+    return session;
+  }
+
+  /**
+   * Exchange a student refresh token for a new token pair
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object>} New token pair
+   */
+  async refreshUserTokens(refreshToken) {
+    let decoded;
+    try {
+      decoded = authService.verifyRefreshToken(refreshToken);
+    } catch (error) {
+      throw new ServiceError('INVALID_TOKEN', 'Invalid or expired refresh token', 401);
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user) {
+      throw new ServiceError('INVALID_TOKEN', 'Invalid or expired refresh token', 401);
+    }
+
+    const session = await this.rotate('User', decoded);
+    return this.issueTokens(user, session);
+  }
+
+  /**
+   * List the active sessions of a student or admin, most recently used first
+   * @param {string} subjectType - 'User' or 'Admin'
+   * @param {string} subjectId - User or Admin ID
+   * @param {string} currentSessionId - Session making the request
+   * @returns {Promise<Array>} Sessions
+   */
+  async listSessions(subjectType, subjectId, currentSessionId) {
+    const sessions = await Session.findActive(subjectType, subjectId);
+
+    return sessions.map(session => this.formatSession(session, currentSessionId));
+  }
+
+  /**
+   * Revoke one of a student's or admin's own sessions
+   * @param {string} subjectType - 'User' or 'Admin'
+   * @param {string} subjectId - User or Admin ID
+   * @param {string} sessionId - Session ID
+   * @throws {ServiceError} When the session is not theirs or is no longer active
+   */
+  async revokeSession(subjectType, subjectId, sessionId) {
+    const session = mongoose.isValidObjectId(sessionId)
+      ? await Session.findOne({ _id: sessionId, subjectType, subjectId })
+      : null;
+
+    if (!session || !session.isActive) {
+      throw new ServiceError('SESSION_NOT_FOUND', 'Session not found', 404);
+    }
+
+    await session.revoke('revoked');
+  }
+
+  /**
+   * Revoke every session of a student or admin except the current one
+   * @param {string} subjectType - 'User' or 'Admin'
+   * @param {string} subjectId - User or Admin ID
+   * @param {string} currentSessionId - Session to keep
+   * @param {string} reason - Revocation reason (see Session.revokedReason)
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  revokeOtherSessions(subjectType, subjectId, currentSessionId, reason = 'revoked') {
+    return Session.revokeAll(subjectType, subjectId, reason, currentSessionId);
+  }
+
+  /**
+   * Revoke every session of a student or admin, e.g. after a password change
+   * @param {Object} subject - User or Admin document
+   * @param {string} reason - Revocation reason (see Session.revokedReason)
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  revokeAll(subject, reason) {
+    return Session.revokeAll(subject.constructor.modelName, subject._id, reason);
+  }
+
+  /**
+   * Summarise a session for API responses
+   * @param {Object} session - Session document
+   * @param {string} currentSessionId - Session making the request
+   * @returns {Object} Session summary
+   */
+  formatSession(session, currentSessionId) {
+    return {
+      id: session._id,
+      device: session.device,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt,
+      current: !!currentSessionId && session._id.equals(currentSessionId)
+    };
+  }
+
+  sessionInvalid() {
+    return new ServiceError('SESSION_INVALID', 'Session has been invalidated', 401);
+  }
+
+  refreshTokenReused() {
+    return new ServiceError(
+      'REFRESH_TOKEN_REUSED',
+      'This refresh token was already used, so the session was signed out for your safety',
+      401
+    );
+  }
+}
+
+// Export singleton instance
+const sessionService = new SessionService();
+
+module.exports = sessionService;
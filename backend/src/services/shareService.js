@@ -0,0 +1,359 @@
+const crypto = require('crypto');
+const Admin = require('../models/Admin');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const documentService = require('./documentService');
+const ServiceError = require('../utils/serviceError');
+
+/**
+ * Share Service
+ *
+ * Handles sharing a student's documents: expiring grants to other users or
+ * admins, and anonymous share links for people outside the platform (e.g.
+ * school counsellors).
+ *
+ * Constitutional Requirements:
+ * - Only the owner of a document can share it or revoke its grants and links
+ * - Share link tokens are never stored, only their SHA-256 hash
+ * - Every grant, revocation and share link download is logged with accessType Share
+ * - Error handling with user-friendly messages
+ */
+
+// Lifetime of grants and share links created without an explicit expiry
+const DEFAULT_SHARE_DAYS = 30;
+
+class ShareService {
+  constructor() {
+    this.baseUrl = process.env.API_URL ||
+      `http://${process.env.HOST || 'localhost'}:${process.env.PORT || 3000}`;
+  }
+
+  /**
+   * List the grants and share links of a user's document
+   * @param {string} userId - Owner user ID
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object>} Grants and share links ({ grants, links })
+   */
+  async listShares(userId, documentId) {
+    const document = await documentService.getOwnedDocument(userId, documentId);
+    await document.populate([
+      { path: 'sharedWith.userId', select: 'email' },
+      { path: 'sharedWith.adminId', select: 'email' }
+    ]);
+
+    return {
+      grants: document.sharedWith.map(grant => this.formatGrant(grant)),
+      links: document.shareLinks.map(link => this.formatLink(link))
+    };
+  }
+
+  /**
+   * Share a user's document with another user or an admin
+   * @param {string} userId - Owner user ID
+   * @param {string} documentId - Document ID
+   * @param {Object} data - Grant details (email, recipientType, permission, expiresInDays)
+   * @param {Object} context - Request context (ipAddress, userAgent)
+   * @returns {Promise<Object>} Created grant
+   */
+  async shareDocument(userId, documentId, data, context) {
+    const document = await this.getShareableDocument(userId, documentId);
+    const { email, recipientType = 'User', permission = 'View' } = data;
+    const expiresInDays = data.expiresInDays || DEFAULT_SHARE_DAYS;
+
+    const recipient = recipientType === 'Admin'
+      ? await Admin.findOne({ email: email.toLowerCase(), status: 'active' })
+      : await User.findByEmail(email);
+
+    if (!recipient) {
+      throw new ServiceError(
+        'RECIPIENT_NOT_FOUND',
+        `No ${recipientType === 'Admin' ? 'admin' : 'user'} exists with that email address`,
+        404
+      );
+    }
+
+    if (recipientType === 'User' && recipient._id.equals(userId)) {
+      throw new ServiceError('CANNOT_SHARE_WITH_SELF', 'You already own this document', 400);
+    }
+
+    await document.shareWith(recipient._id, permission, expiresInDays, recipientType);
+    await document.logShareAccess({ accessedBy: userId, ...context });
+
+    return {
+      ...this.formatGrant(document.findShare(recipient._id, recipientType)),
+      email: recipient.email
+    };
+  }
+
+  /**
+   * Revoke a grant on a user's document
+   * @param {string} userId - Owner user ID
+   * @param {string} documentId - Document ID
+   * @param {string} grantId - Grant ID
+   * @param {Object} context - Request context (ipAddress, userAgent)
+   */
+  async revokeShare(userId, documentId, grantId, context) {
+    const document = await documentService.getOwnedDocument(userId, documentId);
+
+    if (!document.sharedWith.id(grantId)) {
+      throw new ServiceError('SHARE_NOT_FOUND', 'Share not found', 404);
+    }
+
+    document.sharedWith.pull(grantId);
+    await document.logShareAccess({ accessedBy: userId, ...context });
+  }
+
+  /**
+   * Create an anonymous share link for a user's document
+   * @param {string} userId - Owner user ID
+   * @param {string} documentId - Document ID
+   * @param {Object} data - Link details (label, expiresInDays, maxDownloads)
+   * @param {Object} context - Request context (ipAddress, userAgent)
+   * @returns {Promise<Object>} Created link, including its URL (only returned once)
+   */
+  async createShareLink(userId, documentId, data, context) {
+    const document = await this.getShareableDocument(userId, documentId);
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + (data.expiresInDays || DEFAULT_SHARE_DAYS));
+
+    document.shareLinks.push({
+      tokenHash: this.hashToken(token),
+      label: data.label,
+      expiresAt,
+      maxDownloads: data.maxDownloads,
+      createdBy: userId
+    });
+    const link = document.shareLinks[document.shareLinks.length - 1];
+
+    await document.logShareAccess({ accessedBy: userId, shareLinkId: link._id, ...context });
+
+    return {
+      ...this.formatLink(link),
+      url: `${this.baseUrl}/api/shared/${token}/download`
+    };
+  }
+
+  /**
+   * Revoke a share link of a user's document
+   * @param {string} userId - Owner user ID
+   * @param {string} documentId - Document ID
+   * @param {string} linkId - Share link ID
+   * @param {Object} context - Request context (ipAddress, userAgent)
+   */
+  async revokeShareLink(userId, documentId, linkId, context) {
+    const document = await documentService.getOwnedDocument(userId, documentId);
+    const link = document.shareLinks.id(linkId);
+
+    if (!link || link.revokedAt) {
+      throw new ServiceError('SHARE_LINK_NOT_FOUND', 'Share link not found', 404);
+    }
+
+    link.revokedAt = new Date();
+    await document.logShareAccess({ accessedBy: userId, shareLinkId: link._id, ...context });
+  }
+
+  /**
+   * Describe the document behind a share link without downloading it
+   * @param {string} token - Share link token
+   * @param {Object} context - Request context (ipAddress)
+   * @returns {Promise<Object>} File details and remaining downloads
+   */
+  async getSharedDocument(token, { ipAddress }) {
+    const { document, link } = await this.findShareLink(token);
+    const file = document.getVersion(document.metadata.version);
+
+    const denial = this.checkShareLink(link) ||
+      documentService.checkAvailability(document, file, ipAddress);
+    if (denial) {
+      throw denial;
+    }
+
+    return {
+      fileName: document.fileInfo.fileName,
+      fileType: document.fileInfo.fileType,
+      fileSize: document.fileInfo.fileSize,
+      category: document.metadata.category,
+      expiresAt: link.expiresAt,
+      downloadsRemaining: link.maxDownloads ? link.maxDownloads - link.downloadCount : null
+    };
+  }
+
+  /**
+   * Open the document behind a share link for download
+   *
+   * Every attempt is written to the document's access log, including denied ones.
+   *
+   * @param {string} token - Share link token
+   * @param {Object} context - Request context (ipAddress, userAgent)
+   * @returns {Promise<Object>} Document and its current file version ({ document, file })
+   */
+  async openShareLink(token, context) {
+    const { document, link } = await this.findShareLink(token);
+    const file = document.getVersion(document.metadata.version);
+
+    let denial = this.checkShareLink(link) ||
+      documentService.checkAvailability(document, file, context.ipAddress);
+    if (!denial && !(await this.claimLinkDownload(document, link))) {
+      denial = new ServiceError(
+        'DOWNLOAD_LIMIT_REACHED',
+        'This share link has reached its download limit',
+        403
+      );
+    }
+
+    await document.logShareAccess({
+      accessedByType: 'Anonymous',
+      shareLinkId: link._id,
+      ...context,
+      success: !denial,
+      errorMessage: denial?.message
+    });
+
+    if (denial) {
+      throw denial;
+    }
+
+    return { document, file };
+  }
+
+  /**
+   * Find the document and link a share link token belongs to
+   * @param {string} token - Share link token
+   * @returns {Promise<Object>} Document and share link ({ document, link })
+   * @throws {ServiceError} When the token is unknown
+   */
+  async findShareLink(token) {
+    const tokenHash = this.hashToken(token);
+    const document = await Document.findOne({
+      'shareLinks.tokenHash': tokenHash,
+      status: { $ne: 'Deleted' }
+    });
+    const link = document?.shareLinks.find(entry => entry.tokenHash === tokenHash);
+
+    if (!link) {
+      throw new ServiceError('SHARE_LINK_NOT_FOUND', 'This share link is not valid', 404);
+    }
+
+    return { document, link };
+  }
+
+  /**
+   * Check whether a share link can still be used
+   * @param {Object} link - Share link
+   * @returns {ServiceError|null} The reason the link is refused, or null when usable
+   */
+  checkShareLink(link) {
+    if (link.revokedAt) {
+      return new ServiceError('SHARE_LINK_REVOKED', 'This share link has been revoked', 410);
+    }
+
+    if (link.expiresAt < new Date()) {
+      return new ServiceError('SHARE_LINK_EXPIRED', 'This share link has expired', 410);
+    }
+
+    if (link.maxDownloads && link.downloadCount >= link.maxDownloads) {
+      return new ServiceError(
+        'DOWNLOAD_LIMIT_REACHED',
+        'This share link has reached its download limit',
+        403
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * Count a download against both the share link's and the document's limits
+   * @param {Object} document - Document
+   * @param {Object} link - Share link
+   * @returns {Promise<boolean>} Whether the download is within both limits
+   */
+  async claimLinkDownload(document, link) {
+    const linkFilter = { _id: link._id };
+    if (link.maxDownloads) {
+      linkFilter.downloadCount = { $lt: link.maxDownloads };
+    }
+
+    const filter = { _id: document._id, shareLinks: { $elemMatch: linkFilter } };
+    const maxDownloads = document.security.downloadRestrictions?.maxDownloads;
+    if (maxDownloads !== undefined && maxDownloads !== null) {
+      filter['security.downloadCount'] = { $lt: maxDownloads };
+    }
+
+    // One conditional update so concurrent downloads cannot overshoot either limit
+    const result = await Document.updateOne(filter, {
+      $inc: { 'shareLinks.$.downloadCount': 1, 'security.downloadCount': 1 }
+    });
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Get a user's document, ensuring it can be shared
+   * @param {string} userId - Owner user ID
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object>} Document
+   */
+  async getShareableDocument(userId, documentId) {
+    const document = await documentService.getOwnedDocument(userId, documentId);
+
+    if (document.status !== 'Active') {
+      throw new ServiceError('DOCUMENT_UNAVAILABLE', 'Only active documents can be shared', 409);
+    }
+
+    return document;
+  }
+
+  /**
+   * Hash a share link token for storage and lookup
+   * @param {string} token - Share link token
+   * @returns {string} Hex encoded SHA-256 hash
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Summarise a grant for API responses
+   * @param {Object} grant - sharedWith entry
+   * @returns {Object} Grant summary
+   */
+  formatGrant(grant) {
+    const recipient = grant.recipientType === 'Admin' ? grant.adminId : grant.userId;
+
+    return {
+      id: grant._id,
+      recipientType: grant.recipientType || 'User',
+      recipientId: recipient?._id || recipient,
+      email: recipient?.email,
+      permission: grant.permission,
+      sharedAt: grant.sharedAt,
+      expiresAt: grant.expiresAt,
+      isExpired: !!grant.expiresAt && grant.expiresAt < new Date()
+    };
+  }
+
+  /**
+   * Summarise a share link for API responses (never includes the token)
+   * @param {Object} link - Share link
+   * @returns {Object} Share link summary
+   */
+  formatLink(link) {
+    return {
+      id: link._id,
+      label: link.label,
+      expiresAt: link.expiresAt,
+      maxDownloads: link.maxDownloads,
+      downloadCount: link.downloadCount,
+      createdAt: link.createdAt,
+      revokedAt: link.revokedAt,
+      isActive: !this.checkShareLink(link)
+    };
+  }
+}
+
+// Export singleton instance
+const shareService = new ShareService();
+
+module.exports = shareService;
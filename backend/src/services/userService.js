@@ -3,6 +3,11 @@ const Document = require('../models/Document');
 const Application = require('../models/Application');
 const passwordService = require('./passwordService');
 const authService = require('./authService');
+const mfaService = require('./mfaService');
+const sessionService = require('./sessionService');
+const accountLockoutService = require('./accountLockoutService');
+const passwordPolicyService = require('./passwordPolicyService');
+const ServiceError = require('../utils/serviceError');
 
 /**
  * User Service
@@ -21,9 +26,10 @@ class UserService {
   /**
    * Create new user account
    * @param {Object} userData - User registration data
+   * @param {Object} context - Request context recorded on the session (ipAddress, userAgent)
    * @returns {Promise<Object>} Created user and tokens
    */
-  async createUser(userData) {
+  async createUser(userData, context = {}) {
     try {
       // Validate required fields
       const { email, password, firstName, lastName, acceptTerms } = userData;
@@ -56,6 +62,8 @@ class UserService {
         throw error;
       }
 
+      await passwordService.assertNotCompromised(password);
+
       // Create user
       const user = await User.createUser({
         email,
@@ -64,11 +72,8 @@ class UserService {
         lastName
       });
 
-      // Generate session and tokens
-      user.generateSessionId();
-      await user.save();
-
-      const tokens = authService.generateTokens(user);
+      // Start the session on the registering device
+      const { tokens } = await sessionService.startSession(user, context);
 
       return {
         user: this.sanitizeUserForResponse(user),
@@ -81,10 +86,20 @@ class UserService {
 
   /**
    * Authenticate user login
+   *
+   * Users with two-factor enabled get an MFA challenge token instead of tokens,
+   * unless they log in from a trusted device. Users whose password expired get
+   * a password change token instead, to be exchanged with changeExpiredPassword.
+   *
    * @param {Object} credentials - Login credentials
-   * @returns {Promise<Object>} User and tokens
+   * @param {Object} options - Login options
+   * @param {string} options.deviceToken - Token from the trusted device cookie
+   * @param {string} options.ipAddress - Request IP address, recorded on the session
+   * @param {string} options.userAgent - Request user agent, recorded on the session
+   * @returns {Promise<Object>} User and tokens, an MFA challenge ({ mfaRequired, mfaToken })
+   *   or a password change challenge ({ passwordChangeRequired, passwordChangeToken })
    */
-  async authenticateUser(credentials) {
+  async authenticateUser(credentials, { deviceToken, ipAddress, userAgent } = {}) {
     try {
       const { email, password, rememberMe = false } = credentials;
 
@@ -95,28 +110,64 @@ class UserService {
       // Find user by email
       const user = await User.findByEmail(email);
       if (!user) {
-        throw new Error('Invalid email or password');
+        throw this.invalidCredentials();
       }
 
+      // Locked accounts are refused before the password is even checked
+      accountLockoutService.assertNotLocked(user);
+
       // Verify password
       const isValidPassword = await user.verifyPassword(password);
       if (!isValidPassword) {
-        throw new Error('Invalid email or password');
+        await accountLockoutService.recordFailedLogin(user);
+        throw this.invalidCredentials();
       }
 
-      // Update login information
-      user.generateSessionId();
-      await user.updateLastLogin();
-
-      const tokens = authService.generateTokens(user, rememberMe);
+      return await this.completeLogin(user, { rememberMe, deviceToken, ipAddress, userAgent });
+    } catch (error) {
+      throw this.handleServiceError(error, 'Authentication failed');
+    }
+  }
 
+  /**
+   * Finish a login once the user proved who they are, with their password or
+   * a linked provider
+   *
+   * Applies the same two-factor and password expiry challenges as
+   * authenticateUser before starting the session.
+   *
+   * @param {Object} user - User document
+   * @param {Object} options - Login options (rememberMe, deviceToken, ipAddress, userAgent)
+   * @returns {Promise<Object>} User and tokens, an MFA challenge or a password change challenge
+   */
+  async completeLogin(user, { rememberMe = false, deviceToken, ipAddress, userAgent } = {}) {
+    if (user.security?.mfaEnabled && !(await mfaService.isTrustedDevice(user, deviceToken))) {
       return {
-        user: this.sanitizeUserForResponse(user),
-        tokens
+        mfaRequired: true,
+        mfaToken: authService.generateMfaToken(user, rememberMe)
       };
-    } catch (error) {
-      throw this.handleServiceError(error, 'Authentication failed');
     }
+
+    // An expired password must be changed before the login completes
+    if (passwordPolicyService.isExpired(user)) {
+      await accountLockoutService.recordSuccessfulLogin(user);
+      return passwordPolicyService.passwordChangeChallenge(user, { rememberMe });
+    }
+
+    // Update login information
+    await accountLockoutService.recordSuccessfulLogin(user);
+    await user.updateLastLogin();
+
+    const { tokens } = await sessionService.startSession(
+      user,
+      { ipAddress, userAgent },
+      { rememberMe }
+    );
+
+    return {
+      user: this.sanitizeUserForResponse(user),
+      tokens
+    };
   }
 
   /**
@@ -364,11 +415,15 @@ class UserService {
 
   /**
    * Change user password
+   *
+   * Other sessions are signed out; the session making the change, if any, stays.
+   *
    * @param {string} userId - User ID
    * @param {Object} passwordData - Password change data
+   * @param {string} currentSessionId - Session making the change
    * @returns {Promise<boolean>} Success status
    */
-  async changePassword(userId, passwordData) {
+  async changePassword(userId, passwordData, currentSessionId) {
     try {
       const { currentPassword, newPassword } = passwordData;
 
@@ -376,7 +431,7 @@ class UserService {
         throw new Error('Current and new passwords are required');
       }
 
-      const user = await User.findById(userId);
+      const user = await passwordPolicyService.findWithPasswordHistory('User', userId);
       if (!user) {
         throw new Error('User not found');
       }
@@ -384,27 +439,29 @@ class UserService {
       // Verify current password
       const isCurrentPasswordValid = await user.verifyPassword(currentPassword);
       if (!isCurrentPasswordValid) {
-        throw new Error('Current password is incorrect');
+        throw new ServiceError('INVALID_PASSWORD', 'Current password is incorrect', 400);
       }
 
-      // Validate new password strength
-      const passwordValidation = passwordService.validatePasswordStrength(newPassword, {
-        email: user.email,
-        firstName: user.profile?.personalInfo?.firstName,
-        lastName: user.profile?.personalInfo?.lastName
-      });
-
-      if (!passwordValidation.isValid) {
-        const error = new Error('New password does not meet strength requirements');
-        error.validationErrors = passwordValidation.errors;
-        error.suggestions = passwordValidation.suggestions;
-        throw error;
+      // Checks strength, breaches and the password history
+      if (!(await passwordPolicyService.setNewPassword(user, newPassword))) {
+        throw new ServiceError(
+          'PASSWORD_CHANGED',
+          'Your password was changed by another request, please try again',
+          409
+        );
       }
 
-      // Update password
-      user.passwordHash = newPassword; // Will be hashed by pre-save middleware
-      user.generateSessionId(); // Invalidate existing sessions
-      await user.save();
+      // Invalidate existing sessions
+      if (currentSessionId) {
+        await sessionService.revokeOtherSessions(
+          'User',
+          user._id,
+          currentSessionId,
+          'password_changed'
+        );
+      } else {
+        await sessionService.revokeAll(user, 'password_changed');
+      }
 
       return true;
     } catch (error) {
@@ -412,6 +469,42 @@ class UserService {
     }
   }
 
+  /**
+   * Replace an expired password and complete the login it interrupted
+   * @param {string} passwordChangeToken - Password change token from login
+   * @param {string} newPassword - New password
+   * @param {Object} context - Request context recorded on the session (ipAddress, userAgent)
+   * @returns {Promise<Object>} User and tokens
+   */
+  async changeExpiredPassword(passwordChangeToken, newPassword, { ipAddress, userAgent } = {}) {
+    try {
+      const { subject: user, rememberMe } = await passwordPolicyService.verifyPasswordChangeToken(
+        'User',
+        passwordChangeToken
+      );
+
+      if (!(await passwordPolicyService.setNewPassword(user, newPassword))) {
+        throw passwordPolicyService.invalidToken();
+      }
+
+      await sessionService.revokeAll(user, 'password_changed');
+      await user.updateLastLogin();
+
+      const { tokens } = await sessionService.startSession(
+        user,
+        { ipAddress, userAgent },
+        { rememberMe }
+      );
+
+      return {
+        user: this.sanitizeUserForResponse(user),
+        tokens
+      };
+    } catch (error) {
+      throw this.handleServiceError(error, 'Password change failed');
+    }
+  }
+
   /**
    * Get user activity statistics
    * @param {string} userId - User ID
@@ -551,11 +644,14 @@ class UserService {
     
     // Remove sensitive fields
     delete userObj.passwordHash;
-    delete userObj.sessionId;
     
     return userObj;
   }
 
+  invalidCredentials() {
+    return new ServiceError('INVALID_CREDENTIALS', 'Invalid email or password', 401);
+  }
+
   /**
    * Handle service errors with consistent formatting
    * @param {Error} error - Original error
@@ -563,6 +659,11 @@ class UserService {
    * @returns {Error} Formatted error
    */
   handleServiceError(error, context) {
+    // Errors that already carry their own code and status
+    if (error.name === 'ServiceError') {
+      return error;
+    }
+
     if (error.name === 'ValidationError') {
       const validationError = new Error('Validation failed');
       validationError.code = 'VALIDATION_ERROR';
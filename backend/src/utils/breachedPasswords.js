@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Offline breached password lookups
+ *
+ * Passwords are looked up by SHA-1 hash, split the way the Pwned Passwords
+ * range API splits them: a 5 character prefix selecting a bucket and the
+ * 35 character suffix searched within it. Nothing leaves the server.
+ *
+ * BREACHED_PASSWORDS_PATH selects the dataset (default: the small seed list in
+ * src/data/breached-passwords.txt) and may point to either:
+ * - a directory of range files named <PREFIX>.txt with SUFFIX:COUNT lines,
+ *   as written by the Pwned Passwords downloader. Only the one file for the
+ *   prefix is read, so the full dataset never needs to fit in memory.
+ * - a file of HASH or HASH:COUNT lines, loaded into memory on first use.
+ *   Lines starting with # are comments.
+ */
+
+const PREFIX_LENGTH = 5;
+
+const DEFAULT_DATASET = path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+
+/**
+ * Hash a password the way the dataset stores it
+ * @param {string} password - Plain text password
+ * @returns {string} Uppercase hex SHA-1 hash
+ */
+const hashPassword = (password) => crypto
+  .createHash('sha1')
+  .update(password, 'utf8')
+  .digest('hex')
+  .toUpperCase();
+
+/**
+ * Parse HASH:COUNT style lines, counting lines without a count once
+ * @param {string} content - File contents
+ * @returns {Array<Array>} [hash, count] pairs
+ */
+const parseLines = (content) => content
+  .split(/\r?\n/)
+  .map(line => line.trim())
+  .filter(line => line && !line.startsWith('#'))
+  .map(line => {
+    const [hash, count] = line.split(':');
+    return [hash.toUpperCase(), parseInt(count) || 1];
+  });
+
+// Dataset of range files, one per hash prefix
+class RangeDirectoryDataset {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async count(prefix, suffix) {
+    let content;
+    try {
+      content = await fs.promises.readFile(path.join(this.directory, `${prefix}.txt`), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0; // No breached password has this prefix
+      }
+      throw error;
+    }
+
+    const match = parseLines(content).find(([hash]) => hash === suffix);
+    return match ? match[1] : 0;
+  }
+}
+
+// Dataset of full hashes in a single file, grouped by prefix once loaded
+class HashListDataset {
+  constructor(file) {
+    this.file = file;
+    this.buckets = null;
+  }
+
+  async load() {
+    const buckets = new Map();
+
+    for (const [hash, count] of parseLines(await fs.promises.readFile(this.file, 'utf8'))) {
+      const prefix = hash.slice(0, PREFIX_LENGTH);
+      if (!buckets.has(prefix)) {
+        buckets.set(prefix, new Map());
+      }
+      buckets.get(prefix).set(hash.slice(PREFIX_LENGTH), count);
+    }
+
+    return buckets;
+  }
+
+  async count(prefix, suffix) {
+    if (!this.buckets) {
+      // Allow another attempt later if the file could not be read
+      this.buckets = this.load().catch(error => {
+        this.buckets = null;
+        throw error;
+      });
+    }
+
+    const buckets = await this.buckets;
+    return buckets.get(prefix)?.get(suffix) || 0;
+  }
+}
+
+const datasets = {};
+
+/**
+ * Get the dataset at a path, opening it on first use
+ * @param {string} datasetPath - Directory of range files or hash list file
+ * @returns {Promise<Object>} Dataset
+ */
+const getDataset = async (datasetPath = process.env.BREACHED_PASSWORDS_PATH || DEFAULT_DATASET) => {
+  if (!datasets[datasetPath]) {
+    const stats = await fs.promises.stat(datasetPath);
+    datasets[datasetPath] = stats.isDirectory()
+      ? new RangeDirectoryDataset(datasetPath)
+      : new HashListDataset(datasetPath);
+  }
+
+  return datasets[datasetPath];
+};
+
+/**
+ * Count how often a password appears in the breached password dataset
+ * @param {string} password - Plain text password
+ * @param {string} datasetPath - Dataset to search (defaults to BREACHED_PASSWORDS_PATH)
+ * @returns {Promise<number>} Times seen in breaches, 0 when never seen
+ * @throws {Error} When the dataset cannot be read
+ */
+const getBreachCount = async (password, datasetPath) => {
+  const hash = hashPassword(password);
+  const dataset = await getDataset(datasetPath);
+
+  return dataset.count(hash.slice(0, PREFIX_LENGTH), hash.slice(PREFIX_LENGTH));
+};
+
+module.exports = {
+  hashPassword,
+  getBreachCount
+};
@@ -126,6 +126,32 @@ class CloudinaryService {
     return cloudinary.url(publicId, defaultOptions);
   }
 
+  /**
+   * Generate a thumbnail URL for an uploaded file
+   * @param {string} publicId - File public ID
+   * @param {string} resourceType - Resource type returned by the upload
+   * @returns {string|null} Thumbnail URL, or null when the file cannot be previewed
+   */
+  generateThumbnailUrl(publicId, resourceType) {
+    // Only image resources (which includes PDFs) can be rendered; Word files are raw
+    if (resourceType !== 'image') {
+      return null;
+    }
+
+    if (!this.configured) {
+      throw new Error('Cloudinary is not configured');
+    }
+
+    return cloudinary.url(publicId, {
+      secure: true,
+      width: 300,
+      height: 300,
+      crop: 'fill',
+      format: 'jpg',
+      page: 1 // First page of PDFs, ignored for images
+    });
+  }
+
   /**
    * Get file information
    * @param {string} publicId - File public ID
@@ -154,6 +180,49 @@ class CloudinaryService {
     }
   }
 
+  /**
+   * List every file stored under the platform's folder
+   * @returns {Promise<Array<Object>>} Stored files ({ publicId, size, lastModified })
+   */
+  async listFiles() {
+    if (!this.configured) {
+      throw new Error('Cloudinary is not configured');
+    }
+
+    const files = [];
+
+    try {
+      // PDFs and images are stored as image resources, Word documents as raw
+      for (const resourceType of ['image', 'raw']) {
+        let nextCursor;
+        do {
+          const result = await cloudinary.api.resources({
+            type: 'upload',
+            prefix: 'uniapply-hub/',
+            resource_type: resourceType,
+            max_results: 500,
+            next_cursor: nextCursor
+          });
+
+          for (const resource of result.resources) {
+            files.push({
+              publicId: resource.public_id,
+              size: resource.bytes,
+              lastModified: new Date(resource.created_at)
+            });
+          }
+
+          nextCursor = result.next_cursor;
+        } while (nextCursor);
+      }
+    } catch (error) {
+      console.error('❌ Cloudinary list error:', error.message);
+      throw new Error(`Failed to list files: ${error.message}`);
+    }
+
+    return files;
+  }
+
   /**
    * Validate file before upload
    * @param {Object} file - File object from multer
@@ -0,0 +1,43 @@
+const { getStorageProvider } = require('./storage');
+
+/**
+ * Document Responses
+ *
+ * Sends an opened document version to the client. Access must already have
+ * been checked and logged (see documentService#openDocument and
+ * shareService#openShareLink).
+ */
+
+// Lifetime of the signed URLs clients are redirected to
+const SIGNED_URL_MINUTES = 5;
+
+/**
+ * Send a document version's contents
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next, receives stream errors
+ * @param {Object} opened - Document and file version ({ document, file })
+ * @param {string} disposition - 'inline' or 'attachment'
+ * @returns {Promise<void>}
+ */
+const sendDocumentFile = async (res, next, { document, file }, disposition) => {
+  const storage = getStorageProvider(file.storage.provider);
+
+  // Files on local disk are streamed; remote providers serve a short-lived signed URL
+  if (!storage.createReadStream) {
+    return res.redirect(302, await document.generateSecureUrl(SIGNED_URL_MINUTES, file.version));
+  }
+
+  res.setHeader('Content-Type', file.fileInfo.fileType);
+  res.setHeader('Content-Length', file.fileInfo.fileSize);
+  res.setHeader(
+    'Content-Disposition',
+    `${disposition}; filename="${file.fileInfo.fileName}"`
+  );
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  const stream = storage.createReadStream(file.storage.publicId);
+  stream.on('error', next);
+  stream.pipe(res);
+};
+
+module.exports = { sendDocumentFile };
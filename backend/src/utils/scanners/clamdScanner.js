@@ -0,0 +1,83 @@
+const net = require('net');
+
+/**
+ * ClamAV Daemon Scanner
+ *
+ * Streams file contents to clamd with the INSTREAM command, over a Unix socket
+ * (CLAMD_SOCKET) or TCP (CLAMD_HOST / CLAMD_PORT).
+ */
+
+const CHUNK_SIZE = 64 * 1024;
+
+class ClamdScanner {
+  constructor() {
+    this.name = 'clamd';
+    this.socketPath = process.env.CLAMD_SOCKET;
+    this.host = process.env.CLAMD_HOST || '127.0.0.1';
+    this.port = parseInt(process.env.CLAMD_PORT) || 3310;
+    this.timeout = parseInt(process.env.CLAMD_TIMEOUT_MS) || 30000;
+  }
+
+  /**
+   * Scan file contents
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<Object>} Scan result ({ status: 'Clean' | 'Infected', details })
+   * @throws {Error} When clamd cannot be reached or reports an error
+   */
+  async scan(buffer) {
+    const reply = await this.sendInstream(buffer);
+
+    // Replies look like "stream: OK" or "stream: <signature> FOUND"
+    const found = reply.match(/^stream: (.+) FOUND$/);
+    if (found) {
+      return { status: 'Infected', details: `clamd: ${found[1]}` };
+    }
+
+    if (reply === 'stream: OK') {
+      return { status: 'Clean', details: 'clamd: OK' };
+    }
+
+    throw new Error(`clamd error: ${reply}`);
+  }
+
+  /**
+   * Send a buffer to clamd and read its reply
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<string>} clamd reply without the terminator
+   */
+  sendInstream(buffer) {
+    return new Promise((resolve, reject) => {
+      const socket = this.socketPath
+        ? net.createConnection(this.socketPath)
+        : net.createConnection(this.port, this.host);
+      const chunks = [];
+
+      socket.setTimeout(this.timeout, () => {
+        socket.destroy(new Error('clamd timed out'));
+      });
+
+      socket.on('connect', () => {
+        socket.write('zINSTREAM\0');
+
+        for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+          const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+          const size = Buffer.alloc(4);
+          size.writeUInt32BE(chunk.length);
+          socket.write(size);
+          socket.write(chunk);
+        }
+
+        // A zero-length chunk ends the stream
+        socket.write(Buffer.alloc(4));
+      });
+
+      socket.on('data', data => chunks.push(data));
+      socket.on('end', () => {
+        resolve(Buffer.concat(chunks).toString('utf8').replace(/\0/g, '').trim());
+      });
+      socket.on('error', error => reject(new Error(`clamd unavailable: ${error.message}`)));
+    });
+  }
+}
+
+module.exports = ClamdScanner;
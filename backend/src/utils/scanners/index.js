@@ -0,0 +1,41 @@
+/**
+ * Malware Scanner Registry
+ *
+ * Every scanner implements the same interface:
+ * - name: value stored in Document security.scanProvider
+ * - scan(buffer): resolves to { status: 'Clean' | 'Infected', details },
+ *   and rejects when the file could not be scanned
+ *
+ * SCANNER_PROVIDER selects the scanner (default: signature).
+ */
+
+// Scanners are loaded on first use
+const scannerLoaders = {
+  signature: () => require('./signatureScanner'),
+  clamd: () => require('./clamdScanner')
+};
+
+const instances = {};
+
+/**
+ * Get a malware scanner by name
+ * @param {string} name - Scanner name (defaults to SCANNER_PROVIDER)
+ * @returns {Object} Scanner instance
+ * @throws {Error} When the scanner is unknown
+ */
+const getScanner = (name = process.env.SCANNER_PROVIDER || 'signature') => {
+  if (!instances[name]) {
+    const loadScanner = scannerLoaders[name];
+    if (!loadScanner) {
+      throw new Error(`Unknown malware scanner: ${name}`);
+    }
+    const ScannerClass = loadScanner();
+    instances[name] = new ScannerClass();
+  }
+
+  return instances[name];
+};
+
+module.exports = {
+  getScanner
+};
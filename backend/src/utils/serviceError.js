@@ -0,0 +1,22 @@
+/**
+ * Service error utility
+ * Carries an API error code and HTTP status from the service layer to the
+ * global error handler so routes can forward failures with next(error).
+ */
+class ServiceError extends Error {
+  /**
+   * @param {string} code - Machine readable error code (e.g. 'APPLICATION_NOT_FOUND')
+   * @param {string} message - User-friendly error message
+   * @param {number} status - HTTP status code
+   * @param {Array|Object} details - Optional structured error details
+   */
+  constructor(code, message, status = 400, details = undefined) {
+    super(message);
+    this.name = 'ServiceError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = ServiceError;
@@ -0,0 +1,99 @@
+const cloudinaryService = require('../cloudinary');
+
+/**
+ * Cloudinary Storage Provider
+ *
+ * Adapts the Cloudinary service to the storage provider interface.
+ */
+class CloudinaryStorageProvider {
+  constructor() {
+    this.name = 'cloudinary';
+  }
+
+  /**
+   * Check if the provider can be used
+   * @returns {boolean} Configuration status
+   */
+  isConfigured() {
+    return cloudinaryService.isConfigured();
+  }
+
+  /**
+   * Upload a file to Cloudinary
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - Upload options (mimeType, category)
+   * @returns {Promise<Object>} Stored file details
+   */
+  async upload(buffer, options = {}) {
+    const dataUri = `data:${options.mimeType};base64,${buffer.toString('base64')}`;
+    const stored = await cloudinaryService.uploadFile(
+      dataUri,
+      cloudinaryService.getUploadOptions(options.category)
+    );
+
+    return {
+      publicId: stored.publicId,
+      url: stored.url,
+      secureUrl: stored.url,
+      thumbnailUrl: cloudinaryService.generateThumbnailUrl(stored.publicId, stored.resourceType)
+    };
+  }
+
+  /**
+   * Delete a file from Cloudinary
+   * @param {string} publicId - File public ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  delete(publicId) {
+    return cloudinaryService.deleteFile(publicId);
+  }
+
+  /**
+   * Read a file back from Cloudinary through a short-lived signed URL
+   * @param {string} publicId - File public ID
+   * @returns {Promise<Buffer>} File contents
+   */
+  async download(publicId) {
+    const url = await this.generateSecureUrl(publicId, { expiresInMinutes: 5 });
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`File download failed: HTTP ${response.status}`);
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * Get file information
+   * @param {string} publicId - File public ID
+   * @returns {Promise<Object>} File information
+   */
+  getFileInfo(publicId) {
+    return cloudinaryService.getFileInfo(publicId);
+  }
+
+  /**
+   * List every file uploaded by the platform
+   * @returns {Promise<Array<Object>>} Stored files ({ publicId, size, lastModified })
+   */
+  list() {
+    return cloudinaryService.listFiles();
+  }
+
+  /**
+   * Generate a signed, expiring download URL
+   * @param {string} publicId - File public ID
+   * @param {Object} options - URL options (expiresInMinutes)
+   * @returns {Promise<string>} Signed URL
+   */
+  async generateSecureUrl(publicId, options = {}) {
+    const expiresInMinutes = options.expiresInMinutes || 60;
+
+    return cloudinaryService.generateSecureUrl(publicId, {
+      expires_at: Math.floor(Date.now() / 1000) + expiresInMinutes * 60
+    });
+  }
+}
+
+module.exports = CloudinaryStorageProvider;
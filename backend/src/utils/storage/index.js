@@ -0,0 +1,49 @@
+/**
+ * Storage Provider Registry
+ *
+ * Every provider implements the same interface:
+ * - name: value stored in Document storage.provider
+ * - isConfigured(): whether the provider can be used
+ * - upload(buffer, { fileName, mimeType, category }): store a file, resolving to
+ *   { publicId, url, secureUrl, thumbnailUrl, bucket?, region? }
+ * - download(publicId, { bucket }): resolves to the file contents as a Buffer
+ * - delete(publicId, { bucket }), getFileInfo(publicId, { bucket })
+ * - list(): resolves to every stored object as { publicId, bucket?, size, lastModified }
+ * - generateSecureUrl(publicId, { expiresInMinutes, bucket }): resolves to an
+ *   expiring download URL
+ *
+ * New uploads go to the provider named by STORAGE_PROVIDER; existing documents
+ * keep using the provider they were stored with.
+ */
+
+// Providers are loaded on first use so unused SDKs are never required
+const providerLoaders = {
+  cloudinary: () => require('./cloudinaryProvider'),
+  local: () => require('./localProvider'),
+  s3: () => require('./s3Provider')
+};
+
+const instances = {};
+
+/**
+ * Get a storage provider by name
+ * @param {string} name - Provider name (defaults to STORAGE_PROVIDER)
+ * @returns {Object} Storage provider instance
+ * @throws {Error} When the provider is unknown
+ */
+const getStorageProvider = (name = process.env.STORAGE_PROVIDER || 'cloudinary') => {
+  if (!instances[name]) {
+    const loadProvider = providerLoaders[name];
+    if (!loadProvider) {
+      throw new Error(`Unknown storage provider: ${name}`);
+    }
+    const ProviderClass = loadProvider();
+    instances[name] = new ProviderClass();
+  }
+
+  return instances[name];
+};
+
+module.exports = {
+  getStorageProvider
+};
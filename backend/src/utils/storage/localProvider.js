@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local Disk Storage Provider
+ *
+ * Stores files under LOCAL_STORAGE_PATH for development and self-hosted
+ * deployments. Files are never served directly: downloads go through
+ * /api/files with an HMAC-signed, expiring URL.
+ */
+class LocalStorageProvider {
+  constructor() {
+    this.name = 'local';
+    this.rootPath = path.resolve(process.env.LOCAL_STORAGE_PATH || 'uploads');
+    this.signingSecret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_ACCESS_SECRET;
+    this.baseUrl = process.env.API_URL ||
+      `http://${process.env.HOST || 'localhost'}:${process.env.PORT || 3000}`;
+  }
+
+  /**
+   * Check if the provider can be used
+   * @returns {boolean} Configuration status
+   */
+  isConfigured() {
+    return Boolean(this.signingSecret);
+  }
+
+  /**
+   * Write a file to disk
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - Upload options (fileName, category)
+   * @returns {Promise<Object>} Stored file details
+   */
+  async upload(buffer, options = {}) {
+    const extension = path.extname(options.fileName || '').toLowerCase();
+    const publicId = `${options.category || 'other'}/${crypto.randomUUID()}${extension}`;
+    const filePath = this.resolvePath(publicId);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+
+    const url = `${this.baseUrl}/api/files/${publicId}`;
+    return {
+      publicId,
+      url,
+      secureUrl: url,
+      thumbnailUrl: null
+    };
+  }
+
+  /**
+   * Delete a file from disk
+   * @param {string} publicId - File public ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  async delete(publicId) {
+    try {
+      await fs.promises.unlink(this.resolvePath(publicId));
+      return { result: 'ok' };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { result: 'not found' };
+      }
+      throw new Error(`File deletion failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read a file from disk
+   * @param {string} publicId - File public ID
+   * @returns {Promise<Buffer>} File contents
+   */
+  async download(publicId) {
+    try {
+      return await fs.promises.readFile(this.resolvePath(publicId));
+    } catch (error) {
+      throw new Error(`File download failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get file information
+   * @param {string} publicId - File public ID
+   * @returns {Promise<Object>} File information
+   */
+  async getFileInfo(publicId) {
+    try {
+      const stats = await fs.promises.stat(this.resolvePath(publicId));
+      return {
+        publicId,
+        size: stats.size,
+        createdAt: stats.birthtime.toISOString()
+      };
+    } catch (error) {
+      throw new Error(`Failed to get file info: ${error.message}`);
+    }
+  }
+
+  /**
+   * List every file on disk
+   * @returns {Promise<Array<Object>>} Stored files ({ publicId, size, lastModified })
+   */
+  async list() {
+    const files = [];
+
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        // Nothing has been stored yet
+        if (error.code === 'ENOENT') return;
+        throw new Error(`Failed to list files: ${error.message}`);
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.isFile()) {
+          const stats = await fs.promises.stat(entryPath);
+          files.push({
+            publicId: path.relative(this.rootPath, entryPath).split(path.sep).join('/'),
+            size: stats.size,
+            lastModified: stats.mtime
+          });
+        }
+      }
+    };
+
+    await walk(this.rootPath);
+    return files;
+  }
+
+  /**
+   * Generate a signed, expiring download URL
+   * @param {string} publicId - File public ID
+   * @param {Object} options - URL options (expiresInMinutes)
+   * @returns {Promise<string>} Signed URL
+   */
+  async generateSecureUrl(publicId, options = {}) {
+    const expiresInMinutes = options.expiresInMinutes || 60;
+    const expires = Math.floor(Date.now() / 1000) + expiresInMinutes * 60;
+    const signature = this.sign(publicId, expires);
+
+    return `${this.baseUrl}/api/files/${publicId}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Check a signed download URL
+   * @param {string} publicId - File public ID
+   * @param {string|number} expires - Expiry (Unix seconds) from the URL
+   * @param {string} signature - Signature from the URL
+   * @returns {boolean} Whether the URL is authentic and unexpired
+   */
+  verifySignature(publicId, expires, signature) {
+    const expiresAt = parseInt(expires);
+    if (!expiresAt || !signature || expiresAt < Math.floor(Date.now() / 1000)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(publicId, expiresAt));
+    const provided = Buffer.from(String(signature));
+
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} publicId - File public ID
+   * @returns {fs.ReadStream} File stream
+   */
+  createReadStream(publicId) {
+    return fs.createReadStream(this.resolvePath(publicId));
+  }
+
+  /**
+   * Sign a public ID and expiry with the storage secret
+   * @param {string} publicId - File public ID
+   * @param {number} expires - Expiry (Unix seconds)
+   * @returns {string} Base64url HMAC-SHA256 signature
+   */
+  sign(publicId, expires) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${publicId}:${expires}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Map a public ID to a path inside the storage root
+   * @param {string} publicId - File public ID
+   * @returns {string} Absolute file path
+   * @throws {Error} When the public ID points outside the storage root
+   */
+  resolvePath(publicId) {
+    const filePath = path.resolve(this.rootPath, publicId);
+
+    if (!filePath.startsWith(this.rootPath + path.sep)) {
+      throw new Error('Invalid file path');
+    }
+
+    return filePath;
+  }
+}
+
+module.exports = LocalStorageProvider;
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const path = require('path');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * S3-Compatible Storage Provider
+ *
+ * Stores files in an S3 bucket. Setting S3_ENDPOINT points the client at any
+ * S3-compatible server (MinIO, localstack, ...), which uses path-style URLs
+ * unless S3_FORCE_PATH_STYLE=false. Credentials come from S3_ACCESS_KEY_ID /
+ * S3_SECRET_ACCESS_KEY or the default AWS credential chain.
+ */
+class S3StorageProvider {
+  constructor() {
+    this.name = 's3';
+    this.bucket = process.env.S3_BUCKET;
+    this.region = process.env.S3_REGION || 'us-east-1';
+    this.endpoint = process.env.S3_ENDPOINT;
+
+    const forcePathStyle = this.endpoint
+      ? process.env.S3_FORCE_PATH_STYLE !== 'false'
+      : process.env.S3_FORCE_PATH_STYLE === 'true';
+
+    this.client = new S3Client({
+      region: this.region,
+      ...(this.endpoint && { endpoint: this.endpoint }),
+      forcePathStyle,
+      ...(process.env.S3_ACCESS_KEY_ID && {
+        credentials: {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+      })
+    });
+    this.forcePathStyle = forcePathStyle;
+  }
+
+  /**
+   * Check if the provider can be used
+   * @returns {boolean} Configuration status
+   */
+  isConfigured() {
+    return Boolean(this.bucket);
+  }
+
+  /**
+   * Upload a file to the bucket
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - Upload options (fileName, mimeType, category)
+   * @returns {Promise<Object>} Stored file details, including bucket and region
+   */
+  async upload(buffer, options = {}) {
+    const extension = path.extname(options.fileName || '').toLowerCase();
+    const key = `${options.category || 'other'}/${crypto.randomUUID()}${extension}`;
+
+    try {
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: options.mimeType,
+        ContentLength: buffer.length
+      }));
+    } catch (error) {
+      console.error('❌ S3 upload error:', error.message);
+      throw new Error(`File upload failed: ${error.message}`);
+    }
+
+    const url = this.getObjectUrl(this.bucket, key);
+    return {
+      publicId: key,
+      url,
+      secureUrl: url,
+      thumbnailUrl: null,
+      bucket: this.bucket,
+      region: this.region
+    };
+  }
+
+  /**
+   * Delete a file from its bucket
+   * @param {string} publicId - Object key
+   * @param {Object} options - Options (bucket the object was stored in)
+   * @returns {Promise<Object>} Deletion result
+   */
+  async delete(publicId, options = {}) {
+    try {
+      await this.client.send(new DeleteObjectCommand({
+        Bucket: options.bucket || this.bucket,
+        Key: publicId
+      }));
+      return { result: 'ok' };
+    } catch (error) {
+      console.error('❌ S3 deletion error:', error.message);
+      throw new Error(`File deletion failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read a file from its bucket
+   * @param {string} publicId - Object key
+   * @param {Object} options - Options (bucket the object was stored in)
+   * @returns {Promise<Buffer>} File contents
+   */
+  async download(publicId, options = {}) {
+    try {
+      const result = await this.client.send(new GetObjectCommand({
+        Bucket: options.bucket || this.bucket,
+        Key: publicId
+      }));
+      return Buffer.from(await result.Body.transformToByteArray());
+    } catch (error) {
+      console.error('❌ S3 download error:', error.message);
+      throw new Error(`File download failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get file information
+   * @param {string} publicId - Object key
+   * @param {Object} options - Options (bucket the object was stored in)
+   * @returns {Promise<Object>} File information
+   */
+  async getFileInfo(publicId, options = {}) {
+    try {
+      const result = await this.client.send(new HeadObjectCommand({
+        Bucket: options.bucket || this.bucket,
+        Key: publicId
+      }));
+
+      return {
+        publicId,
+        size: result.ContentLength,
+        contentType: result.ContentType,
+        etag: result.ETag,
+        createdAt: result.LastModified?.toISOString()
+      };
+    } catch (error) {
+      console.error('❌ S3 info error:', error.message);
+      throw new Error(`Failed to get file info: ${error.message}`);
+    }
+  }
+
+  /**
+   * List every object in the configured bucket
+   * @returns {Promise<Array<Object>>} Stored objects ({ publicId, bucket, size, lastModified })
+   */
+  async list() {
+    const objects = [];
+    let continuationToken;
+
+    try {
+      do {
+        const result = await this.client.send(new ListObjectsV2Command({
+          Bucket: this.bucket,
+          ContinuationToken: continuationToken
+        }));
+
+        for (const object of result.Contents || []) {
+          objects.push({
+            publicId: object.Key,
+            bucket: this.bucket,
+            size: object.Size,
+            lastModified: object.LastModified
+          });
+        }
+
+        continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+      } while (continuationToken);
+    } catch (error) {
+      console.error('❌ S3 list error:', error.message);
+      throw new Error(`Failed to list files: ${error.message}`);
+    }
+
+    return objects;
+  }
+
+  /**
+   * Generate a presigned, expiring GET URL
+   * @param {string} publicId - Object key
+   * @param {Object} options - URL options (expiresInMinutes, bucket)
+   * @returns {Promise<string>} Presigned URL
+   */
+  generateSecureUrl(publicId, options = {}) {
+    const expiresInMinutes = options.expiresInMinutes || 60;
+
+    return getSignedUrl(
+      this.client,
+      new GetObjectCommand({ Bucket: options.bucket || this.bucket, Key: publicId }),
+      { expiresIn: expiresInMinutes * 60 }
+    );
+  }
+
+  /**
+   * Build the unsigned URL of an object
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @returns {string} Object URL
+   */
+  getObjectUrl(bucket, key) {
+    if (this.endpoint) {
+      const endpoint = this.endpoint.replace(/\/+$/, '');
+      if (this.forcePathStyle) {
+        return `${endpoint}/${bucket}/${key}`;
+      }
+      const { protocol, host } = new URL(endpoint);
+      return `${protocol}//${bucket}.${host}/${key}`;
+    }
+
+    return `https://${bucket}.s3.${this.region}.amazonaws.com/${key}`;
+  }
+}
+
+module.exports = S3StorageProvider;
@@ -0,0 +1,277 @@
+const Admin = require('../models/Admin');
+const Document = require('../models/Document');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const emailService = require('../services/emailService');
+const { getStorageProvider } = require('../utils/storage');
+
+/**
+ * Document Lifecycle Worker
+ *
+ * Runs the periodic housekeeping of stored files:
+ * - archives documents past their expiry date and expires old messages
+ * - purges Deleted documents, including every stored version, once they have
+ *   been deleted for DOCUMENT_RETENTION_DAYS
+ * - detects storage objects without a Document and Documents whose storage
+ *   object is missing (reported only, never deleted automatically)
+ *
+ * Each run's report is emailed to admins when there is something to act on.
+ * Runs in-process every LIFECYCLE_INTERVAL_MS, or once from cron with
+ * `npm run jobs:lifecycle`.
+ */
+
+// Orphans listed per provider in a report; the counts are always complete
+const MAX_REPORTED_ORPHANS = 100;
+
+class LifecycleWorker {
+  constructor() {
+    this.intervalMs = parseInt(process.env.LIFECYCLE_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+    this.retentionDays = parseInt(process.env.DOCUMENT_RETENTION_DAYS) || 30;
+    // Objects this recent may belong to an upload whose Document is not saved yet
+    this.orphanGraceMinutes = parseInt(process.env.ORPHAN_GRACE_MINUTES) || 60;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start running the lifecycle jobs on a schedule
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => console.error('❌ Lifecycle run failed:', error.message));
+    }, this.intervalMs);
+
+    // Never keep the process alive just for the worker
+    this.timer.unref();
+
+    console.log(`🗂️ Lifecycle worker started (every ${Math.round(this.intervalMs / 60000)} min)`);
+  }
+
+  /**
+   * Stop running the lifecycle jobs
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run every lifecycle job once and report the results
+   * @returns {Promise<Object|null>} Run report, or null when a run is already in progress
+   */
+  async runOnce() {
+    // Skip the tick while a previous run is still going
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const report = { startedAt: new Date() };
+
+      report.archivedDocuments = await Document.cleanupExpired();
+      report.expiredMessages = await Message.cleanupExpired();
+      report.purge = await this.purgeDeleted();
+      report.orphans = await this.findOrphans();
+      report.finishedAt = new Date();
+
+      await this.reportToAdmins(report);
+
+      return report;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Permanently delete documents past the retention window, with their files
+   * @returns {Promise<Object>} Purge results ({ purgedDocuments, deletedObjects, errors })
+   */
+  async purgeDeleted() {
+    const result = { purgedDocuments: 0, deletedObjects: 0, errors: [] };
+    const documents = await Document.findPurgeable(this.retentionDays);
+
+    for (const document of documents) {
+      try {
+        // Delete every file first so a failure leaves the row to retry next run
+        for (const object of document.getStorageObjects()) {
+          await getStorageProvider(object.provider).delete(object.publicId, {
+            bucket: object.bucket
+          });
+          result.deletedObjects += 1;
+        }
+
+        await Document.deleteOne({ _id: document._id });
+        await User.updateOne({ _id: document.userId }, { $pull: { uploadedDocs: document._id } });
+        result.purgedDocuments += 1;
+      } catch (error) {
+        result.errors.push({ documentId: document._id.toString(), error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Compare stored objects with Document rows for every provider in use
+   * @returns {Promise<Object>} Orphans by provider name
+   */
+  async findOrphans() {
+    const referenced = await this.collectReferencedObjects();
+    const graceCutoff = new Date(Date.now() - this.orphanGraceMinutes * 60 * 1000);
+    const orphans = {};
+
+    // Providers holding documents, plus the one new uploads go to when it is set up
+    const providers = new Set(referenced.keys());
+    if (getStorageProvider().isConfigured()) {
+      providers.add(getStorageProvider().name);
+    }
+
+    for (const name of providers) {
+      const provider = getStorageProvider(name);
+      if (!provider.isConfigured()) {
+        orphans[name] = { error: 'Storage provider is not configured' };
+        continue;
+      }
+
+      let objects;
+      try {
+        objects = await provider.list();
+      } catch (error) {
+        orphans[provider.name] = { error: error.message };
+        continue;
+      }
+
+      const stored = new Set(objects.map(object => this.objectKey(object)));
+      const expected = referenced.get(provider.name) || new Map();
+
+      const objectsWithoutDocument = objects
+        .filter(object => !expected.has(this.objectKey(object)))
+        .filter(object => !object.lastModified || object.lastModified < graceCutoff)
+        .map(object => object.publicId);
+      const documentsWithoutObject = [...expected]
+        .filter(([key, reference]) => reference.documentId && !stored.has(key))
+        // Only the provider's current bucket is listed
+        .filter(([, reference]) => !provider.bucket || reference.bucket === provider.bucket)
+        .map(([, { documentId, publicId }]) => ({ documentId, publicId }));
+
+      orphans[provider.name] = {
+        objectsWithoutDocumentCount: objectsWithoutDocument.length,
+        objectsWithoutDocument: objectsWithoutDocument.slice(0, MAX_REPORTED_ORPHANS),
+        documentsWithoutObjectCount: documentsWithoutObject.length,
+        documentsWithoutObject: documentsWithoutObject.slice(0, MAX_REPORTED_ORPHANS)
+      };
+    }
+
+    return orphans;
+  }
+
+  /**
+   * Collect the storage objects referenced by Document rows
+   *
+   * Objects of Deleted documents are still referenced (they are purged later)
+   * but are not expected to exist, so their document ID is null.
+   *
+   * @returns {Promise<Map>} Provider name -> Map of object key -> { documentId, publicId, bucket }
+   */
+  async collectReferencedObjects() {
+    const referenced = new Map();
+    const cursor = Document.find({}).select('storage versions.storage status').cursor();
+
+    for await (const document of cursor) {
+      for (const object of document.getStorageObjects()) {
+        if (!referenced.has(object.provider)) {
+          referenced.set(object.provider, new Map());
+        }
+        const objects = referenced.get(object.provider);
+        const key = this.objectKey(object);
+        if (!objects.get(key)?.documentId) {
+          objects.set(key, {
+            documentId: document.status === 'Deleted' ? null : document._id.toString(),
+            publicId: object.publicId,
+            bucket: object.bucket
+          });
+        }
+      }
+    }
+
+    return referenced;
+  }
+
+  /**
+   * Build the key identifying a storage object within its provider
+   * @param {Object} object - Storage object ({ publicId, bucket })
+   * @returns {string} Object key
+   */
+  objectKey(object) {
+    return `${object.bucket || ''}:${object.publicId}`;
+  }
+
+  /**
+   * Email a run report to admins when it needs their attention
+   * @param {Object} report - Run report
+   */
+  async reportToAdmins(report) {
+    const orphanCount = Object.values(report.orphans).reduce((total, provider) =>
+      total + (provider.objectsWithoutDocumentCount || 0) +
+        (provider.documentsWithoutObjectCount || 0) + (provider.error ? 1 : 0), 0);
+    const summary = `Archived ${report.archivedDocuments} expired documents, ` +
+      `purged ${report.purge.purgedDocuments} deleted documents ` +
+      `(${report.purge.errors.length} failed) and found ${orphanCount} storage inconsistencies.`;
+
+    console.log(`🗂️ Lifecycle run: ${summary}`);
+
+    if (report.archivedDocuments === 0 && report.purge.purgedDocuments === 0 &&
+        report.purge.errors.length === 0 && orphanCount === 0) {
+      return;
+    }
+
+    const admins = await Admin.find({
+      status: 'active',
+      'notificationPreferences.emailNotifications.systemAlerts': { $ne: false }
+    }).select('email');
+    const recipients = new Set(admins.map(admin => admin.email));
+    if (process.env.ADMIN_EMAIL) {
+      recipients.add(process.env.ADMIN_EMAIL);
+    }
+
+    for (const email of recipients) {
+      try {
+        await emailService.sendAdminNotification(
+          email,
+          'Document lifecycle report',
+          summary,
+          report
+        );
+      } catch (error) {
+        console.error(`❌ Lifecycle report to ${email} failed:`, error.message);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+const lifecycleWorker = new LifecycleWorker();
+
+module.exports = lifecycleWorker;
+
+// Run the jobs once when invoked directly (e.g. from cron)
+if (require.main === module) {
+  require('dotenv').config();
+  const database = require('../utils/database');
+
+  database.connect()
+    .then(() => lifecycleWorker.runOnce())
+    .then(report => console.log(JSON.stringify(report, null, 2)))
+    .catch(error => {
+      console.error('❌ Lifecycle run failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => database.disconnect());
+}
@@ -0,0 +1,148 @@
+const User = require('../models/User');
+const Admin = require('../models/Admin');
+const passwordPolicyService = require('../services/passwordPolicyService');
+
+/**
+ * Password Expiry Worker
+ *
+ * Warns students and admins whose password expires within
+ * PASSWORD_EXPIRY_WARNING_DAYS, once per password. Accounts whose password
+ * already expired are not warned; they are asked for a new password at their
+ * next login instead. Runs in-process every PASSWORD_EXPIRY_POLL_MS, or once
+ * from cron with `npm run jobs:password-expiry`.
+ */
+
+// Accounts of each kind warned per run; the rest are picked up by the next run
+const BATCH_SIZE = 200;
+
+class PasswordExpiryWorker {
+  constructor() {
+    this.pollMs = parseInt(process.env.PASSWORD_EXPIRY_POLL_MS) || 6 * 60 * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start sending warnings on a schedule
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => console.error(
+        '❌ Password expiry run failed:',
+        error.message
+      ));
+    }, this.pollMs);
+
+    // Never keep the process alive just for the worker
+    this.timer.unref();
+
+    console.log(
+      `🔑 Password expiry worker started (every ${Math.round(this.pollMs / 60000)} min)`
+    );
+  }
+
+  /**
+   * Stop sending warnings
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Warn every student and admin whose password expires soon
+   * @returns {Promise<Object|null>} Run results ({ sent, failed }), or null when
+   *   a run is already in progress
+   */
+  async runOnce() {
+    // Skip the tick while a previous run is still going
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const result = { sent: 0, failed: 0 };
+
+      const accounts = [
+        ...await this.findDue(User, { passwordHash: { $exists: true } }),
+        ...await this.findDue(Admin, { status: 'active' })
+      ];
+
+      for (const account of accounts) {
+        try {
+          if (await passwordPolicyService.sendExpiryWarning(account)) {
+            result.sent += 1;
+          }
+        } catch (error) {
+          result.failed += 1;
+          console.error(`❌ Password expiry warning to ${account.email} failed:`, error.message);
+        }
+      }
+
+      return result;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Find accounts of one kind inside the warning period and not yet warned
+   * @param {Object} Model - User or Admin model
+   * @param {Object} filter - Extra conditions for this kind of account
+   * @returns {Promise<Array>} Accounts to warn
+   */
+  async findDue(Model, filter) {
+    const maxAgeDays = passwordPolicyService.maxAgeDays[Model.modelName];
+    const { warningDays } = passwordPolicyService;
+
+    if (!maxAgeDays || !warningDays) {
+      return [];
+    }
+
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    // Passwords that have not expired yet but will within the warning period
+    const window = {
+      $gt: daysAgo(maxAgeDays),
+      $lte: daysAgo(Math.max(maxAgeDays - warningDays, 0))
+    };
+
+    return Model.find({
+      ...filter,
+      'security.passwordExpiryWarningSentAt': { $exists: false },
+      $or: [
+        { 'security.lastPasswordChange': window },
+        // Accounts created before passwords were dated count from their creation
+        { 'security.lastPasswordChange': { $exists: false }, createdAt: window }
+      ]
+    })
+      .sort({ createdAt: 1 })
+      .limit(BATCH_SIZE);
+  }
+}
+
+// Export singleton instance
+const passwordExpiryWorker = new PasswordExpiryWorker();
+
+module.exports = passwordExpiryWorker;
+
+// Run once when invoked directly (e.g. from cron)
+if (require.main === module) {
+  require('dotenv').config();
+  const database = require('../utils/database');
+
+  database.connect()
+    .then(() => passwordExpiryWorker.runOnce())
+    .then(result => console.log(JSON.stringify(result)))
+    .catch(error => {
+      console.error('❌ Password expiry run failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => database.disconnect());
+}
@@ -0,0 +1,115 @@
+const Document = require('../models/Document');
+const { getStorageProvider } = require('../utils/storage');
+const { getScanner } = require('../utils/scanners');
+
+/**
+ * Malware Scan Worker
+ *
+ * Periodically pulls documents with a Pending scan status, reads them back
+ * from storage and runs them through the configured scanner. Infected files
+ * are quarantined by the Document pre-save hook; failed scans are retried up
+ * to SCAN_MAX_ATTEMPTS times before the document is marked as Error.
+ */
+class ScanWorker {
+  constructor() {
+    this.intervalMs = parseInt(process.env.SCAN_INTERVAL_MS) || 30000;
+    this.batchSize = parseInt(process.env.SCAN_BATCH_SIZE) || 10;
+    this.maxAttempts = parseInt(process.env.SCAN_MAX_ATTEMPTS) || 3;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start polling for pending documents
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => console.error('❌ Scan worker run failed:', error.message));
+    }, this.intervalMs);
+
+    // Never keep the process alive just for the worker
+    this.timer.unref();
+
+    console.log(`🛡️ Scan worker started using "${getScanner().name}" scanner`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Scan one batch of pending documents
+   * @returns {Promise<number>} Number of documents processed
+   */
+  async runOnce() {
+    // Skip the tick while a previous batch is still being scanned
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    try {
+      const documents = await Document.findPendingScans().limit(this.batchSize);
+
+      for (const document of documents) {
+        await this.scanDocument(document);
+      }
+
+      return documents.length;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Scan a single document and record the result
+   * @param {Object} document - Document with a Pending scan status
+   * @returns {Promise<Object>} Updated document
+   */
+  async scanDocument(document) {
+    const scanner = getScanner();
+    const { security } = document;
+
+    try {
+      const buffer = await getStorageProvider(document.storage.provider)
+        .download(document.storage.publicId, { bucket: document.storage.bucket });
+      const result = await scanner.scan(buffer);
+
+      security.scanStatus = result.status;
+      security.scanDetails = result.details;
+    } catch (error) {
+      security.scanAttempts += 1;
+      security.scanDetails = error.message;
+
+      // Leave the document Pending so the next run retries it
+      if (security.scanAttempts >= this.maxAttempts) {
+        security.scanStatus = 'Error';
+      }
+    }
+
+    security.scanDate = new Date();
+    security.scanProvider = scanner.name;
+    await document.save(Document.SAVE_OPTIONS);
+
+    if (security.scanStatus === 'Infected') {
+      console.warn(`⚠️ Document ${document._id} quarantined: ${security.scanDetails}`);
+    }
+
+    return document;
+  }
+}
+
+// Export singleton instance
+const scanWorker = new ScanWorker();
+
+module.exports = scanWorker;
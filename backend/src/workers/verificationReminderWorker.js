@@ -0,0 +1,124 @@
+const User = require('../models/User');
+const emailVerificationService = require('../services/emailVerificationService');
+
+/**
+ * Verification Reminder Worker
+ *
+ * Reminds students who have not verified their email address, first
+ * VERIFICATION_REMINDER_AFTER_HOURS after registering and then every
+ * VERIFICATION_REMINDER_INTERVAL_HOURS, up to VERIFICATION_REMINDER_MAX
+ * reminders. Runs in-process every VERIFICATION_REMINDER_POLL_MS, or once
+ * from cron with `npm run jobs:verification-reminders`.
+ */
+
+// Accounts reminded per run; the rest are picked up by the next run
+const BATCH_SIZE = 200;
+
+class VerificationReminderWorker {
+  constructor() {
+    this.pollMs = parseInt(process.env.VERIFICATION_REMINDER_POLL_MS) || 60 * 60 * 1000;
+    this.firstReminderAfterHours = parseInt(process.env.VERIFICATION_REMINDER_AFTER_HOURS) || 24;
+    this.reminderIntervalHours = parseInt(process.env.VERIFICATION_REMINDER_INTERVAL_HOURS) || 72;
+    this.maxReminders = parseInt(process.env.VERIFICATION_REMINDER_MAX) || 3;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start sending reminders on a schedule
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => console.error(
+        '❌ Verification reminder run failed:',
+        error.message
+      ));
+    }, this.pollMs);
+
+    // Never keep the process alive just for the worker
+    this.timer.unref();
+
+    console.log(
+      `📧 Verification reminder worker started (every ${Math.round(this.pollMs / 60000)} min)`
+    );
+  }
+
+  /**
+   * Stop sending reminders
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Remind every unverified student who is due a reminder
+   * @returns {Promise<Object|null>} Run results ({ sent, failed }), or null when
+   *   a run is already in progress
+   */
+  async runOnce() {
+    // Skip the tick while a previous run is still going
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const result = { sent: 0, failed: 0 };
+      const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+      const users = await User.find({
+        emailVerified: false,
+        createdAt: { $lte: hoursAgo(this.firstReminderAfterHours) },
+        verificationRemindersSent: { $lt: this.maxReminders },
+        $or: [
+          { verificationEmailSentAt: { $exists: false } },
+          { verificationEmailSentAt: { $lte: hoursAgo(this.reminderIntervalHours) } }
+        ]
+      })
+        .sort({ createdAt: 1 })
+        .limit(BATCH_SIZE);
+
+      for (const user of users) {
+        try {
+          if (await emailVerificationService.sendReminder(user)) {
+            result.sent += 1;
+          }
+        } catch (error) {
+          result.failed += 1;
+          console.error(`❌ Verification reminder to ${user.email} failed:`, error.message);
+        }
+      }
+
+      return result;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+// Export singleton instance
+const verificationReminderWorker = new VerificationReminderWorker();
+
+module.exports = verificationReminderWorker;
+
+// Run once when invoked directly (e.g. from cron)
+if (require.main === module) {
+  require('dotenv').config();
+  const database = require('../utils/database');
+
+  database.connect()
+    .then(() => verificationReminderWorker.runOnce())
+    .then(result => console.log(JSON.stringify(result)))
+    .catch(error => {
+      console.error('❌ Verification reminder run failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => database.disconnect());
+}
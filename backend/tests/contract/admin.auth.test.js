@@ -0,0 +1,147 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Admin = require('../../src/models/Admin');
+const Session = require('../../src/models/Session');
+
+describe('Admin Authentication Contract Tests', () => {
+  const password = 'AdminPass123';
+
+  const createAdmin = (overrides = {}) => Admin.createAdmin({
+    username: 'ops_admin',
+    email: 'ops@example.com',
+    passwordHash: password, // Hashed by the pre-save middleware
+    profile: { firstName: 'Ada', lastName: 'Admin' },
+    role: 'admin',
+    status: 'active',
+    ...overrides
+  });
+
+  const login = (identifier = 'ops@example.com', loginPassword = password) => request(app)
+    .post('/api/admin/auth/login')
+    .send({ identifier, password: loginPassword });
+
+  // An admin-only route; an invalid status gets past authentication to a 400
+  const adminRequest = (token) => request(app)
+    .put(`/api/admin/applications/${new mongoose.Types.ObjectId()}/status`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ status: 'NotAStatus' });
+
+  describe('POST /api/admin/auth/login', () => {
+    it('should issue admin tokens accepted only by admin routes', async () => {
+      await createAdmin();
+
+      const response = await login('ops_admin').expect(200);
+
+      expect(response.body.admin).toMatchObject({
+        username: 'ops_admin',
+        email: 'ops@example.com',
+        role: 'admin',
+        sessionTimeout: 3600
+      });
+      expect(response.body.admin).not.toHaveProperty('passwordHash');
+      await adminRequest(response.body.tokens.accessToken).expect(400);
+
+      // Admin tokens are not student tokens
+      await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${response.body.tokens.accessToken}`)
+        .expect(401);
+    });
+
+    it('should reject student tokens on admin routes', async () => {
+      const student = await request(app)
+        .post('/api/auth/register')
+        .send({
+          email: 'ops@example.com',
+          password: 'SecurePass123',
+          firstName: 'John',
+          lastName: 'Doe',
+          acceptTerms: true
+        });
+
+      const response = await adminRequest(student.body.tokens.accessToken).expect(401);
+      expect(response.body.error).toHaveProperty('code', 'INVALID_TOKEN');
+    });
+
+    it('should lock the account after five failed attempts', async () => {
+      await createAdmin();
+
+      for (let attempt = 1; attempt < 5; attempt++) {
+        const response = await login('ops@example.com', 'WrongPass123').expect(401);
+        expect(response.body.error).toHaveProperty('code', 'INVALID_CREDENTIALS');
+      }
+
+      const locked = await login('ops@example.com', 'WrongPass123').expect(423);
+      expect(locked.body.error).toHaveProperty('code', 'ACCOUNT_LOCKED');
+
+      // Even the right password is refused while locked
+      await login().expect(423);
+    });
+
+    it('should refuse logins from outside the IP allowlist', async () => {
+      await createAdmin({ security: { allowedIPs: ['10.0.0.1'] } });
+
+      const response = await login().expect(403);
+
+      expect(response.body.error).toHaveProperty('code', 'IP_NOT_ALLOWED');
+      const admin = await Admin.findOne({ email: 'ops@example.com' });
+      expect(await Session.countDocuments({ subjectId: admin._id })).toBe(0);
+      expect(admin.activityLog.map(log => log.action)).toEqual(['login_denied']);
+    });
+  });
+
+  describe('Admin sessions', () => {
+    it('should expire sessions idle for longer than the session timeout', async () => {
+      const admin = await createAdmin({ security: { sessionTimeout: 300 } });
+      const { tokens } = (await login().expect(200)).body;
+
+      await Session.updateOne(
+        { subjectId: admin._id },
+        { lastSeenAt: new Date(Date.now() - 10 * 60 * 1000) }
+      );
+
+      const response = await adminRequest(tokens.accessToken).expect(401);
+      expect(response.body.error).toHaveProperty('code', 'SESSION_EXPIRED');
+
+      await request(app)
+        .post('/api/admin/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(401);
+    });
+
+    it('should rotate the session on refresh', async () => {
+      await createAdmin();
+      const { tokens } = (await login().expect(200)).body;
+
+      const refreshed = await request(app)
+        .post('/api/admin/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+
+      await adminRequest(refreshed.body.tokens.accessToken).expect(400);
+
+      // Reusing the old refresh token signs the session out
+      const reused = await request(app)
+        .post('/api/admin/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(401);
+      expect(reused.body.error).toHaveProperty('code', 'REFRESH_TOKEN_REUSED');
+
+      await adminRequest(refreshed.body.tokens.accessToken).expect(401);
+    });
+
+    it('should invalidate the session on logout', async () => {
+      await createAdmin();
+      const { tokens } = (await login().expect(200)).body;
+
+      await request(app)
+        .post('/api/admin/auth/logout')
+        .set('Authorization', `Bearer ${tokens.accessToken}`)
+        .expect(200);
+
+      const response = await adminRequest(tokens.accessToken).expect(401);
+      expect(response.body.error).toHaveProperty('code', 'SESSION_INVALID');
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'uniapply-admin-documents-'));
+process.env.LOCAL_STORAGE_PATH = storageRoot;
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Admin = require('../../src/models/Admin');
+const Document = require('../../src/models/Document');
+const scanWorker = require('../../src/workers/scanWorker');
+
+describe('Admin Documents Contract Tests', () => {
+  let ownerToken;
+  let documentId;
+
+  const createAdmin = async (role) => {
+    const admin = await Admin.createAdmin({
+      username: `${role}_account`,
+      email: `${role}@example.com`,
+      passwordHash: 'AdminPass123', // Hashed by the pre-save middleware
+      profile: { firstName: 'Ada', lastName: 'Admin' },
+      role,
+      status: 'active'
+    });
+
+    const response = await request(app)
+      .post('/api/admin/auth/login')
+      .send({ identifier: admin.email, password: 'AdminPass123' })
+      .expect(200);
+
+    return { admin, token: response.body.tokens.accessToken };
+  };
+
+  const shareWithAdmin = (email, permission) => request(app)
+    .post(`/api/documents/${documentId}/shares`)
+    .set('Authorization', `Bearer ${ownerToken}`)
+    .send({ email, recipientType: 'Admin', permission })
+    .expect(201);
+
+  const openDocument = (action, token) => request(app)
+    .get(`/api/admin/documents/${documentId}/${action}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(() => {
+    process.env.STORAGE_PROVIDER = 'local';
+  });
+
+  afterAll(() => {
+    delete process.env.STORAGE_PROVIDER;
+    fs.rmSync(storageRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    const registered = await request(app)
+      .post('/api/auth/register')
+      .send({
+        email: 'student@example.com',
+        password: 'SecurePass123',
+        firstName: 'John',
+        lastName: 'Doe',
+        acceptTerms: true
+      });
+    ownerToken = registered.body.tokens.accessToken;
+
+    const upload = await request(app)
+      .post('/api/uploads')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .field('category', 'Transcript')
+      .attach('file', Buffer.from('%PDF-1.4 transcript'), {
+        filename: 'transcript.pdf',
+        contentType: 'application/pdf'
+      })
+      .expect(201);
+    documentId = upload.body.document.id;
+
+    await scanWorker.runOnce();
+  });
+
+  describe('GET /api/admin/documents/:id/view and /download', () => {
+    it('should only open documents shared with the admin, within the grant', async () => {
+      const { admin, token } = await createAdmin('moderator');
+
+      const denied = await openDocument('view', token).expect(403);
+      expect(denied.body.error).toHaveProperty('code', 'DOCUMENT_ACCESS_DENIED');
+
+      await shareWithAdmin(admin.email, 'View');
+
+      const view = await openDocument('view', token).expect(200);
+      expect(view.headers['content-disposition']).toMatch(/^inline;/);
+      await openDocument('download', token).expect(403);
+
+      const document = await Document.findById(documentId);
+      const adminLogs = document.accessLogs.filter(log => log.accessedByType === 'Admin');
+      expect(adminLogs.map(log => log.accessType)).toEqual(['Share', 'Share', 'Share']);
+      expect(adminLogs.map(log => log.success)).toEqual([false, true, false]);
+      expect(adminLogs[0].accessedBy.toString()).toBe(admin._id.toString());
+    });
+
+    it('should serve downloads to admins granted Download', async () => {
+      const { admin, token } = await createAdmin('admin');
+      await shareWithAdmin(admin.email, 'Download');
+
+      const response = await openDocument('download', token).expect(200);
+
+      expect(response.headers['content-disposition']).toMatch(/^attachment;/);
+      expect(response.headers['content-type']).toBe('application/pdf');
+    });
+
+    it('should require the documents read permission', async () => {
+      const { admin, token } = await createAdmin('viewer');
+      await shareWithAdmin(admin.email, 'View');
+
+      const response = await openDocument('view', token).expect(403);
+
+      expect(response.body.error).toMatchObject({
+        code: 'INSUFFICIENT_PERMISSIONS',
+        details: { module: 'documents', action: 'read' }
+      });
+    });
+  });
+});
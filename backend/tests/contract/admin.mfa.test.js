@@ -0,0 +1,175 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Admin = require('../../src/models/Admin');
+const totp = require('../../src/utils/totp');
+
+describe('Admin MFA Contract Tests', () => {
+  const password = 'AdminPass123';
+
+  const createAdmin = (role = 'admin') => Admin.createAdmin({
+    username: `${role}_account`,
+    email: `${role}@example.com`,
+    passwordHash: password, // Hashed by the pre-save middleware
+    profile: { firstName: 'Ada', lastName: 'Admin' },
+    role,
+    status: 'active'
+  });
+
+  const login = (email = 'admin@example.com') => request(app)
+    .post('/api/admin/auth/login')
+    .send({ identifier: email, password })
+    .expect(200);
+
+  // Enroll the admin through the API, returning the secret and recovery codes
+  const enroll = async () => {
+    const { tokens } = (await login()).body;
+
+    const setup = await request(app)
+      .post('/api/admin/auth/mfa/setup')
+      .set('Authorization', `Bearer ${tokens.accessToken}`)
+      .expect(200);
+
+    const enrollmentCode = totp.generateCode(setup.body.secret);
+    const enabled = await request(app)
+      .post('/api/admin/auth/mfa/enable')
+      .set('Authorization', `Bearer ${tokens.accessToken}`)
+      .send({ code: enrollmentCode })
+      .expect(200);
+
+    return {
+      secret: setup.body.secret,
+      enrollmentCode,
+      recoveryCodes: enabled.body.recoveryCodes
+    };
+  };
+
+  // A code valid now that was not used during enrollment
+  const nextCode = (secret) => totp.generateCode(secret, totp.getTimeStep() + 1);
+
+  const verify = (mfaToken, data) => request(app)
+    .post('/api/admin/auth/mfa/verify')
+    .send({ mfaToken, ...data });
+
+  describe('Utilities', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+      expect(totp.generateCode(secret, totp.getTimeStep(59 * 1000))).toBe('287082');
+      expect(totp.generateCode(secret, totp.getTimeStep(1111111109 * 1000))).toBe('081804');
+      expect(totp.generateCode(secret, totp.getTimeStep(20000000000 * 1000))).toBe('353130');
+    });
+  });
+
+  describe('Enrollment', () => {
+    it('should enroll with an otpauth URI and return hashed recovery codes once', async () => {
+      await createAdmin();
+      const { tokens } = (await login()).body;
+
+      const setup = await request(app)
+        .post('/api/admin/auth/mfa/setup')
+        .set('Authorization', `Bearer ${tokens.accessToken}`)
+        .expect(200);
+
+      expect(setup.body.otpauthUri).toBe(
+        `otpauth://totp/UniApply%20Hub%20Admin%3Aadmin%40example.com?secret=${setup.body.secret}` +
+        '&issuer=UniApply%20Hub%20Admin&algorithm=SHA1&digits=6&period=30'
+      );
+
+      const wrong = await request(app)
+        .post('/api/admin/auth/mfa/enable')
+        .set('Authorization', `Bearer ${tokens.accessToken}`)
+        .send({ code: totp.generateCode(setup.body.secret, totp.getTimeStep() + 10) })
+        .expect(400);
+      expect(wrong.body.error).toHaveProperty('code', 'INVALID_MFA_CODE');
+
+      const enabled = await request(app)
+        .post('/api/admin/auth/mfa/enable')
+        .set('Authorization', `Bearer ${tokens.accessToken}`)
+        .send({ code: totp.generateCode(setup.body.secret) })
+        .expect(200);
+
+      expect(enabled.body.recoveryCodes).toHaveLength(10);
+      const admin = await Admin.findOne({ email: 'admin@example.com' })
+        .select('+security.mfaRecoveryCodes');
+      expect(admin.security.mfaEnabled).toBe(true);
+      expect(admin.security.mfaRecoveryCodes).not.toContain(enabled.body.recoveryCodes[0]);
+    });
+  });
+
+  describe('Login', () => {
+    it('should require a TOTP code after the password', async () => {
+      await createAdmin();
+      const { secret, enrollmentCode } = await enroll();
+
+      const first = await login();
+      expect(first.body).toMatchObject({ mfaRequired: true });
+      expect(first.body).not.toHaveProperty('tokens');
+
+      // The code used to enable MFA cannot be replayed
+      const replay = await verify(first.body.mfaToken, { code: enrollmentCode }).expect(401);
+      expect(replay.body.error).toHaveProperty('code', 'INVALID_MFA_CODE');
+
+      const response = await verify(first.body.mfaToken, { code: nextCode(secret) })
+        .expect(200);
+      expect(response.body.admin).toMatchObject({ mfaEnabled: true });
+
+      await request(app)
+        .get('/api/admin/permissions')
+        .set('Authorization', `Bearer ${response.body.tokens.accessToken}`)
+        .expect(200);
+    });
+
+    it('should accept each recovery code once', async () => {
+      await createAdmin();
+      const { recoveryCodes } = await enroll();
+
+      const first = await login();
+      const response = await verify(first.body.mfaToken, {
+        recoveryCode: recoveryCodes[0].toLowerCase()
+      }).expect(200);
+      expect(response.body.recoveryCodesRemaining).toBe(9);
+
+      const second = await login();
+      await verify(second.body.mfaToken, { recoveryCode: recoveryCodes[0] }).expect(401);
+    });
+
+    it('should accept a code only once when logins race', async () => {
+      await createAdmin();
+      const { secret, recoveryCodes } = await enroll();
+      const race = async (data) => {
+        const challenges = await Promise.all([login(), login()]);
+        const responses = await Promise.all(
+          challenges.map(challenge => verify(challenge.body.mfaToken, data))
+        );
+        return responses.map(response => response.status).sort();
+      };
+
+      expect(await race({ code: nextCode(secret) })).toEqual([200, 401]);
+      expect(await race({ recoveryCode: recoveryCodes[0] })).toEqual([200, 401]);
+    });
+  });
+
+  describe('DELETE /api/admin/admins/:id/mfa', () => {
+    it('should let only a super_admin reset MFA', async () => {
+      const admin = await createAdmin();
+      await createAdmin('super_admin');
+      const { secret } = await enroll();
+
+      const adminLogin = await verify((await login()).body.mfaToken, { code: nextCode(secret) });
+      await request(app)
+        .delete(`/api/admin/admins/${admin._id}/mfa`)
+        .set('Authorization', `Bearer ${adminLogin.body.tokens.accessToken}`)
+        .expect(403);
+
+      const superAdminToken = (await login('super_admin@example.com')).body.tokens.accessToken;
+      await request(app)
+        .delete(`/api/admin/admins/${admin._id}/mfa`)
+        .set('Authorization', `Bearer ${superAdminToken}`)
+        .expect(200);
+
+      const response = await login();
+      expect(response.body).not.toHaveProperty('mfaRequired');
+      expect(response.body.admin.mfaEnabled).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Admin = require('../../src/models/Admin');
+
+describe('Admin Permissions Contract Tests', () => {
+  const createAdmin = async (role) => {
+    const admin = await Admin.createAdmin({
+      username: `${role}_account`,
+      email: `${role}@example.com`,
+      passwordHash: 'AdminPass123', // Hashed by the pre-save middleware
+      profile: { firstName: 'Ada', lastName: 'Admin' },
+      role,
+      status: 'active'
+    });
+
+    const response = await request(app)
+      .post('/api/admin/auth/login')
+      .send({ identifier: admin.email, password: 'AdminPass123' })
+      .expect(200);
+
+    return { admin, token: response.body.tokens.accessToken };
+  };
+
+  const updateStatus = (token, status) => request(app)
+    .put(`/api/admin/applications/${new mongoose.Types.ObjectId()}/status`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ status });
+
+  describe('requirePermission', () => {
+    it('should refuse admins without the permission and record the denial', async () => {
+      const viewer = await createAdmin('viewer');
+
+      const response = await updateStatus(viewer.token, 'Under Review').expect(403);
+
+      expect(response.body.error).toMatchObject({
+        code: 'INSUFFICIENT_PERMISSIONS',
+        details: { module: 'applications', action: 'update' }
+      });
+      const admin = await Admin.findById(viewer.admin._id);
+      expect(admin.activityLog.find(log => log.action === 'permission_denied').details)
+        .toMatchObject({ module: 'applications', action: 'update', method: 'PUT' });
+    });
+
+    it('should require approve and reject permissions for final decisions', async () => {
+      const moderator = await createAdmin('moderator');
+      const admin = await createAdmin('admin');
+
+      // Allowed through to the application lookup
+      await updateStatus(moderator.token, 'Under Review').expect(404);
+      await updateStatus(admin.token, 'Accepted').expect(404);
+
+      const response = await updateStatus(moderator.token, 'Accepted').expect(403);
+      expect(response.body.error.details).toEqual({ module: 'applications', action: 'approve' });
+    });
+  });
+
+  describe('GET /api/admin/permissions', () => {
+    it('should list the effective permission matrix', async () => {
+      const viewer = await createAdmin('viewer');
+
+      const response = await request(app)
+        .get('/api/admin/permissions')
+        .set('Authorization', `Bearer ${viewer.token}`)
+        .expect(200);
+
+      expect(response.body.admin).toMatchObject({ email: 'viewer@example.com', role: 'viewer' });
+      expect(Object.keys(response.body.permissions)).toEqual(Admin.PERMISSION_MODULES);
+      expect(response.body.permissions.applications).toMatchObject({
+        read: true,
+        update: false,
+        approve: false
+      });
+    });
+  });
+
+  describe('Managing admins', () => {
+    it('should let a super_admin change roles', async () => {
+      const superAdmin = await createAdmin('super_admin');
+      const moderator = await createAdmin('moderator');
+
+      const response = await request(app)
+        .put(`/api/admin/admins/${moderator.admin._id}/role`)
+        .set('Authorization', `Bearer ${superAdmin.token}`)
+        .send({ role: 'admin' })
+        .expect(200);
+
+      expect(response.body.admin.role).toBe('admin');
+      expect(response.body.permissions.applications.approve).toBe(true);
+      await updateStatus(moderator.token, 'Accepted').expect(404);
+    });
+
+    it('should let a super_admin override and clear custom permissions', async () => {
+      const superAdmin = await createAdmin('super_admin');
+      const viewer = await createAdmin('viewer');
+      const url = `/api/admin/admins/${viewer.admin._id}/permissions`;
+
+      const granted = await request(app)
+        .put(url)
+        .set('Authorization', `Bearer ${superAdmin.token}`)
+        .send({
+          permissions: [
+            { module: 'applications', action: 'update', allowed: true },
+            { module: 'analytics', action: 'read', allowed: false }
+          ]
+        })
+        .expect(200);
+
+      expect(granted.body.customPermissions).toEqual({
+        'applications:update': true,
+        'analytics:read': false
+      });
+      await updateStatus(viewer.token, 'Under Review').expect(404);
+
+      const cleared = await request(app)
+        .put(url)
+        .set('Authorization', `Bearer ${superAdmin.token}`)
+        .send({ permissions: [{ module: 'applications', action: 'update', allowed: null }] })
+        .expect(200);
+
+      expect(cleared.body.customPermissions).toEqual({ 'analytics:read': false });
+      expect(cleared.body.permissions.analytics.read).toBe(false);
+      await updateStatus(viewer.token, 'Under Review').expect(403);
+    });
+
+    it('should only let a super_admin manage admins', async () => {
+      const admin = await createAdmin('admin');
+      const viewer = await createAdmin('viewer');
+
+      const response = await request(app)
+        .put(`/api/admin/admins/${viewer.admin._id}/role`)
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({ role: 'super_admin' })
+        .expect(403);
+
+      expect(response.body.error.details).toEqual({ roles: ['super_admin'] });
+      expect((await Admin.findById(viewer.admin._id)).role).toBe('viewer');
+    });
+
+    it('should not let a super_admin change their own role', async () => {
+      const superAdmin = await createAdmin('super_admin');
+
+      const response = await request(app)
+        .put(`/api/admin/admins/${superAdmin.admin._id}/role`)
+        .set('Authorization', `Bearer ${superAdmin.token}`)
+        .send({ role: 'viewer' })
+        .expect(400);
+
+      expect(response.body.error).toHaveProperty('code', 'CANNOT_CHANGE_OWN_ROLE');
+    });
+  });
+});
@@ -0,0 +1,303 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const University = require('../../src/models/University');
+const User = require('../../src/models/User');
+const emailVerificationMigration = require('../../src/migrations/grandfatherEmailVerification');
+
+describe('Applications Contract Tests', () => {
+  let authToken;
+  let university;
+  let programId;
+
+  const registerUser = async (email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        email,
+        password: 'SecurePass123',
+        firstName: 'John',
+        lastName: 'Doe',
+        acceptTerms: true
+      });
+
+    // Only verified students can submit applications
+    await User.updateOne({ email }, { emailVerified: true });
+
+    return response.body.tokens.accessToken;
+  };
+
+  const createDraft = () => request(app)
+    .post('/api/applications')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ universityId: university._id.toString(), programId });
+
+  beforeEach(async () => {
+    authToken = await registerUser('student@example.com');
+
+    university = await University.create({
+      name: 'Test University',
+      country: 'Germany',
+      region: 'Europe',
+      programs: [{
+        name: 'MSc Computer Science',
+        level: 'Masters',
+        deadlines: {
+          applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+        }
+      }]
+    });
+    programId = university.programs[0]._id.toString();
+  });
+
+  describe('POST /api/applications', () => {
+    it('should create a draft application for a program', async () => {
+      const response = await createDraft().expect(201);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.application).toHaveProperty('status', 'Draft');
+      expect(response.body.application).toHaveProperty('programId', programId);
+      expect(response.body.application.deadlines).toHaveProperty('application');
+    });
+
+    it('should reject a second application for the same program', async () => {
+      await createDraft().expect(201);
+
+      const response = await createDraft().expect(409);
+      expect(response.body.error).toHaveProperty('code', 'APPLICATION_EXISTS');
+    });
+
+    it('should reject unknown programs', async () => {
+      const response = await request(app)
+        .post('/api/applications')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ universityId: university._id.toString(), programId: university._id.toString() })
+        .expect(404);
+
+      expect(response.body.error).toHaveProperty('code', 'PROGRAM_NOT_FOUND');
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post('/api/applications')
+        .send({ universityId: university._id.toString(), programId })
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/applications', () => {
+    it('should list only the authenticated student\'s applications', async () => {
+      await createDraft().expect(201);
+
+      const otherToken = await registerUser('other@example.com');
+      const response = await request(app)
+        .get('/api/applications')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+
+      expect(response.body.applications).toHaveLength(0);
+      expect(response.body.pagination).toHaveProperty('totalItems', 0);
+    });
+  });
+
+  describe('GET /api/applications/:id', () => {
+    it('should return a checklist built from the program requirements', async () => {
+      university.programs[0].requirements = {
+        documents: ['Official transcripts', 'CV'],
+        references: 2
+      };
+      await university.save();
+      const created = await createDraft().expect(201);
+
+      const response = await request(app)
+        .get(`/api/applications/${created.body.application._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.requirements).toHaveProperty('completionPercentage', 0);
+      expect(response.body.requirements.missing.map(item => item.key)).toEqual([
+        'personalStatement',
+        'document:Transcript',
+        'document:CV',
+        'reference:1',
+        'reference:2'
+      ]);
+    });
+
+    it('should hide applications owned by other students', async () => {
+      const created = await createDraft().expect(201);
+      const otherToken = await registerUser('other@example.com');
+
+      const response = await request(app)
+        .get(`/api/applications/${created.body.application._id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+
+      expect(response.body.error).toHaveProperty('code', 'APPLICATION_NOT_FOUND');
+    });
+  });
+
+  describe('PUT /api/applications/:id', () => {
+    it('should update the personal statement of a draft', async () => {
+      const created = await createDraft().expect(201);
+      const personalStatement = 'I have always wanted to study computer science. '.repeat(5);
+
+      const response = await request(app)
+        .put(`/api/applications/${created.body.application._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ personalStatement })
+        .expect(200);
+
+      expect(response.body.application.applicationData)
+        .toHaveProperty('personalStatement', personalStatement.trim());
+    });
+  });
+
+  describe('Program questions', () => {
+    beforeEach(async () => {
+      university.programs[0].questions = [
+        { prompt: 'Why this program?', type: 'essay', maxWords: 5 },
+        { prompt: 'Preferred intake', type: 'multiple_choice', choices: ['Fall', 'Spring'] }
+      ];
+      await university.save();
+    });
+
+    it('should seed new drafts with the program questions', async () => {
+      const response = await createDraft().expect(201);
+
+      expect(response.body.application.applicationData.responses).toEqual([
+        expect.objectContaining({ question: 'Why this program?', type: 'essay', answer: '' }),
+        expect.objectContaining({ question: 'Preferred intake', type: 'multiple_choice' })
+      ]);
+    });
+
+    it('should reject answers that break the question definition', async () => {
+      const created = await createDraft().expect(201);
+      const [essay, intake] = created.body.application.applicationData.responses;
+
+      const response = await request(app)
+        .put(`/api/applications/${created.body.application._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          responses: [
+            { questionId: essay.questionId, answer: 'one two three four five six' },
+            { questionId: intake.questionId, answer: 'Winter' }
+          ]
+        })
+        .expect(422);
+
+      expect(response.body.error).toHaveProperty('code', 'INVALID_RESPONSES');
+      expect(response.body.error.details).toHaveLength(2);
+    });
+  });
+
+  describe('POST /api/applications/:id/submit', () => {
+    it('should refuse to submit an incomplete application', async () => {
+      const created = await createDraft().expect(201);
+
+      const response = await request(app)
+        .post(`/api/applications/${created.body.application._id}/submit`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(422);
+
+      expect(response.body.error).toHaveProperty('code', 'APPLICATION_INCOMPLETE');
+    });
+
+    it('should refuse to submit until the email address is verified', async () => {
+      const created = await createDraft().expect(201);
+      await User.updateOne({ email: 'student@example.com' }, { emailVerified: false });
+
+      const response = await request(app)
+        .post(`/api/applications/${created.body.application._id}/submit`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+
+      expect(response.body.error).toHaveProperty('code', 'EMAIL_NOT_VERIFIED');
+    });
+
+    it('should let students who registered before email verification submit', async () => {
+      const created = await request(app)
+        .post('/api/applications')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          universityId: university._id.toString(),
+          programId,
+          personalStatement: 'I would like to study computer science. '.repeat(5)
+        })
+        .expect(201);
+
+      // Accounts from before the rollout have no emailVerified field at all
+      await User.collection.updateOne(
+        { email: 'student@example.com' },
+        { $unset: { emailVerified: 1 } }
+      );
+      await User.collection.insertOne({ email: 'unverified@example.com', emailVerified: false });
+
+      expect(await emailVerificationMigration.up()).toBe(1);
+
+      const response = await request(app)
+        .post(`/api/applications/${created.body.application._id}/submit`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.application).toHaveProperty('status', 'Submitted');
+      const unverified = await User.collection.findOne({ email: 'unverified@example.com' });
+      expect(unverified.emailVerified).toBe(false);
+    });
+  });
+
+  describe('POST /api/applications/:id/withdraw', () => {
+    it('should withdraw a draft and record the reason in the status history', async () => {
+      const created = await createDraft().expect(201);
+
+      const response = await request(app)
+        .post(`/api/applications/${created.body.application._id}/withdraw`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ reason: 'Accepted an offer elsewhere' })
+        .expect(200);
+
+      expect(response.body.application).toHaveProperty('status', 'Withdrawn');
+      expect(response.body.application.statusHistory).toEqual([
+        expect.objectContaining({
+          status: 'Withdrawn',
+          previousStatus: 'Draft',
+          changedByType: 'User',
+          notes: 'Accepted an offer elsewhere'
+        })
+      ]);
+    });
+
+    it('should reject transitions out of a terminal status', async () => {
+      const created = await createDraft().expect(201);
+      const url = `/api/applications/${created.body.application._id}/withdraw`;
+
+      await request(app).post(url).set('Authorization', `Bearer ${authToken}`).expect(200);
+      const response = await request(app)
+        .post(url)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+
+      expect(response.body.error).toHaveProperty('code', 'INVALID_STATUS_TRANSITION');
+      expect(response.body.error.details).toEqual({
+        from: 'Withdrawn',
+        to: 'Withdrawn',
+        allowed: []
+      });
+    });
+  });
+
+  describe('DELETE /api/applications/:id', () => {
+    it('should delete a draft application', async () => {
+      const created = await createDraft().expect(201);
+
+      await request(app)
+        .delete(`/api/applications/${created.body.application._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/applications/${created.body.application._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+// Lock after three failures so the tests stay quick and below the delay threshold
+process.env.LOGIN_MAX_FAILED_ATTEMPTS = '3';
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Admin = require('../../src/models/Admin');
+const User = require('../../src/models/User');
+const emailService = require('../../src/services/emailService');
+
+describe('Account Lockout Contract Tests', () => {
+  const credentials = {
+    email: 'student@example.com',
+    password: 'SecurePass123'
+  };
+  let guesses = 0;
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({
+        ...credentials,
+        firstName: 'Jane',
+        lastName: 'Student',
+        acceptTerms: true
+      })
+      .expect(201);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Every guess comes from another address, like a distributed attack
+  const login = (password = credentials.password) => {
+    guesses += 1;
+    return request(app)
+      .post('/api/auth/login')
+      .set('X-Forwarded-For', `203.0.113.${guesses}`)
+      .send({ ...credentials, password });
+  };
+
+  // Fail enough logins to lock the account and resolve with the emailed unlock token
+  const lockAccount = async () => {
+    const emailed = new Promise(resolve => {
+      jest.spyOn(emailService, 'sendAccountLockedEmail')
+        .mockImplementationOnce(async (user, token) => {
+          resolve(token);
+          return { success: true };
+        });
+    });
+
+    await login('WrongPassword123').expect(401);
+    await login('WrongPassword123').expect(401);
+    const locked = await login('WrongPassword123').expect(423);
+    expect(locked.body.error).toHaveProperty('code', 'ACCOUNT_LOCKED');
+    expect(locked.body.error.details).toHaveProperty('lockedUntil');
+
+    return emailed;
+  };
+
+  describe('POST /api/auth/login', () => {
+    it('should lock the account after repeated failures from any address', async () => {
+      await lockAccount();
+
+      // Even the right password is refused while locked
+      const response = await login().expect(423);
+      expect(response.body.error).toHaveProperty('code', 'ACCOUNT_LOCKED');
+    });
+
+    it('should reset the failure count after a successful login', async () => {
+      await login('WrongPassword123').expect(401);
+      await login('WrongPassword123').expect(401);
+      await login().expect(200);
+
+      const response = await login('WrongPassword123').expect(401);
+      expect(response.body.error).toHaveProperty('code', 'INVALID_CREDENTIALS');
+    });
+  });
+
+  describe('POST /api/auth/unlock-account', () => {
+    it('should unlock the account from the emailed link once', async () => {
+      const token = await lockAccount();
+
+      await request(app)
+        .post('/api/auth/unlock-account')
+        .send({ token })
+        .expect(200);
+
+      await login().expect(200);
+
+      const reused = await request(app)
+        .post('/api/auth/unlock-account')
+        .send({ token })
+        .expect(400);
+      expect(reused.body.error).toHaveProperty('code', 'INVALID_UNLOCK_TOKEN');
+    });
+  });
+
+  describe('Admin management of locked accounts', () => {
+    const adminToken = async () => {
+      await Admin.createAdmin({
+        username: 'support_admin',
+        email: 'support@example.com',
+        passwordHash: 'AdminPass123', // Hashed by the pre-save middleware
+        profile: { firstName: 'Ada', lastName: 'Admin' },
+        role: 'admin',
+        status: 'active'
+      });
+
+      const response = await request(app)
+        .post('/api/admin/auth/login')
+        .send({ identifier: 'support@example.com', password: 'AdminPass123' })
+        .expect(200);
+
+      return response.body.tokens.accessToken;
+    };
+
+    it('should list locked accounts and let an admin unlock them', async () => {
+      await lockAccount();
+      const token = await adminToken();
+
+      const listed = await request(app)
+        .get('/api/admin/users/locked')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(listed.body.accounts).toHaveLength(1);
+      expect(listed.body.accounts[0]).toMatchObject({
+        email: credentials.email,
+        failedLoginAttempts: 3
+      });
+
+      await request(app)
+        .delete(`/api/admin/users/${listed.body.accounts[0].id}/lock`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const user = await User.findById(listed.body.accounts[0].id);
+      expect(user.isLocked).toBe(false);
+      await login().expect(200);
+
+      const admin = await Admin.findOne({ email: 'support@example.com' });
+      expect(admin.activityLog.map(log => log.action)).toContain('account_unlocked');
+    });
+  });
+});
@@ -0,0 +1,188 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const totp = require('../../src/utils/totp');
+
+describe('Student Two-Factor Contract Tests', () => {
+  const credentials = {
+    email: 'student@example.com',
+    password: 'SecurePass123'
+  };
+
+  const login = (cookie) => {
+    const req = request(app).post('/api/auth/login');
+    if (cookie) {
+      req.set('Cookie', cookie);
+    }
+    return req.send(credentials).expect(200);
+  };
+
+  const verify = (mfaToken, data) => request(app)
+    .post('/api/auth/mfa/verify')
+    .send({ mfaToken, ...data });
+
+  // A code valid now that was not used during enrollment
+  const nextCode = (secret) => totp.generateCode(secret, totp.getTimeStep() + 1);
+
+  // Register a student and turn on two-factor through the Profile API
+  const enroll = async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({
+        ...credentials,
+        firstName: 'Jane',
+        lastName: 'Student',
+        acceptTerms: true
+      })
+      .expect(201);
+
+    const accessToken = (await login()).body.tokens.accessToken;
+
+    const setup = await request(app)
+      .post('/api/users/mfa/setup')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    const enabled = await request(app)
+      .post('/api/users/mfa/enable')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code: totp.generateCode(setup.body.secret) })
+      .expect(200);
+
+    return {
+      accessToken,
+      secret: setup.body.secret,
+      otpauthUri: setup.body.otpauthUri,
+      recoveryCodes: enabled.body.recoveryCodes
+    };
+  };
+
+  describe('Enrollment', () => {
+    it('should be opt-in and report its status', async () => {
+      const { accessToken, otpauthUri, recoveryCodes } = await enroll();
+
+      expect(otpauthUri).toMatch(/^otpauth:\/\/totp\/UniApply%20Hub%3Astudent%40example\.com\?/);
+      expect(recoveryCodes).toHaveLength(10);
+
+      const response = await request(app)
+        .get('/api/users/mfa')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.mfa).toMatchObject({
+        enabled: true,
+        recoveryCodesRemaining: 10,
+        trustedDevices: []
+      });
+      expect(response.body.mfa).not.toHaveProperty('secret');
+
+      const user = await User.findOne({ email: credentials.email })
+        .select('+security.mfaRecoveryCodes');
+      expect(user.security.mfaRecoveryCodes).not.toContain(recoveryCodes[0]);
+    });
+  });
+
+  describe('POST /api/auth/mfa/verify', () => {
+    it('should challenge the login and accept a TOTP code', async () => {
+      const { secret } = await enroll();
+
+      const challenge = await login();
+      expect(challenge.body).toMatchObject({ mfaRequired: true });
+      expect(challenge.body).not.toHaveProperty('tokens');
+
+      const wrong = await verify(challenge.body.mfaToken, {
+        code: totp.generateCode(secret, totp.getTimeStep() + 10)
+      }).expect(401);
+      expect(wrong.body.error).toHaveProperty('code', 'INVALID_MFA_CODE');
+
+      const response = await verify(challenge.body.mfaToken, { code: nextCode(secret) })
+        .expect(200);
+
+      expect(response.body.user).toHaveProperty('email', credentials.email);
+      expect(response.body.tokens).toHaveProperty('accessToken');
+      expect(response.headers['set-cookie']).toBeUndefined();
+    });
+
+    it('should accept each recovery code once', async () => {
+      const { recoveryCodes } = await enroll();
+
+      const first = await login();
+      const response = await verify(first.body.mfaToken, {
+        recoveryCode: recoveryCodes[0].toLowerCase()
+      }).expect(200);
+      expect(response.body.recoveryCodesRemaining).toBe(9);
+
+      const second = await login();
+      await verify(second.body.mfaToken, { recoveryCode: recoveryCodes[0] }).expect(401);
+    });
+
+    it('should accept a code only once when logins race', async () => {
+      const { secret, recoveryCodes } = await enroll();
+      const race = async (data) => {
+        const challenges = await Promise.all([login(), login()]);
+        const responses = await Promise.all(
+          challenges.map(challenge => verify(challenge.body.mfaToken, data))
+        );
+        return responses.map(response => response.status).sort();
+      };
+
+      expect(await race({ code: nextCode(secret) })).toEqual([200, 401]);
+      expect(await race({ recoveryCode: recoveryCodes[0] })).toEqual([200, 401]);
+
+      const user = await User.findOne({ email: credentials.email })
+        .select('+security.mfaRecoveryCodes');
+      expect(user.security.mfaRecoveryCodes).toHaveLength(9);
+    });
+
+    it('should skip the challenge on a trusted device', async () => {
+      const { accessToken, secret } = await enroll();
+
+      const challenge = await login();
+      const response = await verify(challenge.body.mfaToken, {
+        code: nextCode(secret),
+        trustDevice: true
+      }).expect(200);
+
+      const [cookie] = response.headers['set-cookie'];
+      expect(cookie).toMatch(/^trusted_device=/);
+      expect(cookie).toMatch(/HttpOnly/);
+      expect(cookie).toMatch(/Path=\/api\/auth/);
+
+      const trusted = await login(cookie.split(';')[0]);
+      expect(trusted.body).not.toHaveProperty('mfaRequired');
+      expect(trusted.body.tokens).toHaveProperty('accessToken');
+
+      // Forgetting trusted devices brings the challenge back
+      await request(app)
+        .delete('/api/users/mfa/trusted-devices')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const forgotten = await login(cookie.split(';')[0]);
+      expect(forgotten.body).toMatchObject({ mfaRequired: true });
+    });
+  });
+
+  describe('POST /api/users/mfa/disable', () => {
+    it('should require the password and a second factor', async () => {
+      const { accessToken, secret } = await enroll();
+
+      const wrongPassword = await request(app)
+        .post('/api/users/mfa/disable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ password: 'WrongPass123', code: nextCode(secret) })
+        .expect(400);
+      expect(wrongPassword.body.error).toHaveProperty('code', 'INVALID_PASSWORD');
+
+      await request(app)
+        .post('/api/users/mfa/disable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ password: credentials.password, code: nextCode(secret) })
+        .expect(200);
+
+      const response = await login();
+      expect(response.body).not.toHaveProperty('mfaRequired');
+      expect(response.body.tokens).toHaveProperty('accessToken');
+    });
+  });
+});
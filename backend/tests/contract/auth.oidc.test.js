@@ -0,0 +1,194 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const MockOidcProvider = require('../helpers/mockOidcProvider');
+
+describe('OIDC Social Login Contract Tests', () => {
+  const provider = new MockOidcProvider();
+  const googleAccount = {
+    sub: 'google-account-1',
+    email: 'student@example.com',
+    email_verified: true,
+    given_name: 'Jane',
+    family_name: 'Student'
+  };
+
+  beforeAll(async () => {
+    process.env.OIDC_GOOGLE_ISSUER = await provider.start();
+    process.env.OIDC_GOOGLE_CLIENT_ID = provider.clientId;
+    process.env.OIDC_GOOGLE_CLIENT_SECRET = provider.clientSecret;
+  });
+
+  afterAll(async () => {
+    delete process.env.OIDC_GOOGLE_ISSUER;
+    delete process.env.OIDC_GOOGLE_CLIENT_ID;
+    delete process.env.OIDC_GOOGLE_CLIENT_SECRET;
+    await provider.stop();
+  });
+
+  // Start a flow, returning the provider URL and the state cookie it set
+  const startFlow = async (path, { accessToken, ...data } = {}) => {
+    const req = request(app).post(`/api/auth/oidc/google/${path}`);
+    if (accessToken) {
+      req.set('Authorization', `Bearer ${accessToken}`);
+    }
+
+    const response = await req.send(data).expect(200);
+    return {
+      authorizationUrl: response.body.authorizationUrl,
+      cookie: response.headers['set-cookie'][0].split(';')[0]
+    };
+  };
+
+  const callback = (cookie, callbackParams) => request(app)
+    .post('/api/auth/oidc/google/callback')
+    .set('Cookie', cookie)
+    .send(callbackParams);
+
+  // Go through the whole flow as the given provider account
+  const signInWith = async (claims, { path = 'authorize', ...options } = {}) => {
+    const { authorizationUrl, cookie } = await startFlow(path, options);
+    return callback(cookie, provider.authorize(authorizationUrl, claims));
+  };
+
+  const registerWithPassword = async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({
+        email: googleAccount.email,
+        password: 'SecurePass123',
+        firstName: 'Jane',
+        lastName: 'Student',
+        acceptTerms: true
+      })
+      .expect(201);
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: googleAccount.email, password: 'SecurePass123' })
+      .expect(200);
+    return response.body.tokens.accessToken;
+  };
+
+  describe('GET /api/auth/oidc/providers', () => {
+    it('should only offer configured providers', async () => {
+      const response = await request(app).get('/api/auth/oidc/providers').expect(200);
+
+      expect(response.body.providers).toEqual([{ id: 'google', name: 'Google' }]);
+    });
+  });
+
+  describe('POST /api/auth/oidc/:provider/authorize', () => {
+    it('should send the student to the provider with PKCE', async () => {
+      const { authorizationUrl, cookie } = await startFlow('authorize');
+
+      const url = new URL(authorizationUrl);
+      expect(url.origin).toBe(provider.issuer);
+      expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+      expect(url.searchParams.get('state')).toBeTruthy();
+      expect(url.searchParams.get('nonce')).toBeTruthy();
+      expect(cookie).toMatch(/^oidc_state=/);
+    });
+  });
+
+  describe('POST /api/auth/oidc/:provider/callback', () => {
+    it('should sign up a new student without a password', async () => {
+      const response = await signInWith(googleAccount, { acceptTerms: true }).expect(200);
+
+      expect(response.body.tokens).toHaveProperty('accessToken');
+      expect(response.body.user).toHaveProperty('emailVerified', true);
+
+      const user = await User.findByEmail(googleAccount.email);
+      expect(user.hasPassword).toBe(false);
+      expect(user.oidcIdentities[0]).toMatchObject({
+        provider: 'google',
+        subject: googleAccount.sub
+      });
+
+      // Later sign-ins find the linked account
+      await signInWith(googleAccount).expect(200);
+    });
+
+    it('should not create accounts from the login page', async () => {
+      const response = await signInWith(googleAccount).expect(404);
+
+      expect(response.body.error).toHaveProperty('code', 'OIDC_ACCOUNT_NOT_FOUND');
+    });
+
+    it('should link an existing account only when its email is verified', async () => {
+      await registerWithPassword();
+
+      const unverified = await signInWith(googleAccount).expect(409);
+      expect(unverified.body.error).toHaveProperty('code', 'OIDC_LINK_REQUIRES_SIGN_IN');
+
+      await User.updateOne({ email: googleAccount.email }, { $set: { emailVerified: true } });
+      const response = await signInWith(googleAccount).expect(200);
+
+      expect(response.body.tokens).toHaveProperty('accessToken');
+      const user = await User.findByEmail(googleAccount.email);
+      expect(user.hasPassword).toBe(true);
+      expect(user.oidcIdentities).toHaveLength(1);
+    });
+
+    it('should reject a callback from another browser or with a replayed state', async () => {
+      const { authorizationUrl, cookie } = await startFlow('authorize', { acceptTerms: true });
+      const params = provider.authorize(authorizationUrl, googleAccount);
+
+      const otherBrowser = await request(app)
+        .post('/api/auth/oidc/google/callback')
+        .send(params)
+        .expect(400);
+      expect(otherBrowser.body.error).toHaveProperty('code', 'INVALID_OIDC_STATE');
+
+      await callback(cookie, { ...params, state: 'forged-state' }).expect(400);
+    });
+
+    it('should reject ID tokens issued for another sign-in', async () => {
+      const response = await signInWith(
+        { ...googleAccount, nonce: 'another-nonce' },
+        { acceptTerms: true }
+      ).expect(401);
+
+      expect(response.body.error).toHaveProperty('code', 'OIDC_INVALID_ID_TOKEN');
+      expect(await User.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('Linking and unlinking', () => {
+    it('should link a provider account with another email and unlink it', async () => {
+      const accessToken = await registerWithPassword();
+      const schoolAccount = {
+        sub: 'google-school-account',
+        email: 'jane.student@school.example.com',
+        email_verified: false
+      };
+
+      const linked = await signInWith(schoolAccount, { path: 'link', accessToken }).expect(200);
+      expect(linked.body).toHaveProperty('linked', true);
+      expect(linked.body.identities).toEqual([
+        expect.objectContaining({ provider: 'google', email: schoolAccount.email })
+      ]);
+
+      // The linked account now signs in as the student
+      const login = await signInWith(schoolAccount).expect(200);
+      expect(login.body.user).toHaveProperty('email', googleAccount.email);
+
+      const unlinked = await request(app)
+        .delete('/api/auth/oidc/google/link')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+      expect(unlinked.body.identities).toHaveLength(0);
+    });
+
+    it('should keep students without a password from unlinking their only sign-in', async () => {
+      const { tokens } = (await signInWith(googleAccount, { acceptTerms: true })).body;
+
+      const response = await request(app)
+        .delete('/api/auth/oidc/google/link')
+        .set('Authorization', `Bearer ${tokens.accessToken}`)
+        .expect(409);
+
+      expect(response.body.error).toHaveProperty('code', 'OIDC_LAST_SIGN_IN_METHOD');
+    });
+  });
+});
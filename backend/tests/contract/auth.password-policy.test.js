@@ -0,0 +1,166 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Admin = require('../../src/models/Admin');
+const User = require('../../src/models/User');
+const passwordPolicyService = require('../../src/services/passwordPolicyService');
+
+describe('Password Policy Contract Tests', () => {
+  const credentials = {
+    email: 'student@example.com',
+    password: 'SecurePass123'
+  };
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const defaultStudentMaxAge = passwordPolicyService.maxAgeDays.User;
+
+  afterAll(() => {
+    passwordPolicyService.maxAgeDays.User = defaultStudentMaxAge;
+  });
+
+  beforeEach(async () => {
+    passwordPolicyService.maxAgeDays.User = 365;
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({
+        ...credentials,
+        firstName: 'Jane',
+        lastName: 'Student',
+        acceptTerms: true
+      })
+      .expect(201);
+  });
+
+  const expireStudentPassword = () => User.updateOne(
+    { email: credentials.email },
+    { $set: { 'security.lastPasswordChange': daysAgo(400) } }
+  );
+
+  const login = (password = credentials.password) => request(app)
+    .post('/api/auth/login')
+    .send({ ...credentials, password })
+    .expect(200);
+
+  const changeExpiredPassword = (passwordChangeToken, newPassword) => request(app)
+    .post('/api/auth/password/expired')
+    .send({ passwordChangeToken, newPassword });
+
+  describe('POST /api/auth/login', () => {
+    it('should return a restricted token instead of a session once expired', async () => {
+      await expireStudentPassword();
+
+      const response = await login();
+
+      expect(response.body).toHaveProperty('passwordChangeRequired', true);
+      expect(response.body).toHaveProperty('passwordChangeToken');
+      expect(response.body).not.toHaveProperty('tokens');
+
+      // The token only changes the password, it is not an access token
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${response.body.passwordChangeToken}`)
+        .expect(401);
+    });
+
+    it('should not expire student passwords unless a maximum age is configured', async () => {
+      passwordPolicyService.maxAgeDays.User = defaultStudentMaxAge;
+      await expireStudentPassword();
+
+      const response = await login();
+
+      expect(defaultStudentMaxAge).toBe(0);
+      expect(response.body).toHaveProperty('tokens');
+      expect(response.body).not.toHaveProperty('passwordChangeRequired');
+    });
+  });
+
+  describe('POST /api/auth/password/expired', () => {
+    it('should refuse a recent password and sign in with a new one', async () => {
+      await expireStudentPassword();
+      const { passwordChangeToken } = (await login()).body;
+
+      const reused = await changeExpiredPassword(passwordChangeToken, credentials.password)
+        .expect(400);
+      expect(reused.body.error).toHaveProperty('code', 'PASSWORD_REUSED');
+
+      const response = await changeExpiredPassword(passwordChangeToken, 'FreshStart456')
+        .expect(200);
+
+      expect(response.body.tokens).toHaveProperty('accessToken');
+      expect(response.body.user).toHaveProperty('email', credentials.email);
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${response.body.tokens.accessToken}`)
+        .expect(200);
+
+      // The token stops working once the password changed
+      const used = await changeExpiredPassword(passwordChangeToken, 'AnotherStart789')
+        .expect(401);
+      expect(used.body.error).toHaveProperty('code', 'INVALID_TOKEN');
+
+      const next = await login('FreshStart456');
+      expect(next.body).toHaveProperty('tokens');
+    });
+  });
+
+  describe('POST /api/auth/change-password', () => {
+    it('should keep earlier passwords from being reused', async () => {
+      const { tokens } = (await login()).body;
+      const changePassword = (currentPassword, newPassword) => request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${tokens.accessToken}`)
+        .send({ currentPassword, newPassword });
+
+      await changePassword(credentials.password, 'FreshStart456').expect(200);
+
+      const reused = await changePassword('FreshStart456', credentials.password).expect(400);
+      expect(reused.body.error).toHaveProperty('code', 'PASSWORD_REUSED');
+
+      const wrong = await changePassword('WrongPassword123', 'AnotherStart789').expect(400);
+      expect(wrong.body.error).toHaveProperty('code', 'INVALID_PASSWORD');
+
+      // Earlier passwords are kept as hashes only
+      const user = await User.findOne({ email: credentials.email })
+        .select('+security.passwordHistory');
+      expect(user.security.passwordHistory).toHaveLength(1);
+      expect(user.security.passwordHistory[0]).not.toContain(credentials.password);
+    });
+  });
+
+  describe('POST /api/admin/auth/password/expired', () => {
+    it('should make admins change an expired password before signing in', async () => {
+      const admin = await Admin.createAdmin({
+        username: 'ops_admin',
+        email: 'ops@example.com',
+        passwordHash: 'AdminPass123', // Hashed by the pre-save middleware
+        profile: { firstName: 'Ada', lastName: 'Admin' },
+        role: 'admin',
+        status: 'active'
+      });
+      await Admin.updateOne(
+        { _id: admin._id },
+        { $set: { 'security.lastPasswordChange': daysAgo(100) } }
+      );
+
+      const challenge = await request(app)
+        .post('/api/admin/auth/login')
+        .send({ identifier: 'ops@example.com', password: 'AdminPass123' })
+        .expect(200);
+      expect(challenge.body).toHaveProperty('passwordChangeRequired', true);
+      expect(challenge.body).not.toHaveProperty('tokens');
+
+      // Admin password change tokens are not accepted for students
+      await changeExpiredPassword(challenge.body.passwordChangeToken, 'AdminPass456').expect(401);
+
+      const response = await request(app)
+        .post('/api/admin/auth/password/expired')
+        .send({
+          passwordChangeToken: challenge.body.passwordChangeToken,
+          newPassword: 'AdminPass456'
+        })
+        .expect(200);
+
+      expect(response.body.tokens).toHaveProperty('accessToken');
+      expect(response.body.admin).toHaveProperty('passwordExpired', false);
+    });
+  });
+});
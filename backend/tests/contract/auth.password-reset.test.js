@@ -0,0 +1,133 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const emailService = require('../../src/services/emailService');
+
+describe('Password Reset Contract Tests', () => {
+  const newPassword = 'N3wSecurePass!';
+  let credentials;
+  let accountCount = 0;
+
+  // Each test uses its own address, as the per-email rate limit outlives the test
+  beforeEach(async () => {
+    accountCount += 1;
+    credentials = {
+      email: `student${accountCount}@example.com`,
+      password: 'SecurePass123'
+    };
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({
+        ...credentials,
+        firstName: 'Jane',
+        lastName: 'Student',
+        acceptTerms: true
+      })
+      .expect(201);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Request a reset and resolve with the token from the email
+  const requestReset = async () => {
+    const emailed = new Promise(resolve => {
+      jest.spyOn(emailService, 'sendPasswordResetEmail')
+        .mockImplementationOnce(async (user, token) => {
+          resolve(token);
+          return { success: true };
+        });
+    });
+
+    await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: credentials.email })
+      .expect(200);
+
+    return emailed;
+  };
+
+  const resetPassword = (token, password = newPassword) => request(app)
+    .post('/api/auth/reset-password')
+    .send({ token, newPassword: password });
+
+  describe('POST /api/auth/reset-password', () => {
+    it('should set the new password once and revoke existing sessions', async () => {
+      const session = await request(app)
+        .post('/api/auth/login')
+        .send(credentials)
+        .expect(200);
+
+      const token = await requestReset();
+      await resetPassword(token).expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.body.tokens.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: newPassword })
+        .expect(200);
+
+      const reused = await resetPassword(token, 'An0therSecurePass!').expect(400);
+      expect(reused.body.error).toHaveProperty('code', 'INVALID_RESET_TOKEN');
+    });
+
+    it('should invalidate earlier tokens once the password changes', async () => {
+      const first = await requestReset();
+      const second = await requestReset();
+
+      await resetPassword(second).expect(200);
+
+      const response = await resetPassword(first, 'An0therSecurePass!').expect(400);
+      expect(response.body.error).toHaveProperty('code', 'INVALID_RESET_TOKEN');
+    });
+
+    it('should enforce the password strength and breach requirements', async () => {
+      const token = await requestReset();
+
+      const response = await resetPassword(token, 'Password1234').expect(400);
+      expect(response.body.error).toHaveProperty('code', 'VALIDATION_ERROR');
+
+      const breached = await resetPassword(token, 'Sunshine1').expect(400);
+      expect(breached.body.error).toHaveProperty('code', 'PASSWORD_COMPROMISED');
+
+      // The token is still usable after a rejected password
+      await resetPassword(token).expect(200);
+    });
+  });
+
+  describe('POST /api/auth/forgot-password', () => {
+    it('should not reveal whether an account exists', async () => {
+      const spy = jest.spyOn(emailService, 'sendPasswordResetEmail');
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(spy).not.toHaveBeenCalled();
+    });
+
+    it('should rate limit requests per email address', async () => {
+      jest.spyOn(emailService, 'sendPasswordResetEmail').mockResolvedValue({ success: true });
+
+      for (let i = 0; i < 3; i++) {
+        await request(app)
+          .post('/api/auth/forgot-password')
+          .send({ email: 'limited@example.com' })
+          .expect(200);
+      }
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'limited@example.com' })
+        .expect(429);
+      expect(response.body.error).toHaveProperty('code', 'RESET_RATE_LIMIT_EXCEEDED');
+    });
+  });
+});
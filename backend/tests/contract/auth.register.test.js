@@ -101,6 +101,20 @@ describe('Authentication Registration Contract Tests', () => {
       );
     });
 
+    it('should reject passwords found in data breaches with suggestions', async () => {
+      // Strong enough by the rules, but in the bundled breached password list
+      const breachedData = { ...validRegistrationData, password: 'Sunshine1' };
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(breachedData)
+        .expect(400);
+
+      expect(response.body.error).toHaveProperty('code', 'PASSWORD_COMPROMISED');
+      expect(response.body.error.details).toHaveProperty('field', 'password');
+      expect(response.body.error.details.suggestions).toHaveLength(3);
+    });
+
     it('should reject registration with missing required fields', async () => {
       const invalidData = { email: 'test@example.com' };
 
@@ -0,0 +1,155 @@
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Session Management Contract Tests', () => {
+  const credentials = {
+    email: 'student@example.com',
+    password: 'SecurePass123'
+  };
+
+  const laptop = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
+    '(KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+  const phone = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 ' +
+    '(KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({
+        ...credentials,
+        firstName: 'Jane',
+        lastName: 'Student',
+        acceptTerms: true
+      })
+      .expect(201);
+  });
+
+  const login = (userAgent) => request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', userAgent)
+    .send(credentials)
+    .expect(200)
+    .then(response => response.body.tokens);
+
+  const listSessions = (tokens) => request(app)
+    .get('/api/auth/sessions')
+    .set('Authorization', `Bearer ${tokens.accessToken}`);
+
+  const refresh = (tokens) => request(app)
+    .post('/api/auth/refresh')
+    .send({ refreshToken: tokens.refreshToken });
+
+  describe('GET /api/auth/sessions', () => {
+    it('should keep every device signed in and list them', async () => {
+      const laptopTokens = await login(laptop);
+      const phoneTokens = await login(phone);
+
+      await listSessions(laptopTokens).expect(200);
+      const response = await listSessions(phoneTokens).expect(200);
+
+      // Registering also started a session
+      expect(response.body.sessions).toHaveLength(3);
+      const current = response.body.sessions.filter(session => session.current);
+      expect(current).toHaveLength(1);
+      expect(current[0]).toHaveProperty('device', 'Safari on iOS');
+      expect(response.body.sessions.map(session => session.device)).toContain('Chrome on Windows');
+      expect(current[0]).toHaveProperty('lastSeenAt');
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).get('/api/auth/sessions').expect(401);
+
+      expect(response.body).toHaveProperty('success', false);
+    });
+  });
+
+  describe('DELETE /api/auth/sessions/:id', () => {
+    it('should revoke one session without affecting others', async () => {
+      const laptopTokens = await login(laptop);
+      const phoneTokens = await login(phone);
+
+      const { sessions } = (await listSessions(laptopTokens).expect(200)).body;
+      const phoneSession = sessions.find(session => session.device === 'Safari on iOS');
+
+      await request(app)
+        .delete(`/api/auth/sessions/${phoneSession.id}`)
+        .set('Authorization', `Bearer ${laptopTokens.accessToken}`)
+        .expect(200);
+
+      const revoked = await listSessions(phoneTokens).expect(401);
+      expect(revoked.body.error).toHaveProperty('code', 'SESSION_INVALID');
+      await refresh(phoneTokens).expect(401);
+      await listSessions(laptopTokens).expect(200);
+    });
+
+    it('should return 404 for a session that is not active', async () => {
+      const tokens = await login(laptop);
+
+      const response = await request(app)
+        .delete('/api/auth/sessions/507f1f77bcf86cd799439011')
+        .set('Authorization', `Bearer ${tokens.accessToken}`)
+        .expect(404);
+
+      expect(response.body.error).toHaveProperty('code', 'SESSION_NOT_FOUND');
+    });
+  });
+
+  describe('DELETE /api/auth/sessions', () => {
+    it('should sign out every other device', async () => {
+      const laptopTokens = await login(laptop);
+      const phoneTokens = await login(phone);
+
+      const response = await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptopTokens.accessToken}`)
+        .expect(200);
+
+      // The phone and the registration session
+      expect(response.body).toHaveProperty('revoked', 2);
+      await listSessions(phoneTokens).expect(401);
+
+      const remaining = await listSessions(laptopTokens).expect(200);
+      expect(remaining.body.sessions).toHaveLength(1);
+      expect(remaining.body.sessions[0]).toHaveProperty('current', true);
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should rotate the refresh token and keep the session', async () => {
+      const tokens = await login(laptop);
+
+      const response = await refresh(tokens).expect(200);
+
+      expect(response.body.tokens.refreshToken).not.toBe(tokens.refreshToken);
+      await listSessions(response.body.tokens).expect(200);
+      await refresh(response.body.tokens).expect(200);
+    });
+
+    it('should revoke the session when a refresh token is reused', async () => {
+      const tokens = await login(laptop);
+      const rotated = (await refresh(tokens).expect(200)).body.tokens;
+
+      const reused = await refresh(tokens).expect(401);
+      expect(reused.body.error).toHaveProperty('code', 'REFRESH_TOKEN_REUSED');
+
+      await listSessions(rotated).expect(401);
+      await refresh(rotated).expect(401);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should end only the current session', async () => {
+      const laptopTokens = await login(laptop);
+      const phoneTokens = await login(phone);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${laptopTokens.accessToken}`)
+        .expect(200);
+
+      await listSessions(laptopTokens).expect(401);
+      await refresh(laptopTokens).expect(401);
+      await listSessions(phoneTokens).expect(200);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const authService = require('../../src/services/authService');
+const emailService = require('../../src/services/emailService');
+
+describe('Email Verification Contract Tests', () => {
+  let authToken;
+  let user;
+
+  beforeEach(async () => {
+    const registration = await request(app)
+      .post('/api/auth/register')
+      .send({
+        email: 'student@example.com',
+        password: 'SecurePass123',
+        firstName: 'Jane',
+        lastName: 'Student',
+        acceptTerms: true
+      })
+      .expect(201);
+
+    expect(registration.body.user).toHaveProperty('emailVerified', false);
+    authToken = registration.body.tokens.accessToken;
+    user = await User.findById(registration.body.user.id);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /api/auth/verify-email', () => {
+    it('should verify the address the link was sent to', async () => {
+      const token = authService.generateVerificationToken(user);
+
+      const response = await request(app)
+        .get('/api/auth/verify-email')
+        .query({ token })
+        .expect(200);
+
+      expect(response.body.user).toHaveProperty('emailVerified', true);
+      expect(response.body.user).toHaveProperty('emailVerifiedAt');
+
+      // Opening the link again is harmless
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(200);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'student@example.com', password: 'SecurePass123' })
+        .expect(200);
+      expect(login.body.user).toHaveProperty('emailVerified', true);
+    });
+
+    it('should reject an invalid token', async () => {
+      const response = await request(app)
+        .get('/api/auth/verify-email')
+        .query({ token: 'not-a-token' })
+        .expect(400);
+
+      expect(response.body.error).toHaveProperty('code', 'INVALID_VERIFICATION_TOKEN');
+    });
+  });
+
+  describe('POST /api/auth/resend-verification', () => {
+    it('should throttle resends and stop once verified', async () => {
+      const spy = jest.spyOn(emailService, 'sendEmailVerificationReminder')
+        .mockResolvedValue({ success: true });
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(spy).toHaveBeenCalledTimes(1);
+
+      const throttled = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(429);
+      expect(throttled.body.error).toHaveProperty('code', 'VERIFICATION_EMAIL_THROTTLED');
+      expect(spy).toHaveBeenCalledTimes(1);
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: spy.mock.calls[0][1] })
+        .expect(200);
+
+      const verified = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+      expect(verified.body.error).toHaveProperty('code', 'EMAIL_ALREADY_VERIFIED');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'uniapply-documents-'));
+process.env.LOCAL_STORAGE_PATH = storageRoot;
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Document = require('../../src/models/Document');
+const User = require('../../src/models/User');
+const scanWorker = require('../../src/workers/scanWorker');
+
+describe('Document Download Contract Tests', () => {
+  let ownerToken;
+  let otherToken;
+  let documentId;
+  const pdfContent = Buffer.from('%PDF-1.4 transcript');
+
+  const registerUser = async (email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        email,
+        password: 'SecurePass123',
+        firstName: 'John',
+        lastName: 'Doe',
+        acceptTerms: true
+      });
+
+    return response.body.tokens.accessToken;
+  };
+
+  const openDocument = (action, token) => request(app)
+    .get(`/api/documents/${documentId}/${action}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const setRestrictions = (restrictions) => Document.updateOne(
+    { _id: documentId },
+    { $set: { 'security.downloadRestrictions': restrictions } }
+  );
+
+  beforeAll(() => {
+    process.env.STORAGE_PROVIDER = 'local';
+  });
+
+  afterAll(() => {
+    delete process.env.STORAGE_PROVIDER;
+    fs.rmSync(storageRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    ownerToken = await registerUser('student@example.com');
+    otherToken = await registerUser('other@example.com');
+
+    const upload = await request(app)
+      .post('/api/uploads')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .field('category', 'Transcript')
+      .attach('file', pdfContent, { filename: 'transcript.pdf', contentType: 'application/pdf' })
+      .expect(201);
+    documentId = upload.body.document.id;
+
+    await scanWorker.runOnce();
+  });
+
+  describe('GET /api/documents/:id/download', () => {
+    it('should stream the file to its owner and log the access', async () => {
+      const response = await openDocument('download', ownerToken).expect(200);
+
+      expect(response.headers['content-disposition']).toMatch(/^attachment;/);
+
+      const document = await Document.findById(documentId);
+      expect(document.security).toHaveProperty('downloadCount', 1);
+      expect(document.accessLogs).toEqual([
+        expect.objectContaining({ accessType: 'Download', success: true })
+      ]);
+    });
+
+    it('should refuse and log access by other users', async () => {
+      const response = await openDocument('download', otherToken).expect(403);
+      expect(response.body.error).toHaveProperty('code', 'DOCUMENT_ACCESS_DENIED');
+
+      const document = await Document.findById(documentId);
+      expect(document.accessLogs).toEqual([
+        expect.objectContaining({ accessType: 'Download', success: false })
+      ]);
+    });
+
+    it('should honour view-only share grants', async () => {
+      const other = await User.findByEmail('other@example.com');
+      const document = await Document.findById(documentId);
+      await document.shareWith(other._id, 'View', 7);
+
+      await openDocument('view', otherToken).expect(200);
+      await openDocument('download', otherToken).expect(403);
+    });
+
+    it('should enforce the maximum number of downloads', async () => {
+      await setRestrictions({ maxDownloads: 1 });
+
+      await openDocument('download', ownerToken).expect(200);
+      const response = await openDocument('download', ownerToken).expect(403);
+
+      expect(response.body.error).toHaveProperty('code', 'DOWNLOAD_LIMIT_REACHED');
+    });
+
+    it('should enforce the IP allowlist', async () => {
+      await setRestrictions({ allowedIPs: ['10.0.0.1'] });
+
+      const response = await openDocument('download', ownerToken).expect(403);
+      expect(response.body.error).toHaveProperty('code', 'IP_NOT_ALLOWED');
+    });
+
+    it('should refuse access after the restriction expiry', async () => {
+      await setRestrictions({ expiresAt: new Date(Date.now() - 60 * 1000) });
+
+      const response = await openDocument('download', ownerToken).expect(410);
+      expect(response.body.error).toHaveProperty('code', 'DOCUMENT_EXPIRED');
+    });
+
+    it('should refuse and log access once the document expired', async () => {
+      await Document.updateOne(
+        { _id: documentId },
+        { $set: { 'metadata.expiresAt': new Date(Date.now() - 60 * 1000) } }
+      );
+
+      const response = await openDocument('download', ownerToken).expect(410);
+      expect(response.body.error).toHaveProperty('code', 'DOCUMENT_EXPIRED');
+
+      const document = await Document.findById(documentId);
+      expect(document.accessLogs).toEqual([
+        expect.objectContaining({ accessType: 'Download', success: false })
+      ]);
+    });
+
+    it('should refuse files that have not been scanned', async () => {
+      await Document.updateOne({ _id: documentId }, { 'security.scanStatus': 'Pending' });
+
+      const response = await openDocument('download', ownerToken).expect(423);
+      expect(response.body.error).toHaveProperty('code', 'DOCUMENT_NOT_CLEAN');
+    });
+  });
+
+  describe('GET /api/documents/:id/view', () => {
+    it('should serve the file inline', async () => {
+      const response = await openDocument('view', ownerToken).expect(200);
+
+      expect(response.headers['content-disposition']).toMatch(/^inline;/);
+    });
+  });
+});
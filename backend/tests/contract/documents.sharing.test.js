@@ -0,0 +1,200 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'uniapply-sharing-'));
+process.env.LOCAL_STORAGE_PATH = storageRoot;
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Document = require('../../src/models/Document');
+const scanWorker = require('../../src/workers/scanWorker');
+
+describe('Document Sharing Contract Tests', () => {
+  let ownerToken;
+  let otherToken;
+  let documentId;
+
+  const registerUser = async (email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        email,
+        password: 'SecurePass123',
+        firstName: 'John',
+        lastName: 'Doe',
+        acceptTerms: true
+      });
+
+    return response.body.tokens.accessToken;
+  };
+
+  const createShareLink = (data = {}) => request(app)
+    .post(`/api/documents/${documentId}/share-links`)
+    .set('Authorization', `Bearer ${ownerToken}`)
+    .send(data)
+    .expect(201);
+
+  // Share link URLs are absolute; supertest needs the path
+  const sharedPath = (url) => new URL(url).pathname;
+
+  const shareLogs = async () => {
+    const document = await Document.findById(documentId);
+    return document.accessLogs.filter(log => log.accessType === 'Share');
+  };
+
+  beforeAll(() => {
+    process.env.STORAGE_PROVIDER = 'local';
+  });
+
+  afterAll(() => {
+    delete process.env.STORAGE_PROVIDER;
+    fs.rmSync(storageRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    ownerToken = await registerUser('student@example.com');
+    otherToken = await registerUser('counsellor@example.com');
+
+    const upload = await request(app)
+      .post('/api/uploads')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .field('category', 'Transcript')
+      .attach('file', Buffer.from('%PDF-1.4 transcript'), {
+        filename: 'transcript.pdf',
+        contentType: 'application/pdf'
+      })
+      .expect(201);
+    documentId = upload.body.document.id;
+
+    await scanWorker.runOnce();
+  });
+
+  describe('POST /api/documents/:id/shares', () => {
+    it('should grant another user access until revoked', async () => {
+      const response = await request(app)
+        .post(`/api/documents/${documentId}/shares`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ email: 'counsellor@example.com', permission: 'Download', expiresInDays: 7 })
+        .expect(201);
+
+      expect(response.body.grant).toMatchObject({
+        recipientType: 'User',
+        email: 'counsellor@example.com',
+        permission: 'Download',
+        isExpired: false
+      });
+
+      await request(app)
+        .get(`/api/documents/${documentId}/download`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/documents/${documentId}/shares/${response.body.grant.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/documents/${documentId}/download`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+
+      expect(await shareLogs()).toHaveLength(2);
+    });
+
+    it('should reject unknown recipients', async () => {
+      const response = await request(app)
+        .post(`/api/documents/${documentId}/shares`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ email: 'nobody@example.com' })
+        .expect(404);
+
+      expect(response.body.error).toHaveProperty('code', 'RECIPIENT_NOT_FOUND');
+    });
+
+    it('should only let the owner share a document', async () => {
+      await request(app)
+        .post(`/api/documents/${documentId}/shares`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ email: 'student@example.com' })
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/documents/:id/shares', () => {
+    it('should list grants and links without link tokens', async () => {
+      await request(app)
+        .post(`/api/documents/${documentId}/shares`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ email: 'counsellor@example.com' })
+        .expect(201);
+      await createShareLink({ label: 'School counsellor' });
+
+      const response = await request(app)
+        .get(`/api/documents/${documentId}/shares`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(response.body.grants).toEqual([
+        expect.objectContaining({ email: 'counsellor@example.com', permission: 'View' })
+      ]);
+      expect(response.body.links).toEqual([
+        expect.objectContaining({ label: 'School counsellor', isActive: true })
+      ]);
+      expect(response.body.links[0]).not.toHaveProperty('url');
+      expect(response.body.links[0]).not.toHaveProperty('tokenHash');
+    });
+  });
+
+  describe('Share links', () => {
+    it('should serve anonymous downloads up to the download cap', async () => {
+      const created = await createShareLink({ maxDownloads: 1, expiresInDays: 3 });
+      const url = sharedPath(created.body.link.url);
+
+      const details = await request(app).get(url.replace(/\/download$/, '')).expect(200);
+      expect(details.body.document).toMatchObject({
+        fileName: 'transcript.pdf',
+        downloadsRemaining: 1
+      });
+
+      const download = await request(app).get(url).expect(200);
+      expect(download.headers['content-disposition']).toMatch(/^attachment;/);
+
+      const refused = await request(app).get(url).expect(403);
+      expect(refused.body.error).toHaveProperty('code', 'DOWNLOAD_LIMIT_REACHED');
+
+      const anonymousLogs = (await shareLogs())
+        .filter(log => log.accessedByType === 'Anonymous');
+      expect(anonymousLogs.map(log => log.success)).toEqual([true, false]);
+    });
+
+    it('should refuse revoked links', async () => {
+      const created = await createShareLink();
+
+      await request(app)
+        .delete(`/api/documents/${documentId}/share-links/${created.body.link.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      const response = await request(app).get(sharedPath(created.body.link.url)).expect(410);
+      expect(response.body.error).toHaveProperty('code', 'SHARE_LINK_REVOKED');
+    });
+
+    it('should refuse expired links', async () => {
+      const created = await createShareLink();
+      await Document.updateOne(
+        { _id: documentId, 'shareLinks._id': created.body.link.id },
+        { 'shareLinks.$.expiresAt': new Date(Date.now() - 60 * 1000) }
+      );
+
+      const response = await request(app).get(sharedPath(created.body.link.url)).expect(410);
+      expect(response.body.error).toHaveProperty('code', 'SHARE_LINK_EXPIRED');
+    });
+
+    it('should reject unknown tokens', async () => {
+      const response = await request(app).get('/api/shared/not-a-token/download').expect(404);
+      expect(response.body.error).toHaveProperty('code', 'SHARE_LINK_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'uniapply-versions-'));
+process.env.LOCAL_STORAGE_PATH = storageRoot;
+
+const request = require('supertest');
+const app = require('../../src/app');
+const University = require('../../src/models/University');
+const User = require('../../src/models/User');
+const scanWorker = require('../../src/workers/scanWorker');
+
+describe('Document Versions Contract Tests', () => {
+  let authToken;
+  let documentId;
+  const firstContent = Buffer.from('%PDF-1.4 first cv');
+  const secondContent = Buffer.from('%PDF-1.4 second cv');
+
+  const registerUser = async (email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        email,
+        password: 'SecurePass123',
+        firstName: 'John',
+        lastName: 'Doe',
+        acceptTerms: true
+      });
+
+    // Only verified students can submit applications
+    await User.updateOne({ email }, { emailVerified: true });
+
+    return response.body.tokens.accessToken;
+  };
+
+  const uploadVersion = (content, token = authToken) => request(app)
+    .post(`/api/documents/${documentId}/versions`)
+    .set('Authorization', `Bearer ${token}`)
+    .attach('file', content, { filename: 'cv.pdf', contentType: 'application/pdf' });
+
+  const downloadVersion = (version) => request(app)
+    .get(`/api/documents/${documentId}/download${version ? `?version=${version}` : ''}`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .buffer(true)
+    .parse((res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    });
+
+  beforeAll(() => {
+    process.env.STORAGE_PROVIDER = 'local';
+  });
+
+  afterAll(() => {
+    delete process.env.STORAGE_PROVIDER;
+    fs.rmSync(storageRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    authToken = await registerUser('student@example.com');
+
+    const upload = await request(app)
+      .post('/api/uploads')
+      .set('Authorization', `Bearer ${authToken}`)
+      .field('category', 'CV')
+      .attach('file', firstContent, { filename: 'cv.pdf', contentType: 'application/pdf' })
+      .expect(201);
+    documentId = upload.body.document.id;
+
+    await scanWorker.runOnce();
+  });
+
+  describe('POST /api/documents/:id/versions', () => {
+    it('should keep the previous version when a new one is uploaded', async () => {
+      const response = await uploadVersion(secondContent).expect(201);
+
+      expect(response.body.version).toMatchObject({
+        version: 2,
+        scanStatus: 'Pending',
+        isCurrent: true
+      });
+
+      await scanWorker.runOnce();
+
+      const current = await downloadVersion().expect(200);
+      expect(current.body.equals(secondContent)).toBe(true);
+
+      const previous = await downloadVersion(1).expect(200);
+      expect(previous.body.equals(firstContent)).toBe(true);
+    });
+
+    it('should only let the owner upload new versions', async () => {
+      const otherToken = await registerUser('other@example.com');
+
+      const response = await uploadVersion(secondContent, otherToken).expect(404);
+      expect(response.body.error).toHaveProperty('code', 'DOCUMENT_NOT_FOUND');
+    });
+  });
+
+  describe('GET /api/documents/:id/versions', () => {
+    it('should list every version newest first', async () => {
+      await uploadVersion(secondContent).expect(201);
+
+      const response = await request(app)
+        .get(`/api/documents/${documentId}/versions`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('currentVersion', 2);
+      expect(response.body.versions.map(entry => entry.version)).toEqual([2, 1]);
+      expect(response.body.versions[1]).toMatchObject({ scanStatus: 'Clean', isCurrent: false });
+    });
+  });
+
+  describe('POST /api/documents/:id/versions/:version/restore', () => {
+    it('should make an earlier version current again', async () => {
+      await uploadVersion(secondContent).expect(201);
+
+      const response = await request(app)
+        .post(`/api/documents/${documentId}/versions/1/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.version).toMatchObject({
+        version: 3,
+        restoredFrom: 1,
+        scanStatus: 'Clean'
+      });
+
+      const current = await downloadVersion().expect(200);
+      expect(current.body.equals(firstContent)).toBe(true);
+    });
+
+    it('should reject unknown versions', async () => {
+      const response = await request(app)
+        .post(`/api/documents/${documentId}/versions/7/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect(response.body.error).toHaveProperty('code', 'VERSION_NOT_FOUND');
+    });
+  });
+
+  describe('Submitted applications', () => {
+    it('should keep pointing at the version that was submitted', async () => {
+      const university = await University.create({
+        name: 'Test University',
+        country: 'Germany',
+        region: 'Europe',
+        programs: [{
+          name: 'MSc Computer Science',
+          level: 'Masters',
+          deadlines: {
+            applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+          },
+          requirements: { documents: ['CV'] }
+        }]
+      });
+
+      const created = await request(app)
+        .post('/api/applications')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          universityId: university._id.toString(),
+          programId: university.programs[0]._id.toString(),
+          personalStatement: 'I would like to study computer science. '.repeat(5)
+        })
+        .expect(201);
+      const applicationUrl = `/api/applications/${created.body.application._id}`;
+
+      await request(app)
+        .put(applicationUrl)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ additionalDocuments: [documentId] })
+        .expect(200);
+
+      await request(app)
+        .post(`${applicationUrl}/submit`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      await uploadVersion(secondContent).expect(201);
+
+      const response = await request(app)
+        .get(applicationUrl)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.application.applicationData.submittedDocuments).toEqual([
+        expect.objectContaining({ documentId, version: 1 })
+      ]);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'uniapply-files-'));
+process.env.LOCAL_STORAGE_PATH = storageRoot;
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Document = require('../../src/models/Document');
+const scanWorker = require('../../src/workers/scanWorker');
+const { getStorageProvider } = require('../../src/utils/storage');
+
+describe('Local File Storage Contract Tests', () => {
+  let authToken;
+  const pdfContent = Buffer.from('%PDF-1.4 curriculum vitae');
+
+  const uploadCv = () => request(app)
+    .post('/api/uploads')
+    .set('Authorization', `Bearer ${authToken}`)
+    .field('category', 'CV')
+    .attach('file', pdfContent, { filename: 'cv.pdf', contentType: 'application/pdf' })
+    .expect(201);
+
+  const signedPath = async (documentId) => {
+    const document = await Document.findById(documentId);
+    const url = new URL(await document.generateSecureUrl(5));
+    return `${url.pathname}${url.search}`;
+  };
+
+  beforeAll(() => {
+    process.env.STORAGE_PROVIDER = 'local';
+  });
+
+  afterAll(() => {
+    delete process.env.STORAGE_PROVIDER;
+    fs.rmSync(storageRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    const registration = await request(app)
+      .post('/api/auth/register')
+      .send({
+        email: 'student@example.com',
+        password: 'SecurePass123',
+        firstName: 'John',
+        lastName: 'Doe',
+        acceptTerms: true
+      });
+    authToken = registration.body.tokens.accessToken;
+  });
+
+  describe('GET /api/files/*', () => {
+    it('should serve a locally stored file through a signed URL', async () => {
+      const upload = await uploadCv();
+      const document = await Document.findById(upload.body.document.id);
+      expect(document.storage).toHaveProperty('provider', 'local');
+      await scanWorker.runOnce();
+
+      const response = await request(app)
+        .get(await signedPath(upload.body.document.id))
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/application\/pdf/);
+      expect(response.body.equals(pdfContent)).toBe(true);
+    });
+
+    it('should refuse files that have not passed the malware scan', async () => {
+      const upload = await uploadCv();
+      const document = await Document.findById(upload.body.document.id);
+      // Document.generateSecureUrl refuses unscanned files, so sign the URL directly
+      const url = new URL(
+        await getStorageProvider('local').generateSecureUrl(document.storage.publicId)
+      );
+
+      const response = await request(app).get(`${url.pathname}${url.search}`).expect(423);
+      expect(response.body.error).toHaveProperty('code', 'DOCUMENT_NOT_CLEAN');
+    });
+
+    it('should reject tampered signatures', async () => {
+      const upload = await uploadCv();
+      await scanWorker.runOnce();
+      const tampered = (await signedPath(upload.body.document.id))
+        .replace(/signature=[^&]+/, 'signature=forged');
+
+      const response = await request(app).get(tampered).expect(403);
+      expect(response.body.error).toHaveProperty('code', 'INVALID_FILE_SIGNATURE');
+    });
+
+    it('should reject expired links', async () => {
+      const upload = await uploadCv();
+      const document = await Document.findById(upload.body.document.id);
+
+      await request(app)
+        .get(`/api/files/${document.storage.publicId}?expires=1&signature=anything`)
+        .expect(403);
+    });
+  });
+});
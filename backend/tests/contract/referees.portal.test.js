@@ -0,0 +1,225 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const University = require('../../src/models/University');
+const Document = require('../../src/models/Document');
+const emailService = require('../../src/services/emailService');
+const cloudinaryService = require('../../src/utils/cloudinary');
+
+describe('Referee Portal Contract Tests', () => {
+  let authToken;
+  let applicationId;
+  let refereeToken;
+  let emailSpy;
+
+  const addReference = (refereeEmail = 'prof.smith@example.edu') => request(app)
+    .post(`/api/applications/${applicationId}/references`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({
+      refereeeName: 'Prof. Smith',
+      refereeEmail,
+      relationship: 'Thesis supervisor'
+    });
+
+  beforeEach(async () => {
+    emailSpy = jest.spyOn(emailService, 'sendReferenceRequestEmail')
+      .mockImplementation(async (reference, applicant, details, token) => {
+        refereeToken = token;
+        return { success: true, messageId: 'test' };
+      });
+
+    const registration = await request(app)
+      .post('/api/auth/register')
+      .send({
+        email: 'student@example.com',
+        password: 'SecurePass123',
+        firstName: 'John',
+        lastName: 'Doe',
+        acceptTerms: true
+      });
+    authToken = registration.body.tokens.accessToken;
+
+    const university = await University.create({
+      name: 'Test University',
+      country: 'Germany',
+      region: 'Europe',
+      programs: [{
+        name: 'MSc Computer Science',
+        level: 'Masters',
+        requirements: { references: 1 },
+        deadlines: {
+          applicationDeadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+        }
+      }]
+    });
+
+    const created = await request(app)
+      .post('/api/applications')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        universityId: university._id.toString(),
+        programId: university.programs[0]._id.toString()
+      });
+    applicationId = created.body.application._id;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/applications/:id/references', () => {
+    it('should add the referee and email them a link', async () => {
+      const response = await addReference().expect(201);
+
+      expect(response.body).toHaveProperty('requestSent', true);
+      expect(response.body.reference).toHaveProperty('status', 'Pending');
+      expect(response.body.reference).toHaveProperty('requestSentAt');
+      expect(emailSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report a request email that could not be sent', async () => {
+      emailSpy.mockRejectedValueOnce(new Error('SMTP unavailable'));
+
+      const added = await addReference().expect(201);
+      expect(added.body).toHaveProperty('requestSent', false);
+
+      const resent = await request(app)
+        .post(`/api/applications/${applicationId}/references/${added.body.reference._id}/resend`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(resent.body).toHaveProperty('requestSent', true);
+
+      await request(app).get(`/api/referees/${refereeToken}`).expect(200);
+    });
+
+    it('should reject the same referee twice', async () => {
+      await addReference().expect(201);
+
+      const response = await addReference().expect(409);
+      expect(response.body.error).toHaveProperty('code', 'REFERENCE_EXISTS');
+    });
+  });
+
+  describe('GET /api/referees/:token', () => {
+    it('should describe the request without authentication', async () => {
+      await addReference().expect(201);
+
+      const response = await request(app)
+        .get(`/api/referees/${refereeToken}`)
+        .expect(200);
+
+      expect(response.body.request.referee).toHaveProperty('name', 'Prof. Smith');
+      expect(response.body.request.applicant).toHaveProperty('name', 'John Doe');
+      expect(response.body.request.program).toHaveProperty('name', 'MSc Computer Science');
+    });
+
+    it('should only accept the latest link, even when resent within a second', async () => {
+      const added = await addReference().expect(201);
+      const firstToken = refereeToken;
+
+      await request(app)
+        .post(`/api/applications/${applicationId}/references/${added.body.reference._id}/resend`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app).get(`/api/referees/${firstToken}`).expect(404);
+      await request(app).get(`/api/referees/${refereeToken}`).expect(200);
+    });
+
+    it('should reject tampered links', async () => {
+      const response = await request(app)
+        .get('/api/referees/not-a-real-token')
+        .expect(404);
+
+      expect(response.body.error).toHaveProperty('code', 'INVALID_REFEREE_LINK');
+    });
+  });
+
+  describe('POST /api/referees/:token/letter', () => {
+    beforeEach(() => {
+      jest.spyOn(cloudinaryService, 'isConfigured').mockReturnValue(true);
+      jest.spyOn(cloudinaryService, 'uploadFile').mockResolvedValue({
+        publicId: 'uniapply-hub/recommendation/letter',
+        url: 'https://res.cloudinary.com/demo/raw/upload/letter.pdf'
+      });
+    });
+
+    it('should store the letter and mark the reference as submitted', async () => {
+      await addReference().expect(201);
+
+      await request(app)
+        .post(`/api/referees/${refereeToken}/letter`)
+        .attach('letter', Buffer.from('%PDF-1.4 letter'), {
+          filename: 'letter.pdf',
+          contentType: 'application/pdf'
+        })
+        .expect(201);
+
+      const application = await request(app)
+        .get(`/api/applications/${applicationId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      const [reference] = application.body.application.applicationData.references;
+
+      expect(reference).toHaveProperty('status', 'Submitted');
+      expect(application.body.requirements.missing.map(item => item.key))
+        .not.toContain('reference:1');
+
+      const letter = await Document.findById(reference.documentId);
+      expect(letter.metadata).toHaveProperty('category', 'Recommendation');
+      expect(letter.userId.toString()).toBe(application.body.application.userId);
+    });
+
+    it('should only accept one response per link', async () => {
+      await addReference().expect(201);
+      await request(app).post(`/api/referees/${refereeToken}/decline`).expect(200);
+
+      const response = await request(app)
+        .post(`/api/referees/${refereeToken}/letter`)
+        .attach('letter', Buffer.from('%PDF-1.4 letter'), {
+          filename: 'letter.pdf',
+          contentType: 'application/pdf'
+        })
+        .expect(409);
+
+      expect(response.body.error).toHaveProperty('code', 'REFERENCE_ALREADY_COMPLETED');
+    });
+  });
+
+  describe('POST /api/referees/:token/decline', () => {
+    it('should mark the reference as declined with the reason', async () => {
+      await addReference().expect(201);
+
+      await request(app)
+        .post(`/api/referees/${refereeToken}/decline`)
+        .send({ reason: 'On sabbatical this term' })
+        .expect(200);
+
+      const application = await request(app)
+        .get(`/api/applications/${applicationId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(application.body.application.applicationData.references[0]).toEqual(
+        expect.objectContaining({
+          status: 'Declined',
+          declineReason: 'On sabbatical this term'
+        })
+      );
+    });
+  });
+
+  describe('DELETE /api/applications/:id/references/:referenceId', () => {
+    it('should invalidate the link sent to a removed referee', async () => {
+      const added = await addReference().expect(201);
+
+      await request(app)
+        .delete(`/api/applications/${applicationId}/references/${added.body.reference._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/referees/${refereeToken}`)
+        .expect(404);
+    });
+  });
+});
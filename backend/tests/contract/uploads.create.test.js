@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const cloudinaryService = require('../../src/utils/cloudinary');
+
+describe('Uploads Contract Tests', () => {
+  let authToken;
+  const pdfContent = Buffer.from('%PDF-1.4 transcript');
+
+  beforeEach(async () => {
+    jest.spyOn(cloudinaryService, 'isConfigured').mockReturnValue(true);
+    jest.spyOn(cloudinaryService, 'uploadFile').mockResolvedValue({
+      publicId: `uniapply-hub/transcript/${crypto.randomUUID()}`,
+      url: 'https://res.cloudinary.com/demo/image/upload/transcript.pdf',
+      resourceType: 'image'
+    });
+    jest.spyOn(cloudinaryService, 'generateThumbnailUrl')
+      .mockReturnValue('https://res.cloudinary.com/demo/image/upload/pg_1/transcript.jpg');
+
+    const registration = await request(app)
+      .post('/api/auth/register')
+      .send({
+        email: 'student@example.com',
+        password: 'SecurePass123',
+        firstName: 'John',
+        lastName: 'Doe',
+        acceptTerms: true
+      });
+    authToken = registration.body.tokens.accessToken;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/uploads', () => {
+    it('should store the file and link it to the user', async () => {
+      const response = await request(app)
+        .post('/api/uploads')
+        .set('Authorization', `Bearer ${authToken}`)
+        .field('category', 'Transcript')
+        .attach('file', pdfContent, { filename: 'transcript.pdf', contentType: 'application/pdf' })
+        .expect(201);
+
+      expect(response.body.document).toHaveProperty('category', 'Transcript');
+      expect(response.body.document).toHaveProperty(
+        'checksum',
+        crypto.createHash('sha256').update(pdfContent).digest('hex')
+      );
+      expect(response.body).toHaveProperty('previewUrl');
+
+      const user = await User.findByEmail('student@example.com');
+      expect(user.uploadedDocs.map(String)).toContain(response.body.document.id);
+      expect(user.profileCompletionStatus).toHaveProperty('documents', true);
+    });
+
+    it('should reject files whose content does not match their type', async () => {
+      const response = await request(app)
+        .post('/api/uploads')
+        .set('Authorization', `Bearer ${authToken}`)
+        .field('category', 'CV')
+        .attach('file', Buffer.from('<script>alert(1)</script>'), {
+          filename: 'cv.pdf',
+          contentType: 'application/pdf'
+        })
+        .expect(400);
+
+      expect(response.body.error).toHaveProperty('code', 'INVALID_FILE');
+    });
+
+    it('should reject unknown categories', async () => {
+      const response = await request(app)
+        .post('/api/uploads')
+        .set('Authorization', `Bearer ${authToken}`)
+        .field('category', 'Passport')
+        .attach('file', pdfContent, { filename: 'passport.pdf', contentType: 'application/pdf' })
+        .expect(400);
+
+      expect(response.body.error).toHaveProperty('code', 'VALIDATION_ERROR');
+    });
+
+    it('should require a file', async () => {
+      const response = await request(app)
+        .post('/api/uploads')
+        .set('Authorization', `Bearer ${authToken}`)
+        .field('category', 'CV')
+        .expect(400);
+
+      expect(response.body.error).toHaveProperty('code', 'FILE_REQUIRED');
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post('/api/uploads')
+        .attach('file', pdfContent, { filename: 'cv.pdf', contentType: 'application/pdf' })
+        .expect(401);
+    });
+  });
+});
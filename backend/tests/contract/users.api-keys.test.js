@@ -0,0 +1,140 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const ApiKey = require('../../src/models/ApiKey');
+
+describe('API Keys Contract Tests', () => {
+  const credentials = {
+    email: 'student@example.com',
+    password: 'SecurePass123'
+  };
+  let accessToken;
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({
+        ...credentials,
+        firstName: 'Jane',
+        lastName: 'Student',
+        acceptTerms: true
+      })
+      .expect(201);
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send(credentials)
+      .expect(200);
+    accessToken = response.body.tokens.accessToken;
+  });
+
+  const createKey = (data = { name: 'Counselling partner', scopes: ['applications:read'] }) =>
+    request(app)
+      .post('/api/users/api-keys')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send(data);
+
+  const listKeys = () => request(app)
+    .get('/api/users/api-keys')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .expect(200)
+    .then(response => response.body.apiKeys);
+
+  describe('POST /api/users/api-keys', () => {
+    it('should show the key once and store only its hash', async () => {
+      const response = await createKey().expect(201);
+
+      const { apiKey } = response.body;
+      expect(apiKey.key).toMatch(/^uak_/);
+      expect(apiKey).toMatchObject({
+        name: 'Counselling partner',
+        scopes: ['applications:read'],
+        prefix: apiKey.key.slice(0, apiKey.prefix.length)
+      });
+
+      const keys = await listKeys();
+      expect(keys).toHaveLength(1);
+      expect(keys[0]).not.toHaveProperty('key');
+
+      const stored = await ApiKey.findById(apiKey.id).select('+keyHash');
+      expect(stored.keyHash).not.toContain(apiKey.key);
+    });
+
+    it('should reject unknown scopes', async () => {
+      const response = await createKey({ name: 'Partner', scopes: ['applications:write'] })
+        .expect(400);
+
+      expect(response.body.error).toHaveProperty('code', 'VALIDATION_ERROR');
+    });
+  });
+
+  describe('X-API-Key authentication', () => {
+    it('should allow reads within the key scopes and record its use', async () => {
+      const { key } = (await createKey().expect(201)).body.apiKey;
+
+      const response = await request(app)
+        .get('/api/applications')
+        .set('X-API-Key', key)
+        .expect(200);
+      expect(response.body).toHaveProperty('success', true);
+
+      const outOfScope = await request(app)
+        .get('/api/documents/507f1f77bcf86cd799439011/versions')
+        .set('X-API-Key', key)
+        .expect(403);
+      expect(outOfScope.body.error).toHaveProperty('code', 'INSUFFICIENT_SCOPE');
+
+      const write = await request(app)
+        .post('/api/applications')
+        .set('X-API-Key', key)
+        .send({})
+        .expect(403);
+      expect(write.body.error).toHaveProperty('code', 'API_KEY_READ_ONLY');
+
+      const [listed] = await listKeys();
+      expect(listed.lastUsedAt).toBeDefined();
+    });
+
+    it('should only let document keys view, download and list versions', async () => {
+      const { key } = (await createKey({ name: 'Archive', scopes: ['documents:read'] })
+        .expect(201)).body.apiKey;
+      const documentPath = '/api/documents/507f1f77bcf86cd799439011';
+
+      // Past authentication to the document lookup
+      await request(app).get(`${documentPath}/versions`).set('X-API-Key', key).expect(404);
+
+      await request(app).get(`${documentPath}/shares`).set('X-API-Key', key).expect(401);
+    });
+
+    it('should not let a key manage keys', async () => {
+      const { key } = (await createKey().expect(201)).body.apiKey;
+
+      await request(app)
+        .get('/api/users/api-keys')
+        .set('X-API-Key', key)
+        .expect(401);
+    });
+  });
+
+  describe('DELETE /api/users/api-keys/:id', () => {
+    it('should stop a revoked key working immediately', async () => {
+      const { id, key } = (await createKey().expect(201)).body.apiKey;
+
+      await request(app)
+        .delete(`/api/users/api-keys/${id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/applications')
+        .set('X-API-Key', key)
+        .expect(401);
+      expect(response.body.error).toHaveProperty('code', 'INVALID_API_KEY');
+
+      expect(await listKeys()).toHaveLength(0);
+      await request(app)
+        .delete(`/api/users/api-keys/${id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(404);
+    });
+  });
+});
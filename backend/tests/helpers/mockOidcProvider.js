@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Mock OpenID Connect Provider
+ *
+ * A local stand-in for Google or Microsoft in tests. It serves discovery,
+ * signing keys and the token endpoint on a random local port, and checks
+ * the client credentials, redirect URI and PKCE code verifier like a real
+ * provider would.
+ *
+ * Tests play the student at the provider with authorize(), which returns
+ * the code and state the provider would redirect back to the frontend with.
+ */
+class MockOidcProvider {
+  constructor({ clientId = 'uniapply-test-client', clientSecret = 'uniapply-test-secret' } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.keyId = 'mock-key-1';
+    this.codes = new Map();
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    this.privateKey = privateKey;
+    this.publicKey = publicKey;
+
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Issuer URL
+   */
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.issuer = `http://127.0.0.1:${this.server.address().port}`;
+    return this.issuer;
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Approve a sign-in request as the student would at the provider
+   * @param {string} authorizationUrl - URL the app sent the student to
+   * @param {Object} claims - Claims of the provider account (sub, email, ...);
+   *   a nonce here replaces the one requested
+   * @returns {Object} Code and state to call back with ({ code, state })
+   */
+  authorize(authorizationUrl, claims) {
+    const params = new URL(authorizationUrl).searchParams;
+
+    if (
+      params.get('client_id') !== this.clientId ||
+      params.get('response_type') !== 'code' ||
+      params.get('code_challenge_method') !== 'S256' ||
+      !params.get('code_challenge')
+    ) {
+      throw new Error(`Invalid authorization request: ${authorizationUrl}`);
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    this.codes.set(code, {
+      redirectUri: params.get('redirect_uri'),
+      codeChallenge: params.get('code_challenge'),
+      claims: { nonce: params.get('nonce'), ...claims }
+    });
+
+    return { code, state: params.get('state') };
+  }
+
+  handle(req, res) {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === 'GET' && req.url === '/.well-known/openid-configuration') {
+      return send(200, {
+        issuer: this.issuer,
+        authorization_endpoint: `${this.issuer}/authorize`,
+        token_endpoint: `${this.issuer}/token`,
+        jwks_uri: `${this.issuer}/jwks`,
+        response_types_supported: ['code'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256']
+      });
+    }
+
+    if (req.method === 'GET' && req.url === '/jwks') {
+      const jwk = this.publicKey.export({ format: 'jwk' });
+      return send(200, { keys: [{ ...jwk, kid: this.keyId, use: 'sig', alg: 'RS256' }] });
+    }
+
+    if (req.method === 'POST' && req.url === '/token') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const result = this.exchange(new URLSearchParams(body));
+        send(result.error ? 400 : 200, result);
+      });
+      return;
+    }
+
+    send(404, { error: 'not_found' });
+  }
+
+  /**
+   * Exchange a code at the token endpoint, once
+   * @param {URLSearchParams} params - Token request parameters
+   * @returns {Object} Token response or OAuth error
+   */
+  exchange(params) {
+    const grant = this.codes.get(params.get('code'));
+    this.codes.delete(params.get('code'));
+
+    const codeChallenge = crypto.createHash('sha256')
+      .update(String(params.get('code_verifier')))
+      .digest('base64url');
+
+    if (
+      !grant ||
+      params.get('grant_type') !== 'authorization_code' ||
+      params.get('client_id') !== this.clientId ||
+      params.get('client_secret') !== this.clientSecret ||
+      params.get('redirect_uri') !== grant.redirectUri ||
+      codeChallenge !== grant.codeChallenge
+    ) {
+      return { error: 'invalid_grant' };
+    }
+
+    return {
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 3600,
+      id_token: jwt.sign(grant.claims, this.privateKey, {
+        algorithm: 'RS256',
+        keyid: this.keyId,
+        issuer: this.issuer,
+        audience: this.clientId,
+        expiresIn: '5m'
+      })
+    };
+  }
+}
+
+module.exports = MockOidcProvider;
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'uniapply-lifecycle-'));
+process.env.LOCAL_STORAGE_PATH = storageRoot;
+
+const Document = require('../../src/models/Document');
+const documentService = require('../../src/services/documentService');
+const emailService = require('../../src/services/emailService');
+const lifecycleWorker = require('../../src/workers/lifecycleWorker');
+
+describe('Document Lifecycle Worker', () => {
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const storePdf = (content) => documentService.createDocument({
+    ownerId: new mongoose.Types.ObjectId(),
+    file: {
+      originalname: 'upload.pdf',
+      mimetype: 'application/pdf',
+      size: content.length,
+      buffer: Buffer.from(content)
+    },
+    category: 'Other'
+  });
+
+  const storedPath = (publicId) => path.join(storageRoot, publicId);
+
+  beforeAll(() => {
+    process.env.STORAGE_PROVIDER = 'local';
+  });
+
+  afterAll(() => {
+    delete process.env.STORAGE_PROVIDER;
+    fs.rmSync(storageRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(emailService, 'sendAdminNotification').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.ADMIN_EMAIL;
+  });
+
+  it('should purge every version of documents deleted before the retention window', async () => {
+    const document = await storePdf('%PDF-1.4 first');
+    const { storage } = await storePdf('%PDF-1.4 second');
+    await Document.deleteOne({ 'storage.publicId': storage.publicId });
+    document.versions.push({
+      version: 2,
+      fileInfo: document.fileInfo.toObject(),
+      storage,
+      uploadedAt: new Date()
+    });
+    document.status = 'Deleted';
+    await document.save();
+    await Document.updateOne({ _id: document._id }, { deletedAt: daysAgo(40) });
+
+    const report = await lifecycleWorker.runOnce();
+
+    expect(report.purge).toMatchObject({ purgedDocuments: 1, deletedObjects: 2, errors: [] });
+    expect(await Document.findById(document._id)).toBeNull();
+    expect(fs.existsSync(storedPath(document.storage.publicId))).toBe(false);
+    expect(fs.existsSync(storedPath(storage.publicId))).toBe(false);
+  });
+
+  it('should keep deleted documents inside the retention window', async () => {
+    const document = await storePdf('%PDF-1.4 recent');
+    document.status = 'Deleted';
+    await document.save();
+
+    const report = await lifecycleWorker.runOnce();
+
+    expect(report.purge.purgedDocuments).toBe(0);
+    expect(await Document.findById(document._id)).not.toBeNull();
+    expect(fs.existsSync(storedPath(document.storage.publicId))).toBe(true);
+  });
+
+  it('should archive expired documents', async () => {
+    const document = await storePdf('%PDF-1.4 expiring');
+    await Document.updateOne({ _id: document._id }, { 'metadata.expiresAt': daysAgo(1) });
+
+    const report = await lifecycleWorker.runOnce();
+
+    expect(report.archivedDocuments).toBe(1);
+    expect(await Document.findById(document._id)).toHaveProperty('status', 'Archived');
+  });
+
+  it('should report orphaned files and documents missing their file to admins', async () => {
+    process.env.ADMIN_EMAIL = 'admin@example.com';
+    const missing = await storePdf('%PDF-1.4 missing');
+    fs.unlinkSync(storedPath(missing.storage.publicId));
+
+    const strayPath = storedPath('other/stray.pdf');
+    fs.writeFileSync(strayPath, '%PDF-1.4 stray');
+    fs.utimesSync(strayPath, daysAgo(1), daysAgo(1));
+    // Too recent to be an orphan: its Document may not have been saved yet
+    fs.writeFileSync(storedPath('other/in-flight.pdf'), '%PDF-1.4 uploading');
+
+    const report = await lifecycleWorker.runOnce();
+
+    expect(report.orphans.local).toMatchObject({
+      objectsWithoutDocument: ['other/stray.pdf'],
+      documentsWithoutObject: [{
+        documentId: missing._id.toString(),
+        publicId: missing.storage.publicId
+      }]
+    });
+    expect(emailService.sendAdminNotification).toHaveBeenCalledWith(
+      'admin@example.com',
+      'Document lifecycle report',
+      expect.stringContaining('found 2 storage inconsistencies'),
+      report
+    );
+  });
+});
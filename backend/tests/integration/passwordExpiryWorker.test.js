@@ -0,0 +1,86 @@
+const Admin = require('../../src/models/Admin');
+const User = require('../../src/models/User');
+const emailService = require('../../src/services/emailService');
+const passwordPolicyService = require('../../src/services/passwordPolicyService');
+const passwordExpiryWorker = require('../../src/workers/passwordExpiryWorker');
+
+describe('Password Expiry Worker', () => {
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  let warningSpy;
+
+  const createUser = async (email, lastPasswordChange) => {
+    const user = await User.createUser({
+      email,
+      password: 'SecurePass123',
+      firstName: 'Jane',
+      lastName: 'Student'
+    });
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'security.lastPasswordChange': lastPasswordChange } }
+    );
+    return user;
+  };
+
+  const defaultStudentMaxAge = passwordPolicyService.maxAgeDays.User;
+
+  beforeAll(() => {
+    passwordPolicyService.maxAgeDays.User = 365;
+  });
+
+  afterAll(() => {
+    passwordPolicyService.maxAgeDays.User = defaultStudentMaxAge;
+  });
+
+  beforeEach(() => {
+    warningSpy = jest.spyOn(emailService, 'sendPasswordExpiryWarning')
+      .mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should warn accounts about to expire once per password', async () => {
+    const { User: userMaxAge, Admin: adminMaxAge } = passwordPolicyService.maxAgeDays;
+
+    await createUser('expiring@example.com', daysAgo(userMaxAge - 3));
+    await createUser('recent@example.com', daysAgo(10));
+    await createUser('expired@example.com', daysAgo(userMaxAge + 1));
+
+    const admin = await Admin.createAdmin({
+      username: 'ops_admin',
+      email: 'ops@example.com',
+      passwordHash: 'AdminPass123', // Hashed by the pre-save middleware
+      profile: { firstName: 'Ada', lastName: 'Admin' },
+      role: 'admin',
+      status: 'active'
+    });
+    await Admin.updateOne(
+      { _id: admin._id },
+      { $set: { 'security.lastPasswordChange': daysAgo(adminMaxAge - 1) } }
+    );
+
+    expect(await passwordExpiryWorker.runOnce()).toEqual({ sent: 2, failed: 0 });
+    expect(warningSpy.mock.calls.map(([account]) => account.email).sort())
+      .toEqual(['expiring@example.com', 'ops@example.com']);
+    expect(warningSpy.mock.calls[0][1]).toBeInstanceOf(Date);
+
+    // Already warned about this password
+    expect(await passwordExpiryWorker.runOnce()).toEqual({ sent: 0, failed: 0 });
+  });
+
+  it('should clear the warning when the password changes', async () => {
+    const maxAgeDays = passwordPolicyService.maxAgeDays.User;
+    const user = await createUser('expiring@example.com', daysAgo(maxAgeDays - 3));
+    expect(await passwordExpiryWorker.runOnce()).toEqual({ sent: 1, failed: 0 });
+
+    const loaded = await passwordPolicyService.findWithPasswordHistory('User', user._id);
+    expect(await passwordPolicyService.setNewPassword(loaded, 'FreshStart456')).toBe(true);
+
+    const updated = await User.findById(user._id);
+    expect(updated.security.passwordExpiryWarningSentAt).toBeUndefined();
+    expect(passwordPolicyService.isExpired(updated)).toBe(false);
+  });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'uniapply-scan-'));
+process.env.LOCAL_STORAGE_PATH = storageRoot;
+
+const Document = require('../../src/models/Document');
+const documentService = require('../../src/services/documentService');
+const scanWorker = require('../../src/workers/scanWorker');
+const { getStorageProvider } = require('../../src/utils/storage');
+
+describe('Malware Scan Worker', () => {
+  // The EICAR test string, assembled so this file is not flagged itself
+  const eicar = [
+    'X5O!P%@AP[4\\PZX54(P^)7CC)7}$',
+    'EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*'
+  ].join('');
+
+  const storePdf = (content) => documentService.createDocument({
+    ownerId: new mongoose.Types.ObjectId(),
+    file: {
+      originalname: 'upload.pdf',
+      mimetype: 'application/pdf',
+      size: content.length,
+      buffer: content
+    },
+    category: 'Other'
+  });
+
+  beforeAll(() => {
+    process.env.STORAGE_PROVIDER = 'local';
+  });
+
+  afterAll(() => {
+    delete process.env.STORAGE_PROVIDER;
+    fs.rmSync(storageRoot, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should mark clean files as Clean and record the scanner', async () => {
+    const document = await storePdf(Buffer.from('%PDF-1.4 harmless'));
+
+    expect(await scanWorker.runOnce()).toBe(1);
+
+    const scanned = await Document.findById(document._id);
+    expect(scanned.security).toHaveProperty('scanStatus', 'Clean');
+    expect(scanned.security).toHaveProperty('scanProvider', 'signature');
+    expect(scanned.security.scanDate).toBeInstanceOf(Date);
+    await expect(scanned.generateSecureUrl()).resolves.toContain('/api/files/');
+  });
+
+  it('should quarantine infected files and block their download', async () => {
+    const document = await storePdf(Buffer.from(`%PDF-1.4 ${eicar}`));
+
+    await scanWorker.runOnce();
+
+    const scanned = await Document.findById(document._id);
+    expect(scanned.security).toHaveProperty('scanStatus', 'Infected');
+    expect(scanned.security.scanDetails).toContain('EICAR-Test-File');
+    expect(scanned).toHaveProperty('status', 'Quarantined');
+    await expect(scanned.generateSecureUrl()).rejects.toHaveProperty('code', 'DOCUMENT_NOT_CLEAN');
+  });
+
+  it('should retry failed scans before marking them as Error', async () => {
+    const document = await storePdf(Buffer.from('%PDF-1.4 unreadable'));
+    jest.spyOn(getStorageProvider('local'), 'download')
+      .mockRejectedValue(new Error('File download failed: disk unavailable'));
+
+    await scanWorker.runOnce();
+    let scanned = await Document.findById(document._id);
+    expect(scanned.security).toHaveProperty('scanStatus', 'Pending');
+    expect(scanned.security).toHaveProperty('scanAttempts', 1);
+
+    await scanWorker.runOnce();
+    await scanWorker.runOnce();
+    scanned = await Document.findById(document._id);
+    expect(scanned.security).toHaveProperty('scanStatus', 'Error');
+    expect(scanned.security.scanDetails).toContain('disk unavailable');
+  });
+});
@@ -0,0 +1,124 @@
+const http = require('http');
+
+/**
+ * S3 storage provider against a minimal in-process S3 stand-in, so the
+ * provider can be exercised without network access or a MinIO container.
+ */
+
+const objects = new Map();
+
+const s3StandIn = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const chunks = [];
+
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const stored = objects.get(pathname);
+
+    if (req.method === 'PUT') {
+      objects.set(pathname, {
+        body: Buffer.concat(chunks),
+        contentType: req.headers['content-type']
+      });
+      res.writeHead(200, { ETag: '"etag"' });
+      return res.end();
+    }
+
+    if (req.method === 'DELETE') {
+      objects.delete(pathname);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    if (!stored) {
+      res.writeHead(404, { 'Content-Type': 'application/xml' });
+      return res.end('<Error><Code>NoSuchKey</Code></Error>');
+    }
+
+    res.writeHead(200, {
+      'Content-Type': stored.contentType,
+      'Content-Length': stored.body.length,
+      'Last-Modified': new Date().toUTCString(),
+      ETag: '"etag"'
+    });
+    res.end(req.method === 'HEAD' ? undefined : stored.body);
+  });
+});
+
+const fetchBody = (url) => new Promise((resolve, reject) => {
+  http.get(url, (res) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
+  }).on('error', reject);
+});
+
+describe('S3 Storage Provider', () => {
+  let provider;
+
+  beforeAll(async () => {
+    await new Promise(resolve => s3StandIn.listen(0, '127.0.0.1', resolve));
+
+    process.env.S3_BUCKET = 'uniapply-test';
+    process.env.S3_REGION = 'eu-central-1';
+    process.env.S3_ENDPOINT = `http://127.0.0.1:${s3StandIn.address().port}`;
+    process.env.S3_ACCESS_KEY_ID = 'minioadmin';
+    process.env.S3_SECRET_ACCESS_KEY = 'minioadmin';
+
+    const S3StorageProvider = require('../../src/utils/storage/s3Provider');
+    provider = new S3StorageProvider();
+  });
+
+  afterAll(async () => {
+    ['S3_BUCKET', 'S3_REGION', 'S3_ENDPOINT', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY']
+      .forEach(name => delete process.env[name]);
+    await new Promise(resolve => s3StandIn.close(resolve));
+  });
+
+  it('should upload into the configured bucket and report bucket and region', async () => {
+    const stored = await provider.upload(Buffer.from('%PDF-1.4 cv'), {
+      fileName: 'cv.pdf',
+      mimeType: 'application/pdf',
+      category: 'cv'
+    });
+
+    expect(stored.publicId).toMatch(/^cv\/[0-9a-f-]+\.pdf$/);
+    expect(stored).toHaveProperty('bucket', 'uniapply-test');
+    expect(stored).toHaveProperty('region', 'eu-central-1');
+    expect(stored.url).toBe(`${process.env.S3_ENDPOINT}/uniapply-test/${stored.publicId}`);
+    expect(objects.has(`/uniapply-test/${stored.publicId}`)).toBe(true);
+  });
+
+  it('should serve files through presigned, expiring GET URLs', async () => {
+    const content = Buffer.from('%PDF-1.4 transcript');
+    const stored = await provider.upload(content, {
+      fileName: 'transcript.pdf',
+      mimeType: 'application/pdf',
+      category: 'transcript'
+    });
+
+    const url = await provider.generateSecureUrl(stored.publicId, { expiresInMinutes: 5 });
+    const signedUrl = new URL(url);
+    expect(signedUrl.searchParams.get('X-Amz-Expires')).toBe('300');
+    expect(signedUrl.searchParams.get('X-Amz-Signature')).toBeTruthy();
+
+    const response = await fetchBody(url);
+    expect(response.status).toBe(200);
+    expect(response.body.equals(content)).toBe(true);
+  });
+
+  it('should report file info and delete files', async () => {
+    const stored = await provider.upload(Buffer.from('%PDF-1.4 degree'), {
+      fileName: 'degree.pdf',
+      mimeType: 'application/pdf',
+      category: 'degree'
+    });
+
+    const info = await provider.getFileInfo(stored.publicId);
+    expect(info).toHaveProperty('size', 15);
+    expect(info).toHaveProperty('contentType', 'application/pdf');
+
+    await provider.delete(stored.publicId);
+    expect(objects.has(`/uniapply-test/${stored.publicId}`)).toBe(false);
+  });
+});
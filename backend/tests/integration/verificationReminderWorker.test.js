@@ -0,0 +1,66 @@
+const User = require('../../src/models/User');
+const emailService = require('../../src/services/emailService');
+const verificationReminderWorker = require('../../src/workers/verificationReminderWorker');
+
+describe('Verification Reminder Worker', () => {
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+  let reminderSpy;
+
+  const createUser = async (email, fields = {}) => {
+    const user = await User.createUser({
+      email,
+      password: 'SecurePass123',
+      firstName: 'Jane',
+      lastName: 'Student'
+    });
+
+    // Bypass timestamps so the account can look old
+    await User.collection.updateOne(
+      { _id: user._id },
+      { $set: { createdAt: hoursAgo(48), ...fields } }
+    );
+    return user;
+  };
+
+  beforeEach(() => {
+    reminderSpy = jest.spyOn(emailService, 'sendEmailVerificationReminder')
+      .mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should remind unverified accounts once per interval', async () => {
+    const user = await createUser('unverified@example.com');
+    await createUser('verified@example.com', { emailVerified: true });
+
+    expect(await verificationReminderWorker.runOnce()).toEqual({ sent: 1, failed: 0 });
+    expect(reminderSpy).toHaveBeenCalledTimes(1);
+    expect(reminderSpy.mock.calls[0][0].email).toBe('unverified@example.com');
+
+    // Not due again until the reminder interval has passed
+    expect(await verificationReminderWorker.runOnce()).toEqual({ sent: 0, failed: 0 });
+
+    const updated = await User.findById(user._id);
+    expect(updated.verificationRemindersSent).toBe(1);
+    expect(updated.verificationEmailSentAt).toBeInstanceOf(Date);
+  });
+
+  it('should wait before the first reminder and stop after the maximum', async () => {
+    const recent = await User.createUser({
+      email: 'recent@example.com',
+      password: 'SecurePass123',
+      firstName: 'Jane',
+      lastName: 'Student'
+    });
+    await createUser('reminded@example.com', {
+      verificationRemindersSent: verificationReminderWorker.maxReminders,
+      verificationEmailSentAt: hoursAgo(100)
+    });
+
+    expect(await verificationReminderWorker.runOnce()).toEqual({ sent: 0, failed: 0 });
+    expect(reminderSpy).not.toHaveBeenCalled();
+    expect((await User.findById(recent._id)).verificationRemindersSent).toBe(0);
+  });
+});
@@ -9,6 +9,11 @@ import Profile from './pages/Profile';
 import Universities from './pages/Universities';
 import Applications from './pages/Applications';
 import Documents from './pages/Documents';
+import RefereeUpload from './pages/RefereeUpload';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import UnlockAccount from './pages/UnlockAccount';
+import OidcCallback from './pages/OidcCallback';
 import ProtectedRoute from './components/ProtectedRoute';
 import './styles/App.css';
 
@@ -21,6 +26,11 @@ function App() {
             <Routes>
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
+              <Route path="/unlock-account" element={<UnlockAccount />} />
+              <Route path="/auth/callback/:provider" element={<OidcCallback />} />
+              <Route path="/referee/:token" element={<RefereeUpload />} />
               <Route 
                 path="/dashboard" 
                 element={
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_URL = 'http://localhost:3000/api/users/api-keys';
+
+const SCOPES = [
+  { value: 'applications:read', label: 'Read applications' },
+  { value: 'documents:read', label: 'Read documents' },
+];
+
+const ApiKeySettings = () => {
+  const [apiKeys, setApiKeys] = useState(null);
+  const [newKey, setNewKey] = useState(null);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(['applications:read']);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadKeys = useCallback(async () => {
+    try {
+      const response = await axios.get(API_URL);
+      setApiKeys(response.data.apiKeys);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Unable to load API keys');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadKeys();
+  }, [loadKeys]);
+
+  // Run a request, showing its error or success message
+  const submit = async (action) => {
+    setSubmitting(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await action();
+      setMessage(response.data.message);
+      await loadKeys();
+      return response.data;
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Something went wrong, please try again');
+      return null;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const toggleScope = (scope) => {
+    setScopes(current => (current.includes(scope)
+      ? current.filter(value => value !== scope)
+      : [...current, scope]));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const data = await submit(() => axios.post(API_URL, { name, scopes }));
+    if (data) {
+      setName('');
+      setNewKey(data.apiKey.key);
+    }
+  };
+
+  const handleRevoke = (id) => {
+    setNewKey(null);
+    return submit(() => axios.delete(`${API_URL}/${id}`));
+  };
+
+  if (!apiKeys) {
+    return error ? <p className="text-red-600">{error}</p> : null;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="text-lg font-medium text-gray-900">API keys</h2>
+        <p className="text-sm text-gray-600">
+          Let an integration, such as a counselling partner, read your applications or documents
+          by sending a key in the X-API-Key header. Keys can only read data.
+        </p>
+      </div>
+
+      {message && <p className="text-sm text-green-700">{message}</p>}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {newKey && (
+        <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-md">
+          <p className="text-sm text-gray-700 mb-2">
+            Copy this key now. It will not be shown again.
+          </p>
+          <p className="font-mono text-sm break-all">{newKey}</p>
+        </div>
+      )}
+
+      {apiKeys.length > 0 && (
+        <ul className="divide-y divide-gray-200">
+          {apiKeys.map(apiKey => (
+            <li key={apiKey.id} className="py-2 flex items-center justify-between">
+              <div className="text-sm">
+                <p className="font-medium text-gray-900">
+                  {apiKey.name} <span className="font-mono text-gray-500">{apiKey.prefix}…</span>
+                </p>
+                <p className="text-gray-600">
+                  {apiKey.scopes.join(', ')} ·{' '}
+                  {apiKey.lastUsedAt
+                    ? `Last used ${new Date(apiKey.lastUsedAt).toLocaleString()}`
+                    : 'Never used'}
+                  {apiKey.expiresAt &&
+                    ` · Expires ${new Date(apiKey.expiresAt).toLocaleDateString()}`}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRevoke(apiKey.id)}
+                disabled={submitting}
+                className="text-sm text-red-600 hover:text-red-500 disabled:opacity-50"
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="space-y-4" onSubmit={handleCreate}>
+        <label htmlFor="api-key-name" className="block text-sm font-medium text-gray-700">
+          Key name
+        </label>
+        <input
+          id="api-key-name"
+          name="name"
+          type="text"
+          required
+          maxLength={100}
+          className="block w-full px-3 py-2 border border-gray-300 rounded-md sm:text-sm"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <fieldset className="space-y-1">
+          <legend className="text-sm font-medium text-gray-700">Access</legend>
+          {SCOPES.map(scope => (
+            <label key={scope.value} className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={scopes.includes(scope.value)}
+                onChange={() => toggleScope(scope.value)}
+              />
+              {scope.label}
+            </label>
+          ))}
+        </fieldset>
+        <button
+          type="submit"
+          disabled={submitting || scopes.length === 0}
+          className="py-2 px-4 rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Create API key
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ApiKeySettings;
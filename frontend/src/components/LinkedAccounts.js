@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_URL = 'http://localhost:3000/api/auth/oidc';
+
+const LinkedAccounts = () => {
+  const [providers, setProviders] = useState([]);
+  const [linked, setLinked] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadLinked = useCallback(async () => {
+    try {
+      const [identitiesResponse, providersResponse] = await Promise.all([
+        axios.get(`${API_URL}/identities`),
+        axios.get(`${API_URL}/providers`),
+      ]);
+      setLinked(identitiesResponse.data);
+      setProviders(providersResponse.data.providers);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Unable to load linked accounts');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLinked();
+  }, [loadLinked]);
+
+  // The provider sends the browser back to /auth/callback/:provider once linked
+  const handleLink = async (provider) => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${API_URL}/${provider}/link`, {}, { withCredentials: true });
+      window.location.assign(response.data.authorizationUrl);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Something went wrong, please try again');
+      setSubmitting(false);
+    }
+  };
+
+  const handleUnlink = async (provider) => {
+    setSubmitting(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const response = await axios.delete(`${API_URL}/${provider}/link`);
+      setMessage(response.data.message);
+      setLinked(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Something went wrong, please try again');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!linked) {
+    return error ? <p className="text-red-600">{error}</p> : null;
+  }
+
+  const unlinkedProviders = providers.filter(provider =>
+    !linked.identities.some(identity => identity.provider === provider.id));
+  // Without a password the last linked account is the only way to sign in
+  const canUnlink = linked.hasPassword || linked.identities.length > 1;
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="text-lg font-medium text-gray-900">Linked accounts</h2>
+        <p className="text-sm text-gray-600">
+          Sign in with your Google or Microsoft account instead of your password.
+        </p>
+      </div>
+
+      {message && <p className="text-sm text-green-700">{message}</p>}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {linked.identities.length > 0 && (
+        <ul className="divide-y divide-gray-200">
+          {linked.identities.map(identity => (
+            <li key={identity.provider} className="py-2 flex items-center justify-between">
+              <div className="text-sm">
+                <p className="font-medium text-gray-900">{identity.name}</p>
+                <p className="text-gray-600">
+                  {identity.email || 'No email shared'} · linked{' '}
+                  {new Date(identity.linkedAt).toLocaleDateString()}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleUnlink(identity.provider)}
+                disabled={submitting || !canUnlink}
+                title={canUnlink ? undefined : 'Set a password before unlinking your only sign-in'}
+                className="text-sm text-red-600 hover:text-red-500 disabled:opacity-50"
+              >
+                Unlink
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {unlinkedProviders.map(provider => (
+        <button
+          key={provider.id}
+          type="button"
+          onClick={() => handleLink(provider.id)}
+          disabled={submitting}
+          className="mr-2 py-2 px-4 rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Link {provider.name}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default LinkedAccounts;
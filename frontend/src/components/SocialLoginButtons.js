@@ -0,0 +1,48 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+
+// Buttons to sign in, or sign up with acceptTerms, through the configured providers
+const SocialLoginButtons = ({ acceptTerms = false, disabled = false, label = 'Continue with' }) => {
+  const [providers, setProviders] = useState([]);
+  const [error, setError] = useState(null);
+  const { startOidcLogin } = useAuth();
+
+  useEffect(() => {
+    axios.get('http://localhost:3000/api/auth/oidc/providers')
+      .then(response => setProviders(response.data.providers))
+      .catch(() => setProviders([]));
+  }, []);
+
+  const handleClick = async (provider) => {
+    setError(null);
+    try {
+      await startOidcLogin(provider, { acceptTerms });
+    } catch (err) {
+      setError(err?.message || 'Unable to start signing in, please try again');
+    }
+  };
+
+  if (providers.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-2">
+      {error && <p className="text-center text-sm text-red-600">{error}</p>}
+      {providers.map(provider => (
+        <button
+          key={provider.id}
+          type="button"
+          onClick={() => handleClick(provider.id)}
+          disabled={disabled}
+          className="w-full flex justify-center py-2 px-4 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          {label} {provider.name}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default SocialLoginButtons;
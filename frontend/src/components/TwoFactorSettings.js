@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_URL = 'http://localhost:3000/api/users/mfa';
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [showDisable, setShowDisable] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const response = await axios.get(API_URL);
+      setStatus(response.data.mfa);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Unable to load two-factor settings');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  // Run a request, showing its error or success message
+  const submit = async (action) => {
+    setSubmitting(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await action();
+      setMessage(response.data.message);
+      setCode('');
+      await loadStatus();
+      return response.data;
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Something went wrong, please try again');
+      return null;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSetup = async () => {
+    const data = await submit(() => axios.post(`${API_URL}/setup`));
+    if (data) {
+      setEnrollment({ secret: data.secret, otpauthUri: data.otpauthUri });
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    const data = await submit(() => axios.post(`${API_URL}/enable`, { code }));
+    if (data) {
+      setEnrollment(null);
+      setRecoveryCodes(data.recoveryCodes);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    const data = await submit(() => axios.post(`${API_URL}/disable`, {
+      password,
+      ...(/^\d+$/.test(code) ? { code } : { recoveryCode: code }),
+    }));
+    if (data) {
+      setPassword('');
+      setShowDisable(false);
+      setRecoveryCodes(null);
+    }
+  };
+
+  const handleForgetDevices = () => submit(() => axios.delete(`${API_URL}/trusted-devices`));
+
+  if (!status) {
+    return error ? <p className="text-red-600">{error}</p> : null;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="text-lg font-medium text-gray-900">Two-factor authentication</h2>
+        <p className="text-sm text-gray-600">
+          {status.enabled
+            ? `On since ${new Date(status.enrolledAt).toLocaleDateString()}. ` +
+              `${status.recoveryCodesRemaining} recovery codes left.`
+            : 'Protect your account with a code from an authenticator app when you sign in.'}
+        </p>
+      </div>
+
+      {message && <p className="text-sm text-green-700">{message}</p>}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {recoveryCodes && (
+        <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-md">
+          <p className="text-sm text-gray-700 mb-2">
+            Store these recovery codes somewhere safe. Each can be used once if you lose your
+            device, and they will not be shown again.
+          </p>
+          <ul className="grid grid-cols-2 gap-1 font-mono text-sm">
+            {recoveryCodes.map(recoveryCode => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!status.enabled && !enrollment && (
+        <button
+          type="button"
+          onClick={handleSetup}
+          disabled={submitting}
+          className="py-2 px-4 rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Set up two-factor
+        </button>
+      )}
+
+      {!status.enabled && enrollment && (
+        <form className="space-y-4" onSubmit={handleEnable}>
+          <p className="text-sm text-gray-700">
+            Add this account to your authenticator app by opening the{' '}
+            <a href={enrollment.otpauthUri} className="text-indigo-600 hover:text-indigo-500">
+              setup link
+            </a>{' '}
+            on your phone or entering the key below, then enter the code it shows.
+          </p>
+          <p className="font-mono text-sm break-all">{enrollment.secret}</p>
+          <label htmlFor="enable-code" className="block text-sm font-medium text-gray-700">
+            Authentication code
+          </label>
+          <input
+            id="enable-code"
+            name="code"
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            required
+            className="block w-full px-3 py-2 border border-gray-300 rounded-md sm:text-sm"
+            value={code}
+            onChange={(e) => setCode(e.target.value.trim())}
+          />
+          <button
+            type="submit"
+            disabled={submitting || !code}
+            className="py-2 px-4 rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Turn on two-factor
+          </button>
+        </form>
+      )}
+
+      {status.enabled && (
+        <>
+          <div>
+            <h3 className="text-sm font-medium text-gray-900">Trusted devices</h3>
+            {status.trustedDevices.length === 0 ? (
+              <p className="text-sm text-gray-600">No devices skip the code at sign in.</p>
+            ) : (
+              <>
+                <ul className="text-sm text-gray-600">
+                  {status.trustedDevices.map(device => (
+                    <li key={device.id}>
+                      {device.userAgent || 'Unknown device'}, trusted until{' '}
+                      {new Date(device.expiresAt).toLocaleDateString()}
+                    </li>
+                  ))}
+                </ul>
+                <button
+                  type="button"
+                  onClick={handleForgetDevices}
+                  disabled={submitting}
+                  className="mt-2 text-sm text-indigo-600 hover:text-indigo-500"
+                >
+                  Forget all trusted devices
+                </button>
+              </>
+            )}
+          </div>
+
+          {!showDisable ? (
+            <button
+              type="button"
+              onClick={() => setShowDisable(true)}
+              className="text-sm text-red-600 hover:text-red-700"
+            >
+              Turn off two-factor
+            </button>
+          ) : (
+            <form className="space-y-4" onSubmit={handleDisable}>
+              <label htmlFor="disable-password" className="block text-sm font-medium text-gray-700">
+                Password
+              </label>
+              <input
+                id="disable-password"
+                name="password"
+                type="password"
+                autoComplete="current-password"
+                required
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md sm:text-sm"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+              <label htmlFor="disable-code" className="block text-sm font-medium text-gray-700">
+                Authentication code or recovery code
+              </label>
+              <input
+                id="disable-code"
+                name="code"
+                type="text"
+                autoComplete="one-time-code"
+                required
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md sm:text-sm"
+                value={code}
+                onChange={(e) => setCode(e.target.value.trim())}
+              />
+              <button
+                type="submit"
+                disabled={submitting || !password || !code}
+                className="py-2 px-4 rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+              >
+                Turn off two-factor
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowDisable(false)}
+                className="ml-4 text-sm text-gray-600 hover:text-gray-900"
+              >
+                Cancel
+              </button>
+            </form>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
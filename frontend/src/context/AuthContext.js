@@ -34,17 +34,29 @@ export const AuthProvider = ({ children }) => {
     setLoading(false);
   };
 
+  const startSession = (token, user) => {
+    localStorage.setItem('token', token);
+    axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+    setUser(user);
+  };
+
+  // Resolves with { mfaRequired, mfaToken } when the account needs a second
+  // factor; finish the login with verifyMfa. Resolves with
+  // { passwordChangeRequired, passwordChangeToken } when the password expired;
+  // finish the login with changeExpiredPassword
   const login = async (email, password) => {
     try {
       const response = await axios.post('http://localhost:3000/api/auth/login', {
         email,
         password,
-      });
+      }, { withCredentials: true });
+
+      if (response.data.mfaRequired || response.data.passwordChangeRequired) {
+        return response.data;
+      }
       
       const { token, user } = response.data.data;
-      localStorage.setItem('token', token);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-      setUser(user);
+      startSession(token, user);
       
       return response.data;
     } catch (error) {
@@ -52,6 +64,76 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyMfa = async (mfaToken, { code, recoveryCode, trustDevice }) => {
+    try {
+      const response = await axios.post('http://localhost:3000/api/auth/mfa/verify', {
+        mfaToken,
+        ...(code ? { code } : { recoveryCode }),
+        trustDevice,
+      }, { withCredentials: true });
+
+      if (response.data.passwordChangeRequired) {
+        return response.data;
+      }
+
+      startSession(response.data.tokens.accessToken, response.data.user);
+
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.error || 'Verification failed';
+    }
+  };
+
+  const changeExpiredPassword = async (passwordChangeToken, newPassword) => {
+    try {
+      const response = await axios.post('http://localhost:3000/api/auth/password/expired', {
+        passwordChangeToken,
+        newPassword,
+      });
+
+      startSession(response.data.tokens.accessToken, response.data.user);
+
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.error || 'Password change failed';
+    }
+  };
+
+  // Sends the browser to the provider, which redirects back to /auth/callback/:provider
+  const startOidcLogin = async (provider, { acceptTerms = false } = {}) => {
+    try {
+      const response = await axios.post(
+        `http://localhost:3000/api/auth/oidc/${provider}/authorize`,
+        { acceptTerms },
+        { withCredentials: true }
+      );
+      window.location.assign(response.data.authorizationUrl);
+    } catch (error) {
+      throw error.response?.data?.error || 'Unable to start signing in';
+    }
+  };
+
+  // Resolves like login, or with { linked } when the flow linked an account
+  const completeOidcLogin = async (provider, code, state) => {
+    try {
+      const response = await axios.post(
+        `http://localhost:3000/api/auth/oidc/${provider}/callback`,
+        { code, state },
+        { withCredentials: true }
+      );
+
+      if (response.data.linked || response.data.mfaRequired || response.data.passwordChangeRequired) {
+        return response.data;
+      }
+
+      startSession(response.data.tokens.accessToken, response.data.user);
+
+      return response.data;
+    } catch (error) {
+      throw error.response?.data?.error || 'Sign in failed';
+    }
+  };
+
   const register = async (userData) => {
     try {
       const response = await axios.post('http://localhost:3000/api/auth/register', userData);
@@ -70,6 +152,10 @@ export const AuthProvider = ({ children }) => {
   const value = {
     user,
     login,
+    verifyMfa,
+    changeExpiredPassword,
+    startOidcLogin,
+    completeOidcLogin,
     register,
     logout,
     loading,
@@ -1,8 +1,21 @@
-import React from 'react';
+import React, { useState } from 'react';
+import axios from 'axios';
 import { useAuth } from '../context/AuthContext';
 
 const Dashboard = () => {
   const { user, logout } = useAuth();
+  const [verificationMessage, setVerificationMessage] = useState(null);
+
+  const resendVerification = async () => {
+    try {
+      const response = await axios.post('http://localhost:3000/api/auth/resend-verification');
+      setVerificationMessage(response.data.message);
+    } catch (err) {
+      setVerificationMessage(
+        err.response?.data?.error?.message || 'Unable to send the verification email'
+      );
+    }
+  };
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -26,6 +39,22 @@ const Dashboard = () => {
       </header>
 
       <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+        {user?.emailVerified === false && (
+          <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-md text-sm text-gray-700">
+            Please verify your email address using the link we sent you. You can't submit
+            applications until it is verified.{' '}
+            {verificationMessage || (
+              <button
+                type="button"
+                onClick={resendVerification}
+                className="font-medium text-indigo-600 hover:text-indigo-500"
+              >
+                Resend the email
+              </button>
+            )}
+          </div>
+        )}
+
         <div className="px-4 py-6 sm:px-0">
           <div className="border-4 border-dashed border-gray-200 rounded-lg h-96 flex items-center justify-center">
             <div className="text-center">
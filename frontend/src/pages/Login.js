@@ -1,28 +1,247 @@
 import React, { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import SocialLoginButtons from '../components/SocialLoginButtons';
 
 const Login = () => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  // A provider sign-in that needs a challenge arrives with it in the location state
+  const { state: challenge } = useLocation();
+  const [mfaToken, setMfaToken] = useState(challenge?.mfaToken || null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [trustDevice, setTrustDevice] = useState(false);
+  const [passwordChangeToken, setPasswordChangeToken] = useState(
+    challenge?.passwordChangeToken || null
+  );
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState(null);
+  const { login, verifyMfa, changeExpiredPassword } = useAuth();
   const navigate = useNavigate();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
+    setError(null);
     
     try {
-      await login(email, password);
+      const result = await login(email, password);
+      if (result.mfaRequired) {
+        setMfaToken(result.mfaToken);
+        return;
+      }
+      if (result.passwordChangeRequired) {
+        setPasswordChangeToken(result.passwordChangeToken);
+        return;
+      }
       navigate('/dashboard');
     } catch (error) {
       console.error('Login failed:', error);
+      // Locked accounts are told to check their email for the unlock link
+      setError(error?.message || 'Login failed');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await verifyMfa(mfaToken, {
+        ...(useRecoveryCode ? { recoveryCode: code } : { code }),
+        trustDevice,
+      });
+      if (result.passwordChangeRequired) {
+        setMfaToken(null);
+        setPasswordChangeToken(result.passwordChangeToken);
+        return;
+      }
+      navigate('/dashboard');
+    } catch (err) {
+      if (err?.code === 'INVALID_TOKEN') {
+        // The challenge expired, so start again from the password
+        setMfaToken(null);
+        setCode('');
+      }
+      setError(err?.message || 'Verification failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePasswordChange = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (newPassword !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await changeExpiredPassword(passwordChangeToken, newPassword);
+      navigate('/dashboard');
+    } catch (err) {
+      if (err?.code === 'INVALID_TOKEN') {
+        // The request expired, so start again from the password
+        setPasswordChangeToken(null);
+      }
+      setError(err?.message || 'Password change failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (passwordChangeToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Choose a new password
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              Your password has expired. Choose a new one you have not used recently.
+            </p>
+          </div>
+          <form className="mt-8 space-y-6" onSubmit={handlePasswordChange}>
+            {error && (
+              <p className="text-center text-sm text-red-600">{error}</p>
+            )}
+            <div className="rounded-md shadow-sm -space-y-px">
+              <div>
+                <label htmlFor="new-password" className="sr-only">
+                  New password
+                </label>
+                <input
+                  id="new-password"
+                  name="newPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-t-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm"
+                  placeholder="New password"
+                  value={newPassword}
+                  onChange={(e) => setNewPassword(e.target.value)}
+                />
+              </div>
+              <div>
+                <label htmlFor="confirm-password" className="sr-only">
+                  Confirm new password
+                </label>
+                <input
+                  id="confirm-password"
+                  name="confirmPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-b-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm"
+                  placeholder="Confirm new password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                />
+              </div>
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+              >
+                {loading ? 'Saving...' : 'Change password and sign in'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
+  if (mfaToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Two-factor authentication
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the code from your authenticator app'}
+            </p>
+          </div>
+          <form className="mt-8 space-y-6" onSubmit={handleVerify}>
+            {error && (
+              <p className="text-center text-sm text-red-600">{error}</p>
+            )}
+            <div>
+              <label htmlFor="mfa-code" className="sr-only">
+                {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+              </label>
+              <input
+                id="mfa-code"
+                name="code"
+                type="text"
+                autoComplete="one-time-code"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                required
+                className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                placeholder={useRecoveryCode ? 'XXXX-XXXX' : '123456'}
+                value={code}
+                onChange={(e) => setCode(e.target.value.trim())}
+              />
+            </div>
+
+            <div className="flex items-center">
+              <input
+                id="trust-device"
+                name="trustDevice"
+                type="checkbox"
+                className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                checked={trustDevice}
+                onChange={(e) => setTrustDevice(e.target.checked)}
+              />
+              <label htmlFor="trust-device" className="ml-2 block text-sm text-gray-900">
+                Trust this device for 30 days
+              </label>
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading || !code}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setCode('');
+                }}
+                className="mt-4 w-full text-sm text-gray-600 hover:text-gray-900"
+              >
+                {useRecoveryCode
+                  ? 'Use your authenticator app instead'
+                  : 'Lost your device? Use a recovery code'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -41,6 +260,9 @@ const Login = () => {
           </p>
         </div>
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          {error && (
+            <p className="text-center text-sm text-red-600">{error}</p>
+          )}
           <div className="rounded-md shadow-sm -space-y-px">
             <div>
               <label htmlFor="email-address" className="sr-only">
@@ -76,6 +298,15 @@ const Login = () => {
             </div>
           </div>
 
+          <div className="text-sm text-right">
+            <Link
+              to="/reset-password"
+              className="font-medium text-indigo-600 hover:text-indigo-500"
+            >
+              Forgot your password?
+            </Link>
+          </div>
+
           <div>
             <button
               type="submit"
@@ -86,6 +317,7 @@ const Login = () => {
             </button>
           </div>
         </form>
+        <SocialLoginButtons disabled={loading} />
       </div>
     </div>
   );
@@ -0,0 +1,70 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+// Where Google or Microsoft send the student back to after signing in
+const OidcCallback = () => {
+  const { provider } = useParams();
+  const [searchParams] = useSearchParams();
+  const [error, setError] = useState(null);
+  const { completeOidcLogin } = useAuth();
+  const navigate = useNavigate();
+  // The code only works once, so never send it twice
+  const completed = useRef(false);
+
+  useEffect(() => {
+    const code = searchParams.get('code');
+    const state = searchParams.get('state');
+
+    if (completed.current) {
+      return;
+    }
+    completed.current = true;
+
+    if (!code || !state) {
+      setError(searchParams.get('error_description') || 'Signing in was cancelled');
+      return;
+    }
+
+    const complete = async () => {
+      try {
+        const result = await completeOidcLogin(provider, code, state);
+        if (result.linked) {
+          navigate('/profile', { replace: true });
+        } else if (result.mfaRequired || result.passwordChangeRequired) {
+          // The login page asks for the code or the new password
+          navigate('/login', { replace: true, state: result });
+        } else {
+          navigate('/dashboard', { replace: true });
+        }
+      } catch (err) {
+        setError(err?.message || 'Sign in failed');
+      }
+    };
+
+    complete();
+  }, [provider, searchParams, completeOidcLogin, navigate]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6 bg-white shadow rounded-lg p-8 text-center">
+        <h2 className="text-3xl font-extrabold text-gray-900">Signing in</h2>
+
+        {!error && (
+          <p className="text-gray-600">Finishing signing in...</p>
+        )}
+
+        {error && (
+          <>
+            <p className="text-red-600">{error}</p>
+            <Link to="/login" className="font-medium text-indigo-600 hover:text-indigo-500">
+              Back to sign in
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OidcCallback;
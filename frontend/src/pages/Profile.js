@@ -1,4 +1,7 @@
 import React from 'react';
+import ApiKeySettings from '../components/ApiKeySettings';
+import LinkedAccounts from '../components/LinkedAccounts';
+import TwoFactorSettings from '../components/TwoFactorSettings';
 
 const Profile = () => {
   return (
@@ -8,6 +11,15 @@ const Profile = () => {
         <div className="bg-white p-6 rounded-lg shadow">
           <p>Profile management will be implemented here</p>
         </div>
+        <div className="bg-white p-6 rounded-lg shadow mt-6">
+          <TwoFactorSettings />
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow mt-6">
+          <LinkedAccounts />
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow mt-6">
+          <ApiKeySettings />
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import axios from 'axios';
+
+const RefereeUpload = () => {
+  const { token } = useParams();
+  const [request, setRequest] = useState(null);
+  const [letter, setLetter] = useState(null);
+  const [declineReason, setDeclineReason] = useState('');
+  const [showDecline, setShowDecline] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [completed, setCompleted] = useState('');
+
+  const apiUrl = `http://localhost:3000/api/referees/${token}`;
+
+  useEffect(() => {
+    const loadRequest = async () => {
+      try {
+        const response = await axios.get(apiUrl);
+        setRequest(response.data.request);
+      } catch (err) {
+        setError(err.response?.data?.error?.message || 'This reference link is not valid');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadRequest();
+  }, [apiUrl]);
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const formData = new FormData();
+      formData.append('letter', letter);
+      const response = await axios.post(`${apiUrl}/letter`, formData);
+      setCompleted(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Upload failed, please try again');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDecline = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const response = await axios.post(`${apiUrl}/decline`, { reason: declineReason });
+      setCompleted(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Something went wrong, please try again');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-lg w-full space-y-6 bg-white shadow rounded-lg p-8">
+        <h2 className="text-center text-3xl font-extrabold text-gray-900">
+          Reference Request
+        </h2>
+
+        {completed && (
+          <p className="text-center text-green-700">{completed}</p>
+        )}
+
+        {error && (
+          <p className="text-center text-red-600">{error}</p>
+        )}
+
+        {request && !completed && (
+          <>
+            <p className="text-gray-700">
+              Dear {request.referee.name}, {request.applicant.name} has asked you for a
+              reference for the {request.program.name} program at {request.university.name}.
+            </p>
+            <p className="text-sm text-gray-500">
+              This link expires on {new Date(request.expiresAt).toLocaleDateString()}.
+            </p>
+
+            {!showDecline ? (
+              <form className="space-y-4" onSubmit={handleUpload}>
+                <label htmlFor="letter" className="block text-sm font-medium text-gray-700">
+                  Recommendation letter (PDF or Word document)
+                </label>
+                <input
+                  id="letter"
+                  name="letter"
+                  type="file"
+                  accept=".pdf,.doc,.docx"
+                  required
+                  onChange={(e) => setLetter(e.target.files[0])}
+                />
+                <button
+                  type="submit"
+                  disabled={submitting || !letter}
+                  className="w-full py-2 px-4 rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  {submitting ? 'Uploading...' : 'Upload letter'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setShowDecline(true)}
+                  className="w-full text-sm text-gray-600 hover:text-gray-900"
+                >
+                  I am unable to provide a reference
+                </button>
+              </form>
+            ) : (
+              <form className="space-y-4" onSubmit={handleDecline}>
+                <label htmlFor="decline-reason" className="block text-sm font-medium text-gray-700">
+                  Reason (optional, shared with the applicant)
+                </label>
+                <textarea
+                  id="decline-reason"
+                  name="reason"
+                  maxLength={500}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-md sm:text-sm"
+                  value={declineReason}
+                  onChange={(e) => setDeclineReason(e.target.value)}
+                />
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className="w-full py-2 px-4 rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                >
+                  {submitting ? 'Sending...' : 'Decline request'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setShowDecline(false)}
+                  className="w-full text-sm text-gray-600 hover:text-gray-900"
+                >
+                  Back to upload
+                </button>
+              </form>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RefereeUpload;
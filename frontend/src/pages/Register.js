@@ -1,6 +1,9 @@
-import React from 'react';
+import React, { useState } from 'react';
+import SocialLoginButtons from '../components/SocialLoginButtons';
 
 const Register = () => {
+  const [acceptTerms, setAcceptTerms] = useState(false);
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50">
       <div className="max-w-md w-full space-y-8">
@@ -9,14 +12,28 @@ const Register = () => {
             Create your account
           </h2>
         </div>
-        <div className="bg-white p-8 rounded-lg shadow">
+        <div className="bg-white p-8 rounded-lg shadow space-y-4">
           <p className="text-center text-gray-600">
             Registration form will be implemented here
           </p>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={acceptTerms}
+              onChange={(e) => setAcceptTerms(e.target.checked)}
+            />
+            I accept the terms and conditions
+          </label>
+          <SocialLoginButtons
+            acceptTerms={acceptTerms}
+            disabled={!acceptTerms}
+            label="Sign up with"
+          />
         </div>
       </div>
     </div>
   );
 };
 
-export default Register;
\ No newline at end of file
+export default Register;
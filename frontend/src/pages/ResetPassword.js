@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { Link, useSearchParams } from 'react-router-dom';
+
+const API_URL = 'http://localhost:3000/api/auth';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [email, setEmail] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [completed, setCompleted] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await axios.post(`${API_URL}/forgot-password`, { email });
+      setCompleted(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Unable to send the reset email');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleReset = async (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await axios.post(`${API_URL}/reset-password`, { token, newPassword });
+      setCompleted(response.data.message);
+    } catch (err) {
+      const details = err.response?.data?.error?.details;
+      setError(details?.length
+        ? details.map(detail => detail.message).join('. ')
+        : err.response?.data?.error?.message || 'Unable to reset your password');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6 bg-white shadow rounded-lg p-8">
+        <h2 className="text-center text-3xl font-extrabold text-gray-900">
+          {token ? 'Choose a new password' : 'Reset your password'}
+        </h2>
+
+        {completed && (
+          <p className="text-center text-green-700">{completed}</p>
+        )}
+
+        {error && (
+          <p className="text-center text-red-600">{error}</p>
+        )}
+
+        {!completed && !token && (
+          <form className="space-y-4" onSubmit={handleRequest}>
+            <label htmlFor="email-address" className="block text-sm font-medium text-gray-700">
+              Email address
+            </label>
+            <input
+              id="email-address"
+              name="email"
+              type="email"
+              autoComplete="email"
+              required
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md sm:text-sm"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+            <button
+              type="submit"
+              disabled={submitting || !email}
+              className="w-full py-2 px-4 rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {submitting ? 'Sending...' : 'Email me a reset link'}
+            </button>
+          </form>
+        )}
+
+        {!completed && token && (
+          <form className="space-y-4" onSubmit={handleReset}>
+            <label htmlFor="new-password" className="block text-sm font-medium text-gray-700">
+              New password
+            </label>
+            <input
+              id="new-password"
+              name="newPassword"
+              type="password"
+              autoComplete="new-password"
+              required
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md sm:text-sm"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+            />
+            <label htmlFor="confirm-password" className="block text-sm font-medium text-gray-700">
+              Confirm new password
+            </label>
+            <input
+              id="confirm-password"
+              name="confirmPassword"
+              type="password"
+              autoComplete="new-password"
+              required
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md sm:text-sm"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+            />
+            <button
+              type="submit"
+              disabled={submitting || !newPassword}
+              className="w-full py-2 px-4 rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {submitting ? 'Saving...' : 'Reset password'}
+            </button>
+          </form>
+        )}
+
+        <p className="text-center text-sm">
+          <Link to="/login" className="font-medium text-indigo-600 hover:text-indigo-500">
+            Back to sign in
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
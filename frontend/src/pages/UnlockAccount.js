@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { Link, useSearchParams } from 'react-router-dom';
+
+const UnlockAccount = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [unlocked, setUnlocked] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(token ? null : 'This unlock link is invalid');
+
+  // Unlock on request rather than on load, so link scanners cannot use the link up
+  const handleUnlock = async () => {
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await axios.post('http://localhost:3000/api/auth/unlock-account', { token });
+      setUnlocked(true);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Unable to unlock your account');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6 bg-white shadow rounded-lg p-8 text-center">
+        <h2 className="text-3xl font-extrabold text-gray-900">Unlock your account</h2>
+
+        {!unlocked && token && (
+          <>
+            <p className="text-gray-600">
+              Your account was locked after too many failed login attempts.
+            </p>
+            <button
+              type="button"
+              onClick={handleUnlock}
+              disabled={submitting}
+              className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {submitting ? 'Unlocking...' : 'Unlock my account'}
+            </button>
+          </>
+        )}
+
+        {unlocked && (
+          <p className="text-green-700">
+            Your account is unlocked. You can log in again.
+          </p>
+        )}
+
+        {error && (
+          <p className="text-red-600">{error}</p>
+        )}
+
+        <p className="text-sm text-gray-600">
+          Don't recognise these attempts?{' '}
+          <Link to="/reset-password" className="font-medium text-indigo-600 hover:text-indigo-500">
+            Choose a new password
+          </Link>
+        </p>
+
+        <Link to="/login" className="font-medium text-indigo-600 hover:text-indigo-500">
+          Go to login
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
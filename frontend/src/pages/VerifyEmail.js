@@ -0,0 +1,55 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { Link, useSearchParams } from 'react-router-dom';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [verified, setVerified] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const verify = async () => {
+      try {
+        await axios.post('http://localhost:3000/api/auth/verify-email', { token });
+        setVerified(true);
+      } catch (err) {
+        setError(err.response?.data?.error?.message || 'Unable to verify your email address');
+      }
+    };
+
+    if (token) {
+      verify();
+    } else {
+      setError('This verification link is invalid');
+    }
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6 bg-white shadow rounded-lg p-8 text-center">
+        <h2 className="text-3xl font-extrabold text-gray-900">Verify your email</h2>
+
+        {!verified && !error && (
+          <p className="text-gray-600">Verifying your email address...</p>
+        )}
+
+        {verified && (
+          <p className="text-green-700">
+            Your email address is verified. You can now submit applications.
+          </p>
+        )}
+
+        {error && (
+          <p className="text-red-600">{error}</p>
+        )}
+
+        <Link to="/dashboard" className="font-medium text-indigo-600 hover:text-indigo-500">
+          Go to your dashboard
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;